@@ -0,0 +1,193 @@
+#!/usr/bin/env node
+// Runs one search on a graph file and prints the expansion order and the result.
+//   npm run search -- graph.json --algorithm AStar
+//   node bin/graph-search.js maze.dot -a BFS --no-duplicates
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { detectFormat, importGraph } from '../src/graphIO.js';
+import { ALGORITHMS, ALGORITHM_PARAMS, HEURISTICS, HEURISTIC_SCALE, NEIGHBOR_SEED, SEARCH_POLICIES, describePolicies, findTraversableEdge, graphGoals, groundTruthFor, runSearch, snapshotPath } from '../src/engine.js';
+import { nodeValuesAt } from '../src/metrics.js';
+
+const USAGE = `Usage: graph-search <graph file> [options]
+
+Options:
+  -a, --algorithm <id>    ${ALGORITHMS.map(a => a.id).join(', ')} (default: BFS)
+  -f, --format <format>   json, dot or edgelist (default: from the file name / contents)
+      --heuristic <type>  ${HEURISTICS.map(h => h.id).join(', ')} (default: preset if the file has h values)
+      --scale <k>         multiplier for the scaled heuristic (default: ${HEURISTIC_SCALE.default})
+      --no-duplicates     allow re-visits (turns off the visited set)
+      --depth-limit <n>   depth limit for DLS (default: ${ALGORITHM_PARAMS.depthLimit.default})
+      --weight <w>        heuristic weight for WeightedAStar (default: ${ALGORITHM_PARAMS.weight.default})
+      --beam-width <n>    nodes kept per layer by Beam (default: ${ALGORITHM_PARAMS.beamWidth.default})
+      --neighbors <o>     ${SEARCH_POLICIES.neighborOrder.options.map(o => o.id).join(', ')} (default: ${SEARCH_POLICIES.neighborOrder.default})
+      --seed <n>          seed for the random neighbour order (default: ${NEIGHBOR_SEED})
+      --ties <t>          priority ties: ${SEARCH_POLICIES.tieBreak.options.map(o => o.id).join(', ')} (default: ${SEARCH_POLICIES.tieBreak.default})
+      --goal-test <when>  ${SEARCH_POLICIES.goalTest.options.map(o => o.id).join(', ')} (default: ${SEARCH_POLICIES.goalTest.default})
+      --json              print the result as JSON
+  -h, --help              show this message
+
+Exits with 0 when the goal is found, 2 when it is not and 1 on bad input.`;
+
+const fail = (message) => {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+};
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      algorithm: { type: 'string', short: 'a', default: 'BFS' },
+      format: { type: 'string', short: 'f' },
+      heuristic: { type: 'string' },
+      scale: { type: 'string' },
+      'no-duplicates': { type: 'boolean', default: false },
+      'depth-limit': { type: 'string' },
+      weight: { type: 'string' },
+      'beam-width': { type: 'string' },
+      neighbors: { type: 'string' },
+      seed: { type: 'string' },
+      ties: { type: 'string' },
+      'goal-test': { type: 'string' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+} catch (err) {
+  fail(err.message);
+}
+
+const { values, positionals } = args;
+if (values.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+if (positionals.length !== 1) fail('Expected exactly one graph file');
+if (!ALGORITHMS.some(a => a.id === values.algorithm)) fail(`Unknown algorithm "${values.algorithm}"`);
+if (values.heuristic !== undefined && !HEURISTICS.some(h => h.id === values.heuristic)) fail(`Unknown heuristic "${values.heuristic}"`);
+
+// Algorithm parameters: --depth-limit 4 -> { depthLimit: 4 }
+const params = {};
+[['depth-limit', 'depthLimit'], ['weight', 'weight'], ['beam-width', 'beamWidth']].forEach(([flag, name]) => {
+  if (values[flag] === undefined) return;
+  const value = Number(values[flag]);
+  const { min, max, step } = ALGORITHM_PARAMS[name];
+  if (!Number.isFinite(value) || value < min || value > max || (Number.isInteger(step) && !Number.isInteger(value))) {
+    fail(`--${flag} must be ${Number.isInteger(step) ? 'an integer' : 'a number'} from ${min} to ${max}`);
+  }
+  params[name] = value;
+});
+
+// Search policies: --ties lifo -> { tieBreak: 'lifo' }
+const policies = {};
+[['neighbors', 'neighborOrder'], ['ties', 'tieBreak'], ['goal-test', 'goalTest']].forEach(([flag, name]) => {
+  if (values[flag] === undefined) return;
+  const ids = SEARCH_POLICIES[name].options.map(o => o.id);
+  if (!ids.includes(values[flag])) fail(`--${flag} must be one of ${ids.join(', ')}`);
+  policies[name] = values[flag];
+});
+if (values.seed !== undefined) {
+  policies.neighborSeed = Number(values.seed);
+  if (!Number.isInteger(policies.neighborSeed)) fail('--seed must be an integer');
+}
+
+const heuristicScale = values.scale === undefined ? HEURISTIC_SCALE.default : Number(values.scale);
+if (!Number.isFinite(heuristicScale) || heuristicScale < HEURISTIC_SCALE.min || heuristicScale > HEURISTIC_SCALE.max) {
+  fail(`--scale must be a number from ${HEURISTIC_SCALE.min} to ${HEURISTIC_SCALE.max}`);
+}
+
+const [file] = positionals;
+let graph;
+try {
+  const text = readFileSync(file, 'utf8');
+  graph = importGraph(text, values.format ?? detectFormat(file, text));
+} catch (err) {
+  console.error(`Could not load ${file}: ${err.message}`);
+  process.exit(1);
+}
+
+const heuristicType = values.heuristic ?? (graph.nodes.some(n => n.h !== undefined) ? 'preset' : 'euclidean');
+const options = { checkDuplicates: !values['no-duplicates'], heuristicType, heuristicScale, ...params, ...policies };
+const history = runSearch(graph, values.algorithm, options);
+
+const label = (id) => graph.nodes.find(n => n.id === id)?.label ?? String(id);
+const last = history.at(-1);
+// Every pop the search went on to expand: a stale entry is popped and then skipped, and the final snapshot
+// repeats the last step's node without popping it again
+const events = [];
+for (const step of history) events.push(...step.events);
+const expansionOrder = events
+  .filter((e, i) => e.type === 'pop' && !(events[i + 1]?.type === 'skip' && events[i + 1].id === e.id))
+  .map(e => label(e.id));
+const path = last.status === 'found' ? snapshotPath(last, graph.start, graphGoals(graph)) : [];
+const cost = path.slice(1).reduce((sum, id, i) => sum + findTraversableEdge(graph.edges, path[i], id, graph.directed).weight, 0);
+const { trueMinCost } = groundTruthFor(graph);
+// Only path searches follow the waypoints
+const { kind } = ALGORITHMS.find(a => a.id === values.algorithm);
+const waypoints = kind ? [] : graph.waypoints ?? [];
+
+const result = {
+  algorithm: values.algorithm,
+  policies: describePolicies(values.algorithm, options) || undefined,
+  waypoints: waypoints.length ? waypoints.map(label) : undefined,
+  status: last.status,
+  steps: history.length,
+  expansionOrder,
+  path: path.map(label),
+  cost: path.length ? cost : null,
+  optimal: path.length ? cost <= trueMinCost : null,
+};
+
+// Spanning trees and structure analyses have no path: report what they found instead
+const spanningTree = kind === 'mst';
+if (spanningTree) {
+  const treeEdges = last.decisions.filter(d => d.accepted).map(d => graph.edges[d.edge]);
+  Object.assign(result, {
+    treeWeight: last.treeWeight,
+    trees: last.trees,
+    treeEdges: treeEdges.map(e => [label(e.source), label(e.target), e.weight]),
+  });
+}
+if (kind === 'flow') {
+  Object.assign(result, {
+    flow: last.flowValue,
+    augmentingPaths: last.augmentations,
+    minCut: (last.cut ?? []).map(i => [label(graph.edges[i].source), label(graph.edges[i].target), graph.edges[i].weight]),
+  });
+}
+if (kind === 'structure') {
+  const groups = [];
+  nodeValuesAt(last).group?.forEach((group, id) => (groups[group] ??= []).push(label(id)));
+  if (groups.length) result.groups = groups;
+  if (last.cycle) result.cycle = last.cycle.map(label);
+  if (last.order !== undefined) result.order = last.order && last.order.map(label);
+}
+
+if (values.json) {
+  console.log(JSON.stringify(result, null, 2));
+} else {
+  console.log(`Algorithm:  ${result.algorithm}`);
+  if (result.policies) console.log(`Policies:   ${result.policies}`);
+  if (result.waypoints) console.log(`Via:        ${result.waypoints.join(' ')}`);
+  console.log(`Expanded:   ${expansionOrder.join(' ') || '-'}`);
+  console.log(`Status:     ${result.status} after ${result.steps} steps`);
+  if (path.length) {
+    console.log(`Path:       ${result.path.join(' -> ')}`);
+    console.log(`Cost:       ${cost}${result.optimal ? ' (optimal)' : ` (optimal is ${trueMinCost})`}`);
+  }
+  if (spanningTree) {
+    console.log(`Tree edges: ${result.treeEdges.map(([a, b, w]) => `${a}-${b} (${w})`).join(' ') || '-'}`);
+    console.log(`Weight:     ${result.treeWeight}${result.trees > 1 ? ` (spanning forest of ${result.trees} trees)` : ''}`);
+  }
+  if (kind === 'flow') {
+    console.log(`Max flow:   ${result.flow} over ${result.augmentingPaths} augmenting paths`);
+    console.log(`Min cut:    ${result.minCut.map(([a, b, w]) => `${a}-${b} (${w})`).join(' ') || '-'}`);
+  }
+  if (result.groups) console.log(`Groups:     ${result.groups.map(g => `{${g.join(', ')}}`).join(' ')}`);
+  if (result.cycle) console.log(`Cycle:      ${result.cycle.length ? [...result.cycle, result.cycle[0]].join(' -> ') : 'none'}`);
+  if (result.order !== undefined) console.log(`Order:      ${result.order ? result.order.join(' ') : 'none (not a DAG)'}`);
+  if (last.status === 'negative_cycle') console.log(`Cycle:      ${last.cycle.map(label).join(' -> ')}`);
+}
+
+process.exit(last.status === 'found' || last.status === 'complete' ? 0 : 2);
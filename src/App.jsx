@@ -1,103 +1,186 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Play, Pause, RotateCcw, ChevronRight, ChevronLeft, Shuffle, AlertTriangle } from 'lucide-react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { flushSync } from 'react-dom';
+import { Play, Pause, RotateCcw, ChevronRight, ChevronLeft, Shuffle, AlertTriangle, Pencil, Move, CirclePlus, Spline, Trash2, Flag, Target, Crosshair, MapPin, Upload, Download, X, Link, Grid3x3, Eraser, ArrowRightLeft, Columns2, GraduationCap, FlaskConical, Film } from 'lucide-react';
+import { CANVAS_SIZE, NODE_RADIUS } from './constants';
+import { createRng, randomSeed } from './random';
+import { indexToLabel } from './labels';
+import { ALGORITHMS, ALGORITHM_PARAMS, DEFAULT_GENERATOR_OPTIONS, HEURISTIC_SCALE, NEIGHBOR_SEED, SEARCH_POLICIES, TOPOLOGIES, WEIGHT_SCHEMES, describePolicies, distance, generateRandomGraph, graphGoals, heuristicToGoals, isDirectedEdge, maxNodesFor, queueInPopOrder } from './engine';
+import { useSearchRuns } from './useSearch';
+import CompareView, { CompareTable } from './CompareView';
+import { ARROW_MARKERS, DENSE_GRAPH_NODES, DENSE_NODE_RADIUS, edgeGeometry, groupFill } from './drawing';
+import { EMPTY_STEP, classifyEdge, componentsAt, createStateClassFor, decisionsAt, edgeFlow, formatCheck, formatCost, getPath, getTrace, nodeAnnotation, nodeValuesAt, summarizeRun } from './metrics';
+import SpanningTreePanels from './SpanningTreePanels';
+import StructurePanels from './StructurePanels';
+import FlowPanels from './FlowPanels';
+import PseudocodePanel from './PseudocodePanel';
+import StepLogPanel from './StepLogPanel';
+import SearchTreePanel from './SearchTreePanel';
+import { narrate } from './stepLog';
+import { lineStates, pseudocodeFor } from './pseudocode';
+import HeuristicPanel from './HeuristicPanel';
+import PolicyPanel from './PolicyPanel';
+import { checkHeuristic } from './heuristicCheck';
+import QuizPanel from './QuizPanel';
+import { isCorrect, quizAnswer, quizQuestion } from './quiz';
+import ExperimentView from './ExperimentView';
+import { TERRAINS, GRID_HEURISTICS, MAZE_GENERATORS, MIN_GRID_SIZE, MAX_GRID_SIZE, createGrid, resizeGrid, paintCell, clearGrid, cellAt, gridToGraph, generateMaze } from './grid';
+import GridLayer from './GridLayer';
+import { FORMATS, detectFormat, importGraph, exportGraph } from './graphIO';
+import { downloadBlob, downloadText } from './download';
+import { canRecordWebm, exportSteps, recordWebm, renderGif, standaloneSvg } from './playbackExport';
+import { traceRows, traceToCSV, traceToMarkdown } from './traceTable';
+import { createZip } from './zip';
+import { decodeState, buildPermalink } from './permalink';
 import './App.css';
 
-// --- Constants & Utilities ---
-const CANVAS_SIZE = 600;
-const NODE_RADIUS = 20;
-const MAX_ITERATIONS = 1000; // Safety brake for infinite loops
+// --- Graph Editing ---
+const nextNodeLabel = (nodes) => {
+  const used = new Set(nodes.map(n => n.label));
+  let i = 0;
+  while (used.has(indexToLabel(i))) i++;
+  return indexToLabel(i);
+};
 
-const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const clampToCanvas = (v) => Math.min(CANVAS_SIZE - NODE_RADIUS, Math.max(NODE_RADIUS, v));
 
-const getGroundTruth = (nodes, edges, startId, endId) => {
-  // 1. Min Edges (BFS style)
-  const bfs = new GraphSearch(nodes, edges, startId, endId, 'BFS', { checkDuplicates: true });
-  const minEdges = bfs.history.find(h => h.status === 'found')?.parents;
-  
-  // 2. Min Cost (Dijkstra style)
-  const dijkstra = new GraphSearch(nodes, edges, startId, endId, 'Dijkstra', { checkDuplicates: true });
-  const minCostSnap = dijkstra.history.find(h => h.status === 'found');
-  
-  // Helper to reconstruct path length/cost
-  const getMetrics = (parents, isWeighted) => {
-    if (!parents) return Infinity;
-    let curr = endId;
-    let count = 0;
-    let cost = 0;
-    while (curr !== startId) {
-      let p = parents[curr];
-      if (p === undefined) return Infinity;
-      if (isWeighted) {
-        const edge = edges.find(e => (e.source === p && e.target === curr) || (e.target === p && e.source === curr));
-        cost += edge.weight;
-      }
-      count++;
-      curr = p;
-    }
-    return isWeighted ? cost : count;
-  };
+// A new edge a -> b clashes with a -> b itself, or with b -> a unless both of them are one-way
+const edgeConflicts = (graph, a, b) => graph.edges.some(e =>
+  (e.source === a && e.target === b) ||
+  (e.source === b && e.target === a && !(graph.directed && isDirectedEdge(e, graph.directed)))
+);
 
-  return {
-    trueMinEdges: getMetrics(minEdges, false),
-    trueMinCost: getMetrics(minCostSnap?.parents, true)
-  };
+const addNode = (graph, x, y) => {
+  const id = graph.nodes.reduce((max, n) => Math.max(max, n.id), -1) + 1;
+  const node = { id, x: clampToCanvas(x), y: clampToCanvas(y), label: nextNodeLabel(graph.nodes) };
+  return { ...graph, nodes: [...graph.nodes, node] };
 };
 
-// --- Graph Generation ---
-const generateRandomGraph = (numNodes = 15) => {
-  const nodes = [];
-  const edges = [];
-  
-  // 1. Create a shuffled pool of alphabet letters
-  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
-  const shuffledAlphabet = alphabet.sort(() => Math.random() - 0.5);
-  
-  // 2. Generate Nodes with randomized labels
-  for (let i = 0; i < numNodes; i++) {
-    let x, y, tooClose;
-    do {
-      x = Math.random() * (CANVAS_SIZE - 100) + 50;
-      y = Math.random() * (CANVAS_SIZE - 100) + 50;
-      tooClose = nodes.some(n => distance(n, { x, y }) < 60);
-    } while (tooClose);
-    
-    nodes.push({ 
-      id: i, 
-      x, 
-      y, 
-      label: shuffledAlphabet[i] // Assign a random unique letter
-    });
-  }
+const moveNode = (graph, id, x, y) => ({
+  ...graph,
+  nodes: graph.nodes.map(n => n.id === id ? { ...n, x: clampToCanvas(x), y: clampToCanvas(y) } : n)
+});
 
-  // 3. Connect Nodes (Nearest neighbor strategy)
-  nodes.forEach((node, i) => {
-    const neighbors = nodes
-      .map((n, idx) => ({ idx, dist: distance(node, n) }))
-      .filter(n => n.idx !== i)
-      .sort((a, b) => a.dist - b.dist)
-      .slice(0, 3);
-
-    neighbors.forEach(n => {
-      const edgeExists = edges.some(e => 
-        (e.source === i && e.target === n.idx) || 
-        (e.source === n.idx && e.target === i)
-      );
-      if (!edgeExists) {
-        edges.push({ source: i, target: n.idx, weight: Math.floor(n.dist) });
-      }
-    });
+// Takes a node out of the extra goals and the waypoints, dropping lists that end up empty
+const withoutTarget = (graph, id) => {
+  const next = { ...graph };
+  ['goals', 'waypoints'].forEach(key => {
+    const ids = (graph[key] ?? []).filter(other => other !== id);
+    if (ids.length > 0) next[key] = ids;
+    else delete next[key];
   });
+  return next;
+};
+
+const removeNode = (graph, id) => {
+  // Always keep a start and a goal around, otherwise there is nothing to search
+  if (graph.nodes.length <= 2) return graph;
+  const nodes = graph.nodes.filter(n => n.id !== id);
+  const edges = graph.edges.filter(e => e.source !== id && e.target !== id);
+  let { start, end } = graph;
+  if (start === id) start = nodes.find(n => n.id !== end).id;
+  // An extra goal takes over from a deleted primary one
+  if (end === id) end = graph.goals?.[0] ?? nodes.find(n => n.id !== start).id;
+  return withoutTarget(withoutTarget({ ...graph, nodes, edges, start, end }, id), end);
+};
+
+const addEdge = (graph, source, target) => {
+  if (source === target || edgeConflicts(graph, source, target)) return graph;
+  const u = graph.nodes.find(n => n.id === source);
+  const v = graph.nodes.find(n => n.id === target);
+  return { ...graph, edges: [...graph.edges, { source, target, weight: Math.floor(distance(u, v)) }] };
+};
+
+const removeEdge = (graph, index) => ({ ...graph, edges: graph.edges.filter((_, i) => i !== index) });
 
-  // 4. Randomly pick start and end indices
-  const startIdx = Math.floor(Math.random() * numNodes);
-  let endIdx;
-  do {
-    endIdx = Math.floor(Math.random() * numNodes);
-  } while (endIdx === startIdx);
+// Flips an edge between one-way and two-way; an override matching the graph default is dropped
+const toggleEdgeDirected = (graph, index) => {
+  const e = graph.edges[index];
+  const directed = !isDirectedEdge(e, graph.directed);
+  // Becoming two-way would duplicate an antiparallel edge, so refuse
+  if (!directed && graph.edges.some(o => o.source === e.target && o.target === e.source)) return graph;
+  const { directed: _old, ...rest } = e;
+  const next = directed === Boolean(graph.directed) ? rest : { ...rest, directed };
+  return { ...graph, edges: graph.edges.map((o, i) => i === index ? next : o) };
+};
+
+const reverseEdge = (graph, index) => {
+  const e = graph.edges[index];
+  if (graph.edges.some(o => o.source === e.target && o.target === e.source)) return graph;
+  return { ...graph, edges: graph.edges.map((o, i) => i === index ? { ...o, source: e.target, target: e.source } : o) };
+};
+
+// Switching the whole graph keeps edges that already behave the new way free of overrides
+const setGraphDirected = (graph, directed) => ({
+  ...graph,
+  directed,
+  edges: graph.edges.map(e => {
+    const { directed: own, ...rest } = e;
+    // Antiparallel pairs can only exist as one-way edges
+    if (!directed && graph.edges.some(o => o.source === e.target && o.target === e.source)) return { ...rest, directed: true };
+    return own === undefined || own === directed ? rest : e;
+  })
+});
+
+const setEdgeWeight = (graph, index, weight) => ({
+  ...graph,
+  edges: graph.edges.map((e, i) => i === index ? { ...e, weight } : e)
+});
+
+// Passing undefined clears the custom h so the node falls back to Euclidean
+const setNodeHeuristic = (graph, id, h) => ({
+  ...graph,
+  nodes: graph.nodes.map(n => {
+    if (n.id !== id) return n;
+    const { h: _old, ...rest } = n;
+    return h === undefined ? rest : { ...rest, h };
+  })
+});
+
+const setEndpoint = (graph, key, id) => {
+  const other = key === 'start' ? 'end' : 'start';
+  const rest = withoutTarget(graph, id);
+  // Picking the other endpoint's node swaps the two so start !== goal
+  if (graph[other] === id) return { ...rest, [key]: id, [other]: graph[key] };
+  return { ...rest, [key]: id };
+};
+
+// Adds or removes an extra goal. Removing the primary goal hands its place to the next one, but the last goal stays.
+const toggleGoal = (graph, id) => {
+  const goals = graph.goals ?? [];
+  if (id === graph.start) return graph;
+  if (id === graph.end) return goals.length > 0 ? withoutTarget({ ...graph, end: goals[0] }, goals[0]) : graph;
+  if (goals.includes(id)) return withoutTarget(graph, id);
+  return { ...withoutTarget(graph, id), goals: [...goals, id] };
+};
 
-  return { nodes, edges, start: startIdx, end: endIdx };
+// Waypoints are visited in the order they were added; the start and the goals can't be one
+const toggleWaypoint = (graph, id) => {
+  if (graph.waypoints?.includes(id)) return withoutTarget(graph, id);
+  if (graphGoals(graph).includes(id) || id === graph.start) return graph;
+  return { ...graph, waypoints: [...(graph.waypoints ?? []), id] };
 };
 
+const EDIT_TOOLS = [
+  { id: 'move', label: 'Move', icon: Move },
+  { id: 'node', label: 'Add Node', icon: CirclePlus },
+  { id: 'edge', label: 'Add Edge', icon: Spline },
+  { id: 'direction', label: 'Direction', icon: ArrowRightLeft },
+  { id: 'delete', label: 'Delete', icon: Trash2 },
+  { id: 'start', label: 'Set Start', icon: Flag },
+  { id: 'end', label: 'Set Goal', icon: Target },
+  { id: 'goal', label: 'Toggle Extra Goal', icon: Crosshair },
+  { id: 'waypoint', label: 'Toggle Waypoint', icon: MapPin },
+];
+
+const EDIT_HINTS = {
+  direction: 'Click an edge to make it one-way or two-way, Shift+click to reverse it',
+  goal: 'Click nodes to add or remove goals; the search stops at whichever goal it reaches first',
+  waypoint: 'Click nodes in the order the route should pass through them',
+};
+
+// The frontier panel only lists the head of very long queues
+const MAX_QUEUE_ITEMS = 200;
+
 // --- Preset Scenarios for A* ---
 const PRESETS = {
   nonAdmissible: {
@@ -135,261 +218,288 @@ const PRESETS = {
     ],
     start: 0, end: 4,
     description: "When Duplicate Searching is ON, A* fails to find the optimal path because it 'locks' C via the sub-optimal path through B first."
+  },
+  negativeEdge: {
+    directed: true,
+    nodes: [
+      { id: 0, x: 50,  y: 300, label: 'S' },
+      { id: 1, x: 300, y: 150, label: 'A' },
+      { id: 2, x: 300, y: 450, label: 'B' },
+      { id: 3, x: 550, y: 300, label: 'G' }
+    ],
+    edges: [
+      { source: 0, target: 1, weight: 1 },   // S -> A
+      { source: 0, target: 2, weight: 4 },   // S -> B
+      { source: 2, target: 1, weight: -5 },  // B -> A (the "refund")
+      { source: 1, target: 3, weight: 1 }    // A -> G
+    ],
+    start: 0, end: 3,
+    description: "Dijkstra settles A at cost 1 and reaches G at cost 2 before it ever pops B, so it never sees S→B→A→G, which costs 0. Bellman-Ford relaxes every edge each pass and finds it."
+  },
+  negativeCycle: {
+    directed: true,
+    nodes: [
+      { id: 0, x: 50,  y: 300, label: 'S' },
+      { id: 1, x: 220, y: 300, label: 'A' },
+      { id: 2, x: 350, y: 140, label: 'B' },
+      { id: 3, x: 350, y: 460, label: 'C' },
+      { id: 4, x: 550, y: 300, label: 'G' }
+    ],
+    edges: [
+      { source: 0, target: 1, weight: 1 },   // S -> A
+      { source: 1, target: 2, weight: 2 },   // A -> B
+      { source: 2, target: 3, weight: -4 },  // B -> C
+      { source: 3, target: 1, weight: 1 },   // C -> A (closes A -> B -> C -> A, total -1)
+      { source: 3, target: 4, weight: 2 }    // C -> G
+    ],
+    start: 0, end: 4,
+    description: "A -> B -> C -> A has total weight -1, so every lap makes the path to G cheaper and no shortest path exists. Bellman-Ford's extra pass still finds an improvement and reports the cycle."
   }
 };
 
-// --- Algorithms ---
-
-class GraphSearch {
-  constructor(nodes, edges, startId, endId, type, options = {}) {
-    this.nodes = nodes;
-    this.edges = edges;
-    this.startId = startId;
-    this.endId = endId;
-    this.type = type; // 'BFS', 'DFS', 'Dijkstra', 'AStar', 'BiBFS'
-    this.options = options; // { checkDuplicates: bool, heuristicType: 'euclidean' | 'preset' }
-    this.adj = this.buildAdjacency();
-    
-    this.history = []; // Array of snapshots
-    this.run();
-  }
+// Which presets the header offers for the selected algorithm ('random' means a fresh random graph)
+const PRESET_GROUPS = [
+  {
+    label: 'Heuristic Presets',
+    algorithms: ALGORITHMS.filter(a => a.informed).map(a => a.id),
+    presets: [['random', 'Consistent (Euclidean)'], ['inconsistent', 'Inconsistent (Trap)'], ['nonAdmissible', 'Non-Admissible']]
+  },
+  {
+    label: 'Negative Weights',
+    algorithms: ['Dijkstra', 'BellmanFord'],
+    presets: [['negativeEdge', 'Dijkstra Trap'], ['negativeCycle', 'Negative Cycle']]
+  },
+];
 
-  buildAdjacency() {
-    const adj = {};
-    this.nodes.forEach(n => adj[n.id] = []);
-    this.edges.forEach(e => {
-      adj[e.source].push({ to: e.target, weight: e.weight });
-      adj[e.target].push({ to: e.source, weight: e.weight });
-    });
-    return adj;
-  }
+// Search options for one run; `settings` carries what the graph view decides (heuristic, direction, policies)
+const searchOptionsFor = (algorithm, checkDuplicates, { heuristicOptions, directed, params, policies }) => {
+  let options = { 
+    checkDuplicates, 
+    ...heuristicOptions,
+    directed,
+    ...params,
+    ...policies
+  };
 
-  getHeuristic(nodeId) {
-    const node = this.nodes.find(n => n.id === nodeId);
-    const goal = this.nodes.find(n => n.id === this.endId);
-    
-    if (this.options.heuristicType === 'preset' && node.h !== undefined) return node.h;
-    if (this.options.heuristicType === 'zero') return 0; // Dijkstra is A* with h=0
-    
-    // Default: Euclidean (Admissible & Consistent)
-    return Math.floor(distance(node, goal));
-  }
+  if (algorithm === 'Dijkstra') options.heuristicType = 'zero';
+  return options;
+};
 
-  snapshot(queue, visited, parents, current, status = "exploring") {
-    // Deep copy queue for visualization
-    const queueCopy = queue.map(item => ({...item})); 
-    
-    this.history.push({
-      queue: queueCopy,
-      visited: new Set(visited),
-      parents: {...parents},
-      current,
-      status // 'exploring', 'found', 'failed'
-    });
-  }
+// A graph that brings its own h values starts out using them; random graphs have none to use
+const heuristicForGraph = (graph, heuristic) => {
+  if (graph.nodes.some(n => n.h !== undefined)) return { ...heuristic, type: 'preset' };
+  return heuristic.type === 'preset' ? { ...heuristic, type: 'euclidean' } : heuristic;
+};
 
-  run() {
-    if (this.type === 'BiBFS') {
-      this.runBiBFS();
-      return;
-    }
-  
-    let queue = [{ id: this.startId, cost: 0, priority: 0, pathLength: 0 }];
-    let visited = new Set();
-    let parents = {};
-    let iterations = 0;
-  
-    if (this.startId === this.endId) {
-      this.snapshot(queue, visited, parents, this.startId, 'found');
-      return;
-    }
-  
-    while (queue.length > 0) {
-      iterations++;
-      
-      if (iterations > MAX_ITERATIONS) {
-        this.snapshot(queue, visited, parents, null, 'limit_reached');
-        return;
-      }
-  
-      // Sort for Priority Queues (A* / Dijkstra)
-      if (['Dijkstra', 'AStar'].includes(this.type)) {
-        queue.sort((a, b) => a.priority - b.priority);
-      }
-  
-      // Identify the head for the snapshot (Last for DFS, First for others)
-      let head = this.type === 'DFS' ? queue[queue.length - 1] : queue[0];
-      this.snapshot(queue, visited, parents, head.id, 'exploring');
-  
-      // --- THE CORE FIX ---
-      let current = this.type === 'DFS' ? queue.pop() : queue.shift();
-  
-      if (this.options.checkDuplicates && visited.has(current.id)) {
-        continue;
-      }
-      
-      visited.add(current.id);
-  
-      // Dijkstra and A* Goal Check (At Pop)
-      if (['Dijkstra', 'AStar'].includes(this.type) && current.id === this.endId) {
-        this.snapshot(queue, visited, parents, current.id, 'found');
-        return;
-      }
-  
-      // Sort neighbors Alphabetically
-      const neighbors = (this.adj[current.id] || []).sort((a, b) => {
-        const labelA = this.nodes.find(n => n.id === a.to).label;
-        const labelB = this.nodes.find(n => n.id === b.to).label;
-        return labelA.localeCompare(labelB);
-      });
-  
-      // Reverse for DFS so the 'lowest' letter is at the END of the array (Top of Stack)
-      if (this.type === 'DFS') {
-        neighbors.reverse();
-      }
-  
-      for (let edge of neighbors) {
-        const neighborId = edge.to;
-        const newCost = current.cost + edge.weight;
-        const newPathLength = (current.pathLength || 0) + 1;
-  
-        const inFrontier = queue.some(item => item.id === neighborId);
-        const shouldSkip = this.options.checkDuplicates && (visited.has(neighborId) || inFrontier);
-  
-        if (!shouldSkip) {
-          parents[neighborId] = current.id;
-  
-          if (!['Dijkstra', 'AStar'].includes(this.type) && neighborId === this.endId) {
-            queue.push({ id: neighborId, cost: newCost, priority: 0, pathLength: newPathLength });
-            this.snapshot(queue, visited, parents, neighborId, 'found');
-            return;
-          }
-  
-          const hValue = this.type === 'AStar' ? this.getHeuristic(neighborId) : 0;
-          queue.push({ 
-            id: neighborId, 
-            cost: newCost, 
-            priority: newCost + hValue, 
-            h: hValue, 
-            pathLength: newPathLength 
-          });
-        }
-      }
-    }
-    this.snapshot(queue, visited, parents, null, 'failed');
-  }
-  runBiBFS() {
-    let qStart = [this.startId];
-    let qEnd = [this.endId];
-    let visitedStart = new Set([this.startId]);
-    let visitedEnd = new Set([this.endId]);
-    let parentStart = {};
-    let parentEnd = {};
-    
-    let iterations = 0;
-
-    while (qStart.length > 0 && qEnd.length > 0) {
-      iterations++;
-      
-      // Expand Start Side
-      const currStart = qStart.shift();
-      this.history.push({ 
-        queue: [...qStart.map(id=>({id, side:'start'})), ...qEnd.map(id=>({id, side:'end'}))], 
-        visited: new Set([...visitedStart, ...visitedEnd]), 
-        parents: {...parentStart, ...parentEnd},
-        current: currStart,
-        status: 'exploring',
-        activeSide: 'start'
-      });
-
-      if (visitedEnd.has(currStart)) {
-        // Intersection found!
-        // We need to merge parents to show path
-        this.history[this.history.length-1].status = 'found';
-        this.history[this.history.length-1].intersect = currStart;
-        return;
-      }
+const DEFAULT_ALGORITHM_PARAMS = Object.fromEntries(Object.entries(ALGORITHM_PARAMS).map(([id, p]) => [id, p.default]));
 
-      (this.adj[currStart] || []).forEach(edge => {
-        if (!visitedStart.has(edge.to)) {
-          visitedStart.add(edge.to);
-          parentStart[edge.to] = currStart;
-          qStart.push(edge.to);
-        }
-      });
-
-      // Expand End Side
-      const currEnd = qEnd.shift();
-      this.history.push({ 
-        queue: [...qStart.map(id=>({id, side:'start'})), ...qEnd.map(id=>({id, side:'end'}))], 
-        visited: new Set([...visitedStart, ...visitedEnd]), 
-        parents: {...parentStart, ...parentEnd},
-        current: currEnd,
-        status: 'exploring',
-        activeSide: 'end'
-      });
-
-      if (visitedStart.has(currEnd)) {
-        // Intersection found
-        this.history[this.history.length-1].status = 'found';
-        this.history[this.history.length-1].intersect = currEnd;
-        return;
-      }
+const DEFAULT_POLICIES = {
+  ...Object.fromEntries(Object.entries(SEARCH_POLICIES).map(([id, p]) => [id, p.default])),
+  neighborSeed: NEIGHBOR_SEED,
+};
 
-      (this.adj[currEnd] || []).forEach(edge => {
-        if (!visitedEnd.has(edge.to)) {
-          visitedEnd.add(edge.to);
-          parentEnd[edge.to] = currEnd;
-          qEnd.push(edge.to);
-        }
-      });
-    }
-  }
-}
+const algorithmInfo = (id) => ALGORITHMS.find(a => a.id === id);
+
+// What the node colours and the numbers above the nodes mean for each structure analysis
+const STRUCTURE_LEGENDS = {
+  Components: ['Node colour: its component'],
+  CycleDetection: ['Above nodes: discovery/finish time'],
+  TopoKahn: ['Above nodes: in-degree left'],
+  TopoDFS: ['Above nodes: discovery/finish time'],
+  Tarjan: ['Node colour: its SCC', 'Above nodes: disc/low'],
+  Kosaraju: ['Node colour: its SCC', 'Above nodes: pass 1 finish order'],
+};
+
+// The algorithm picker, grouped by what the algorithm computes
+const ALGORITHM_GROUPS = [
+  { label: 'Path Search', algorithms: ALGORITHMS.filter(a => !a.kind) },
+  { label: 'Minimum Spanning Tree', algorithms: ALGORITHMS.filter(a => a.kind === 'mst') },
+  { label: 'Graph Structure', algorithms: ALGORITHMS.filter(a => a.kind === 'structure') },
+  { label: 'Network Flow', algorithms: ALGORITHMS.filter(a => a.kind === 'flow') },
+];
+const algorithmOptions = ALGORITHM_GROUPS.map(g => (
+  <optgroup key={g.label} label={g.label}>
+    {g.algorithms.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+  </optgroup>
+));
+
+// What the queue panel calls the frontier of each algorithm
+const frontierTitle = (algoType, step) => {
+  if (algoType === 'DFS') return 'Stack (LIFO)';
+  if (algoType === 'DLS' || algoType === 'IDDFS') return `Stack (depth ≤ ${step.limit ?? '-'})`;
+  if (algoType === 'IDAStar') return `Stack (f ≤ ${step.limit ?? '-'})`;
+  if (algoType === 'Beam') return `Beam (width ${step.beamWidth ?? '-'}) + Candidates`;
+  if (algoType === 'BellmanFord') return `Updated in Pass ${step.pass ?? '-'}`;
+  if (algoType === 'BiBFS' || algoType === 'BiDijkstra') return 'Start Side + Goal Side Frontiers';
+  return 'Queue (FIFO/Priority)';
+};
+
+// The fields each algorithm orders its frontier by
+const frontierFields = (algoType, item, params) => {
+  if (['BFS', 'DFS', 'BiBFS'].includes(algoType)) return `Len: ${item.pathLength || 0}`;
+  if (algoType === 'DLS' || algoType === 'IDDFS') return `depth: ${item.depth}`;
+  if (algoType === 'BellmanFord' || algoType === 'BiDijkstra') return `d: ${formatCost(item.cost)}`;
+  if (algoType === 'UCS') return `g: ${formatCost(item.cost)}`;
+  if (algoType === 'Greedy') return `h: ${item.h}`;
+  if (algoType === 'Beam') return `h: ${item.h}${item.candidate ? ' (candidate)' : ''}`;
+  // This shows the breakdown: g + h, with A*'s weight when it has one
+  const h = algoType === 'WeightedAStar' ? `${params.weight}×${item.h || 0}` : item.h || 0;
+  return (
+    <span>
+      f: {Number(item.priority?.toFixed(2))}
+      <small style={{ opacity: 0.7, marginLeft: '4px' }}>
+        ({Number(item.cost?.toFixed(2))} + {h})
+      </small>
+    </span>
+  );
+};
+
+// Compare mode draws between two and four runs side by side
+const MIN_COMPARE_RUNS = 2;
+const MAX_COMPARE_RUNS = 4;
+
+const runLabel = ({ algorithm, checkDuplicates }) =>
+  `${ALGORITHMS.find(a => a.id === algorithm).label}${checkDuplicates ? '' : ' (no visited set)'}`;
 
 // --- React Component ---
 
+
 const App = () => {
   // State
-  const [graph, setGraph] = useState(generateRandomGraph());
+  const [generatorOptions, setGeneratorOptions] = useState(DEFAULT_GENERATOR_OPTIONS);
+  const [seed, setSeed] = useState(randomSeed);
+  const [graph, setGraph] = useState(() => generateRandomGraph({ ...DEFAULT_GENERATOR_OPTIONS, seed }));
   const [algoType, setAlgoType] = useState('BFS');
   const [checkDuplicates, setCheckDuplicates] = useState(true);
   const [isPlaying, setIsPlaying] = useState(false);
   const [speed, setSpeed] = useState(500);
   const [stepIndex, setStepIndex] = useState(0);
-  const [history, setHistory] = useState([]);
   const [presetName, setPresetName] = useState('random');
-  // Inside your App component, calculate ground truth whenever the graph changes
-  const [groundTruth, setGroundTruth] = useState({ trueMinEdges: 0, trueMinCost: 0 });
+  const [algoParams, setAlgoParams] = useState(DEFAULT_ALGORITHM_PARAMS); // depthLimit, weight, beamWidth
+  const [policies, setPolicies] = useState(DEFAULT_POLICIES); // neighborOrder, neighborSeed, tieBreak, goalTest
+  const [showResidual, setShowResidual] = useState(false); // Max flow: draw the residual graph
+  const [heuristic, setHeuristic] = useState({ type: 'euclidean', scale: HEURISTIC_SCALE.default });
+  const [showHeuristicCheck, setShowHeuristicCheck] = useState(true); // Mark admissibility/consistency breaks
+  const [showNarration, setShowNarration] = useState(false); // One line under the canvas saying what the step did
 
-  useEffect(() => {
-    const truth = getGroundTruth(graph.nodes, graph.edges, graph.start, graph.end);
-    setGroundTruth(truth);
-  }, [graph]);
+  // Grid mode keeps its own cell model; `graph` is always derived from it while the mode is on
+  const [gridMode, setGridMode] = useState(false);
+  const [grid, setGrid] = useState(() => createGrid(15, 20));
+  const [gridOptions, setGridOptions] = useState({ connectivity: 4, heuristic: 'manhattan' });
+  const [brush, setBrush] = useState('wall');
+  const [painting, setPainting] = useState(false);
+
+  // Compare mode: [{ algorithm, checkDuplicates }] for each run, or null when showing a single run
+  const [compareRuns, setCompareRuns] = useState(null);
+
+  // Quiz mode: { kind: 'node' | 'frontier', answers: [{ step, kind, given, expected, correct }] }, or null
+  const [quiz, setQuiz] = useState(null);
+
+  // Experiments view: batch runs over seeded random graphs, shown instead of the canvas
+  const [experimentsOpen, setExperimentsOpen] = useState(false);
+
+  // Grid mode picks its heuristic with the grid options
+  const heuristicOptions = useMemo(() => (gridMode
+    ? { heuristicType: gridOptions.heuristic }
+    : { heuristicType: heuristic.type, heuristicScale: heuristic.scale }), [gridMode, gridOptions.heuristic, heuristic]);
+
+  // Ground truth and the search histories are derived from the graph, so every edit re-runs them
+  const runs = useMemo(() => {
+    const settings = { heuristicOptions, directed: Boolean(graph.directed), params: algoParams, policies };
+    return (compareRuns ?? [{ algorithm: algoType, checkDuplicates }]).map(run => ({
+      algorithm: run.algorithm,
+      options: searchOptionsFor(run.algorithm, run.checkDuplicates, settings),
+      label: runLabel(run)
+    }));
+  }, [graph.directed, algoType, checkDuplicates, heuristicOptions, compareRuns, algoParams, policies]);
+
+  const { histories, groundTruth, pending: searching, progress, error: searchError } = useSearchRuns(graph, runs);
+  // True costs to the goal and the rules the heuristic breaks, while an informed search is on screen
+  const usesHeuristic = runs.some(run => algorithmInfo(run.algorithm).informed);
+  const heuristicCheck = useMemo(() => (usesHeuristic ? checkHeuristic(graph, heuristicOptions) : null), [graph, heuristicOptions, usesHeuristic]);
+  // All runs share one timeline, as long as the longest run; shorter ones hold their last step
+  const history = histories.reduce((longest, h) => (h.length > longest.length ? h : longest));
+  const searchProgress = Math.max(...progress);
+
+  // Id-indexed lookups so rendering stays linear on graphs with thousands of nodes
+  const nodeById = useMemo(() => new Map(graph.nodes.map(n => [n.id, n])), [graph.nodes]);
+  const nodeLabel = (id) => nodeById.get(id)?.label ?? String(id);
+  const goalNodes = graphGoals(graph).map(id => nodeById.get(id));
+  const edgeKeys = useMemo(() => new Set(graph.edges.map(e => `${e.source}>${e.target}`)), [graph.edges]);
+  const dense = graph.nodes.length > DENSE_GRAPH_NODES;
+
+  // Rewind playback whenever a new run replaces the history (or jump to the step a permalink asked for)
+  const [playedHistories, setPlayedHistories] = useState(histories);
+  const [pendingStep, setPendingStep] = useState(null);
+  if (playedHistories !== histories) {
+    setPlayedHistories(histories);
+    setIsPlaying(false);
+    setStepIndex(Math.min(pendingStep ?? 0, history.length - 1));
+    // A new run starts the quiz over
+    if (quiz) setQuiz({ ...quiz, answers: [] });
+    // A worker run passes through a placeholder history first; keep the requested step for the real one
+    if (!searching) setPendingStep(null);
+  }
 
   const timerRef = useRef(null);
+  const svgRef = useRef(null);
+
+  // Imported graphs and messages shown under the header
+  const [loadedGraphs, setLoadedGraphs] = useState([]); // [{ name, graph }]
+  const [notice, setNotice] = useState(null); // { type: 'error' | 'info', title, messages }
+  const [exporting, setExporting] = useState(null); // the run export being rendered ('gif' | 'webm')
 
-  // Re-run algorithm when settings change
+  // A search worker that failed leaves a stand-in history; say why
   useEffect(() => {
-    runAlgorithm();
-  }, [graph, algoType, checkDuplicates]);
+    if (searchError) setNotice({ type: 'error', title: 'The search failed', messages: [searchError] });
+  }, [searchError]);
 
-  const runAlgorithm = () => {
-    setIsPlaying(false);
-    setStepIndex(0);
-    
-    let options = { 
-      checkDuplicates, 
-      heuristicType: presetName === 'random' ? 'euclidean' : 'preset'
+  // Restore state from a permalink on load, and whenever a new link is pasted into this tab
+  useEffect(() => {
+    const restore = async () => {
+      if (!window.location.hash) return;
+      try {
+        const state = await decodeState(window.location.hash);
+        if (!ALGORITHMS.some(a => a.id === state.algoType)) throw new Error(`Unknown algorithm "${state.algoType}"`);
+        // Imported files are not part of the link, so a file-based graph comes back as a custom one
+        setPresetName(state.presetName === 'random' || state.presetName === 'grid' || PRESETS[state.presetName] ? state.presetName : 'custom');
+        setGraph(state.graph);
+        setGridMode(Boolean(state.grid));
+        if (state.grid) {
+          setGrid(state.grid.grid);
+          setGridOptions(state.grid.options);
+        }
+        setAlgoType(state.algoType);
+        // Links from before the parameters existed use the defaults
+        setAlgoParams(state.algoParams ?? DEFAULT_ALGORITHM_PARAMS);
+        setPolicies(state.policies ?? DEFAULT_POLICIES);
+        setCheckDuplicates(state.checkDuplicates);
+        // Before links stored the heuristic, every graph but a random one used its own h values
+        setHeuristic(state.heuristic ?? { type: state.presetName === 'random' ? 'euclidean' : 'preset', scale: HEURISTIC_SCALE.default });
+        setPendingStep(state.stepIndex);
+        setNotice(null);
+      } catch (err) {
+        const fallbackSeed = randomSeed();
+        setPresetName('random');
+        setGridMode(false);
+        setSeed(fallbackSeed);
+        setGraph(generateRandomGraph({ ...DEFAULT_GENERATOR_OPTIONS, seed: fallbackSeed }));
+        setNotice({ type: 'error', title: 'This link could not be opened, showing a random graph instead', messages: [err.message] });
+      }
     };
+    restore();
+    window.addEventListener('hashchange', restore);
+    return () => window.removeEventListener('hashchange', restore);
+  }, []);
 
-    if (algoType === 'Dijkstra') options.heuristicType = 'zero';
-
-    const search = new GraphSearch(graph.nodes, graph.edges, graph.start, graph.end, algoType, options);
-    setHistory(search.history);
-  };
+  // Edit mode
+  const [editMode, setEditMode] = useState(false);
+  const [editTool, setEditTool] = useState('move');
+  const [drag, setDrag] = useState(null); // { type: 'move', id } | { type: 'edge', from, x, y }
+  const [inlineEdit, setInlineEdit] = useState(null); // { kind: 'weight', index } | { kind: 'h', id }
 
-  // Playback Control
+  // Playback Control: the slider sets the speed, so a step lasts 1000 - speed ms (the GIF and video exports too)
+  const stepMs = 1000 - speed;
   useEffect(() => {
     if (isPlaying) {
       timerRef.current = setInterval(() => {
@@ -400,94 +510,370 @@ const App = () => {
           }
           return prev + 1;
         });
-      }, 1000 - speed);
+      }, stepMs);
     } else {
       clearInterval(timerRef.current);
     }
     return () => clearInterval(timerRef.current);
-  }, [isPlaying, history.length, speed]);
+  }, [isPlaying, history.length, stepMs]);
 
-  const handleShuffle = () => {
+  const regenerate = (options, nextSeed) => {
+    setGridMode(false);
+    setGeneratorOptions(options);
+    setSeed(nextSeed);
     setPresetName('random');
-    setGraph(generateRandomGraph());
+    const next = generateRandomGraph({ ...options, seed: nextSeed });
+    setHeuristic(prev => heuristicForGraph(next, prev));
+    setGraph(next);
+  };
+
+  const handleShuffle = () => regenerate(generatorOptions, randomSeed());
+
+  const updateGenerator = (key, value) => {
+    const options = { ...generatorOptions, [key]: value };
+    // Some topologies allow fewer nodes than others
+    options.numNodes = Math.min(options.numNodes, maxNodesFor(options.topology));
+    regenerate(options, seed);
+  };
+
+  // Number fields only apply once they hold a valid integer, clamped to a sensible range
+  const numberInput = (min, max, onValid, integer = true) => (e) => {
+    const v = integer ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
+    if (!Number.isNaN(v)) onValid(Math.min(max, Math.max(min, v)));
   };
 
   const loadPreset = (name) => {
+    setGridMode(false);
     setPresetName(name);
+    setHeuristic(prev => heuristicForGraph(PRESETS[name], prev));
     setGraph(PRESETS[name]);
   };
 
-  // Get current state
-  const currentStep = history[stepIndex] || { queue: [], visited: new Set(), parents: {}, status: 'start' };
-  // Helper to reconstruct the path for the CURRENT node being explored
-  const getCurrentTrace = () => {
-    if (!currentStep.current) return [];
-    const trace = [];
-    let curr = currentStep.current;
-    while (curr !== undefined && curr !== graph.start) {
-      trace.push(curr);
-      curr = currentStep.parents[curr];
-      if (trace.length > graph.nodes.length) break; // Safety against cycles
+  const loadFile = (name) => {
+    setGridMode(false);
+    const next = loadedGraphs.find(f => f.name === name).graph;
+    setPresetName(`file:${name}`);
+    setHeuristic(prev => heuristicForGraph(next, prev));
+    setGraph(next);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // allow re-importing the same file after fixing it
+    if (!file) return;
+    const text = await file.text();
+    try {
+      const imported = importGraph(text, detectFormat(file.name, text));
+      setLoadedGraphs(prev => [...prev.filter(f => f.name !== file.name), { name: file.name, graph: imported }]);
+      setGridMode(false);
+      setPresetName(`file:${file.name}`);
+      setHeuristic(prev => heuristicForGraph(imported, prev));
+      setGraph(imported);
+      setNotice(null);
+    } catch (err) {
+      setNotice({ type: 'error', title: `Could not import ${file.name}`, messages: err.errors ?? [err.message] });
     }
-    trace.push(graph.start);
-    return trace;
   };
-  
-  const currentTrace = getCurrentTrace();
-  
-  // Reconstruct Path
-  const getPath = () => {
-    if (currentStep.status !== 'found') return [];
-    
-    const path = [];
-    
-    if (algoType === 'BiBFS' && currentStep.intersect !== undefined) {
-      // Reconstruct BiBFS path
-      // From Start -> Intersect
-      let curr = currentStep.intersect;
-      while (curr !== graph.start) {
-        path.unshift(curr);
-        curr = currentStep.parents[curr];
-        if(!curr) break; // safety
-      }
-      path.unshift(graph.start);
-      
-      // From Intersect -> End (Logic depends on parent map structure, simplified here)
-      // Note: In a real BiBFS visualization we need distinct parent maps for start/end
-      // to avoid overwrites. My simplified BiBFS merges them, which might look odd 
-      // if paths overlap, but for visualization it works if we just highlight nodes.
-      return [...path]; 
+
+  const handleShare = async () => {
+    const url = await buildPermalink({
+      graph, algoType, algoParams, checkDuplicates, presetName, stepIndex, heuristic, policies,
+      grid: gridMode ? { grid, options: gridOptions } : null
+    });
+    window.history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotice({ type: 'info', title: 'Link copied to clipboard', messages: [] });
+    } catch {
+      setNotice({ type: 'info', title: 'Copy this link to share the current view', messages: [url] });
     }
+  };
 
-    // Standard Path
-    let curr = graph.end;
-    while (curr !== undefined && curr !== graph.start) {
-      path.push(curr);
-      curr = currentStep.parents[curr];
+  const toggleCompare = () => {
+    if (compareRuns) {
+      setCompareRuns(null);
+      return;
     }
-    path.push(graph.start);
-    return path;
+    // Start from the current run next to the next algorithm in the picker
+    const next = ALGORITHMS[(ALGORITHMS.findIndex(a => a.id === algoType) + 1) % ALGORITHMS.length].id;
+    setCompareRuns([{ algorithm: algoType, checkDuplicates }, { algorithm: next, checkDuplicates }]);
+    setEditMode(false);
+  };
+
+  const updateCompareRun = (index, changes) =>
+    setCompareRuns(compareRuns.map((run, i) => i === index ? { ...run, ...changes } : run));
+
+  // The quiz replays the run from the start; playback stays paused and each answer moves one step on
+  const startQuiz = (kind = quiz?.kind ?? 'node') => {
+    setQuiz({ kind, answers: [] });
+    setStepIndex(0);
+    setIsPlaying(false);
+    setEditMode(false);
   };
-  
-  const path = getPath();
 
-  // Stats
-  const maxQueueSize = history.reduce((max, step) => Math.max(max, step.queue.length), 0);
-  const nodesExplored = currentStep.visited.size;
+  const answerQuiz = (given) => {
+    const question = quizQuestion(history, stepIndex);
+    if (!question) return;
+    const expected = quizAnswer(question, quiz.kind);
+    setQuiz({ ...quiz, answers: [...quiz.answers, { step: question.step, kind: quiz.kind, given, expected, correct: isCorrect(given, expected) }] });
+    // Right or wrong, the canvas moves on to what the search really did
+    setStepIndex(question.step);
+  };
 
+  const handleExport = (format) => {
+    const { extension, mime } = FORMATS[format];
+    downloadText(`graph.${extension}`, exportGraph(graph, format), mime);
+  };
 
-  // Inside the Sidebar render:
-  const currentPath = getPath();
-  const currentEdges = currentPath.length > 0 ? currentPath.length - 1 : Infinity;
+  // --- Run Export ---
+  // Steps are rendered by moving the canvas to each one in turn and serialising it, then the view goes back
+  // to the step it was on
+  const captureFrames = (steps) => {
+    const shown = stepIndex;
+    const frames = steps.map(i => {
+      flushSync(() => setStepIndex(i));
+      return standaloneSvg(svgRef.current);
+    });
+    flushSync(() => setStepIndex(shown));
+    return frames;
+  };
 
-  // Calculate current cost
-  let currentCost = 0;
-  for (let i = 0; i < currentPath.length - 1; i++) {
-    const u = currentPath[i];
-    const v = currentPath[i+1];
-    const edge = graph.edges.find(e => (e.source === u && e.target === v) || (e.target === u && e.source === v));
-    currentCost += edge?.weight || 0;
-  }
+  const handleRunExport = async (format) => {
+    const { label } = algorithmInfo(algoType);
+    if (format === 'trace-md' || format === 'trace-csv') {
+      const rows = traceRows(history, graph);
+      if (format === 'trace-md') downloadText('trace.md', traceToMarkdown(rows, `${label} trace`), 'text/markdown');
+      else downloadText('trace.csv', traceToCSV(rows), 'text/csv');
+      return;
+    }
+
+    setIsPlaying(false);
+    const steps = exportSteps(history.length);
+    const frames = captureFrames(steps);
+    const sampled = steps.length < history.length
+      ? [`The run has ${history.length} steps, so ${steps.length} of them, evenly spaced, were exported.`]
+      : [];
+    if (format === 'svg') {
+      const files = frames.map((svg, k) => ({ name: `step-${String(steps[k]).padStart(4, '0')}.svg`, data: svg }));
+      downloadBlob('frames.zip', new Blob([createZip(files)], { type: 'application/zip' }));
+      if (sampled.length) setNotice({ type: 'info', title: 'SVG frames exported', messages: sampled });
+      return;
+    }
+
+    setExporting(format);
+    setNotice({ type: 'info', title: format === 'gif' ? 'Rendering the GIF…' : 'Recording the video in real time…', messages: sampled });
+    try {
+      const file = format === 'gif' ? await renderGif(frames, stepMs) : await recordWebm(frames, stepMs);
+      downloadBlob(`run-${algoType}.${format}`, file);
+      setNotice(sampled.length ? { type: 'info', title: `${format.toUpperCase()} exported`, messages: sampled } : null);
+    } catch (err) {
+      setNotice({ type: 'error', title: `Could not export the ${format.toUpperCase()}`, messages: [err.message] });
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  // --- Grid Mode ---
+  const applyGrid = (next, options = gridOptions) => {
+    setGrid(next);
+    setGridOptions(options);
+    setGraph(gridToGraph(next, options.connectivity));
+  };
+
+  const toggleGridMode = () => {
+    if (gridMode) {
+      regenerate(generatorOptions, seed);
+      return;
+    }
+    setGridMode(true);
+    setEditMode(false);
+    setPresetName('grid');
+    applyGrid(grid);
+  };
+
+  const updateGridOption = (key, value) => applyGrid(grid, { ...gridOptions, [key]: value });
+
+  const paintAt = (e) => {
+    const index = cellAt(grid, toSvgPoint(e));
+    if (index !== null) applyGrid(paintCell(grid, index, brush));
+  };
+
+  const handleGridPointerDown = (e) => {
+    paintAt(e);
+    // Start and goal are placed with a single click; terrain can be painted by dragging
+    if (brush !== 'start' && brush !== 'end') {
+      svgRef.current.setPointerCapture(e.pointerId);
+      setPainting(true);
+    }
+  };
+
+  // Any hand edit turns the graph into a custom one; its h values (if any) drive A*
+  const applyEdit = (next) => {
+    if (next === graph) return;
+    setPresetName('custom');
+    setGraph(next);
+  };
+
+  const toSvgPoint = (e) => {
+    const svg = svgRef.current;
+    const pt = svg.createSVGPoint();
+    pt.x = e.clientX;
+    pt.y = e.clientY;
+    const { x, y } = pt.matrixTransform(svg.getScreenCTM().inverse());
+    return { x, y };
+  };
+
+  const nodeAt = ({ x, y }) => graph.nodes.find(n => distance(n, { x, y }) <= NODE_RADIUS);
+
+  const handleCanvasPointerDown = (e) => {
+    // Grid cells stand for their nodes when answering the quiz, and the terrain stays as it is
+    if (gridMode && quiz) {
+      const id = cellAt(grid, toSvgPoint(e));
+      if (quiz.kind === 'node' && nodeById.has(id)) answerQuiz(id);
+      return;
+    }
+    if (gridMode) {
+      handleGridPointerDown(e);
+      return;
+    }
+    if (!editMode || editTool !== 'node') return;
+    const point = toSvgPoint(e);
+    if (nodeAt(point)) return; // e.g. the second click of a double-click
+    applyEdit(addNode(graph, point.x, point.y));
+  };
+
+  const handleNodePointerDown = (e, id) => {
+    if (quiz?.kind === 'node') {
+      e.stopPropagation();
+      answerQuiz(id);
+      return;
+    }
+    if (!editMode) return;
+    e.stopPropagation();
+    if (editTool === 'move' || editTool === 'edge') {
+      svgRef.current.setPointerCapture(e.pointerId);
+      const { x, y } = toSvgPoint(e);
+      setDrag(editTool === 'move' ? { type: 'move', id } : { type: 'edge', from: id, x, y });
+    } else if (editTool === 'delete') {
+      applyEdit(removeNode(graph, id));
+    } else if (editTool === 'start' || editTool === 'end') {
+      applyEdit(setEndpoint(graph, editTool, id));
+    } else if (editTool === 'goal') {
+      applyEdit(toggleGoal(graph, id));
+    } else if (editTool === 'waypoint') {
+      applyEdit(toggleWaypoint(graph, id));
+    }
+  };
+
+  const handleEdgePointerDown = (e, index) => {
+    if (!editMode) return;
+    if (editTool === 'delete') {
+      e.stopPropagation();
+      applyEdit(removeEdge(graph, index));
+    } else if (editTool === 'direction') {
+      e.stopPropagation();
+      applyEdit(e.shiftKey ? reverseEdge(graph, index) : toggleEdgeDirected(graph, index));
+    }
+  };
+
+  const handleCanvasPointerMove = (e) => {
+    if (painting) paintAt(e);
+    if (!drag) return;
+    const { x, y } = toSvgPoint(e);
+    if (drag.type === 'move') applyEdit(moveNode(graph, drag.id, x, y));
+    else setDrag({ ...drag, x, y });
+  };
+
+  const handleCanvasPointerUp = (e) => {
+    setPainting(false);
+    if (drag?.type === 'edge') {
+      const target = nodeAt(toSvgPoint(e));
+      if (target) applyEdit(addEdge(graph, drag.from, target.id));
+    }
+    setDrag(null);
+  };
+
+  // Typing an h value switches the searches over to the per-node values
+  const editNodeHeuristic = (id, h) => {
+    applyEdit(setNodeHeuristic(graph, id, h));
+    setHeuristic({ ...heuristic, type: 'preset' });
+  };
+
+  // Per-node editing starts from whatever the current heuristic gives each node
+  const copyHeuristicToNodes = () => {
+    applyEdit({ ...graph, nodes: graph.nodes.map(n => ({ ...n, h: heuristicToGoals(n, goalNodes, heuristicOptions) })) });
+    setHeuristic({ ...heuristic, type: 'preset' });
+  };
+
+  const commitInlineEdit = (raw) => {
+    if (!inlineEdit) return;
+    const text = raw.trim();
+    const value = Number(text);
+    if (inlineEdit.kind === 'weight') {
+      if (text !== '' && Number.isFinite(value)) {
+        applyEdit(setEdgeWeight(graph, inlineEdit.index, value));
+      }
+    } else if (text === '') {
+      applyEdit(setNodeHeuristic(graph, inlineEdit.id, undefined));
+    } else if (Number.isFinite(value) && value >= 0) {
+      editNodeHeuristic(inlineEdit.id, value);
+    }
+    setInlineEdit(null);
+  };
+
+  const renderInlineInput = (x, y, initial) => (
+    <foreignObject x={x - 32} y={y - 14} width={64} height={28}>
+      <input
+        autoFocus
+        className="inline-input"
+        defaultValue={initial}
+        onBlur={e => commitInlineEdit(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === 'Enter') e.target.blur();
+          if (e.key === 'Escape') setInlineEdit(null);
+        }}
+      />
+    </foreignObject>
+  );
+
+  // Get current state
+  const currentStep = history.at(stepIndex) || EMPTY_STEP;
+  const isMST = algorithmInfo(algoType).kind === 'mst';
+  const isStructure = algorithmInfo(algoType).kind === 'structure';
+  const isFlow = algorithmInfo(algoType).kind === 'flow';
+  // Spanning trees have no start-to-node trace to follow, and max flow highlights its augmenting path instead
+  const currentTrace = isMST || isFlow ? [] : getTrace(currentStep, graph);
+  const traceIds = new Set(currentTrace);
+  const presetGroups = PRESET_GROUPS.filter(g => g.algorithms.includes(algoType));
+  const pseudocode = pseudocodeFor(algoType, { checkDuplicates, ...policies });
+  const cycle = currentStep.cycle || [];
+  const isBellmanFord = algoType === 'BellmanFord';
+  const isBidirectional = algoType === 'BiBFS' || algoType === 'BiDijkstra';
+  const informed = algorithmInfo(algoType).informed;
+  // Nodes whose h overestimates, and edges h drops across by more than their weight, marked on the canvas
+  const heuristicMarks = showHeuristicCheck && informed && !gridMode ? heuristicCheck : null;
+  const overestimates = new Map((heuristicMarks?.overestimates ?? []).map(o => [o.id, o]));
+  const inconsistentArcs = new Map();
+  heuristicMarks?.inconsistent.forEach(arc => inconsistentArcs.set(arc.edge, [...(inconsistentArcs.get(arc.edge) ?? []), arc]));
+  // Parameter inputs for every algorithm on screen (all compare runs share them)
+  const shownParams = [...new Set(runs.flatMap(run => algorithmInfo(run.algorithm).params ?? []))];
+  const stateClassFor = createStateClassFor(currentStep, graph, { endpoints: !isMST && !isStructure });
+  const decisions = decisionsAt(currentStep);
+  // Kruskal: every component of two or more nodes gets its own colour
+  const components = algoType === 'Kruskal' ? componentsAt(currentStep, graph) : null;
+  const componentSizes = new Map();
+  components?.forEach(root => componentSizes.set(root, (componentSizes.get(root) ?? 0) + 1));
+  const componentFills = new Map([...componentSizes].filter(([, size]) => size > 1).map(([root], i) => [root, groupFill(i)]));
+  // Structure analyses colour nodes by component / SCC as they get assigned
+  const nodeValues = isStructure ? nodeValuesAt(currentStep) : {};
+  const nodeFill = (id) => {
+    if (components) return componentFills.get(components.get(id));
+    return nodeValues.group?.has(id) ? groupFill(nodeValues.group.get(id)) : undefined;
+  };
+  
+  const path = getPath(currentStep, graph);
+  const pathIds = new Set(path);
+  const summary = summarizeRun(history, stepIndex, graph, groundTruth);
   
   return (
     <div className="app-container">
@@ -495,12 +881,27 @@ const App = () => {
         <h1>Graph Search Visualizer</h1>
         <div className="controls-top">
           <select value={algoType} onChange={e => setAlgoType(e.target.value)}>
-            <option value="BFS">BFS</option>
-            <option value="DFS">DFS</option>
-            <option value="Dijkstra">Dijkstra</option>
-            <option value="AStar">A* Search</option>
+            {algorithmOptions}
           </select>
 
+          {shownParams.map(name => {
+            const { label, min, max, step } = ALGORITHM_PARAMS[name];
+            return (
+              <label key={name} className="param-input">
+                {label}
+                <input type="number" min={min} max={max} step={step} value={algoParams[name]}
+                  onChange={numberInput(min, max, v => setAlgoParams({ ...algoParams, [name]: v }), Number.isInteger(step))} />
+              </label>
+            );
+          })}
+
+          {isFlow && (
+            <label className="checkbox-wrapper">
+              <input type="checkbox" checked={showResidual} onChange={e => setShowResidual(e.target.checked)} />
+              Residual Graph
+            </label>
+          )}
+
           <label className="checkbox-wrapper">
             <input 
               type="checkbox" 
@@ -510,91 +911,369 @@ const App = () => {
             Prevent Re-visits (Visited Set)
           </label>
 
+          <label className="checkbox-wrapper">
+            <input 
+              type="checkbox" 
+              checked={Boolean(graph.directed)} 
+              disabled={gridMode}
+              onChange={e => applyEdit(setGraphDirected(graph, e.target.checked))} 
+            />
+            Directed
+          </label>
+
           <button onClick={handleShuffle} className="btn-icon"><Shuffle size={16}/> Random Graph</button>
+          <button onClick={() => setEditMode(!editMode)} className={`btn-icon ${editMode ? 'active' : ''}`} disabled={gridMode || Boolean(compareRuns) || Boolean(quiz) || experimentsOpen}><Pencil size={16}/> Edit Graph</button>
+          <button onClick={toggleGridMode} className={`btn-icon ${gridMode ? 'active' : ''}`}><Grid3x3 size={16}/> Grid Mode</button>
+          <button onClick={toggleCompare} className={`btn-icon ${compareRuns ? 'active' : ''}`} disabled={Boolean(quiz) || experimentsOpen}><Columns2 size={16}/> Compare</button>
+          <button onClick={() => (quiz ? setQuiz(null) : startQuiz())} className={`btn-icon ${quiz ? 'active' : ''}`} disabled={Boolean(compareRuns) || experimentsOpen}><GraduationCap size={16}/> Quiz</button>
+          <button onClick={() => { setExperimentsOpen(!experimentsOpen); setEditMode(false); }} className={`btn-icon ${experimentsOpen ? 'active' : ''}`}
+            disabled={gridMode || Boolean(compareRuns) || Boolean(quiz)}><FlaskConical size={16}/> Experiments</button>
+
+          <label className="btn-icon file-button">
+            <Upload size={16}/> Import
+            <input type="file" accept=".json,.dot,.gv,.txt,.edges,.csv" onChange={handleImport} hidden />
+          </label>
+          <div className="export-wrapper">
+            <Download size={16}/>
+            <select value="" onChange={e => handleExport(e.target.value)}>
+              <option value="" disabled>Export as...</option>
+              {Object.entries(FORMATS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+          </div>
+          <div className="export-wrapper">
+            <Film size={16}/>
+            <select value="" onChange={e => handleRunExport(e.target.value)}
+              disabled={Boolean(exporting) || searching || editMode || Boolean(compareRuns) || Boolean(quiz) || experimentsOpen}>
+              <option value="" disabled>{exporting ? 'Exporting...' : 'Export run...'}</option>
+              <option value="gif">Animated GIF</option>
+              <option value="webm" disabled={!canRecordWebm()}>WebM video</option>
+              <option value="svg">SVG frames (ZIP)</option>
+              <option value="trace-md">Trace table (Markdown)</option>
+              <option value="trace-csv">Trace table (CSV)</option>
+            </select>
+          </div>
+          <button onClick={handleShare} className="btn-icon"><Link size={16}/> Share Link</button>
         </div>
+
+        {gridMode ? (
+          <div className="preset-bar generator-bar grid-bar">
+            <span>Grid: </span>
+            <label>
+              Rows
+              <input type="number" min={MIN_GRID_SIZE} max={MAX_GRID_SIZE} value={grid.rows}
+                onChange={numberInput(MIN_GRID_SIZE, MAX_GRID_SIZE, v => applyGrid(resizeGrid(grid, v, grid.cols)))} />
+            </label>
+            <label>
+              Cols
+              <input type="number" min={MIN_GRID_SIZE} max={MAX_GRID_SIZE} value={grid.cols}
+                onChange={numberInput(MIN_GRID_SIZE, MAX_GRID_SIZE, v => applyGrid(resizeGrid(grid, grid.rows, v)))} />
+            </label>
+            <select value={gridOptions.connectivity} onChange={e => updateGridOption('connectivity', Number(e.target.value))}>
+              <option value={4}>4-way</option>
+              <option value={8}>8-way</option>
+            </select>
+            <select value={gridOptions.heuristic} onChange={e => updateGridOption('heuristic', e.target.value)}>
+              {Object.entries(GRID_HEURISTICS).map(([id, { label }]) => <option key={id} value={id}>{label} h</option>)}
+            </select>
+            <span>Brush: </span>
+            {Object.entries(TERRAINS).map(([id, { label, cost }]) => (
+              <button key={id} className={`brush-${id} ${brush === id ? 'active' : ''}`} onClick={() => setBrush(id)}>
+                {label}{Number.isFinite(cost) && cost > 1 ? ` (${cost})` : ''}
+              </button>
+            ))}
+            <button className={brush === 'start' ? 'active' : ''} onClick={() => setBrush('start')}><Flag size={14}/> Start</button>
+            <button className={brush === 'end' ? 'active' : ''} onClick={() => setBrush('end')}><Target size={14}/> Goal</button>
+            <select value="" onChange={e => applyGrid(generateMaze(grid, e.target.value, createRng(randomSeed())))}>
+              <option value="" disabled>Generate...</option>
+              {Object.entries(MAZE_GENERATORS).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+            </select>
+            <button onClick={() => applyGrid(clearGrid(grid))}><Eraser size={14}/> Clear</button>
+          </div>
+        ) : (
+          <div className="preset-bar generator-bar">
+            <span>Random Graph: </span>
+            <label>
+              Nodes
+              <input type="number" min={2} max={maxNodesFor(generatorOptions.topology)} value={generatorOptions.numNodes}
+                onChange={numberInput(2, maxNodesFor(generatorOptions.topology), v => updateGenerator('numNodes', v))} />
+            </label>
+            <select value={generatorOptions.topology} onChange={e => updateGenerator('topology', e.target.value)}>
+              {TOPOLOGIES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+            </select>
+            <select value={generatorOptions.weightScheme} onChange={e => updateGenerator('weightScheme', e.target.value)}>
+              {WEIGHT_SCHEMES.map(w => <option key={w.id} value={w.id}>{w.label} Weights</option>)}
+            </select>
+            {generatorOptions.weightScheme === 'random' && (
+              <>
+                <label>
+                  Min
+                  <input type="number" min={0} max={999} value={generatorOptions.minWeight}
+                    onChange={numberInput(0, 999, v => updateGenerator('minWeight', v))} />
+                </label>
+                <label>
+                  Max
+                  <input type="number" min={0} max={999} value={generatorOptions.maxWeight}
+                    onChange={numberInput(0, 999, v => updateGenerator('maxWeight', v))} />
+                </label>
+              </>
+            )}
+            <label className={presetName === 'random' ? '' : 'stale'} title="The same seed and settings always produce the same graph">
+              Seed
+              <input type="number" min={0} max={2 ** 32 - 1} value={seed} className="seed-input"
+                onChange={numberInput(0, 2 ** 32 - 1, v => regenerate(generatorOptions, v))} />
+            </label>
+          </div>
+        )}
+
+        {compareRuns && (
+          <div className="preset-bar compare-bar">
+            <span>Compare: </span>
+            {compareRuns.map((run, i) => (
+              <div key={i} className="compare-run">
+                <select value={run.algorithm} onChange={e => updateCompareRun(i, { algorithm: e.target.value })}>
+                  {algorithmOptions}
+                </select>
+                <label className="checkbox-wrapper" title="Prevent Re-visits (Visited Set)">
+                  <input type="checkbox" checked={run.checkDuplicates} onChange={e => updateCompareRun(i, { checkDuplicates: e.target.checked })} />
+                  Visited Set
+                </label>
+                <button onClick={() => setCompareRuns(compareRuns.filter((_, j) => j !== i))} disabled={compareRuns.length <= MIN_COMPARE_RUNS}><X size={14}/></button>
+              </div>
+            ))}
+            {compareRuns.length < MAX_COMPARE_RUNS && (
+              <button onClick={() => setCompareRuns([...compareRuns, compareRuns[compareRuns.length - 1]])}><CirclePlus size={14}/> Add Run</button>
+            )}
+          </div>
+        )}
+
+        {editMode && (
+          <div className="preset-bar edit-bar">
+            <span>Edit Tools: </span>
+            {EDIT_TOOLS.map(tool => (
+              <button key={tool.id} className={editTool === tool.id ? 'active' : ''} onClick={() => setEditTool(tool.id)}>
+                <tool.icon size={14}/> {tool.label}
+              </button>
+            ))}
+            <span className="edit-hint">{EDIT_HINTS[editTool] ?? 'Double-click a weight or h value to edit it'}</span>
+          </div>
+        )}
         
-        {algoType === 'AStar' && (
+        {(presetGroups.length > 0 || loadedGraphs.length > 0) && (
           <div className="preset-bar">
-            <span>A* Presets: </span>
-            <button className={presetName==='random'?'active':''} onClick={handleShuffle}>Consistent (Euclidean)</button>
-            <button className={presetName==='inconsistent'?'active':''} onClick={() => loadPreset('inconsistent')}>Inconsistent (Trap)</button>
-            <button className={presetName==='nonAdmissible'?'active':''} onClick={() => loadPreset('nonAdmissible')}>Non-Admissible</button>
+            {presetGroups.map(group => (
+              <React.Fragment key={group.label}>
+                <span>{group.label}: </span>
+                {group.presets.map(([name, label]) => (
+                  <button key={name} className={presetName===name?'active':''}
+                    onClick={() => name === 'random' ? handleShuffle() : loadPreset(name)}>{label}</button>
+                ))}
+              </React.Fragment>
+            ))}
+            {loadedGraphs.length > 0 && (
+              <>
+                <span>Loaded Files: </span>
+                {loadedGraphs.map(({ name }) => (
+                  <button key={name} className={presetName===`file:${name}`?'active':''} onClick={() => loadFile(name)}>{name}</button>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+
+        {notice && (
+          <div className={`notice ${notice.type}`}>
+            <div>
+              <strong>{notice.title}</strong>
+              {notice.messages.length > 0 && (
+                <ul>{notice.messages.map((m, i) => <li key={i}>{m}</li>)}</ul>
+              )}
+            </div>
+            <button onClick={() => setNotice(null)} className="notice-close"><X size={14}/></button>
           </div>
         )}
       </header>
 
       <div className="main-content">
         <div className="canvas-wrapper">
-          <svg 
-            viewBox={`0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`} 
-            preserveAspectRatio="xMidYMid meet"
-            className="graph-svg"
-          >
-            {/* Edges */}
-            {graph.edges.map((e, i) => {
-              const u = graph.nodes.find(n => n.id === e.source);
-              const v = graph.nodes.find(n => n.id === e.target);
-              
-              // 1. Final Path (Gold/Orange)
-              const isFinalPath = path.includes(e.source) && path.includes(e.target) && 
-                                  (currentStep.parents[e.source] === e.target || currentStep.parents[e.target] === e.source);
-              
-              // 2. Current "Ghost" Trace (Thin Blue/White)
-              const isTraceEdge = currentTrace.includes(e.source) && currentTrace.includes(e.target) &&
-                                  (currentStep.parents[e.source] === e.target || currentStep.parents[e.target] === e.source);
-
-              return (
-                <g key={i}>
-                  {/* Base Edge */}
-                  <line x1={u.x} y1={u.y} x2={v.x} y2={v.y} className="edge" />
-                  
-                  {/* Ghost Trace (Thin Line) */}
-                  {isTraceEdge && !isFinalPath && (
-                    <line x1={u.x} y1={u.y} x2={v.x} y2={v.y} className="edge-trace" />
-                  )}
-                  
-                  {/* Final Path (Bold Line) */}
-                  {isFinalPath && currentStep.status === 'found' && (
-                    <line x1={u.x} y1={u.y} x2={v.x} y2={v.y} className="edge-path" />
-                  )}
-                  
-                  <text x={(u.x + v.x)/2} y={(u.y + v.y)/2} className="edge-label" dy={-5}>{e.weight}</text>
-                </g>
-              );
-            })}
-            {/* Nodes */}
-            {graph.nodes.map(n => {
-              const isStart = n.id === graph.start;
-              const isEnd = n.id === graph.end;
-              const isCurrent = currentStep.current === n.id;
-              const isVisited = currentStep.visited.has(n.id);
-              const isFrontier = currentStep.queue.some(item => item.id === n.id);
-              
-              let classes = "node";
-              if (isStart) classes += " start";
-              else if (isEnd) classes += " end";
-              else if (isCurrent) classes += " current";
-              else if (isFrontier) classes += " frontier"; // Frontier should take priority over visited if both exist
-              else if (isVisited) classes += " visited";
-              return (
-                <g key={n.id} transform={`translate(${n.x},${n.y})`}>
-                  <circle r={NODE_RADIUS} className={classes} />
-                  <text dy={5} className="node-text">{n.label}</text>
-                  {algoType === 'AStar' && (
-                    <text dy={-25} className="heuristic-text">h: {algoType === 'AStar' ? (n.h ?? Math.floor(distance(n, graph.nodes.find(no=>no.id===graph.end)))) : ''}</text>
-                  )}
-                </g>
-              );
-            })}
-          </svg>
+          {experimentsOpen ? (
+            <ExperimentView
+              generatorOptions={generatorOptions} seed={seed}
+              optionsFor={(algorithm, duplicates) => searchOptionsFor(algorithm, duplicates, { heuristicOptions, directed: false, params: algoParams, policies })}
+              initialAlgorithms={[...new Set([algoType, 'Dijkstra', 'AStar'])].filter(id => !algorithmInfo(id).kind)}
+              onError={(message) => setNotice({ type: 'error', title: 'The experiment stopped', messages: [message] })}
+            />
+          ) : compareRuns ? (
+            <CompareView graph={graph} grid={gridMode ? grid : null} runs={runs} histories={histories} stepIndex={stepIndex} />
+          ) : (
+            <svg 
+              ref={svgRef}
+              viewBox={`0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`} 
+              preserveAspectRatio="xMidYMid meet"
+              className={`graph-svg ${editMode ? `editing tool-${editTool}` : ''} ${gridMode ? 'grid-mode' : ''} ${quiz?.kind === 'node' ? 'quiz' : ''}`}
+              onPointerDown={handleCanvasPointerDown}
+              onPointerMove={handleCanvasPointerMove}
+              onPointerUp={handleCanvasPointerUp}
+            >
+              {gridMode && (
+                <GridLayer
+                  grid={grid}
+                  stateClassFor={stateClassFor}
+                  path={path}
+                  trace={currentTrace}
+                  found={currentStep.status === 'found'}
+                />
+              )}
+
+              <defs>
+                {ARROW_MARKERS.map(m => (
+                  <marker key={m.id} id={m.id} viewBox="0 0 10 10" refX={9} refY={5}
+                    markerWidth={10} markerHeight={10} markerUnits="userSpaceOnUse" orient="auto">
+                    <path d="M 0 0 L 10 5 L 0 10 z" className={m.className} />
+                  </marker>
+                ))}
+              </defs>
+
+              {/* Edges */}
+              {!gridMode && graph.edges.map((e, i) => {
+                const u = nodeById.get(e.source);
+                const v = nodeById.get(e.target);
+                const { directed, isFinalPath, isTraceEdge, isRoute, isRelaxed, isCycleEdge, isAccepted, isRejected, isConsidered, isBackEdge, isAugmenting, isCut } =
+                  classifyEdge(e, i, currentStep, graph, { pathIds, traceIds, decisions });
+                const curved = directed && edgeKeys.has(`${e.target}>${e.source}`);
+                const radius = dense ? DENSE_NODE_RADIUS : NODE_RADIUS;
+                const { d, labelX, labelY } = edgeGeometry(u, v, { directed, curved, radius });
+                const flow = isFlow ? edgeFlow(e, i, currentStep, graph) : null;
+                // Flow is drawn in the direction it travels, so flow the wrong way down an undirected edge points back
+                const flowPath = flow?.flow ? edgeGeometry(flow.flow > 0 ? u : v, flow.flow > 0 ? v : u, { directed: true, curved, radius }).d : null;
+
+                const marker = (id) => directed ? `url(#${id})` : undefined;
+
+                return (
+                  <g key={i} onPointerDown={ev => handleEdgePointerDown(ev, i)}>
+                    {/* Base Edge */}
+                    <path d={d} className="edge" markerEnd={marker('arrow')} />
+                    {editMode && <path d={d} className="edge-hit" />}
+                    
+                    {/* Ghost Trace (Thin Line) */}
+                    {isTraceEdge && !isFinalPath && (
+                      <path d={d} className="edge-trace" markerEnd={marker('arrow-trace')} />
+                    )}
+                    
+                    {/* Legs of a waypoint route already travelled */}
+                    {isRoute && !isFinalPath && <path d={d} className="edge-route" />}
+
+                    {/* Final Path (Bold Line) */}
+                    {isFinalPath && (
+                      <path d={d} className="edge-path" markerEnd={marker('arrow-path')} />
+                    )}
+
+                    {isRelaxed && <path d={d} className="edge-relaxed" markerEnd={marker('arrow-trace')} />}
+                    {isCycleEdge && <path d={d} className="edge-cycle" markerEnd={marker('arrow-cycle')} />}
+
+                    {/* Spanning trees: edges kept, edges that would close a cycle, and the edge being decided */}
+                    {isRejected && <path d={d} className="edge-rejected" />}
+                    {isAccepted && <path d={d} className="edge-accepted" />}
+                    {isConsidered && <path d={d} className="edge-considered" />}
+                    {isBackEdge && <path d={d} className="edge-back" markerEnd={marker('arrow-cycle')} />}
+
+                    {/* Heuristic check: h(from) > w + h(to), drawn in the direction that breaks consistency */}
+                    {inconsistentArcs.get(i)?.map(arc => (
+                      <path key={arc.from} className="edge-inconsistent" markerEnd="url(#arrow-inconsistent)"
+                        d={edgeGeometry(nodeById.get(arc.from), nodeById.get(arc.to), { directed: true, curved, radius }).d} />
+                    ))}
+
+                    {/* Max flow: the flow on each edge, the path just augmented, the min cut and the residual arcs */}
+                    {flowPath && <path d={flowPath} className={`edge-flow ${flow.saturated ? 'saturated' : ''}`} markerEnd="url(#arrow-flow)" />}
+                    {isAugmenting && <path d={d} className="edge-augmenting" />}
+                    {isCut && <path d={d} className="edge-cut" />}
+                    {flow && showResidual && flow.residual.map((capacity, k) => {
+                      if (capacity <= 0) return null;
+                      const arc = edgeGeometry(k ? v : u, k ? u : v, { directed: true, curved: true, radius });
+                      return (
+                        <g key={k}>
+                          <path d={arc.d} className="edge-residual" markerEnd="url(#arrow-residual)" />
+                          {!dense && <text x={arc.labelX} y={arc.labelY} dy={4} className="residual-label">{capacity}</text>}
+                        </g>
+                      );
+                    })}
+                    
+                    {inlineEdit?.kind === 'weight' && inlineEdit.index === i
+                      ? renderInlineInput(labelX, labelY, e.weight)
+                      : !dense && (
+                        <text
+                          x={labelX} y={labelY} dy={-5}
+                          className="edge-label"
+                          onDoubleClick={() => editMode && setInlineEdit({ kind: 'weight', index: i })}
+                        >{flow && !editMode ? `${Math.abs(flow.flow)}/${flow.capacity}` : e.weight}</text>
+                      )}
+                  </g>
+                );
+              })}
+
+              {/* Edge being drawn in edit mode */}
+              {drag?.type === 'edge' && (() => {
+                const from = graph.nodes.find(n => n.id === drag.from);
+                return <line x1={from.x} y1={from.y} x2={drag.x} y2={drag.y} className="edge-draft" />;
+              })()}
+
+              {/* Nodes */}
+              {!gridMode && graph.nodes.map(n => {
+                const classes = `node ${stateClassFor(n.id)}`;
+                // Dense graphs drop the labels and shrink the nodes so the structure stays readable
+                if (dense) {
+                  return (
+                    <circle key={n.id} cx={n.x} cy={n.y} r={DENSE_NODE_RADIUS} className={classes} style={{ fill: nodeFill(n.id) }}
+                      onPointerDown={ev => handleNodePointerDown(ev, n.id)}><title>{n.label}</title></circle>
+                  );
+                }
+                const hValue = heuristicCheck?.h.get(n.id) ?? heuristicToGoals(n, goalNodes, heuristicOptions);
+                const waypoint = isMST || isStructure || isFlow ? -1 : (graph.waypoints ?? []).indexOf(n.id);
+                const overestimate = overestimates.get(n.id);
+                return (
+                  <g key={n.id} transform={`translate(${n.x},${n.y})`} onPointerDown={ev => handleNodePointerDown(ev, n.id)}>
+                    {overestimate && <circle r={NODE_RADIUS + 5} className="heuristic-violation" />}
+                    <circle r={NODE_RADIUS} className={classes} style={{ fill: nodeFill(n.id) }} />
+                    <text dy={5} className="node-text">{n.label}</text>
+                    {waypoint >= 0 && (
+                      <g transform={`translate(${NODE_RADIUS * 0.8},${NODE_RADIUS * 0.8})`} className="waypoint-badge">
+                        <circle r={8} />
+                        <text dy={3.5}>{waypoint + 1}</text>
+                      </g>
+                    )}
+                    {inlineEdit?.kind === 'h' && inlineEdit.id === n.id
+                      ? renderInlineInput(0, -30, n.h ?? '')
+                      : isMST && !editMode ? null : isStructure && !editMode ? (
+                        <text dy={-25} className="distance-text">{nodeAnnotation(algoType, nodeValues, n.id)}</text>
+                      ) : isBellmanFord && !editMode ? (
+                        <text dy={-25} className="distance-text">
+                          d: {currentStep.distances?.[n.id] === undefined || currentStep.distances[n.id] === Infinity ? '∞' : currentStep.distances[n.id]}
+                        </text>
+                      ) : (informed || editMode) && (
+                        <text
+                          dy={-25}
+                          className={`heuristic-text ${overestimate ? 'violation' : ''}`}
+                          onPointerDown={ev => editMode && ev.stopPropagation()}
+                          onDoubleClick={() => editMode && setInlineEdit({ kind: 'h', id: n.id })}
+                        >h: {hValue}{overestimate && ` > h* ${overestimate.cost}`}</text>
+                      )}
+                  </g>
+                );
+              })}
+            </svg>
+          )}
           
-          <div className="playback-controls">
-            <button onClick={() => setStepIndex(0)}><RotateCcw size={20}/></button>
-            <button onClick={() => setStepIndex(Math.max(0, stepIndex-1))}><ChevronLeft size={20}/></button>
-            <button onClick={() => setIsPlaying(!isPlaying)}>
+          {showNarration && !compareRuns && !quiz && !experimentsOpen && (
+            <p className="narration">{narrate(currentStep, nodeLabel)}</p>
+          )}
+
+          {/* The quiz moves the timeline itself, so playback is locked while it runs */}
+          {!experimentsOpen && <div className="playback-controls">
+            <button onClick={() => setStepIndex(0)} disabled={Boolean(quiz)}><RotateCcw size={20}/></button>
+            <button onClick={() => setStepIndex(Math.max(0, stepIndex-1))} disabled={Boolean(quiz)}><ChevronLeft size={20}/></button>
+            <button onClick={() => setIsPlaying(!isPlaying)} disabled={Boolean(quiz)}>
               {isPlaying ? <Pause size={20}/> : <Play size={20}/>}
             </button>
-            <button onClick={() => setStepIndex(Math.min(history.length-1, stepIndex+1))}><ChevronRight size={20}/></button>
+            <button onClick={() => setStepIndex(Math.min(history.length-1, stepIndex+1))} disabled={Boolean(quiz)}><ChevronRight size={20}/></button>
             
             <input 
               type="range" 
@@ -602,120 +1281,286 @@ const App = () => {
               value={stepIndex} 
               onChange={e => setStepIndex(parseInt(e.target.value))}
               className="timeline-slider"
+              disabled={Boolean(quiz)}
             />
-          </div>
+          </div>}
         </div>
 
         <div className="sidebar">
-          {/* 1. Status & Detailed Statistics Panel */}
-          <div className="panel status-panel">
-            <h3>Status & Statistics</h3>
-            <div className={`status-badge ${currentStep.status}`}>
-              {currentStep.status.toUpperCase().replace('_', ' ')}
+          {quiz && (
+            <QuizPanel
+              graph={graph} algorithm={algorithmInfo(algoType).label} quiz={quiz}
+              question={quizQuestion(history, stepIndex)} nodeById={nodeById}
+              onKindChange={startQuiz} onAnswer={answerQuiz} onRestart={() => startQuiz()}
+            />
+          )}
+
+          {compareRuns ? (
+            <div className="panel compare-panel">
+              <h3>Comparison</h3>
+              {searching && (
+                <p className="searching-note">Searching in the background… {searchProgress} steps so far</p>
+              )}
+              <CompareTable graph={graph} runs={runs} histories={histories} stepIndex={stepIndex} groundTruth={groundTruth} />
             </div>
-            
-            {currentStep.status === 'limit_reached' && (
-              <p className="warning"><AlertTriangle size={14}/> Cycle Detected / Max Iterations</p>
-            )}
+          ) : isFlow ? (
+            <FlowPanels graph={graph} step={currentStep} summary={summary} nodeById={nodeById} searching={searching} searchProgress={searchProgress} />
+          ) : isStructure ? (
+            <StructurePanels graph={graph} algoType={algoType} step={currentStep} values={nodeValues}
+              summary={summary} nodeById={nodeById} searching={searching} searchProgress={searchProgress} />
+          ) : isMST ? (
+            <SpanningTreePanels graph={graph} algoType={algoType} step={currentStep} decisions={decisions} components={components}
+              summary={summary} nodeById={nodeById} searching={searching} searchProgress={searchProgress} />
+          ) : (
+            <>
+              {/* 1. Status & Detailed Statistics Panel */}
+              <div className="panel status-panel">
+                <h3>Status & Statistics</h3>
+                <div className={`status-badge ${currentStep.status}`}>
+                  {currentStep.status.toUpperCase().replace('_', ' ')}
+                </div>
+                {searching && (
+                  <p className="searching-note">Searching in the background… {searchProgress} steps so far</p>
+                )}
+                
+                {currentStep.status === 'limit_reached' && (
+                  <p className="warning"><AlertTriangle size={14}/> Cycle Detected / Max Iterations</p>
+                )}
+                {currentStep.status === 'cutoff' && (
+                  <p className="warning"><AlertTriangle size={14}/> Depth limit {currentStep.limit} reached before the goal</p>
+                )}
+                {currentStep.status === 'negative_cycle' && (
+                  <p className="warning">
+                    <AlertTriangle size={14}/> Negative Cycle: {cycle.map(id => graph.nodes.find(n => n.id === id).label).join('→')}→{graph.nodes.find(n => n.id === cycle[0])?.label}
+                  </p>
+                )}
 
-            <div className="stats-list">
-              <div className="stat-row">
-                <label>Current Node</label>
-                <span>{graph.nodes.find(n => n.id === currentStep.current)?.label || 'None'}</span>
-              </div>
-              <div className="stat-row">
-                <label>Partial Path</label>
-                <span className="path-text">
-                  {getPath().map(id => graph.nodes.find(n => n.id === id).label).reverse().join('→') || '-'}
-                </span>
-              </div>
-              
-              <hr className="sidebar-divider" />
-              
-              <div className="stat-row">
-                <label>Iterations (steps)</label>
-                <span>{stepIndex} / {history.length - 1}</span>
-              </div>
-              <div className="stat-row">
-                <label>Explored (pops)</label>
-                <span>{currentStep.visited?.size || 0}</span>
-              </div>
-              <div className="stat-row">
-                <label>Frontier Avg Size</label>
-                <span>{(history.slice(0, stepIndex + 1).reduce((acc, h) => acc + h.queue.length, 0) / (stepIndex + 1)).toFixed(2)}</span>
-              </div>
-              <div className="stat-row">
-                <label>Frontier Max Size</label>
-                <span>{Math.max(...history.slice(0, stepIndex + 1).map(h => h.queue.length), 0)}</span>
-              </div>
-              
-              <hr className="sidebar-divider" />
-              
-              <div className="stat-row">
-                <label>Found Goal?</label>
-                <span>{currentStep.status === 'found' ? '✅ Yes' : '❌ No'}</span>
-              </div>
-              <div className="stat-row">
-                <label>Path Length (edges)</label>
-                <span>{getPath().length > 0 ? getPath().length - 1 : 0}</span>
-              </div>
-              
-              {/* Optimality Logic */}
-              <div className="stat-row">
-                <label>Shortest Path (Edges)?</label>
-                <span>
-                  {currentStep.status === 'found' 
-                    ? (currentEdges <= groundTruth.trueMinEdges ? '✅ Yes' : '❌ No') 
-                    : 'N/A'}
-                </span>
-              </div>
+                <div className="stats-list">
+                  <div className="stat-row">
+                    <label>Current Node</label>
+                    <span>{graph.nodes.find(n => n.id === currentStep.current)?.label || 'None'}</span>
+                  </div>
+                  <div className="stat-row">
+                    <label>Partial Path</label>
+                    <span className="path-text">
+                      {path.map(id => nodeById.get(id).label).reverse().join('→') || '-'}
+                    </span>
+                  </div>
+                  
+                  <hr className="sidebar-divider" />
+                  
+                  <div className="stat-row">
+                    <label>Policies</label>
+                    <span className="policy-text">{describePolicies(algoType, policies)}</span>
+                  </div>
+                  {graph.goals?.length > 0 && !isMST && !isStructure && (
+                    <div className="stat-row">
+                      <label>Goals</label>
+                      <span>{isFlow ? `${nodeLabel(graph.end)} (sink)` : goalNodes.map(n => n.label).join(', ')}</span>
+                    </div>
+                  )}
+                  {currentStep.leg && (
+                    <div className="stat-row">
+                      <label>Route Leg</label>
+                      <span>
+                        {currentStep.leg.index + 1} / {currentStep.leg.count}: {nodeLabel(currentStep.leg.from)} → {currentStep.leg.to.map(nodeLabel).join(' / ')}
+                      </span>
+                    </div>
+                  )}
+                  <div className="stat-row">
+                    <label>Iterations (steps)</label>
+                    <span>{summary.step} / {summary.lastStep}</span>
+                  </div>
+                  {isBidirectional && (
+                    <div className="stat-row">
+                      <label>Meeting Node</label>
+                      <span>{nodeById.get(currentStep.meet)?.label ?? '-'}</span>
+                    </div>
+                  )}
+                  {algoType === 'BiDijkstra' && (
+                    <>
+                      <div className="stat-row">
+                        <label>Best Meeting Cost (μ)</label>
+                        <span>{formatCost(currentStep.best)}</span>
+                      </div>
+                      <div className="stat-row">
+                        <label>Frontier Tops Sum (stop at ≥ μ)</label>
+                        <span>{formatCost(currentStep.bound)}</span>
+                      </div>
+                    </>
+                  )}
+                  {(algoType === 'DLS' || algoType === 'IDDFS' || algoType === 'IDAStar') && (
+                    <>
+                      <div className="stat-row">
+                        <label>{algoType === 'IDAStar' ? 'f Threshold' : 'Depth Limit'}</label>
+                        <span>{currentStep.limit ?? '-'}{algoType === 'DLS' ? '' : ` (pass ${currentStep.iteration ?? '-'})`}</span>
+                      </div>
+                      <div className="stat-row">
+                        <label>Smallest Cut-Off {algoType === 'IDAStar' ? 'f' : 'Depth'}</label>
+                        <span>{formatCost(currentStep.nextLimit)}</span>
+                      </div>
+                    </>
+                  )}
+                  {algoType === 'Beam' && (
+                    <>
+                      <div className="stat-row">
+                        <label>Beam Depth</label>
+                        <span>{currentStep.depth ?? '-'}</span>
+                      </div>
+                      <div className="stat-row">
+                        <label>Pruned Last Layer</label>
+                        <span>{(currentStep.pruned ?? []).map(id => nodeById.get(id).label).join(', ') || '-'}</span>
+                      </div>
+                    </>
+                  )}
+                  {isBellmanFord && (
+                    <div className="stat-row">
+                      <label>Relaxation Pass</label>
+                      <span>{currentStep.pass ?? '-'} / {graph.nodes.length - 1}</span>
+                    </div>
+                  )}
+                  <div className="stat-row">
+                    <label>Explored (pops)</label>
+                    <span>{summary.explored}</span>
+                  </div>
+                  <div className="stat-row">
+                    <label>Frontier Avg Size</label>
+                    <span>{summary.frontierAvg.toFixed(2)}</span>
+                  </div>
+                  <div className="stat-row">
+                    <label>Frontier Max Size</label>
+                    <span>{summary.frontierMax}</span>
+                  </div>
+                  
+                  <hr className="sidebar-divider" />
+                  
+                  <div className="stat-row">
+                    <label>Found Goal?</label>
+                    <span>{summary.found ? `✅ Yes${graph.goals?.length > 0 ? ` (${nodeLabel(path[0])})` : ''}` : '❌ No'}</span>
+                  </div>
+                  <div className="stat-row">
+                    <label>Path Length (edges)</label>
+                    <span>{summary.pathEdges}</span>
+                  </div>
+                  
+                  {/* Optimality Logic */}
+                  <div className="stat-row">
+                    <label>Shortest Path (Edges)?</label>
+                    <span>{formatCheck(summary.shortest)}</span>
+                  </div>
 
-              <div className="stat-row">
-                <label>Least Cost (Weights)?</label>
-                <span>
-                  {currentStep.status === 'found' 
-                    ? (currentCost <= groundTruth.trueMinCost ? '✅ Yes' : '❌ No') 
-                    : 'N/A'}
-                </span>
+                  <div className="stat-row">
+                    <label>Least Cost (Weights)?</label>
+                    <span>{formatCheck(summary.leastCost)}</span>
+                  </div>
+                </div>
               </div>
-            </div>
-          </div>
 
-          {/* 2. Frontier (Queue/Stack) Panel */}
-          <div className="panel queue-panel">
-            <h3>{algoType === 'DFS' ? 'Stack (LIFO)' : 'Queue (FIFO/Priority)'}</h3>
-            <div className="queue-list">
-              {currentStep.queue.map((item, i) => (
-                <div key={i} className="queue-item">
-                  <strong>{graph.nodes.find(n => n.id === item.id)?.label}</strong>
-                  <span className="priority">
-                    {['BFS', 'DFS', 'BiBFS'].includes(algoType) 
-                      ? `Len: ${item.pathLength || 0}` 
-                      : (
-                        <span>
-                          f: {item.priority?.toFixed(0)} 
-                          {/* This shows the breakdown: g + h */}
-                          <small style={{ opacity: 0.7, marginLeft: '4px' }}>
-                            ({(item.priority - (item.h || 0)).toFixed(0)} + {item.h || 0})
-                          </small>
-                        </span>
-                      )
-                    }
-                  </span>
+              {/* 2. Frontier (Queue/Stack) Panel */}
+              <div className="panel queue-panel">
+                <h3>
+                  {frontierTitle(algoType, currentStep)}
+                </h3>
+                <div className="queue-list">
+                  {queueInPopOrder(currentStep).slice(0, MAX_QUEUE_ITEMS).map((item, i) => (
+                    <div key={i} className={`queue-item ${item.side === 'end' ? 'goal-side' : ''}`}>
+                      <strong>{nodeById.get(item.id)?.label}</strong>
+                      <span className="priority">
+                        {frontierFields(algoType, item, algoParams)}
+                      </span>
+                    </div>
+                  ))}
+                  {currentStep.queue.length > MAX_QUEUE_ITEMS && (
+                    <div className="queue-more">+{currentStep.queue.length - MAX_QUEUE_ITEMS} more</div>
+                  )}
                 </div>
-              ))}
-            </div>
-          </div>
+              </div>
+            </>
+          )}
+
+          <PolicyPanel algorithms={runs.map(run => run.algorithm)} algoType={algoType} policies={policies} onChange={setPolicies} />
+
+          {usesHeuristic && (
+            <HeuristicPanel
+              graph={graph} gridMode={gridMode} gridHeuristic={gridOptions.heuristic}
+              heuristic={heuristic} onHeuristicChange={setHeuristic}
+              check={heuristicCheck} nodeById={nodeById}
+              showMarks={showHeuristicCheck} onShowMarksChange={setShowHeuristicCheck}
+              onEditNode={editNodeHeuristic} onCopyToNodes={copyHeuristicToNodes}
+            />
+          )}
+
+          {!compareRuns && (
+            <PseudocodePanel lines={pseudocode} states={lineStates(pseudocode, currentStep)} />
+          )}
+
+          {!compareRuns && <SearchTreePanel step={currentStep} label={nodeLabel} />}
+
+          {/* The log shows steps ahead of the current one, so it would give the quiz away */}
+          {!compareRuns && !quiz && (
+            <StepLogPanel
+              history={history} stepIndex={stepIndex} label={nodeLabel} onSelect={setStepIndex}
+              narration={showNarration} onNarrationChange={setShowNarration}
+            />
+          )}
 
           {/* 3. Legend Panel */}
           <div className="panel legend">
             <h3>Legend</h3>
-            <div className="legend-item"><span className="dot start"></span> Start Node</div>
-            <div className="legend-item"><span className="dot end"></span> Goal Node</div>
-            <div className="legend-item"><span className="dot current"></span> Current Head</div>
-            <div className="legend-item"><span className="dot visited"></span> Visited Set</div>
-            <div className="legend-item"><span className="dot frontier"></span> Frontier (In Queue)</div>
-            <div className="legend-item">
+            {isMST ? (
+              <>
+                <div className="legend-item"><span className="dot visited"></span> In the Tree</div>
+                <div className="legend-item"><span className="line-swatch edge-accepted"></span> Tree Edge</div>
+                <div className="legend-item"><span className="line-swatch edge-rejected"></span> Rejected (Closes a Cycle)</div>
+                <div className="legend-item"><span className="line-swatch edge-considered"></span> Edge Being Decided</div>
+              </>
+            ) : isFlow ? (
+              <>
+                <div className="legend-item"><span className="dot start"></span> Source</div>
+                <div className="legend-item"><span className="dot end"></span> Sink</div>
+                <div className="legend-item"><span className="dot visited"></span> Reached by the Last BFS (Source Side)</div>
+                <div className="legend-item"><span className="line-swatch edge-flow"></span> Flow (Darker When Saturated)</div>
+                <div className="legend-item"><span className="line-swatch edge-augmenting"></span> Augmenting Path</div>
+                <div className="legend-item"><span className="line-swatch edge-cut"></span> Minimum Cut</div>
+                {showResidual && <div className="legend-item"><span className="line-swatch edge-residual"></span> Residual Capacity</div>}
+                <div className="legend-item">Edge labels: flow/capacity</div>
+              </>
+            ) : isStructure ? (
+              <>
+                <div className="legend-item"><span className="dot current"></span> Current Node</div>
+                <div className="legend-item"><span className="dot frontier"></span> In the Queue / On the Stack</div>
+                <div className="legend-item"><span className="dot visited"></span> Reached</div>
+                <div className="legend-item"><span className="line-swatch edge-back"></span> Back Edge (Closes a Cycle)</div>
+                {STRUCTURE_LEGENDS[algoType].map(text => <div key={text} className="legend-item">{text}</div>)}
+              </>
+            ) : (
+              <>
+                <div className="legend-item"><span className="dot start"></span> Start Node</div>
+                <div className="legend-item"><span className="dot end"></span> Goal Node{graph.goals?.length > 0 ? 's (Any Will Do)' : ''}</div>
+                {graph.waypoints?.length > 0 && (
+                  <>
+                    <div className="legend-item"><span className="dot waypoint"></span> Waypoint (Numbered in Route Order)</div>
+                    <div className="legend-item"><span className="line-swatch edge-route"></span> Route Legs Already Travelled</div>
+                  </>
+                )}
+                <div className="legend-item"><span className="dot current"></span> Current Head</div>
+                <div className="legend-item"><span className="dot visited"></span> Visited Set</div>
+                <div className="legend-item"><span className="dot frontier"></span> Frontier (In Queue)</div>
+                {heuristicMarks && (
+                  <>
+                    <div className="legend-item"><span className="dot heuristic-violation"></span> h Overestimates h* (Not Admissible)</div>
+                    <div className="legend-item"><span className="line-swatch edge-inconsistent"></span> h Drops by More Than w (Not Consistent)</div>
+                  </>
+                )}
+              </>
+            )}
+            {isBidirectional && (
+              <>
+                <div className="legend-item"><span className="dot visited visited-end"></span> Visited (Goal Side)</div>
+                <div className="legend-item"><span className="dot frontier frontier-end"></span> Frontier (Goal Side)</div>
+              </>
+            )}
+            {!isMST && !isFlow && <div className="legend-item">
             <span className="dot" style={{ 
               height: '2px', 
               width: '14px', 
@@ -724,7 +1569,7 @@ const App = () => {
               border: 'none' 
             }}></span> 
             Current Trace Path
-          </div>
+          </div>}
           </div>
         </div>
       </div>
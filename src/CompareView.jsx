@@ -0,0 +1,135 @@
+import React from 'react';
+import { CANVAS_SIZE, NODE_RADIUS } from './constants';
+import { ARROW_MARKERS, DENSE_GRAPH_NODES, DENSE_NODE_RADIUS, edgeGeometry, groupFill } from './drawing';
+import { ALGORITHMS } from './engine';
+import { EMPTY_STEP, classifyEdge, createStateClassFor, decisionsAt, formatCheck, formatCost, getPath, getTrace, nodeValuesAt, summarizeRun } from './metrics';
+import GridLayer from './GridLayer';
+
+// One read-only canvas for a compare run, paused at the shared step (or its own last step if it finished earlier)
+const CompareCanvas = ({ graph, grid, edgeKeys, run, history, stepIndex }) => {
+  const step = history.at(Math.min(stepIndex, history.length - 1)) || EMPTY_STEP;
+  const trace = getTrace(step, graph);
+  const path = getPath(step, graph);
+  const traceIds = new Set(trace);
+  const pathIds = new Set(path);
+  // Spanning trees and structure analyses have no start or goal
+  const goalless = Boolean(ALGORITHMS.find(a => a.id === run.algorithm)?.kind);
+  const stateClassFor = createStateClassFor(step, graph, { endpoints: !goalless });
+  const decisions = decisionsAt(step);
+  const groups = nodeValuesAt(step).group;
+  const fill = (id) => (groups?.has(id) ? groupFill(groups.get(id)) : undefined);
+  const dense = graph.nodes.length > DENSE_GRAPH_NODES;
+  const nodeById = new Map(graph.nodes.map(n => [n.id, n]));
+
+  return (
+    <div className="compare-cell">
+      <div className="compare-title">
+        <strong>{run.label}</strong>
+        <span className={`status-badge ${step.status}`}>{step.status.toUpperCase().replace('_', ' ')}</span>
+      </div>
+      <svg viewBox={`0 0 ${CANVAS_SIZE} ${CANVAS_SIZE}`} preserveAspectRatio="xMidYMid meet" className="graph-svg compare-svg">
+        {grid && (
+          <GridLayer grid={grid} stateClassFor={stateClassFor} path={path} trace={trace} found={step.status === 'found'} />
+        )}
+
+        <defs>
+          {ARROW_MARKERS.map(m => (
+            <marker key={m.id} id={m.id} viewBox="0 0 10 10" refX={9} refY={5}
+              markerWidth={10} markerHeight={10} markerUnits="userSpaceOnUse" orient="auto">
+              <path d="M 0 0 L 10 5 L 0 10 z" className={m.className} />
+            </marker>
+          ))}
+        </defs>
+
+        {!grid && graph.edges.map((e, i) => {
+          const { directed, isFinalPath, isTraceEdge, isRoute, isRelaxed, isCycleEdge, isAccepted, isRejected, isConsidered, isBackEdge, isAugmenting, isCut } =
+            classifyEdge(e, i, step, graph, { pathIds, traceIds, decisions });
+          const curved = directed && edgeKeys.has(`${e.target}>${e.source}`);
+          const { d } = edgeGeometry(nodeById.get(e.source), nodeById.get(e.target), { directed, curved, radius: dense ? DENSE_NODE_RADIUS : NODE_RADIUS });
+          const marker = (id) => directed ? `url(#${id})` : undefined;
+          return (
+            <g key={i}>
+              <path d={d} className="edge" markerEnd={marker('arrow')} />
+              {isTraceEdge && !isFinalPath && <path d={d} className="edge-trace" markerEnd={marker('arrow-trace')} />}
+              {isRoute && !isFinalPath && <path d={d} className="edge-route" />}
+              {isFinalPath && <path d={d} className="edge-path" markerEnd={marker('arrow-path')} />}
+              {isRelaxed && <path d={d} className="edge-relaxed" markerEnd={marker('arrow-trace')} />}
+              {isCycleEdge && <path d={d} className="edge-cycle" markerEnd={marker('arrow-cycle')} />}
+              {isRejected && <path d={d} className="edge-rejected" />}
+              {isAccepted && <path d={d} className="edge-accepted" />}
+              {isConsidered && <path d={d} className="edge-considered" />}
+              {isBackEdge && <path d={d} className="edge-back" markerEnd={marker('arrow-cycle')} />}
+              {step.flows?.[i] ? <path d={d} className="edge-flow" /> : null}
+              {isAugmenting && <path d={d} className="edge-augmenting" />}
+              {isCut && <path d={d} className="edge-cut" />}
+            </g>
+          );
+        })}
+
+        {!grid && graph.nodes.map(n => (
+          dense ? (
+            <circle key={n.id} cx={n.x} cy={n.y} r={DENSE_NODE_RADIUS} className={`node ${stateClassFor(n.id)}`} style={{ fill: fill(n.id) }}>
+              <title>{n.label}</title>
+            </circle>
+          ) : (
+            <g key={n.id} transform={`translate(${n.x},${n.y})`}>
+              <circle r={NODE_RADIUS} className={`node ${stateClassFor(n.id)}`} style={{ fill: fill(n.id) }} />
+              <text dy={5} className="node-text">{n.label}</text>
+            </g>
+          )
+        ))}
+      </svg>
+    </div>
+  );
+};
+
+// Compare mode: every run drawn side by side on the same graph, all driven by one timeline
+const CompareView = ({ graph, grid, runs, histories, stepIndex }) => {
+  const edgeKeys = new Set(graph.edges.map(e => `${e.source}>${e.target}`));
+  return (
+    <div className={`compare-grid runs-${runs.length}`}>
+      {runs.map((run, i) => (
+        <CompareCanvas key={i} graph={graph} grid={grid} edgeKeys={edgeKeys} run={run} history={histories[i]} stepIndex={stepIndex} />
+      ))}
+    </div>
+  );
+};
+
+// The sidebar's numbers for every run at the current step, one column per run
+const COMPARE_ROWS = [
+  ['Iterations (steps)', s => `${s.step} / ${s.lastStep}`],
+  ['Explored (pops)', s => s.explored],
+  ['Frontier Max Size', s => s.frontierMax],
+  ['Found Goal?', s => (s.found ? '✅ Yes' : '❌ No')],
+  ['Path Length (edges)', s => s.pathEdges],
+  ['Path Cost', s => formatCost(s.cost)],
+  ['Shortest Path (Edges)?', s => formatCheck(s.shortest)],
+  ['Least Cost (Weights)?', s => formatCheck(s.leastCost)],
+  ['Tree Weight (MST)', s => s.treeWeight ?? '-'],
+  ['Components / SCCs', s => s.groups ?? '-'],
+  ['Max Flow', s => s.flowValue ?? '-'],
+];
+
+export const CompareTable = ({ graph, runs, histories, stepIndex, groundTruth }) => {
+  const summaries = runs.map((run, i) => summarizeRun(histories[i], stepIndex, graph, groundTruth));
+  return (
+    <table className="compare-table">
+      <thead>
+        <tr>
+          <th></th>
+          {runs.map((run, i) => <th key={i}>{run.label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {COMPARE_ROWS.map(([label, format]) => (
+          <tr key={label}>
+            <th>{label}</th>
+            {summaries.map((summary, i) => <td key={i}>{format(summary)}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { ALGORITHMS, TOPOLOGIES } from './engine';
+import { EXPERIMENT_METRICS, MAX_EXPERIMENT_GRAPHS, aggregateExperiment, experimentToCSV, runExperiment } from './experiments';
+import { downloadText } from './download';
+import { workerErrorMessage } from './useSearch';
+
+// Path searches only: the batch measures expansions and paths
+const SEARCHES = ALGORITHMS.filter(a => !a.kind);
+
+const formatNumber = (value) => (Number.isInteger(value) ? value : value.toFixed(2));
+const formatRate = (rate) => (rate === null ? 'N/A' : `${Math.round(rate * 100)}%`);
+
+// Takes the place of the canvas: runs the chosen searches over `count` random graphs made with the header's
+// generator settings (graph i from seed + i), then shows per-algorithm statistics and exports the raw rows.
+// `optionsFor(algorithm, checkDuplicates)` gives the same search options the main view would use; `onError`
+// gets the message when the worker fails, which ends the batch with the rows so far.
+const ExperimentView = ({ generatorOptions, seed, optionsFor, initialAlgorithms, onError }) => {
+  const [algorithms, setAlgorithms] = useState(initialAlgorithms);
+  const [checkDuplicates, setCheckDuplicates] = useState(true);
+  const [count, setCount] = useState(20);
+  // { config, rows, graphs, running } for the latest batch
+  const [job, setJob] = useState(null);
+  const workerRef = useRef(null);
+
+  // Leaving the view cancels a batch that is still running
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const start = () => {
+    workerRef.current?.terminate();
+    const config = {
+      generatorOptions,
+      seed,
+      count,
+      runs: SEARCHES.filter(a => algorithms.includes(a.id)).map(a => ({
+        algorithm: a.id,
+        label: a.label,
+        options: optionsFor(a.id, checkDuplicates),
+      })),
+    };
+    if (typeof Worker === 'undefined') {
+      setJob({ config, rows: runExperiment(config), graphs: count, running: false });
+      return;
+    }
+    const worker = new Worker(new URL('./experiment.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => setJob(prev => (data.type === 'progress'
+      ? { ...prev, rows: [...prev.rows, ...data.rows], graphs: data.graphs }
+      : { ...prev, running: false }));
+    const fail = (event) => {
+      worker.terminate();
+      setJob(prev => ({ ...prev, running: false }));
+      onError(workerErrorMessage(event));
+    };
+    worker.onerror = fail;
+    worker.onmessageerror = fail;
+    worker.postMessage(config);
+    workerRef.current = worker;
+    setJob({ config, rows: [], graphs: 0, running: true });
+  };
+
+  const stop = () => {
+    workerRef.current?.terminate();
+    setJob({ ...job, running: false });
+  };
+
+  const toggleAlgorithm = (id) => setAlgorithms(algorithms.includes(id) ? algorithms.filter(a => a !== id) : [...algorithms, id]);
+
+  const summary = job ? aggregateExperiment(job.rows) : [];
+  const exportJSON = () => downloadText('experiment.json', JSON.stringify({ config: job.config, summary, rows: job.rows }, null, 2), 'application/json');
+
+  return (
+    <div className="experiment-view">
+      <div className="panel">
+        <h3>Experiment</h3>
+        <p className="searching-note">
+          {count} random graphs of {generatorOptions.numNodes} nodes ({TOPOLOGIES.find(t => t.id === generatorOptions.topology).label},
+          seeds {seed}–{seed + count - 1}); change the graph settings in the bar above
+        </p>
+        <div className="experiment-algorithms">
+          {SEARCHES.map(a => (
+            <label key={a.id} className="checkbox-wrapper">
+              <input type="checkbox" checked={algorithms.includes(a.id)} onChange={() => toggleAlgorithm(a.id)} />
+              {a.label}
+            </label>
+          ))}
+        </div>
+        <div className="experiment-controls">
+          <label className="param-input">
+            Graphs
+            <input type="number" min={1} max={MAX_EXPERIMENT_GRAPHS} value={count}
+              onChange={e => {
+                const v = parseInt(e.target.value, 10);
+                if (!Number.isNaN(v)) setCount(Math.min(MAX_EXPERIMENT_GRAPHS, Math.max(1, v)));
+              }} />
+          </label>
+          <label className="checkbox-wrapper">
+            <input type="checkbox" checked={checkDuplicates} onChange={e => setCheckDuplicates(e.target.checked)} />
+            Visited Set
+          </label>
+          {job?.running
+            ? <button className="btn-icon" onClick={stop}>Stop</button>
+            : <button className="btn-icon" onClick={start} disabled={algorithms.length === 0}>Run</button>}
+          {job && (
+            <>
+              <span className="searching-note">{job.graphs} / {job.config.count} graphs{job.running ? '…' : ''}</span>
+              <button className="btn-icon" onClick={() => downloadText('experiment.csv', experimentToCSV(job.rows), 'text/csv')} disabled={job.rows.length === 0}>Export CSV</button>
+              <button className="btn-icon" onClick={exportJSON} disabled={job.rows.length === 0}>Export JSON</button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {summary.length > 0 && (
+        <div className="panel">
+          <h3>Results</h3>
+          <table className="compare-table experiment-table">
+            <thead>
+              <tr>
+                <th>Algorithm</th>
+                <th>Found</th>
+                <th>Shortest</th>
+                <th>Least Cost</th>
+                {EXPERIMENT_METRICS.map(m => <th key={m.id}>{m.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {summary.map(s => (
+                <tr key={s.label}>
+                  <td>{s.label}</td>
+                  <td>{formatRate(s.foundRate)}</td>
+                  <td>{formatRate(s.shortestRate)}</td>
+                  <td>{formatRate(s.leastCostRate)}</td>
+                  {EXPERIMENT_METRICS.map(({ id }) => {
+                    const stats = s.metrics[id];
+                    return (
+                      <td key={id}>
+                        {stats ? (
+                          <>
+                            <strong>{formatNumber(stats.mean)}</strong>
+                            <div className="experiment-spread">
+                              median {formatNumber(stats.median)} · σ {formatNumber(stats.stdDev)} · {formatNumber(stats.min)}–{formatNumber(stats.max)}
+                            </div>
+                          </>
+                        ) : '-'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="searching-note">Mean, then median, standard deviation and range. Path length and cost only count runs that found the goal.</p>
+
+          {/* One bar chart per metric: the bar is the mean, the whisker spans min to max */}
+          <div className="experiment-charts">
+            {EXPERIMENT_METRICS.map(({ id, label }) => {
+              const top = Math.max(...summary.map(s => s.metrics[id]?.max ?? 0)) || 1;
+              return (
+                <div key={id} className="experiment-chart">
+                  <strong>{label}</strong>
+                  {summary.map(s => {
+                    const stats = s.metrics[id];
+                    return (
+                      <div key={s.label} className="chart-row">
+                        <span className="chart-label">{s.label}</span>
+                        <div className="chart-track">
+                          {stats && (
+                            <>
+                              <div className="chart-bar" style={{ width: `${(stats.mean / top) * 100}%` }}></div>
+                              <div className="chart-whisker" style={{ left: `${(stats.min / top) * 100}%`, width: `${((stats.max - stats.min) / top) * 100}%` }}></div>
+                            </>
+                          )}
+                        </div>
+                        <span className="chart-value">{stats ? formatNumber(stats.mean) : '-'}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExperimentView;
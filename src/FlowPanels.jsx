@@ -0,0 +1,104 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+
+// The panels only list the head of very long lists
+const MAX_LISTED_ITEMS = 200;
+
+// Sidebar for max flow: the flow so far and, at the end, the minimum cut; then the augmenting path just used
+const FlowPanels = ({ graph, step, summary, nodeById, searching, searchProgress }) => {
+  const label = (id) => nodeById.get(id)?.label;
+  const edgeName = (index) => `${label(graph.edges[index].source)}–${label(graph.edges[index].target)}`;
+  const cut = step.cut ?? [];
+  const cutCapacity = cut.reduce((sum, index) => sum + Math.max(0, graph.edges[index].weight), 0);
+  const path = step.path ?? [];
+
+  return (
+    <>
+      <div className="panel status-panel">
+        <h3>Status & Statistics</h3>
+        <div className={`status-badge ${step.status}`}>
+          {step.status.toUpperCase().replace('_', ' ')}
+        </div>
+        {searching && (
+          <p className="searching-note">Searching in the background… {searchProgress} steps so far</p>
+        )}
+        {step.status === 'limit_reached' && (
+          <p className="warning"><AlertTriangle size={14}/> Too many augmenting paths: stopped early</p>
+        )}
+        {graph.start === graph.end && (
+          <p className="warning"><AlertTriangle size={14}/> Source and sink are the same node</p>
+        )}
+
+        <div className="stats-list">
+          <div className="stat-row">
+            <label>Source → Sink</label>
+            <span>{label(graph.start)} → {label(graph.end)}</span>
+          </div>
+          <div className="stat-row">
+            <label>{step.status === 'complete' ? 'Max Flow' : 'Flow So Far'}</label>
+            <span className="flow-value">{step.flowValue ?? 0}</span>
+          </div>
+
+          <hr className="sidebar-divider" />
+
+          <div className="stat-row">
+            <label>Iterations (steps)</label>
+            <span>{summary.step} / {summary.lastStep}</span>
+          </div>
+          <div className="stat-row">
+            <label>Augmenting Paths</label>
+            <span>{step.augmentations ?? 0}</span>
+          </div>
+          {step.bottleneck !== undefined && (
+            <div className="stat-row">
+              <label>Bottleneck</label>
+              <span>{step.bottleneck}</span>
+            </div>
+          )}
+          {step.status === 'complete' && (
+            <>
+              <div className="stat-row">
+                <label>Min Cut Capacity</label>
+                <span>{cutCapacity}</span>
+              </div>
+              <div className="stat-row">
+                <label>Source Side</label>
+                <span>{step.visited.size} of {graph.nodes.length} nodes</span>
+              </div>
+            </>
+          )}
+        </div>
+
+        {cut.length > 0 && (
+          <>
+            <hr className="sidebar-divider" />
+            <div className="component-list">
+              {cut.slice(0, MAX_LISTED_ITEMS).map(index => (
+                <span key={index}>{edgeName(index)} ({graph.edges[index].weight})</span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="panel queue-panel">
+        <h3>Augmenting Path (BFS)</h3>
+        <div className="queue-list">
+          {(step.augmenting ?? []).slice(0, MAX_LISTED_ITEMS).map((index, i) => (
+            <div key={i} className="queue-item">
+              <strong>{label(path[i])} → {label(path[i + 1])}</strong>
+              <span className="priority">
+                flow: {Math.abs(step.flows[index])} / {Math.max(0, graph.edges[index].weight)}
+              </span>
+            </div>
+          ))}
+          {!step.augmenting && (
+            <div className="queue-more">{step.status === 'complete' ? 'No augmenting path left' : '-'}</div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default FlowPanels;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { cellSize, cellCenter } from './grid';
+
+// Draws grid mode: one rect per cell (terrain + search state), then the trace and final path on top
+const GridLayer = ({ grid, stateClassFor, path, trace, found }) => {
+  const size = cellSize(grid);
+  const toPoints = (ids) => ids.map(id => {
+    const { x, y } = cellCenter(grid, id);
+    return `${x},${y}`;
+  }).join(' ');
+
+  return (
+    <g className="grid-layer">
+      {grid.cells.map((terrain, i) => {
+        const state = terrain === 'wall' ? '' : stateClassFor(i);
+        return (
+          <rect
+            key={i}
+            x={(i % grid.cols) * size}
+            y={Math.floor(i / grid.cols) * size}
+            width={size}
+            height={size}
+            className={`cell terrain-${terrain} ${state}`}
+          />
+        );
+      })}
+
+      {trace.length > 1 && !found && <polyline points={toPoints(trace)} className="edge-trace grid-line" />}
+      {found && path.length > 1 && <polyline points={toPoints(path)} className="edge-path grid-line" />}
+    </g>
+  );
+};
+
+export default GridLayer;
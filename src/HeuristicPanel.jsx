@@ -0,0 +1,122 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { HEURISTICS, HEURISTIC_SCALE } from './engine';
+import { GRID_HEURISTICS } from './grid';
+import { formatCheck, formatCost } from './metrics';
+
+// The panels only list the head of very long lists
+const MAX_LISTED_ITEMS = 200;
+
+// Sidebar for the informed searches: pick the heuristic (or edit h per node), and see where it overestimates the
+// true cost to the goal (admissibility) or drops by more than an edge's weight (consistency)
+const HeuristicPanel = ({ graph, gridMode, gridHeuristic, heuristic, onHeuristicChange, check, nodeById, showMarks, onShowMarksChange, onEditNode, onCopyToNodes }) => {
+  const label = (id) => nodeById.get(id)?.label;
+  const perNode = heuristic.type === 'preset' && !gridMode;
+
+  const commitNode = (id, raw) => {
+    const value = Number(raw);
+    if (raw.trim() !== '' && Number.isFinite(value) && value >= 0 && value !== check?.h.get(id)) onEditNode(id, value);
+  };
+
+  return (
+    <div className="panel heuristic-panel">
+      <h3>Heuristic</h3>
+      {gridMode ? (
+        <p className="searching-note">Grid mode uses the grid's {GRID_HEURISTICS[gridHeuristic].label} heuristic</p>
+      ) : (
+        <div className="heuristic-controls">
+          <select value={heuristic.type} onChange={e => onHeuristicChange({ ...heuristic, type: e.target.value })}>
+            {HEURISTICS.map(h => <option key={h.id} value={h.id}>{h.label}</option>)}
+          </select>
+          {heuristic.type === 'scaled' && (
+            <label className="param-input">
+              {HEURISTIC_SCALE.label}
+              <input type="number" min={HEURISTIC_SCALE.min} max={HEURISTIC_SCALE.max} step={HEURISTIC_SCALE.step} value={heuristic.scale}
+                onChange={e => {
+                  const v = parseFloat(e.target.value);
+                  if (!Number.isNaN(v)) onHeuristicChange({ ...heuristic, scale: Math.min(HEURISTIC_SCALE.max, Math.max(HEURISTIC_SCALE.min, v)) });
+                }} />
+            </label>
+          )}
+        </div>
+      )}
+
+      {!check ? (
+        <p className="warning"><AlertTriangle size={14}/> True costs to the goal need non-negative edge weights</p>
+      ) : (
+        <>
+          <div className="stats-list">
+            <div className="stat-row">
+              <label>Admissible (h ≤ h*)</label>
+              <span>{formatCheck(check.overestimates.length === 0)}</span>
+            </div>
+            <div className="stat-row">
+              <label>Consistent (h(u) ≤ w + h(v))</label>
+              <span>{formatCheck(check.inconsistent.length === 0)}</span>
+            </div>
+          </div>
+          {!gridMode && (
+            <label className="checkbox-wrapper">
+              <input type="checkbox" checked={showMarks} onChange={e => onShowMarksChange(e.target.checked)} />
+              Mark on Canvas
+            </label>
+          )}
+
+          {check.overestimates.length > 0 && (
+            <>
+              <hr className="sidebar-divider" />
+              <div className="component-list violations">
+                {check.overestimates.slice(0, MAX_LISTED_ITEMS).map(o => (
+                  <span key={o.id}>{label(o.id)}: h {o.h} &gt; h* {o.cost}</span>
+                ))}
+              </div>
+            </>
+          )}
+          {check.inconsistent.length > 0 && (
+            <>
+              <hr className="sidebar-divider" />
+              <div className="component-list violations">
+                {check.inconsistent.slice(0, MAX_LISTED_ITEMS).map(({ edge, from, to }) => (
+                  <span key={`${edge}-${from}`}>
+                    {label(from)}→{label(to)}: {check.h.get(from)} &gt; {graph.edges[edge].weight} + {check.h.get(to)}
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+
+          {!gridMode && (
+            <>
+              <hr className="sidebar-divider" />
+              <table className="heuristic-table">
+                <thead>
+                  <tr><th>Node</th><th>h</th><th>h*</th></tr>
+                </thead>
+                <tbody>
+                  {graph.nodes.slice(0, MAX_LISTED_ITEMS).map(n => (
+                    <tr key={n.id} className={check.h.get(n.id) > check.trueCost.get(n.id) ? 'violation' : ''}>
+                      <td>{n.label}</td>
+                      <td>
+                        {perNode ? (
+                          <input type="number" min={0} defaultValue={check.h.get(n.id)} key={check.h.get(n.id)}
+                            onBlur={e => commitNode(n.id, e.target.value)}
+                            onKeyDown={e => e.key === 'Enter' && e.target.blur()} />
+                        ) : check.h.get(n.id)}
+                      </td>
+                      <td>{formatCost(check.trueCost.get(n.id))}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {!perNode && (
+                <button className="btn-icon" onClick={onCopyToNodes}>Edit h per Node</button>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HeuristicPanel;
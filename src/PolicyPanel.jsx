@@ -0,0 +1,40 @@
+import React from 'react';
+import { SEARCH_POLICIES, describePolicies, policiesFor } from './engine';
+
+// Sidebar for the choices the algorithms leave open (neighbour order, priority ties, when to test for the goal),
+// so a run can follow the conventions of a textbook or course. Only the policies that change one of the
+// algorithms on screen are listed; the summary spells out what the shown algorithm ends up doing.
+const PolicyPanel = ({ algorithms, algoType, policies, onChange }) => {
+  const shown = Object.keys(SEARCH_POLICIES).filter(name => algorithms.some(id => policiesFor(id).includes(name)));
+  if (shown.length === 0) return null;
+  const summary = describePolicies(algoType, policies);
+
+  return (
+    <div className="panel policy-panel">
+      <h3>Search Policies</h3>
+      <div className="policy-controls">
+        {shown.map(name => (
+          <label key={name}>
+            {SEARCH_POLICIES[name].label}
+            <select value={policies[name]} onChange={e => onChange({ ...policies, [name]: e.target.value })}>
+              {SEARCH_POLICIES[name].options.map(o => <option key={o.id} value={o.id}>{o.label}</option>)}
+            </select>
+          </label>
+        ))}
+        {policies.neighborOrder === 'random' && shown.includes('neighborOrder') && (
+          <label className="param-input">
+            Seed
+            <input type="number" step={1} value={policies.neighborSeed}
+              onChange={e => {
+                const v = parseInt(e.target.value, 10);
+                if (!Number.isNaN(v)) onChange({ ...policies, neighborSeed: v });
+              }} />
+          </label>
+        )}
+      </div>
+      {summary && <p className="searching-note">{summary}</p>}
+    </div>
+  );
+};
+
+export default PolicyPanel;
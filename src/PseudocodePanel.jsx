@@ -0,0 +1,18 @@
+import React from 'react';
+
+// The selected algorithm's pseudocode, with the lines behind the current history entry highlighted and the
+// ones run on the way to the next entry marked (see lineStates)
+const PseudocodePanel = ({ lines, states }) => (
+  <div className="panel pseudocode-panel">
+    <h3>Pseudocode</h3>
+    <ol className="pseudocode">
+      {lines.map((line, i) => (
+        <li key={i} className={states[i]} style={{ paddingLeft: `${line.indent * 1.2 + 0.4}em` }}>
+          {line.text}
+        </li>
+      ))}
+    </ol>
+  </div>
+);
+
+export default PseudocodePanel;
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { QUIZ_KINDS, formatQuizMarkdown, parseFrontier, quizSummary } from './quiz';
+import { downloadText } from './download';
+
+// Sidebar for quiz mode: the question for the next step, feedback on the last answer, the score and, once the
+// history runs out, the summary to export
+const QuizPanel = ({ graph, algorithm, quiz, question, nodeById, onKindChange, onAnswer, onRestart }) => {
+  const [typed, setTyped] = useState('');
+  const label = (id) => nodeById.get(id)?.label ?? '(none)';
+  const format = (answer) => (Array.isArray(answer) ? answer.map(label).join(', ') || '(empty)' : label(answer));
+  const last = quiz.answers[quiz.answers.length - 1];
+  const score = quiz.answers.filter(a => a.correct).length;
+  const { ids, unknown } = parseFrontier(typed, graph);
+
+  const submitFrontier = (e) => {
+    e.preventDefault();
+    if (unknown.length) return;
+    onAnswer(ids);
+    setTyped('');
+  };
+
+  const exportSummary = (type) => {
+    const summary = quizSummary(quiz.answers, graph, algorithm);
+    if (type === 'json') downloadText('quiz-summary.json', JSON.stringify(summary, null, 2), 'application/json');
+    else downloadText('quiz-summary.md', formatQuizMarkdown(summary), 'text/markdown');
+  };
+
+  return (
+    <div className="panel quiz-panel">
+      <h3>Quiz</h3>
+      <div className="quiz-kinds">
+        {QUIZ_KINDS.map(k => (
+          <button key={k.id} className={quiz.kind === k.id ? 'active' : ''} onClick={() => onKindChange(k.id)}>{k.label}</button>
+        ))}
+      </div>
+
+      {question ? (
+        quiz.kind === 'node' ? (
+          <>
+            <p className="quiz-question">Which node does the search take next? Click it on the canvas.</p>
+            <button className="btn-icon" onClick={() => onAnswer(null)}>No Node (the Search Stops)</button>
+          </>
+        ) : (
+          <form onSubmit={submitFrontier}>
+            <p className="quiz-question">What will the frontier hold after the next step, front first?</p>
+            <input className="quiz-input" value={typed} onChange={e => setTyped(e.target.value)} placeholder="e.g. B, C, D" />
+            {unknown.length > 0 && <p className="warning">No node is labelled {unknown.join(', ')}</p>}
+            <button type="submit" className="btn-icon" disabled={unknown.length > 0}>Check</button>
+          </form>
+        )
+      ) : (
+        <p className="quiz-question">The run is over.</p>
+      )}
+
+      {last && (
+        <p className={`quiz-feedback ${last.correct ? 'correct' : 'wrong'}`}>
+          {last.correct
+            ? `✅ Correct: ${format(last.expected)}`
+            : `❌ You said ${format(last.given)}; step ${last.step} has ${format(last.expected)}. The canvas now shows that step.`}
+        </p>
+      )}
+
+      <div className="stats-list">
+        <div className="stat-row">
+          <label>Score</label>
+          <span>{score} / {quiz.answers.length}</span>
+        </div>
+      </div>
+
+      {!question && quiz.answers.length > 0 && (
+        <>
+          <hr className="sidebar-divider" />
+          <div className="component-list">
+            {quiz.answers.map((a, i) => (
+              <span key={i} className={a.correct ? '' : 'wrong'}>{a.step}: {format(a.expected)}</span>
+            ))}
+          </div>
+          <div className="quiz-actions">
+            <button className="btn-icon" onClick={() => exportSummary('md')}>Export Markdown</button>
+            <button className="btn-icon" onClick={() => exportSummary('json')}>Export JSON</button>
+          </div>
+        </>
+      )}
+      <button className="btn-icon" onClick={onRestart}>Restart</button>
+    </div>
+  );
+};
+
+export default QuizPanel;
@@ -0,0 +1,73 @@
+import React, { useEffect, useRef } from 'react';
+import { layoutTree, searchTreeAt } from './searchTree';
+
+// Spacing of the layout's columns and rows, in pixels
+const COLUMN_WIDTH = 30;
+const ROW_HEIGHT = 44;
+const RADIUS = 10;
+const MARGIN = 16;
+
+const formatG = (g) => (Number.isInteger(g) ? g : g.toFixed(1));
+
+// The search tree as it stands at the current step, one circle per frontier entry. Without a visited set the
+// same graph node turns up in several places (outlined), which is where duplicated subtrees and DFS loops show.
+const SearchTreePanel = ({ step, label }) => {
+  const scrollRef = useRef(null);
+  const tree = searchTreeAt(step);
+  const { positions, columns, rows } = layoutTree(tree?.nodes ?? []);
+  const at = (index) => {
+    const { x, y } = positions.get(index);
+    return { x: MARGIN + x * COLUMN_WIDTH + COLUMN_WIDTH / 2, y: MARGIN + y * ROW_HEIGHT + RADIUS };
+  };
+  const current = tree?.nodes.find(n => n.state === 'current');
+
+  // Keep the node being expanded in view as the tree grows
+  const currentX = current ? at(current.index).x : null;
+  useEffect(() => {
+    const box = scrollRef.current;
+    if (box && currentX !== null) box.scrollLeft = currentX - box.clientWidth / 2;
+  }, [currentX]);
+
+  if (!tree) return null;
+  const width = MARGIN * 2 + Math.max(columns, 1) * COLUMN_WIDTH;
+  const height = MARGIN * 2 + Math.max(rows - 1, 0) * ROW_HEIGHT + RADIUS * 2 + 12;
+
+  return (
+    <div className="panel search-tree-panel">
+      <h3>Search Tree</h3>
+      <p className="searching-note">
+        {tree.total} search node{tree.total === 1 ? '' : 's'} for {tree.distinct} graph node{tree.distinct === 1 ? '' : 's'}
+        {tree.total > tree.nodes.length && ` (showing the first ${tree.nodes.length})`}
+      </p>
+      <div className="search-tree-scroll" ref={scrollRef}>
+        <svg width={width} height={height}>
+          {tree.nodes.filter(n => positions.has(n.parent)).map(n => {
+            const from = at(n.parent);
+            const to = at(n.index);
+            return <line key={`e${n.index}`} x1={from.x} y1={from.y} x2={to.x} y2={to.y} className={`tree-edge ${n.onPath ? 'on-path' : ''}`} />;
+          })}
+          {tree.nodes.map(n => {
+            const { x, y } = at(n.index);
+            return (
+              <g key={n.index} transform={`translate(${x}, ${y})`} className={`tree-node ${n.state} ${n.onPath ? 'on-path' : ''} ${n.copies > 1 ? 'repeated' : ''}`}>
+                <title>{`${label(n.id)}: depth ${n.depth}, g = ${formatG(n.g)}${n.copies > 1 ? `, one of ${n.copies} copies` : ''}`}</title>
+                <circle r={RADIUS} />
+                <text dy="0.35em">{label(n.id)}</text>
+                <text className="tree-g" dy={RADIUS + 11}>{formatG(n.g)}</text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      <div className="search-tree-legend">
+        <span><span className="dot current"></span> Expanding</span>
+        <span><span className="dot frontier"></span> Frontier</span>
+        <span><span className="dot visited"></span> Popped</span>
+        <span><span className="dot repeated"></span> Node Pushed More Than Once</span>
+        {tree.nodes.some(n => n.state === 'replaced') && <span><span className="dot replaced"></span> Replaced by a Cheaper Entry</span>}
+      </div>
+    </div>
+  );
+};
+
+export default SearchTreePanel;
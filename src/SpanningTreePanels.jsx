@@ -0,0 +1,109 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { queueInPopOrder } from './engine';
+
+// The panels only list the head of very long lists
+const MAX_LISTED_ITEMS = 200;
+
+// Sidebar for Prim and Kruskal: the running tree instead of a path, then the crossing-edge queue (Prim) or
+// the sorted edge list with each edge's fate (Kruskal)
+const SpanningTreePanels = ({ graph, algoType, step, decisions, components, summary, nodeById, searching, searchProgress }) => {
+  const label = (id) => nodeById.get(id)?.label;
+  const edgeName = (index) => `${label(graph.edges[index].source)}–${label(graph.edges[index].target)}`;
+  const accepted = [...decisions.values()].filter(Boolean).length;
+  const rejected = decisions.size - accepted;
+  const roots = step.roots ?? [];
+
+  // Kruskal's components with more than one node, for the sidebar
+  const groups = new Map();
+  components?.forEach((root, id) => groups.set(root, [...(groups.get(root) ?? []), id]));
+  const joined = [...groups.values()].filter(ids => ids.length > 1);
+
+  return (
+    <>
+      <div className="panel status-panel">
+        <h3>Status & Statistics</h3>
+        <div className={`status-badge ${step.status}`}>
+          {step.status.toUpperCase().replace('_', ' ')}
+        </div>
+        {searching && (
+          <p className="searching-note">Searching in the background… {searchProgress} steps so far</p>
+        )}
+        {step.status === 'complete' && step.trees > 1 && (
+          <p className="warning"><AlertTriangle size={14}/> Graph is disconnected: spanning forest of {step.trees} trees</p>
+        )}
+        {graph.directed && <p className="searching-note">Spanning trees ignore edge directions</p>}
+
+        <div className="stats-list">
+          <div className="stat-row">
+            <label>Considering Edge</label>
+            <span>{step.edge !== null && step.edge !== undefined ? `${edgeName(step.edge)} (${graph.edges[step.edge].weight})` : '-'}</span>
+          </div>
+          {algoType === 'Kruskal' && step.edge !== null && step.edge !== undefined && (
+            <div className="stat-row">
+              <label>find() of Its Ends</label>
+              <span>{label(roots[0])} / {label(roots[1])} {roots[0] === roots[1] ? '(same: cycle)' : '(different)'}</span>
+            </div>
+          )}
+
+          <hr className="sidebar-divider" />
+
+          <div className="stat-row">
+            <label>Iterations (steps)</label>
+            <span>{summary.step} / {summary.lastStep}</span>
+          </div>
+          <div className="stat-row">
+            <label>Tree Weight</label>
+            <span>{step.treeWeight ?? 0}</span>
+          </div>
+          <div className="stat-row">
+            <label>Tree Edges</label>
+            <span>{accepted} / {graph.nodes.length - (step.trees ?? 1)}</span>
+          </div>
+          <div className="stat-row">
+            <label>Rejected (would close a cycle)</label>
+            <span>{rejected}</span>
+          </div>
+        </div>
+
+        {joined.length > 0 && (
+          <>
+            <hr className="sidebar-divider" />
+            <div className="component-list">
+              {joined.slice(0, MAX_LISTED_ITEMS).map(ids => (
+                <span key={ids[0]}>{`{${ids.map(label).join(', ')}}`}</span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="panel queue-panel">
+        <h3>{algoType === 'Prim' ? 'Crossing Edges (Priority Queue)' : 'Edges by Weight'}</h3>
+        <div className="queue-list">
+          {algoType === 'Prim'
+            ? queueInPopOrder(step).slice(0, MAX_LISTED_ITEMS).map((item, i) => (
+              <div key={i} className="queue-item">
+                <strong>{label(item.from)}–{label(item.id)}</strong>
+                <span className="priority">w: {item.cost}</span>
+              </div>
+            ))
+            : (step.order ?? []).slice(0, MAX_LISTED_ITEMS).map(index => {
+              const fate = decisions.has(index) ? (decisions.get(index) ? 'accepted' : 'rejected') : index === step.edge ? 'considered' : '';
+              return (
+                <div key={index} className={`queue-item edge-item ${fate}`}>
+                  <strong>{edgeName(index)}</strong>
+                  <span className="priority">w: {graph.edges[index].weight}{fate && ` · ${fate}`}</span>
+                </div>
+              );
+            })}
+          {(algoType === 'Prim' ? step.queue.length : step.order?.length ?? 0) > MAX_LISTED_ITEMS && (
+            <div className="queue-more">+{(algoType === 'Prim' ? step.queue.length : step.order.length) - MAX_LISTED_ITEMS} more</div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SpanningTreePanels;
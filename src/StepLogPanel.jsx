@@ -0,0 +1,58 @@
+import React, { useEffect, useRef } from 'react';
+import { describeEvent, narrate } from './stepLog';
+
+// The log lists this many steps around the current one
+const MAX_LOG_STEPS = 100;
+
+// What each step of the run did, event by event. The current step is highlighted and kept in view; clicking a
+// step moves the timeline there.
+const StepLogPanel = ({ history, stepIndex, label, onSelect, narration, onNarrationChange }) => {
+  const listRef = useRef(null);
+  const first = Math.max(0, Math.min(stepIndex - MAX_LOG_STEPS / 2, history.length - MAX_LOG_STEPS));
+  const last = Math.min(history.length, first + MAX_LOG_STEPS);
+  const steps = [];
+  for (let i = first; i < last; i++) steps.push({ index: i, step: history.fieldsAt(i) });
+  const logged = steps.some(({ step }) => step.events?.length > 0);
+
+  // Scrolls the list itself, so the sidebar doesn't jump
+  useEffect(() => {
+    const list = listRef.current;
+    const active = list?.querySelector('.active');
+    if (active) list.scrollTop = active.offsetTop - list.offsetTop - list.clientHeight / 3;
+  }, [stepIndex, history]);
+
+  return (
+    <div className="panel step-log-panel">
+      <h3>Step Log</h3>
+      <label className="checkbox-wrapper">
+        <input type="checkbox" checked={narration} onChange={e => onNarrationChange(e.target.checked)} />
+        Narrate under the canvas
+      </label>
+      {!logged && <p className="queue-more">This algorithm doesn't log step events.</p>}
+      {logged && (
+        <ol className="step-log" ref={listRef}>
+          {first > 0 && <li className="queue-more">… {first} earlier steps</li>}
+          {steps.map(({ index, step }) => (
+            <li key={index} className={index === stepIndex ? 'active' : ''} onClick={() => onSelect(index)}>
+              <span className="step-log-index">{index}</span>
+              {step.events?.length > 0 ? (
+                <ul>
+                  {step.events.map((event, k) => (
+                    <li key={k} className={`log-${event.type}${event.type === 'goal-test' && event.goal ? ' log-goal' : ''}`}>
+                      {describeEvent(event, label)}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <ul><li className="log-status">{narrate(step, label) || step.status}</li></ul>
+              )}
+            </li>
+          ))}
+          {last < history.length && <li className="queue-more">… {history.length - last} later steps</li>}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+export default StepLogPanel;
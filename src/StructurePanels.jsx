@@ -0,0 +1,135 @@
+import React from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { groupFill } from './drawing';
+
+// The panels only list the head of very long lists
+const MAX_LISTED_ITEMS = 200;
+
+const QUEUE_TITLES = {
+  Components: 'BFS Queue',
+  CycleDetection: 'DFS Path (Stack)',
+  TopoDFS: 'DFS Path (Stack)',
+  TopoKahn: 'Queue (In-Degree 0)',
+  Tarjan: 'Tarjan Stack',
+  Kosaraju: 'DFS Path (Stack)',
+};
+
+const GROUP_NAMES = {
+  Components: 'Components',
+  Tarjan: 'Strongly Connected Components',
+  Kosaraju: 'Strongly Connected Components',
+};
+
+// Sidebar for the structure analyses: what was found so far (groups, a cycle, a topological order), then the
+// queue or stack the traversal is working through
+const StructurePanels = ({ graph, algoType, step, values, summary, nodeById, searching, searchProgress }) => {
+  const label = (id) => nodeById.get(id)?.label;
+  const done = step.status === 'complete';
+  const { group = new Map(), finish = new Map(), position = new Map() } = values;
+  const topological = algoType === 'TopoKahn' || algoType === 'TopoDFS';
+
+  // Members of each group in group order
+  const groups = [];
+  group.forEach((g, id) => (groups[g] ??= []).push(id));
+  // The topological order so far: Kahn's output, or the finished nodes latest first
+  const ordered = algoType === 'TopoKahn'
+    ? [...position.keys()].sort((a, b) => position.get(a) - position.get(b))
+    : [...finish.keys()].sort((a, b) => finish.get(b) - finish.get(a));
+  const edge = step.backEdge !== null && step.backEdge !== undefined ? graph.edges[step.backEdge] : null;
+
+  return (
+    <>
+      <div className="panel status-panel">
+        <h3>Status & Statistics</h3>
+        <div className={`status-badge ${step.status}`}>
+          {step.status.toUpperCase().replace('_', ' ')}
+        </div>
+        {searching && (
+          <p className="searching-note">Searching in the background… {searchProgress} steps so far</p>
+        )}
+        {edge && (
+          <p className="warning">
+            <AlertTriangle size={14}/> {topological ? 'Not a DAG: ' : ''}back edge {label(edge.source)}–{label(edge.target)} closes the cycle {step.cycle.map(label).join(' → ')} → {label(step.cycle[0])}
+          </p>
+        )}
+        {done && algoType === 'CycleDetection' && !edge && <p className="searching-note">No cycle: the graph is acyclic</p>}
+        {done && algoType === 'TopoKahn' && step.blocked.length > 0 && (
+          <p className="warning"><AlertTriangle size={14}/> Not a DAG: {step.blocked.map(label).join(', ')} never reach in-degree 0</p>
+        )}
+
+        <div className="stats-list">
+          <div className="stat-row">
+            <label>Current Node</label>
+            <span>{step.current !== null && step.current !== undefined ? label(step.current) : '-'}</span>
+          </div>
+          {algoType === 'Kosaraju' && (
+            <div className="stat-row">
+              <label>Pass</label>
+              <span>{step.pass === 2 ? '2 (reversed edges)' : '1 (finish order)'}</span>
+            </div>
+          )}
+
+          <hr className="sidebar-divider" />
+
+          <div className="stat-row">
+            <label>Iterations (steps)</label>
+            <span>{summary.step} / {summary.lastStep}</span>
+          </div>
+          <div className="stat-row">
+            <label>Nodes Reached</label>
+            <span>{step.visited.size} / {graph.nodes.length}</span>
+          </div>
+          {GROUP_NAMES[algoType] && (
+            <div className="stat-row">
+              <label>{GROUP_NAMES[algoType]}</label>
+              <span>{groups.length}</span>
+            </div>
+          )}
+        </div>
+
+        {groups.length > 0 && (
+          <>
+            <hr className="sidebar-divider" />
+            <div className="component-list">
+              {groups.slice(0, MAX_LISTED_ITEMS).map((ids, g) => (
+                <span key={g}>
+                  <span className="group-swatch" style={{ backgroundColor: groupFill(g) }}></span>
+                  {`{${ids.map(label).join(', ')}}`}
+                </span>
+              ))}
+            </div>
+          </>
+        )}
+
+        {topological && (
+          <>
+            <hr className="sidebar-divider" />
+            <div className="stat-row">
+              <label>Topological Order{done ? '' : ' (so far)'}</label>
+            </div>
+            <div className="component-list">
+              {done && !step.order ? 'none (not a DAG)' : (algoType === 'TopoDFS' && !done ? 'finished nodes, latest first: ' : '') +
+                (ordered.slice(0, MAX_LISTED_ITEMS).map(label).join(', ') || '-')}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="panel queue-panel">
+        <h3>{QUEUE_TITLES[algoType]}</h3>
+        <div className="queue-list">
+          {step.queue.slice(0, MAX_LISTED_ITEMS).map((item, i) => (
+            <div key={i} className="queue-item">
+              <strong>{label(item.id)}</strong>
+            </div>
+          ))}
+          {step.queue.length > MAX_LISTED_ITEMS && (
+            <div className="queue-more">+{step.queue.length - MAX_LISTED_ITEMS} more</div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default StructurePanels;
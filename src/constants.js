@@ -0,0 +1,3 @@
+// Shared by the canvas and anything that has to lay graphs out on it
+export const CANVAS_SIZE = 600;
+export const NODE_RADIUS = 20;
@@ -0,0 +1,14 @@
+// --- CSV ---
+// Quoting per RFC 4180: fields holding commas, quotes or line breaks are quoted, quotes doubled
+
+export const csvField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// A header line of `columns`, then one line per row object
+export const toCSV = (columns, rows) => [
+  columns.join(','),
+  ...rows.map(row => columns.map(column => csvField(row[column])).join(',')),
+].join('\n') + '\n';
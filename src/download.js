@@ -0,0 +1,15 @@
+// Triggers a browser download for generated content (exports, logs, ...)
+export const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadText = (filename, text, type = 'text/plain') => {
+  downloadBlob(filename, new Blob([text], { type: `${type};charset=utf-8` }));
+};
@@ -0,0 +1,48 @@
+import { NODE_RADIUS } from './constants.js';
+import { distance } from './engine.js';
+
+// --- Edge Drawing ---
+// Shared by the main canvas and the compare canvases
+const ANTIPARALLEL_OFFSET = 18;
+
+// Above this many nodes the canvas switches to small unlabeled dots
+export const DENSE_GRAPH_NODES = 150;
+export const DENSE_NODE_RADIUS = 5;
+
+// SVG path for an edge. Antiparallel pairs bow out to opposite sides and arrows stop at the node rim.
+export const edgeGeometry = (u, v, { directed, curved, radius = NODE_RADIUS }) => {
+  const len = distance(u, v) || 1;
+  // Unit normal to the right of u -> v, so the reverse edge bows the other way
+  const nx = -(v.y - u.y) / len;
+  const ny = (v.x - u.x) / len;
+  const offset = curved ? ANTIPARALLEL_OFFSET : 0;
+  const cx = (u.x + v.x) / 2 + nx * offset * 2;
+  const cy = (u.y + v.y) / 2 + ny * offset * 2;
+
+  let ex = v.x;
+  let ey = v.y;
+  if (directed) {
+    const tl = Math.hypot(v.x - cx, v.y - cy) || 1;
+    ex = v.x - ((v.x - cx) / tl) * radius;
+    ey = v.y - ((v.y - cy) / tl) * radius;
+  }
+
+  return {
+    d: curved ? `M ${u.x} ${u.y} Q ${cx} ${cy} ${ex} ${ey}` : `M ${u.x} ${u.y} L ${ex} ${ey}`,
+    labelX: (u.x + v.x) / 2 + nx * offset,
+    labelY: (u.y + v.y) / 2 + ny * offset
+  };
+};
+
+export const ARROW_MARKERS = [
+  { id: 'arrow', className: 'arrow' },
+  { id: 'arrow-trace', className: 'arrow trace' },
+  { id: 'arrow-path', className: 'arrow path' },
+  { id: 'arrow-cycle', className: 'arrow cycle' },
+  { id: 'arrow-flow', className: 'arrow flow' },
+  { id: 'arrow-residual', className: 'arrow residual' },
+  { id: 'arrow-inconsistent', className: 'arrow inconsistent' },
+];
+
+// Distinct fills for numbered groups (e.g. Kruskal's components), spread around the colour wheel by the golden angle
+export const groupFill = (index) => `hsl(${Math.round((index * 137.508) % 360)}, 65%, 55%)`;
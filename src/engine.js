@@ -0,0 +1,1773 @@
+import { CANVAS_SIZE } from './constants.js';
+import { createRng, randomSeed, shuffled } from './random.js';
+import { indexToLabel } from './labels.js';
+import { GRID_HEURISTICS } from './grid.js';
+import { BinaryHeap } from './heap.js';
+import { UnionFind } from './unionFind.js';
+import { SearchHistory, trackedObject, trackedSet } from './history.js';
+
+// --- Search Engine ---
+// Everything the visualizer computes, without any React or DOM, so it can be scripted and tested in Node.
+// Graphs use the same { nodes, edges, start, end, goals?, waypoints?, directed? } shape as graphIO: `goals` lists
+// goals besides `end` (a search stops at whichever it reaches first) and `waypoints` the nodes a route must
+// pass through, in order, on its way there.
+//
+//   runSearch(graph, algorithm, options)  -> SearchHistory (see history.js), one snapshot per step
+//   new GraphSearch(nodes, edges, startId, endId, algorithm, options).history  -> the same for one leg, lower
+//     level; endId may be an array of goal ids
+//   reconstructPath(parents, startId, endId)  -> [startId, ..., endId], or [] if the goal was not reached
+//   snapshotPath(snapshot, startId, endId)  -> the same for a finished snapshot, bidirectional and routed ones included
+//   getGroundTruth(nodes, edges, startId, endId, directed)  -> { trueMinEdges, trueMinCost }
+//   groundTruthFor(graph)  -> the same for the whole route, waypoints and every goal included
+//   graphGoals(graph)  -> [end, ...goals]
+//   heuristicValue(node, goal, options)  -> the h an informed search uses for node
+//   generateRandomGraph({ numNodes, topology, weightScheme, minWeight, maxWeight, seed })  -> graph
+//
+// Search options: { checkDuplicates, heuristicType (see HEURISTICS, or a grid heuristic id), heuristicScale, directed,
+//   maxIterations (defaults to the node count, at least MAX_ITERATIONS), recordSteps (false keeps only the final
+//   snapshot), onProgress(snapshotCount), depthLimit, weight, beamWidth (see ALGORITHM_PARAMS), neighborOrder,
+//   neighborSeed, tieBreak, goalTest (see SEARCH_POLICIES) }
+// A snapshot is { queue, visited, parents, current, status, event, events, ...extra }, where `event` names the
+// pseudocode line it stops at (see pseudocode.js), `events` lists what the step then did (see GraphSearch.emit)
+// and status is one of
+// 'exploring', 'found', 'failed', 'limit_reached', 'cutoff' (a depth limit stopped DLS short), 'negative_cycle' or
+// 'complete' (algorithms without a goal, like the spanning trees and the structure analyses, ran to the end).
+// Bidirectional searches add a second tree (parentsEnd, visitedEnd) grown from the goal and the meeting node
+// (meet). The frontier searches and the depth-first passes also record their search tree, one entry per frontier
+// item however often a node is pushed (tree, treeSize, treeNode; see searchTree.js), and tag each queue item with
+// the index of its entry (`node`). Neighbours are expanded in alphabetical label order unless the neighborOrder policy says otherwise;
+// every order, the seeded random one included, keeps runs deterministic.
+
+// --- Constants & Utilities ---
+export const MAX_ITERATIONS = 1000; // Safety brake for infinite loops (raised to the node count on bigger graphs)
+
+export const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Edges follow the graph-wide `directed` flag unless they set their own
+export const isDirectedEdge = (edge, graphDirected = false) => edge.directed ?? graphDirected;
+
+// The edge that lets you travel from -> to (an undirected edge works both ways)
+export const findTraversableEdge = (edges, from, to, graphDirected = false) => edges.find(e =>
+  (e.source === from && e.target === to) ||
+  (!isDirectedEdge(e, graphDirected) && e.source === to && e.target === from)
+);
+
+// Max flow: how much more can go from -> to over `edge`, which carries `flow` (signed, positive from source to
+// target). Pushing against the flow cancels it; an undirected edge can also fill up the other way.
+export const residualCapacity = (edge, flow, from, graphDirected = false) => {
+  const capacity = Math.max(0, edge.weight);
+  if (from === edge.source) return capacity - flow;
+  return isDirectedEdge(edge, graphDirected) ? flow : capacity + flow;
+};
+
+// --- Algorithms ---
+// `informed` searches use the heuristic; `params` are the extra search options they read. Every algorithm is a
+// start-to-goal search unless its `kind` says otherwise: 'mst' (spanning trees) and 'structure' (components,
+// cycles, topological order, SCCs) look at the whole graph and ignore start and goal; 'flow' pushes as much as
+// it can from start (the source) to goal (the sink), reading edge weights as capacities.
+export const ALGORITHMS = [
+  { id: 'BFS', label: 'BFS' },
+  { id: 'DFS', label: 'DFS' },
+  { id: 'DLS', label: 'Depth-Limited DFS', params: ['depthLimit'] },
+  { id: 'IDDFS', label: 'Iterative Deepening DFS' },
+  { id: 'UCS', label: 'Uniform-Cost Search' },
+  { id: 'Dijkstra', label: 'Dijkstra' },
+  { id: 'Greedy', label: 'Greedy Best-First', informed: true },
+  { id: 'AStar', label: 'A* Search', informed: true },
+  { id: 'WeightedAStar', label: 'Weighted A*', informed: true, params: ['weight'] },
+  { id: 'IDAStar', label: 'IDA*', informed: true },
+  { id: 'Beam', label: 'Beam Search', informed: true, params: ['beamWidth'] },
+  { id: 'BellmanFord', label: 'Bellman-Ford' },
+  { id: 'BiBFS', label: 'Bidirectional BFS' },
+  { id: 'BiDijkstra', label: 'Bidirectional Dijkstra' },
+  { id: 'Prim', label: "Prim's MST", kind: 'mst' },
+  { id: 'Kruskal', label: "Kruskal's MST", kind: 'mst' },
+  { id: 'Components', label: 'Connected Components', kind: 'structure' },
+  { id: 'CycleDetection', label: 'Cycle Detection', kind: 'structure' },
+  { id: 'TopoKahn', label: "Topological Sort (Kahn's)", kind: 'structure' },
+  { id: 'TopoDFS', label: 'Topological Sort (DFS)', kind: 'structure' },
+  { id: 'Tarjan', label: "Tarjan's SCC", kind: 'structure' },
+  { id: 'Kosaraju', label: "Kosaraju's SCC", kind: 'structure' },
+  { id: 'EdmondsKarp', label: 'Edmonds-Karp Max Flow', kind: 'flow' },
+];
+
+// Defaults for the algorithm parameters, with the range the UI allows
+export const ALGORITHM_PARAMS = {
+  depthLimit: { label: 'Depth Limit', default: 3, min: 0, max: 50, step: 1 },
+  weight: { label: 'Weight w', default: 2, min: 1, max: 10, step: 0.5 },
+  beamWidth: { label: 'Beam Width', default: 2, min: 1, max: 20, step: 1 },
+};
+
+const param = (options, name) => options[name] ?? ALGORITHM_PARAMS[name].default;
+
+// Heuristics for the informed searches. 'preset' reads each node's own h and falls back to Euclidean for nodes
+// without one; 'scaled' multiplies Euclidean by `heuristicScale`, which overestimates once it goes above 1.
+export const HEURISTICS = [
+  { id: 'euclidean', label: 'Euclidean' },
+  { id: 'manhattan', label: 'Manhattan' },
+  { id: 'scaled', label: 'Scaled Euclidean' },
+  { id: 'zero', label: 'Zero (h = 0)' },
+  { id: 'preset', label: 'Per-Node h' },
+];
+
+export const HEURISTIC_SCALE = { label: 'Scale k', default: 2, min: 0, max: 10, step: 0.5 };
+
+// h(node) towards `goal` under the search options' heuristicType and heuristicScale
+export const heuristicValue = (node, goal, { heuristicType, heuristicScale = HEURISTIC_SCALE.default } = {}) => {
+  if (heuristicType === 'preset' && node.h !== undefined) return node.h;
+  if (heuristicType === 'zero') return 0; // Dijkstra is A* with h=0
+
+  // Grid nodes measure in cells, the same unit as their terrain costs. Rounding down keeps h under the exact cost.
+  const gridHeuristic = GRID_HEURISTICS[heuristicType];
+  if (gridHeuristic && node.row !== undefined) {
+    return Math.floor(gridHeuristic.fn(Math.abs(node.col - goal.col), Math.abs(node.row - goal.row)) * 100) / 100;
+  }
+
+  if (heuristicType === 'manhattan') return Math.floor(Math.abs(node.x - goal.x) + Math.abs(node.y - goal.y));
+  if (heuristicType === 'scaled') return Math.floor(heuristicScale * distance(node, goal));
+  // Default: Euclidean (Admissible & Consistent)
+  return Math.floor(distance(node, goal));
+};
+
+// With several goals the nearest one counts, which keeps an admissible h admissible
+export const heuristicToGoals = (node, goals, options) => Math.min(...goals.map(goal => heuristicValue(node, goal, options)));
+
+// Every goal of a graph, the primary `end` first
+export const graphGoals = (graph) => [...new Set([graph.end, ...(graph.goals ?? [])])];
+
+// Searches that keep their frontier in a priority queue and test for the goal when they pop it
+const PRIORITY_SEARCHES = ['UCS', 'Dijkstra', 'Greedy', 'AStar', 'WeightedAStar'];
+
+// The depth-first passes under a limit, which also test for the goal when they pop a node
+const DEPTH_BOUNDED = ['DLS', 'IDDFS', 'IDAStar'];
+
+// The choices the algorithms themselves leave open, which textbooks and courses settle differently: the order
+// neighbours are generated in, which of several equal priorities pops first, and whether the goal test happens
+// when a node is generated (pushed) or expanded (popped). 'default' keeps each algorithm's usual goal test.
+export const SEARCH_POLICIES = {
+  neighborOrder: {
+    label: 'Neighbour Order',
+    default: 'alphabetical',
+    options: [
+      { id: 'alphabetical', label: 'Alphabetical' },
+      { id: 'reverse', label: 'Reverse alphabetical' },
+      { id: 'insertion', label: 'Edge insertion' },
+      { id: 'random', label: 'Seeded random' },
+    ],
+  },
+  tieBreak: {
+    label: 'Priority Ties',
+    default: 'fifo',
+    options: [
+      { id: 'fifo', label: 'FIFO (oldest first)' },
+      { id: 'lifo', label: 'LIFO (newest first)' },
+      { id: 'lowH', label: 'Lower h first' },
+      { id: 'highG', label: 'Higher g first' },
+    ],
+  },
+  goalTest: {
+    label: 'Goal Test',
+    default: 'default',
+    options: [
+      { id: 'default', label: 'Algorithm default' },
+      { id: 'generation', label: 'On generation' },
+      { id: 'expansion', label: 'On expansion' },
+    ],
+  },
+};
+
+// The seed the 'random' neighbour order uses unless the options give a neighborSeed
+export const NEIGHBOR_SEED = 1;
+
+// The policies that change what `algorithm` does (Kruskal sorts edges, so it has no neighbour order)
+export const policiesFor = (algorithm) => [
+  algorithm !== 'Kruskal' && 'neighborOrder',
+  PRIORITY_SEARCHES.includes(algorithm) && 'tieBreak',
+  ['BFS', 'DFS', ...DEPTH_BOUNDED, ...PRIORITY_SEARCHES].includes(algorithm) && 'goalTest',
+].filter(Boolean);
+
+// Where a search tests for the goal: when it pops a node, or as soon as it pushes it. The priority searches and
+// the depth-first passes test on pop, BFS and DFS on push, unless the goalTest policy says otherwise.
+export const goalTestTiming = (algorithm, { goalTest } = {}) => {
+  if (goalTest === 'generation') return 'push';
+  if (goalTest === 'expansion') return 'pop';
+  return PRIORITY_SEARCHES.includes(algorithm) || DEPTH_BOUNDED.includes(algorithm) ? 'pop' : 'push';
+};
+
+// The policies a run used, in words: "Neighbour Order: Alphabetical · Goal Test: On generation"
+export const describePolicies = (algorithm, options = {}) => policiesFor(algorithm).map(name => {
+  const policy = SEARCH_POLICIES[name];
+  if (name === 'goalTest') return `${policy.label}: ${goalTestTiming(algorithm, options) === 'push' ? 'On generation' : 'On expansion'}`;
+  const choice = policy.options.find(o => o.id === options[name]) ?? policy.options.find(o => o.id === policy.default);
+  const seed = choice.id === 'random' ? ` (seed ${options.neighborSeed ?? NEIGHBOR_SEED})` : '';
+  return `${policy.label}: ${choice.label}${seed}`;
+}).join(' · ');
+
+// The pseudocode line (see pseudocode.js) a snapshot stops at, unless the snapshot names its own `event`
+const STATUS_EVENTS = {
+  exploring: 'pop',
+  found: 'goal',
+  failed: 'fail',
+  limit_reached: 'limit',
+  cutoff: 'cutoff',
+  negative_cycle: 'negative-cycle',
+  complete: 'done',
+};
+
+// How often a long run reports progress (in snapshots)
+const PROGRESS_INTERVAL = 500;
+
+const labelCollator = new Intl.Collator();
+
+// Sorts every neighbour list ({ to, ... }) in place by the neighborOrder policy. 'insertion' keeps the order the
+// edges were added in; 'random' shuffles each list from one seeded rng, so a seed always gives the same run.
+const orderNeighbors = (lists, label, { neighborOrder, neighborSeed = NEIGHBOR_SEED }) => {
+  if (neighborOrder === 'insertion') return;
+  const sign = neighborOrder === 'reverse' ? -1 : 1;
+  const rng = neighborOrder === 'random' ? createRng(neighborSeed) : null;
+  lists.forEach(list => {
+    list.sort((a, b) => sign * labelCollator.compare(label(a.to), label(b.to)));
+    if (rng) list.splice(0, list.length, ...shuffled(list, rng));
+  });
+};
+
+// Heap tie-breaks for the tieBreak policy (see BinaryHeap): `seq` counts pushes, `value` is the frontier item
+const TIE_BREAKS = {
+  fifo: (a, b) => a.seq - b.seq,
+  lifo: (a, b) => b.seq - a.seq,
+  lowH: (a, b) => a.value.h - b.value.h || a.seq - b.seq,
+  highG: (a, b) => b.value.cost - a.value.cost || a.seq - b.seq,
+};
+
+// The queue the way the panels show it, front first. Heap-backed frontiers are snapshotted in push order, which
+// keeps the history's changes small, and carry their tie-break as `queueOrder`; they are sorted here, on display.
+export const queueInPopOrder = (step) => {
+  const tieBreak = TIE_BREAKS[step.queueOrder];
+  if (!tieBreak) return step.queue;
+  const sideRank = (item) => (item.side === 'end' ? 1 : 0);
+  return step.queue
+    .map((value, seq) => ({ value, seq }))
+    .sort((a, b) => sideRank(a.value) - sideRank(b.value) || a.value.priority - b.value.priority || tieBreak(a, b))
+    .map(entry => entry.value);
+};
+
+// FIFO for BFS, LIFO for DFS and a binary heap for the priority searches, which break ties by `tieBreak`.
+// `items()` lists the frontier in display order (the stack bottom to top), except the heap's, which is in push
+// order for queueInPopOrder to sort.
+const createFrontier = (type, tieBreak) => {
+  if (type === 'DFS') {
+    const stack = [];
+    return {
+      push: (item) => stack.push(item),
+      pop: () => stack.pop(),
+      peek: () => stack[stack.length - 1],
+      get size() { return stack.length; },
+      items: () => stack.slice(),
+    };
+  }
+  if (PRIORITY_SEARCHES.includes(type)) {
+    const heap = new BinaryHeap(TIE_BREAKS[tieBreak] ?? TIE_BREAKS.fifo);
+    return {
+      push: (item) => heap.push(item, item.priority),
+      pop: () => heap.pop(),
+      peek: () => heap.peek(),
+      get size() { return heap.size; },
+      items: () => heap.inPushOrder(),
+    };
+  }
+  // Popping moves a head index instead of shifting, so BFS stays linear
+  const queue = [];
+  let head = 0;
+  return {
+    push: (item) => queue.push(item),
+    pop: () => {
+      const item = queue[head++];
+      if (head > 1024 && head * 2 > queue.length) {
+        queue.splice(0, head);
+        head = 0;
+      }
+      return item;
+    },
+    peek: () => queue[head],
+    get size() { return queue.length - head; },
+    items: () => queue.slice(head),
+  };
+};
+
+export class GraphSearch {
+  constructor(nodes, edges, startId, endId, type, options = {}) {
+    this.nodes = nodes;
+    this.edges = edges;
+    this.startId = startId;
+    this.goalIds = [].concat(endId); // Any of these ends the search
+    this.endId = this.goalIds[0]; // The primary goal, which is the sink for max flow
+    this.type = type; // One of the ALGORITHMS ids
+    // { checkDuplicates: bool, heuristicType: 'euclidean' | 'preset' | ..., heuristicScale, directed: bool,
+    //   maxIterations: number, recordSteps: bool, onProgress: (snapshotCount) => void,
+    //   depthLimit, weight, beamWidth: see ALGORITHM_PARAMS; neighborOrder, neighborSeed, tieBreak, goalTest:
+    //   see SEARCH_POLICIES }
+    this.options = options;
+    this.maxIterations = options.maxIterations ?? Math.max(MAX_ITERATIONS, nodes.length);
+    this.nodeById = new Map(nodes.map(n => [n.id, n]));
+    this.goals = this.goalIds.map(id => this.nodeById.get(id));
+    this.adj = this.buildAdjacency();
+    this.reverseAdj = this.buildAdjacency(true); // Incoming edges, for searching backwards from the goal
+    
+    this.history = new SearchHistory(); // One snapshot per step, stored as changes (see history.js)
+    this.stepEvents = [];
+    this.queueOrder = undefined; // Set by the searches whose queue is a heap (see queueInPopOrder)
+    this.run();
+  }
+
+  // Neighbour lists are ordered once here (alphabetically by default), which is the tie-breaking every search
+  // relies on
+  buildAdjacency(reverse = false) {
+    const adj = {};
+    this.nodes.forEach(n => adj[n.id] = []);
+    this.edges.forEach(e => {
+      const directed = isDirectedEdge(e, this.options.directed);
+      if (!directed || !reverse) adj[e.source].push({ to: e.target, weight: e.weight });
+      if (!directed || reverse) adj[e.target].push({ to: e.source, weight: e.weight });
+    });
+    orderNeighbors(Object.values(adj), (id) => this.nodeById.get(id).label, this.options);
+    return adj;
+  }
+
+  isGoal(nodeId) {
+    return this.goalIds.includes(nodeId);
+  }
+
+  getHeuristic(nodeId) {
+    return heuristicToGoals(this.nodeById.get(nodeId), this.goals, this.options);
+  }
+
+  // `queue` is a plain array in display order; its items are never mutated after being pushed, so they are shared.
+  // The history only records what changed since the last snapshot, so the structures can be passed live.
+  snapshot(queue, visited, parents, current, status = "exploring", extra = {}) {
+    // What the search does from here until the next snapshot is emitted into this step's `events`
+    this.stepEvents = status === 'limit_reached' ? [{ type: 'limit', reason: 'iterations', limit: this.maxIterations }] : [];
+    // Runs that only need the outcome (like the ground truth) skip the intermediate steps
+    if (this.options.recordSteps === false && status === 'exploring') return;
+
+    this.history.push({
+      queue,
+      visited,
+      parents,
+      current,
+      status, // 'exploring', 'found', 'failed', 'limit_reached', 'cutoff', 'negative_cycle', 'complete'
+      event: STATUS_EVENTS[status], // the pseudocode line, e.g. 'pop', 'skip', 'goal', 'relax'
+      events: this.stepEvents, // what happened during the step (see emit)
+      ...(this.queueOrder && { queueOrder: this.queueOrder }),
+      ...extra // algorithm specific fields (including a more precise `event`), e.g. Bellman-Ford's pass and distances
+    });
+    if (this.options.onProgress && this.history.length % PROGRESS_INTERVAL === 0) {
+      this.options.onProgress(this.history.length);
+    }
+  }
+
+  // Step events, appended to the latest snapshot's `events` (the searches that log them are noted on each):
+  //   { type: 'pop', id, g, h?, f?, side? }         the node taken off the frontier (h and f for informed searches,
+  //                                                 `side` for the bidirectional ones)
+  //   { type: 'goal-test', id, goal }               whether a popped (or, for BFS and DFS, generated) node is the goal
+  //   { type: 'skip', id, reason }                  'visited', 'frontier' (already queued), 'expanded' (already
+  //                                                 expanded this pass at no greater depth or g), 'path' (on the
+  //                                                 current path) or 'pruned' (left out of the next beam)
+  //   { type: 'push', id, parent, g, h?, f?, side?, replaced? }  queued, with the cost of the entry it replaces
+  //                                                 (UCS, bidirectional Dijkstra)
+  //   { type: 'parent', id, parent, previous }      a node's parent link moved to a new node
+  //   { type: 'relax', id, parent, g, previous }    Bellman-Ford lowered a distance from `previous` over the edge
+  //                                                 parent -> id; a pass logs these on its own snapshot, which
+  //                                                 shows the pass already done
+  //   { type: 'limit', reason, ... }                'iterations' ({ limit }) stopped the run, or 'depth' / 'f'
+  //                                                 ({ id, value, limit }) kept a node off the stack
+  emit(type, fields) {
+    this.stepEvents.push({ type, ...fields });
+  }
+
+  run() {
+    if (this.type === 'BiBFS') {
+      this.runBiBFS();
+      return;
+    }
+    if (this.type === 'BiDijkstra') {
+      this.runBiDijkstra();
+      return;
+    }
+    if (this.type === 'BellmanFord') {
+      this.runBellmanFord();
+      return;
+    }
+    if (this.type === 'DLS' || this.type === 'IDDFS' || this.type === 'IDAStar') {
+      this.runIterativeDeepening();
+      return;
+    }
+    if (this.type === 'Beam') {
+      this.runBeam();
+      return;
+    }
+    if (this.type === 'Prim' || this.type === 'Kruskal') {
+      if (this.type === 'Prim') this.runPrim();
+      else this.runKruskal();
+      return;
+    }
+    const structure = {
+      Components: () => this.runComponents(),
+      CycleDetection: () => this.runDepthFirstOrder(),
+      TopoDFS: () => this.runDepthFirstOrder(),
+      TopoKahn: () => this.runKahn(),
+      Tarjan: () => this.runTarjan(),
+      Kosaraju: () => this.runKosaraju(),
+    }[this.type];
+    if (structure) {
+      structure();
+      return;
+    }
+    if (this.type === 'EdmondsKarp') {
+      this.runEdmondsKarp();
+      return;
+    }
+  
+    const frontier = createFrontier(this.type, this.options.tieBreak);
+    if (PRIORITY_SEARCHES.includes(this.type)) this.queueOrder = TIE_BREAKS[this.options.tieBreak] ? this.options.tieBreak : 'fifo';
+    const testOnPop = goalTestTiming(this.type, this.options) === 'pop';
+    const frontierCount = new Map(); // id -> copies on the frontier, for O(1) "already queued?" checks
+    const push = (item) => {
+      frontier.push(item);
+      frontierCount.set(item.id, (frontierCount.get(item.id) ?? 0) + 1);
+    };
+    const pop = () => {
+      const item = frontier.pop();
+      frontierCount.set(item.id, frontierCount.get(item.id) - 1);
+      return item;
+    };
+
+    const informed = ALGORITHMS.find(a => a.id === this.type)?.informed;
+    const weight = param(this.options, 'weight');
+    const priorityOf = (cost, h) => {
+      if (this.type === 'Greedy') return h;
+      if (this.type === 'AStar') return cost + h;
+      if (this.type === 'WeightedAStar') return cost + weight * h;
+      return cost;
+    };
+
+    // UCS replaces a frontier entry when it finds a cheaper way to it. The old entry stays in the heap but is
+    // left out of the snapshots, and skipped once its node has been expanded.
+    const replaces = this.type === 'UCS' && this.options.checkDuplicates;
+    const queuedCost = new Map();
+    const queuedNode = new Map(); // id -> the search tree entry of its latest frontier item
+
+    // The search tree, appended to as items are pushed; `node` on an item is the index of its entry
+    const tree = [];
+    const addToTree = (item, parent, replaced) => {
+      item.node = tree.length;
+      tree.push({ id: item.id, parent, depth: item.pathLength, g: item.cost, ...(replaced !== undefined && { replaces: replaced }) });
+      queuedNode.set(item.id, item.node);
+    };
+    const treeAt = (node = null) => ({ tree, treeSize: tree.length, treeNode: node });
+    const frontierItems = () => (replaces ? frontier.items().filter(item => item.cost === queuedCost.get(item.id)) : frontier.items());
+
+    // g, plus h and f for the informed searches, as the step events report them
+    const values = (item) => (informed ? { g: item.cost, h: item.h, f: item.priority } : { g: item.cost });
+
+    const startH = informed ? this.getHeuristic(this.startId) : 0;
+    const root = { id: this.startId, cost: 0, priority: priorityOf(0, startH), h: startH, pathLength: 0 };
+    addToTree(root, null);
+    push(root);
+    queuedCost.set(this.startId, 0);
+    const visited = trackedSet();
+    const parents = trackedObject();
+    let iterations = 0;
+  
+    if (this.isGoal(this.startId)) {
+      this.snapshot(frontierItems(), visited, parents, this.startId, 'found', { event: 'start-goal', ...treeAt(root.node) });
+      return;
+    }
+  
+    while (frontier.size > 0) {
+      iterations++;
+      
+      if (iterations > this.maxIterations) {
+        this.snapshot(frontierItems(), visited, parents, null, 'limit_reached', treeAt());
+        return;
+      }
+  
+      // Identify the head for the snapshot (top of the stack for DFS, front of the queue otherwise)
+      const head = frontier.peek();
+      const skipped = this.options.checkDuplicates && visited.has(head.id);
+      this.snapshot(frontierItems(), visited, parents, head.id, 'exploring', { event: skipped ? 'skip' : 'pop', ...treeAt(head.node) });
+  
+      // --- THE CORE FIX ---
+      let current = pop();
+      this.emit('pop', { id: current.id, ...values(current) });
+  
+      if (this.options.checkDuplicates && visited.has(current.id)) {
+        this.emit('skip', { id: current.id, reason: 'visited' });
+        continue;
+      }
+      
+      visited.add(current.id);
+  
+      // Priority searches check for the goal when they pop it (any search does under the 'expansion' goal test)
+      if (testOnPop) {
+        this.emit('goal-test', { id: current.id, goal: this.isGoal(current.id) });
+        if (this.isGoal(current.id)) {
+          this.snapshot(frontierItems(), visited, parents, current.id, 'found', treeAt(current.node));
+          return;
+        }
+      }
+  
+      // Already in neighbour order; reversed for DFS so the first neighbour ends up on top of the stack
+      const neighbors = this.type === 'DFS' ? [...this.adj[current.id]].reverse() : this.adj[current.id];
+  
+      for (let edge of neighbors) {
+        const neighborId = edge.to;
+        const newCost = current.cost + edge.weight;
+        const newPathLength = (current.pathLength || 0) + 1;
+  
+        const inFrontier = frontierCount.get(neighborId) > 0;
+        const cheaper = replaces && inFrontier && newCost < queuedCost.get(neighborId);
+        const shouldSkip = this.options.checkDuplicates && (visited.has(neighborId) || (inFrontier && !cheaper));
+  
+        if (shouldSkip) {
+          this.emit('skip', { id: neighborId, reason: visited.has(neighborId) ? 'visited' : 'frontier' });
+        } else {
+          const previous = parents[neighborId];
+          parents[neighborId] = current.id;
+          if (previous !== undefined && previous !== current.id) {
+            this.emit('parent', { id: neighborId, parent: current.id, previous });
+          }
+  
+          const hValue = informed ? this.getHeuristic(neighborId) : 0;
+          const item = { 
+            id: neighborId, 
+            cost: newCost, 
+            priority: priorityOf(newCost, hValue), 
+            h: hValue, 
+            pathLength: newPathLength 
+          };
+          addToTree(item, current.node, cheaper ? queuedNode.get(neighborId) : undefined);
+
+          // BFS and DFS check for the goal as they generate it (any search does under the 'generation' goal test)
+          if (!testOnPop) {
+            this.emit('goal-test', { id: neighborId, goal: this.isGoal(neighborId) });
+            if (this.isGoal(neighborId)) {
+              push(item);
+              this.emit('push', { id: neighborId, parent: current.id, ...values(item) });
+              this.snapshot(frontierItems(), visited, parents, neighborId, 'found', treeAt(item.node));
+              return;
+            }
+          }
+
+          this.emit('push', { id: neighborId, parent: current.id, ...values(item), ...(cheaper && { replaced: queuedCost.get(neighborId) }) });
+          queuedCost.set(neighborId, newCost);
+          push(item);
+        }
+      }
+    }
+    this.snapshot(frontierItems(), visited, parents, null, 'failed', treeAt());
+  }
+  // DLS, IDDFS and IDA* are all depth-first passes under a limit: depth for the first two, f = g + h for IDA*.
+  // DLS makes a single pass; IDDFS raises the limit by one per pass and IDA* to the smallest f that was cut off.
+  // Snapshots carry { iteration, limit, nextLimit } so playback shows which pass is running.
+  runIterativeDeepening() {
+    const byF = this.type === 'IDAStar';
+    const measure = (item) => (byF ? item.priority : item.depth);
+    let limit = this.type === 'DLS' ? param(this.options, 'depthLimit') : 0;
+    if (byF) limit = this.getHeuristic(this.startId);
+    const counter = { iterations: 0 };
+
+    for (let iteration = 1; ; iteration++) {
+      const result = this.boundedDepthFirst(measure, limit, iteration, counter);
+      if (result.done) return;
+      // Nothing went past the limit, so raising it can't reach anything new
+      if (this.type === 'DLS' || result.nextLimit === Infinity) {
+        this.snapshot([], result.visited, result.parents, null, result.nextLimit === Infinity ? 'failed' : 'cutoff',
+          { iteration, limit, nextLimit: result.nextLimit, tree: result.tree, treeSize: result.tree.length, treeNode: null });
+        return;
+      }
+      limit = byF ? result.nextLimit : limit + 1;
+    }
+  }
+
+  // One depth-first pass that never pushes a node whose measure exceeds `limit`. Nodes already on the current
+  // path are never pushed again; with checkDuplicates a node is also skipped when this pass has already
+  // expanded it at the same or a smaller depth (or g, for IDA*), which keeps the pass a graph search.
+  // Each pass grows a search tree of its own. Returns { done } when it snapshotted the final outcome, otherwise
+  // what the next pass needs.
+  boundedDepthFirst(measure, limit, iteration, counter) {
+    const byF = this.type === 'IDAStar';
+    const stack = [];
+    const visited = trackedSet();
+    const parents = trackedObject();
+    const best = new Map(); // id -> depth (or g) it was expanded at in this pass
+    const path = []; // Ids from the start to the node being expanded
+    let nextLimit = Infinity;
+    const tree = [];
+    const extra = (node = null) => ({ iteration, limit, nextLimit, tree, treeSize: tree.length, treeNode: node });
+
+    const makeItem = (id, parent, depth, cost) => {
+      const h = byF ? this.getHeuristic(id) : 0;
+      return { id, parent, depth, pathLength: depth, cost, h, priority: cost + h };
+    };
+    // Only items that make it onto the stack join the tree; `node` is the index of their entry
+    const addToTree = (item, parentNode) => {
+      item.node = tree.length;
+      tree.push({ id: item.id, parent: parentNode, depth: item.depth, g: item.cost });
+      return item;
+    };
+    const values = (item) => (byF ? { g: item.cost, h: item.h, f: item.priority } : { g: item.cost });
+    const testOnPop = goalTestTiming(this.type, this.options) === 'pop';
+    stack.push(addToTree(makeItem(this.startId, undefined, 0, 0), null));
+
+    while (stack.length > 0) {
+      if (++counter.iterations > this.maxIterations) {
+        this.snapshot(stack, visited, parents, null, 'limit_reached', extra());
+        return { done: true };
+      }
+      const top = stack[stack.length - 1];
+      const skipped = this.options.checkDuplicates && best.get(top.id) <= (byF ? top.cost : top.depth);
+      this.snapshot(stack, visited, parents, top.id, 'exploring', { ...extra(top.node), event: skipped ? 'skip' : 'pop' });
+
+      const current = stack.pop();
+      this.emit('pop', { id: current.id, ...values(current) });
+      const key = byF ? current.cost : current.depth;
+      if (this.options.checkDuplicates && best.get(current.id) <= key) {
+        this.emit('skip', { id: current.id, reason: 'expanded' });
+        continue;
+      }
+      best.set(current.id, key);
+
+      // Everything deeper than this node on the old path has been fully explored
+      path.length = current.depth;
+      path.push(current.id);
+      visited.add(current.id);
+      if (current.parent !== undefined) {
+        const previous = parents[current.id];
+        parents[current.id] = current.parent;
+        if (previous !== undefined && previous !== current.parent) {
+          this.emit('parent', { id: current.id, parent: current.parent, previous });
+        }
+      }
+
+      // The start is never generated, so it is tested here under either goal test
+      if (testOnPop || current.parent === undefined) {
+        this.emit('goal-test', { id: current.id, goal: this.isGoal(current.id) });
+        if (this.isGoal(current.id)) {
+          this.snapshot(stack, visited, parents, current.id, 'found', extra(current.node));
+          return { done: true };
+        }
+      }
+
+      // Reversed so the first neighbour ends up on top of the stack
+      let found = false;
+      [...this.adj[current.id]].reverse().forEach(({ to, weight }) => {
+        if (found) return;
+        if (path.includes(to)) {
+          this.emit('skip', { id: to, reason: 'path' });
+          return;
+        }
+        const child = makeItem(to, current.id, current.depth + 1, current.cost + weight);
+        if (measure(child) > limit) {
+          this.emit('limit', { reason: byF ? 'f' : 'depth', id: to, value: measure(child), limit });
+          nextLimit = Math.min(nextLimit, measure(child));
+          return;
+        }
+        if (!testOnPop) {
+          found = this.isGoal(to);
+          this.emit('goal-test', { id: to, goal: found });
+          if (found) parents[to] = current.id;
+        }
+        this.emit('push', { id: to, parent: current.id, ...values(child) });
+        stack.push(addToTree(child, current.node));
+      });
+      if (found) {
+        const reached = stack[stack.length - 1];
+        this.snapshot(stack, visited, parents, reached.id, 'found', extra(reached.node));
+        return { done: true };
+      }
+    }
+    return { done: false, visited, parents, nextLimit, tree };
+  }
+
+  // Breadth-first, but each layer keeps only the `beamWidth` successors with the lowest h. The queue lists the
+  // rest of the current beam followed by the candidates for the next one (`candidate: true`); `pruned` holds
+  // the candidates the last layer dropped. Dropping nodes makes it incomplete: it can fail on solvable graphs.
+  runBeam() {
+    const width = param(this.options, 'beamWidth');
+    const makeItem = (id, parent, depth, cost) => {
+      const h = this.getHeuristic(id);
+      return { id, parent, depth, pathLength: depth, cost, h, priority: h };
+    };
+    let beam = [makeItem(this.startId, undefined, 0, 0)];
+    const visited = trackedSet();
+    const parents = trackedObject();
+    let pruned = [];
+    let iterations = 0;
+
+    if (this.isGoal(this.startId)) {
+      this.snapshot(beam, visited, parents, this.startId, 'found', { depth: 0, beamWidth: width, pruned, event: 'start-goal' });
+      return;
+    }
+
+    for (let depth = 0; beam.length > 0; depth++) {
+      const candidates = [];
+      const shown = []; // The candidates as the queue lists them, each made once
+      const extra = () => ({ depth, beamWidth: width, pruned });
+      const queue = (i) => [...beam.slice(i), ...shown];
+      for (let i = 0; i < beam.length; i++) {
+        if (++iterations > this.maxIterations) {
+          this.snapshot(queue(i), visited, parents, null, 'limit_reached', extra());
+          return;
+        }
+        const current = beam[i];
+        this.snapshot(queue(i), visited, parents, current.id, 'exploring', extra());
+        this.emit('pop', { id: current.id, g: current.cost, h: current.h });
+        visited.add(current.id);
+
+        this.adj[current.id].forEach(({ to, weight }) => {
+          if (candidates.some(c => c.id === to)) {
+            this.emit('skip', { id: to, reason: 'frontier' });
+            return;
+          }
+          if (this.options.checkDuplicates && (visited.has(to) || beam.some(b => b.id === to))) {
+            this.emit('skip', { id: to, reason: visited.has(to) ? 'visited' : 'frontier' });
+            return;
+          }
+          const candidate = makeItem(to, current.id, depth + 1, current.cost + weight);
+          candidates.push(candidate);
+          shown.push({ ...candidate, candidate: true });
+          this.emit('push', { id: to, parent: current.id, g: candidate.cost, h: candidate.h });
+        });
+      }
+
+      // Stable sort, so equal h values keep the order they were generated in
+      const ranked = [...candidates].sort((a, b) => a.h - b.h);
+      beam = ranked.slice(0, width);
+      pruned = ranked.slice(width).map(item => item.id);
+      pruned.forEach(id => this.emit('skip', { id, reason: 'pruned' }));
+      beam.forEach(item => {
+        const previous = parents[item.id];
+        parents[item.id] = item.parent;
+        if (previous !== undefined && previous !== item.parent) this.emit('parent', { id: item.id, parent: item.parent, previous });
+        this.emit('goal-test', { id: item.id, goal: this.isGoal(item.id) });
+      });
+
+      const reached = beam.find(item => this.isGoal(item.id));
+      if (reached) {
+        this.snapshot(beam, visited, parents, reached.id, 'found', { depth: depth + 1, beamWidth: width, pruned });
+        return;
+      }
+    }
+    this.snapshot([], visited, parents, null, 'failed', { beamWidth: width, pruned });
+  }
+
+  // --- Minimum Spanning Trees ---
+  // Both treat every edge as undirected and refer to edges by their index in `edges`. Each snapshot shows the
+  // edge about to be decided (`edge`); the decisions so far are the first `decided` entries of `decisions`,
+  // an append-only [{ edge, accepted }] shared by all snapshots so long runs don't copy it at every step.
+  // `treeWeight` is the running total and the final snapshot is 'complete', with `trees` > 1 when the graph is
+  // disconnected and the result is a spanning forest.
+
+  // Traversable arcs per node as { to, edge (index into edges), weight }, in neighbour order (see orderNeighbors).
+  // `undirected` ignores edge directions (spanning trees, components); `reverse` turns directed edges around.
+  buildArcs({ undirected = false, reverse = false } = {}) {
+    const arcs = {};
+    this.nodes.forEach(n => arcs[n.id] = []);
+    this.edges.forEach((e, edge) => {
+      const directed = !undirected && isDirectedEdge(e, this.options.directed);
+      if (!directed || !reverse) arcs[e.source].push({ to: e.target, edge, weight: e.weight });
+      if (!directed || reverse) arcs[e.target].push({ to: e.source, edge, weight: e.weight });
+    });
+    orderNeighbors(Object.values(arcs), (id) => this.nodeById.get(id).label, this.options);
+    return arcs;
+  }
+
+  // The queue holds the edges crossing from the tree to the rest of the graph, cheapest first (lazily: an edge
+  // whose far end joined the tree in the meantime is only rejected when it is popped).
+  // Grows from the start node, then from the first node (in node order) each earlier tree couldn't reach.
+  runPrim() {
+    const incident = this.buildArcs({ undirected: true });
+    const heap = new BinaryHeap();
+    this.queueOrder = 'fifo';
+    const inTree = trackedSet();
+    const parents = trackedObject();
+    const decisions = [];
+    let treeWeight = 0;
+    let trees = 0;
+    const extra = (edge) => ({ decisions, decided: decisions.length, edge, treeWeight, trees });
+
+    const addNode = (id) => {
+      inTree.add(id);
+      incident[id].forEach(({ edge, to, weight }) => {
+        if (!inTree.has(to)) heap.push({ id: to, from: id, edge, cost: weight, priority: weight }, weight);
+      });
+    };
+
+    for (const root of [this.startId, ...this.nodes.map(n => n.id)]) {
+      if (inTree.has(root)) continue;
+      trees++;
+      addNode(root);
+      this.snapshot(heap.inPushOrder(), inTree, parents, root, 'exploring', { ...extra(null), event: 'root' });
+
+      while (heap.size > 0) {
+        const item = heap.peek();
+        this.snapshot(heap.inPushOrder(), inTree, parents, item.id, 'exploring', extra(item.edge));
+        heap.pop();
+        // Both ends are in the tree by now, so this edge would close a cycle
+        if (inTree.has(item.id)) {
+          decisions.push({ edge: item.edge, accepted: false });
+          continue;
+        }
+        decisions.push({ edge: item.edge, accepted: true });
+        treeWeight += item.cost;
+        parents[item.id] = item.from;
+        addNode(item.id);
+      }
+    }
+    this.snapshot([], inTree, parents, null, 'complete', extra(null));
+  }
+
+  // Considers every edge from cheapest to dearest (ties by endpoint labels, so the edge order in the file doesn't
+  // matter) and accepts it when its ends are in different union-find components. `order` is the sorted edge
+  // list and `roots` the components of the edge being decided. The queue is left empty: the panel reads `order`.
+  runKruskal() {
+    const ids = this.nodes.map(n => n.id);
+    const label = (id) => this.nodeById.get(id).label;
+    const sortKey = (e) => [label(e.source), label(e.target)].sort(labelCollator.compare).join('\u0000');
+    const order = this.edges.map((_, i) => i).sort((a, b) =>
+      this.edges[a].weight - this.edges[b].weight || labelCollator.compare(sortKey(this.edges[a]), sortKey(this.edges[b])));
+
+    const sets = new UnionFind(ids);
+    const touched = trackedSet();
+    const decisions = [];
+    let treeWeight = 0;
+    let accepted = 0;
+    const extra = (edge, roots = null) => ({ decisions, decided: decisions.length, edge, roots, order, treeWeight, trees: ids.length - accepted });
+
+    for (const edge of order) {
+      // A spanning tree has V - 1 edges, so the rest can't be accepted
+      if (accepted === ids.length - 1) break;
+      const { source, target, weight } = this.edges[edge];
+      const roots = [sets.find(source), sets.find(target)];
+      this.snapshot([], touched, {}, null, 'exploring', { ...extra(edge, roots), event: 'consider' });
+      if (sets.union(source, target)) {
+        decisions.push({ edge, accepted: true });
+        treeWeight += weight;
+        accepted++;
+        touched.add(source);
+        touched.add(target);
+      } else {
+        decisions.push({ edge, accepted: false });
+      }
+    }
+    this.snapshot([], touched, {}, null, 'complete', extra(null));
+  }
+
+  // --- Graph Structure ---
+  // Whole-graph analyses. Roots are tried in label order, like neighbours, and the last snapshot is 'complete'.
+  // Per-node numbers (`group` for components and SCCs, DFS `disc` and `finish` times, Tarjan's `low`, Kahn's
+  // `inDegree` and topological `position`) go into `log`, an append-only [{ id, field, value }] shared by all
+  // snapshots; each snapshot sees its first `logged` entries (metrics' nodeValuesAt replays them).
+  // The queue panel shows the BFS queue, Kahn's queue or the DFS path as plain { id } items.
+
+  labelOrder() {
+    const label = (id) => this.nodeById.get(id).label;
+    return this.nodes.map(n => n.id).sort((a, b) => labelCollator.compare(label(a), label(b)));
+  }
+
+  // One { id } item per node for the queue panel, made once so a node that stays queued is the same item from one
+  // snapshot to the next (the history matches queue items by identity)
+  idItems() {
+    const items = new Map();
+    return (id) => {
+      if (!items.has(id)) items.set(id, { id });
+      return items.get(id);
+    };
+  }
+
+  structureLog() {
+    const log = [];
+    return {
+      set: (id, field, value) => log.push({ id, field, value }),
+      extra: (fields = {}) => ({ log, logged: log.length, ...fields }),
+    };
+  }
+
+  // Iterative DFS from each root not yet in `seen`. Calls discover(id, parent, path), examine(frame, arc, path)
+  // for every arc (before an unseen `to` is discovered) and finish(id, parent, path); a hook returning true stops
+  // the traversal. `path` is the stack of frames { id, parent, via (edge index it was reached by), next }.
+  depthFirst(arcs, roots, hooks, seen) {
+    const path = [];
+    for (const root of roots) {
+      if (seen.has(root)) continue;
+      seen.add(root);
+      path.push({ id: root, parent: null, via: null, next: 0 });
+      if (hooks.discover?.(root, null, path)) return true;
+      while (path.length > 0) {
+        const frame = path[path.length - 1];
+        if (frame.next < arcs[frame.id].length) {
+          const arc = arcs[frame.id][frame.next++];
+          if (hooks.examine?.(frame, arc, path)) return true;
+          if (seen.has(arc.to)) continue;
+          seen.add(arc.to);
+          path.push({ id: arc.to, parent: frame.id, via: arc.edge, next: 0 });
+          if (hooks.discover?.(arc.to, frame.id, path)) return true;
+        } else {
+          path.pop();
+          if (hooks.finish?.(frame.id, frame.parent, path)) return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Breadth-first from each unreached root, ignoring edge directions (so directed graphs get their weakly
+  // connected components). `groups` counts the components found so far.
+  runComponents() {
+    const arcs = this.buildArcs({ undirected: true });
+    const { set, extra } = this.structureLog();
+    const item = this.idItems();
+    const visited = trackedSet();
+    const parents = trackedObject();
+    let groups = 0;
+
+    for (const root of this.labelOrder()) {
+      if (visited.has(root)) continue;
+      const group = groups++;
+      const queue = [root];
+      visited.add(root);
+      set(root, 'group', group);
+      for (let head = 0; head < queue.length; head++) {
+        const current = queue[head];
+        this.snapshot(queue.slice(head).map(item), visited, parents, current, 'exploring', extra({ groups }));
+        arcs[current].forEach(({ to }) => {
+          if (visited.has(to)) return;
+          visited.add(to);
+          parents[to] = current;
+          set(to, 'group', group);
+          queue.push(to);
+        });
+      }
+    }
+    this.snapshot([], visited, parents, null, 'complete', extra({ groups }));
+  }
+
+  // Cycle detection and the DFS topological sort: one snapshot when a node is discovered and one when it
+  // finishes. An arc into a node still on the DFS path is a back edge, which closes a cycle and stops the run:
+  // `backEdge` is its index and `cycle` the path from its head round to its tail, in travel order.
+  // Cycle detection doesn't count going straight back over the undirected edge a node was reached by; the
+  // topological sort does, since an undirected edge can't be ordered. Without a back edge, the topological
+  // `order` is the reverse finish order (null when there was a cycle).
+  runDepthFirstOrder() {
+    const topological = this.type === 'TopoDFS';
+    const arcs = this.buildArcs();
+    const { set, extra } = this.structureLog();
+    const item = this.idItems();
+    const visited = trackedSet();
+    const parents = trackedObject();
+    const onPath = new Set();
+    const finished = [];
+    let clock = 0;
+    let backEdge = null;
+    let cycle = [];
+    const stack = (path) => path.map(({ id }) => item(id));
+
+    this.depthFirst(arcs, this.labelOrder(), {
+      discover: (id, parent, path) => {
+        if (parent !== null) parents[id] = parent;
+        onPath.add(id);
+        set(id, 'disc', clock++);
+        this.snapshot(stack(path), visited, parents, id, 'exploring', extra({ backEdge, event: 'discover' }));
+      },
+      examine: (frame, { to, edge }, path) => {
+        if (!onPath.has(to) || (!topological && edge === frame.via)) return false;
+        backEdge = edge;
+        const ids = path.map(f => f.id);
+        cycle = ids.slice(ids.indexOf(to));
+        return true;
+      },
+      finish: (id, parent, path) => {
+        onPath.delete(id);
+        finished.push(id);
+        set(id, 'finish', clock++);
+        this.snapshot(stack(path), visited, parents, id, 'exploring', extra({ backEdge, event: 'finish' }));
+      },
+    }, visited);
+
+    const order = backEdge === null ? finished.slice().reverse() : null;
+    this.snapshot([], visited, parents, cycle[cycle.length - 1] ?? null, 'complete', extra({
+      backEdge, cycle, ...(topological && { order }), event: backEdge === null ? 'done' : 'back-edge',
+    }));
+  }
+
+  // Kahn's algorithm: repeatedly output a node with no incoming edges left and remove its outgoing edges.
+  // Nodes that never reach in-degree 0 are on or behind a cycle; then `order` is null and `blocked` lists them.
+  runKahn() {
+    const arcs = this.buildArcs();
+    const { set, extra } = this.structureLog();
+    const ids = this.labelOrder();
+    const inDegree = Object.fromEntries(ids.map(id => [id, 0]));
+    Object.values(arcs).forEach(list => list.forEach(({ to }) => inDegree[to]++));
+    ids.forEach(id => set(id, 'inDegree', inDegree[id]));
+
+    const item = this.idItems();
+    const queue = ids.filter(id => inDegree[id] === 0);
+    const visited = trackedSet();
+    const order = [];
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      this.snapshot(queue.slice(head).map(item), visited, {}, current, 'exploring', extra());
+      visited.add(current);
+      set(current, 'position', order.length);
+      order.push(current);
+      arcs[current].forEach(({ to }) => {
+        set(to, 'inDegree', --inDegree[to]);
+        if (inDegree[to] === 0) queue.push(to);
+      });
+    }
+
+    const acyclic = order.length === ids.length;
+    this.snapshot([], visited, {}, null, 'complete', extra({
+      order: acyclic ? order : null, blocked: ids.filter(id => !visited.has(id)), event: acyclic ? 'done' : 'cycle',
+    }));
+  }
+
+  // Tarjan's SCCs in one DFS. low = the smallest discovery time reachable through the node's subtree plus one
+  // edge back into a node still on the stack; a node whose low equals its own disc is the root of an SCC, and
+  // the SCC is everything above it on the stack. The queue panel shows that stack. `groups` counts the SCCs.
+  runTarjan() {
+    const arcs = this.buildArcs();
+    const { set, extra } = this.structureLog();
+    const item = this.idItems();
+    const visited = trackedSet();
+    const parents = trackedObject();
+    const disc = {};
+    const low = {};
+    const stack = [];
+    const onStack = new Set();
+    let clock = 0;
+    let groups = 0;
+    const lower = (id, value) => {
+      if (value >= low[id]) return;
+      low[id] = value;
+      set(id, 'low', value);
+    };
+    const snap = (current, event) => this.snapshot(stack.map(item), visited, parents, current, 'exploring', extra({ groups, event }));
+
+    this.depthFirst(arcs, this.labelOrder(), {
+      discover: (id, parent) => {
+        if (parent !== null) parents[id] = parent;
+        disc[id] = low[id] = clock++;
+        set(id, 'disc', disc[id]);
+        set(id, 'low', low[id]);
+        stack.push(id);
+        onStack.add(id);
+        snap(id, 'discover');
+      },
+      examine: (frame, { to }) => {
+        if (onStack.has(to)) lower(frame.id, disc[to]);
+      },
+      finish: (id, parent) => {
+        const root = low[id] === disc[id];
+        if (root) {
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            set(member, 'group', groups);
+          } while (member !== id);
+          groups++;
+        }
+        if (parent !== null) lower(parent, low[id]);
+        snap(id, root ? 'scc' : 'finish');
+      },
+    }, visited);
+    this.snapshot([], visited, parents, null, 'complete', extra({ groups }));
+  }
+
+  // Kosaraju's SCCs in two passes (`pass` 1 and 2). Pass 1 is a DFS recording finish order; pass 2 runs DFS on
+  // the reversed graph from the latest-finishing unassigned node, and each tree it grows is one SCC.
+  runKosaraju() {
+    const { set, extra } = this.structureLog();
+    const item = this.idItems();
+    const finished = [];
+    let groups = 0;
+    const traverse = (pass, arcs, roots, hooks) => {
+      const visited = trackedSet();
+      const parents = trackedObject();
+      const snap = (id, path, event) => this.snapshot(path.map(f => item(f.id)), visited, parents, id, 'exploring', extra({ pass, groups, event }));
+      roots.forEach(root => {
+        if (visited.has(root)) return;
+        this.depthFirst(arcs, [root], {
+          discover: (id, parent, path) => {
+            if (parent !== null) parents[id] = parent;
+            hooks.discover?.(id);
+            snap(id, path, pass === 1 ? 'discover' : 'assign');
+          },
+          finish: (id, parent, path) => {
+            hooks.finish?.(id);
+            snap(id, path, pass === 1 ? 'finish' : 'assign');
+          },
+        }, visited);
+        hooks.tree?.();
+      });
+      return visited;
+    };
+
+    traverse(1, this.buildArcs(), this.labelOrder(), {
+      finish: (id) => {
+        set(id, 'finish', finished.length);
+        finished.push(id);
+      },
+    });
+    const visited = traverse(2, this.buildArcs({ reverse: true }), finished.slice().reverse(), {
+      discover: (id) => set(id, 'group', groups),
+      tree: () => groups++,
+    });
+    this.snapshot([], visited, {}, null, 'complete', extra({ pass: 2, groups }));
+  }
+
+  // --- Network Flow ---
+  // Ford-Fulkerson with BFS augmenting paths (Edmonds-Karp), from start (source) to goal (sink), with edge weights
+  // as capacities. `flows` holds each edge's flow by index (signed, see residualCapacity) and `flowValue` the
+  // total. There is one snapshot with no flow, one per augmenting path (`augmenting` edge indices, `path` node
+  // ids source -> sink and its `bottleneck`, with the flow already pushed) and a 'complete' one where `visited`
+  // is the source side of the minimum cut and `cut` the edges leaving it.
+  runEdmondsKarp() {
+    const arcs = this.buildArcs({ undirected: true });
+    const flows = this.edges.map(() => 0);
+    const residual = (from, edge) => residualCapacity(this.edges[edge], flows[edge], from, this.options.directed);
+    let flowValue = 0;
+    let augmentations = 0;
+
+    // BFS in the residual graph; returns the reached set and the edge each node was reached by
+    const search = () => {
+      const reached = new Set([this.startId]);
+      const parents = {};
+      const via = {};
+      const queue = [this.startId];
+      for (let head = 0; head < queue.length && !reached.has(this.endId); head++) {
+        const current = queue[head];
+        arcs[current].forEach(({ to, edge }) => {
+          if (reached.has(to) || residual(current, edge) <= 0) return;
+          reached.add(to);
+          parents[to] = current;
+          via[to] = edge;
+          queue.push(to);
+        });
+      }
+      return { reached, parents, via };
+    };
+    const extra = (fields = {}) => ({ flows, flowValue, augmentations, ...fields });
+
+    this.snapshot([], new Set(), {}, this.startId, 'exploring', extra({ event: 'init' }));
+    if (this.startId !== this.endId) {
+      for (;;) {
+        const { reached, parents, via } = search();
+        if (!reached.has(this.endId)) break;
+        if (++augmentations > this.maxIterations) {
+          this.snapshot([], reached, parents, null, 'limit_reached', extra());
+          return;
+        }
+
+        const path = [this.endId];
+        while (path[0] !== this.startId) path.unshift(parents[path[0]]);
+        const augmenting = path.slice(1).map(id => via[id]);
+        const bottleneck = Math.min(...path.slice(1).map((id, i) => residual(path[i], via[id])));
+        path.slice(1).forEach((id, i) => {
+          flows[via[id]] += this.edges[via[id]].source === path[i] ? bottleneck : -bottleneck;
+        });
+        flowValue += bottleneck;
+        this.snapshot([], reached, parents, this.endId, 'exploring', extra({ augmenting, path, bottleneck, event: 'augment' }));
+      }
+    }
+
+    // Whatever the last search could still reach is the source side of a minimum cut
+    const { reached, parents } = search();
+    const cut = this.edges.map((e, i) => i).filter(i => {
+      const { source, target } = this.edges[i];
+      return (reached.has(source) && !reached.has(target)) ||
+        (!isDirectedEdge(this.edges[i], this.options.directed) && reached.has(target) && !reached.has(source));
+    });
+    this.snapshot([], reached, parents, null, 'complete', extra({ cut }));
+  }
+
+  // One snapshot per relaxation pass. The "queue" holds the nodes whose distance improved in that pass.
+  runBellmanFord() {
+    const ids = this.nodes.map(n => n.id);
+    const dist = trackedObject(Object.fromEntries(ids.map(id => [id, Infinity])));
+    const parents = trackedObject();
+    dist[this.startId] = 0;
+    const reached = trackedSet([this.startId]); // The nodes with a finite distance
+
+    // Every traversable direction of every edge (an undirected edge is relaxed both ways)
+    const arcs = [];
+    ids.forEach(u => this.adj[u].forEach(({ to, weight }) => arcs.push({ from: u, to, weight })));
+    const canRelax = ({ from, to, weight }) => dist[from] !== Infinity && dist[from] + weight < dist[to];
+
+    // One pass over every arc; returns the relax events, emitted once the pass has its snapshot
+    const relaxAll = () => {
+      const events = [];
+      arcs.forEach(arc => {
+        if (!canRelax(arc)) return;
+        events.push({ id: arc.to, parent: arc.from, g: dist[arc.from] + arc.weight, previous: dist[arc.to] });
+        dist[arc.to] = dist[arc.from] + arc.weight;
+        parents[arc.to] = arc.from;
+        reached.add(arc.to);
+      });
+      return events;
+    };
+
+    for (let pass = 1; pass < ids.length; pass++) {
+      const events = relaxAll();
+      const relaxed = events.map(e => [e.parent, e.id]);
+      const updated = [...new Set(events.map(e => e.id))];
+
+      const queue = updated.map(id => ({ id, cost: dist[id], priority: dist[id], h: 0 }));
+      this.snapshot(queue, reached, parents, updated[updated.length - 1] ?? null, 'exploring', { pass, distances: dist, relaxed, event: 'relax' });
+      events.forEach(e => this.emit('relax', e));
+      if (updated.length === 0) break; // Converged early
+    }
+
+    // A V-th pass that still improves something means a negative cycle is reachable from the start
+    const events = relaxAll();
+    const lastRelaxed = events.length > 0 ? events[events.length - 1].id : null;
+    if (lastRelaxed !== null) {
+      // Walking back V parent links from there is guaranteed to end up on the cycle itself
+      let onCycle = lastRelaxed;
+      for (let i = 0; i < ids.length; i++) onCycle = parents[onCycle];
+      const cycle = [onCycle];
+      for (let v = parents[onCycle]; v !== onCycle; v = parents[v]) cycle.push(v);
+      cycle.reverse(); // travel order
+
+      this.snapshot([], reached, parents, onCycle, 'negative_cycle', { distances: dist, relaxed: [], cycle });
+      events.forEach(e => this.emit('relax', e));
+      return;
+    }
+
+    // The nearest goal it reached, if any
+    const goal = this.goalIds.reduce((best, id) => (dist[id] < (best === null ? Infinity : dist[best]) ? id : best), null);
+    this.snapshot([], reached, parents, goal, goal !== null ? 'found' : 'failed', { distances: dist, relaxed: [] });
+  }
+
+  // Both bidirectional searches keep two separate trees: `parents` grows from the start and `parentsEnd` from
+  // the goals, all of them at once (node -> its next step towards a goal). Queue items carry `side: 'start' | 'end'`.
+  // They are always graph searches, so checkDuplicates doesn't apply. `visited` is what either side has visited,
+  // kept in a `seen` set the two sides share.
+  bidirectionalSnapshot(queue, sides, current, status, extra = {}) {
+    const [fwd, bwd] = sides;
+    this.snapshot(queue, fwd.seen, fwd.parents, current, status, {
+      parentsEnd: bwd.parents,
+      visitedEnd: bwd.visited,
+      ...extra
+    });
+  }
+
+  // Expands one whole BFS layer at a time, alternating sides. Stopping at the first touch can miss a shorter
+  // meeting later in the same layer, so the layer is finished and the best meeting node wins.
+  runBiBFS() {
+    const seen = trackedSet([this.startId, ...this.goalIds]);
+    // The queue holds items rather than ids so each is made once (the history matches them by identity)
+    const side = (ids, adj, name) => ({
+      name, adj, queue: ids.map(id => ({ id, side: name, pathLength: 0 })), head: 0,
+      dist: Object.fromEntries(ids.map(id => [id, 0])), visited: trackedSet(ids), seen, parents: trackedObject()
+    });
+    const sides = [side([this.startId], this.adj, 'start'), side(this.goalIds, this.reverseAdj, 'end')];
+    const queueItems = () => sides.flatMap(({ queue, head }) => queue.slice(head));
+
+    if (this.isGoal(this.startId)) {
+      this.bidirectionalSnapshot(queueItems(), sides, this.startId, 'found', { meet: this.startId, event: 'start-goal' });
+      return;
+    }
+
+    let iterations = 0;
+    for (let turn = 0; sides.every(s => s.head < s.queue.length); turn = 1 - turn) {
+      const self = sides[turn];
+      const other = sides[1 - turn];
+      const depth = self.queue[self.head].pathLength;
+      let meet = null;
+      let best = Infinity;
+
+      while (self.head < self.queue.length && self.queue[self.head].pathLength === depth) {
+        if (++iterations > this.maxIterations) {
+          this.bidirectionalSnapshot(queueItems(), sides, null, 'limit_reached');
+          return;
+        }
+        const current = self.queue[self.head].id;
+        this.bidirectionalSnapshot(queueItems(), sides, current, 'exploring', { activeSide: self.name });
+        this.emit('pop', { id: current, g: depth, side: self.name });
+        self.head++;
+
+        self.adj[current].forEach(({ to }) => {
+          if (self.visited.has(to)) {
+            this.emit('skip', { id: to, reason: 'visited' });
+            return;
+          }
+          this.emit('push', { id: to, parent: current, g: depth + 1, side: self.name });
+          self.visited.add(to);
+          seen.add(to);
+          self.parents[to] = current;
+          self.dist[to] = depth + 1;
+          self.queue.push({ id: to, side: self.name, pathLength: depth + 1 });
+          if (other.visited.has(to) && depth + 1 + other.dist[to] < best) {
+            best = depth + 1 + other.dist[to];
+            meet = to;
+          }
+        });
+      }
+
+      if (meet !== null) {
+        this.bidirectionalSnapshot(queueItems(), sides, meet, 'found', { activeSide: self.name, meet });
+        return;
+      }
+    }
+    this.bidirectionalSnapshot(queueItems(), sides, null, 'failed');
+  }
+
+  // Settles the side whose cheapest frontier entry is lower. `best` (μ) is the cheapest start -> goal path seen
+  // through any node labelled by both sides. Once topStart + topEnd >= μ, no unsettled node can beat it, so
+  // the search stops there rather than at the first node settled by both sides (which can be too early).
+  runBiDijkstra() {
+    const seen = trackedSet();
+    const side = (ids, adj, name) => {
+      const heap = new BinaryHeap();
+      ids.forEach(id => heap.push({ id, cost: 0, side: name, priority: 0, h: 0 }, 0));
+      return { name, adj, heap, dist: Object.fromEntries(ids.map(id => [id, 0])), visited: trackedSet(), seen, parents: trackedObject() };
+    };
+    const sides = [side([this.startId], this.adj, 'start'), side(this.goalIds, this.reverseAdj, 'end')];
+    // Lazy deletion: entries that were improved on or settled stay in the heap until popped
+    const isStale = (s, item) => s.visited.has(item.id) || item.cost > s.dist[item.id];
+    const dropStale = (s) => {
+      while (s.heap.size > 0 && isStale(s, s.heap.peek())) s.heap.pop();
+    };
+    const top = (s) => (s.heap.size > 0 ? s.heap.peek().cost : Infinity);
+    const queueItems = () => sides.flatMap(s => s.heap.inPushOrder().filter(item => !isStale(s, item)));
+    this.queueOrder = 'fifo';
+
+    let best = this.isGoal(this.startId) ? 0 : Infinity;
+    let meet = this.isGoal(this.startId) ? this.startId : null;
+    let iterations = 0;
+
+    for (;;) {
+      sides.forEach(dropStale);
+      const bound = top(sides[0]) + top(sides[1]);
+      if (best <= bound || sides.some(s => s.heap.size === 0)) break;
+      if (++iterations > this.maxIterations) {
+        this.bidirectionalSnapshot(queueItems(), sides, null, 'limit_reached', { best, bound });
+        return;
+      }
+
+      const self = top(sides[0]) <= top(sides[1]) ? sides[0] : sides[1];
+      const other = self === sides[0] ? sides[1] : sides[0];
+      const current = self.heap.peek().id;
+      this.bidirectionalSnapshot(queueItems(), sides, current, 'exploring', { activeSide: self.name, best, bound, meet });
+
+      self.heap.pop();
+      this.emit('pop', { id: current, g: self.dist[current], side: self.name });
+      self.visited.add(current);
+      seen.add(current);
+      self.adj[current].forEach(({ to, weight }) => {
+        const cost = self.dist[current] + weight;
+        if (self.visited.has(to) || cost >= (self.dist[to] ?? Infinity)) {
+          this.emit('skip', { id: to, reason: self.visited.has(to) ? 'visited' : 'frontier' });
+          return;
+        }
+        const previous = self.parents[to];
+        if (previous !== undefined && previous !== current) this.emit('parent', { id: to, parent: current, previous });
+        this.emit('push', { id: to, parent: current, g: cost, side: self.name, ...(self.dist[to] !== undefined && { replaced: self.dist[to] }) });
+        self.dist[to] = cost;
+        self.parents[to] = current;
+        self.heap.push({ id: to, cost, side: self.name, priority: cost, h: 0 }, cost);
+        if (other.dist[to] !== undefined && cost + other.dist[to] < best) {
+          best = cost + other.dist[to];
+          meet = to;
+        }
+      });
+    }
+
+    const bound = top(sides[0]) + top(sides[1]);
+    if (meet === null) {
+      this.bidirectionalSnapshot(queueItems(), sides, null, 'failed', { best, bound });
+      return;
+    }
+    this.bidirectionalSnapshot(queueItems(), sides, meet, 'found', { best, bound, meet });
+  }
+}
+
+// The whole run for a graph object; duplicate checking is on unless turned off, like in the app. Path searches
+// on a graph with waypoints run as a route (see searchRoute); the other kinds ignore waypoints and extra goals
+// mean nothing to them beyond max flow's sink being `end`.
+export const runSearch = (graph, algorithm, options = {}) => {
+  const searchOptions = { checkDuplicates: true, directed: Boolean(graph.directed), ...options };
+  if (graph.waypoints?.length > 0 && !ALGORITHMS.find(a => a.id === algorithm)?.kind) {
+    return searchRoute(graph, algorithm, searchOptions);
+  }
+  return new GraphSearch(graph.nodes, graph.edges, graph.start, graphGoals(graph), algorithm, searchOptions).history;
+};
+
+// The legs of a route, start -> first waypoint -> ... -> last waypoint -> any goal, as [{ from?, to: [ids] }];
+// only the first leg knows where it starts, the others start wherever the previous leg ended
+const routeLegs = (graph) => [...(graph.waypoints ?? []).map(id => ({ to: [id] })), { to: graphGoals(graph) }];
+
+// A route is a chain of searches, one per leg, whose histories play one after another. Every snapshot carries
+// `leg` ({ index, count, from, to }) and `route`, the node ids travelled so far from the start (ending at
+// `leg.from`, or at the waypoint once a leg reaches it). A leg that reaches its waypoint ends on an 'exploring'
+// step with `waypoint` set and the next leg starts from there; the first leg that fails ends the route.
+const searchRoute = (graph, algorithm, options) => {
+  const history = new SearchHistory();
+  const legs = routeLegs(graph);
+  let route = [graph.start];
+  for (let index = 0; index < legs.length; index++) {
+    const leg = { index, count: legs.length, from: route[route.length - 1], to: legs[index].to };
+    const offset = history.length;
+    const onProgress = options.onProgress && ((steps) => options.onProgress(offset + steps));
+    const steps = new GraphSearch(graph.nodes, graph.edges, leg.from, leg.to, algorithm, { ...options, onProgress }).history;
+    const outcome = steps.at(-1);
+    const last = index === legs.length - 1;
+    const legRoute = outcome.status === 'found' ? [...route, ...snapshotPath(outcome, leg.from, leg.to).slice(1)] : route;
+
+    let i = 0;
+    for (const step of steps) {
+      const reached = ++i === steps.length && !last && outcome.status === 'found';
+      history.push(reached
+        ? { ...step, leg, route: legRoute, status: 'exploring', waypoint: step.current }
+        : { ...step, leg, route });
+    }
+    if (outcome.status !== 'found') break;
+    route = legRoute;
+  }
+  return history;
+};
+
+// Follows parent links back from the goal. A parent loop (possible around negative cycles) yields [].
+export const reconstructPath = (parents, startId, endId) => {
+  const path = [endId];
+  let curr = endId;
+  while (curr !== startId) {
+    curr = parents[curr];
+    if (curr === undefined || path.length > Object.keys(parents).length) return [];
+    path.unshift(curr);
+  }
+  return path;
+};
+
+// The path a finished snapshot found, to whichever of the goals (an id or an array) it reached. Bidirectional
+// searches join their two trees at the meeting node; a route's last leg is appended to the route so far.
+export const snapshotPath = (step, startId, endId) => {
+  if (step.leg) {
+    const leg = legPath(step, step.leg.from, step.leg.to);
+    return leg.length > 0 ? [...step.route.slice(0, -1), ...leg] : [];
+  }
+  return legPath(step, startId, [].concat(endId));
+};
+
+const legPath = (step, startId, goals) => {
+  if (step.meet === undefined) return reconstructPath(step.parents, startId, goals.includes(step.current) ? step.current : goals[0]);
+  const path = reconstructPath(step.parents, startId, step.meet);
+  for (let curr = step.meet; path.length > 0 && !goals.includes(curr);) {
+    curr = step.parentsEnd[curr];
+    if (curr === undefined || path.length > Object.keys(step.parents).length + Object.keys(step.parentsEnd).length + 1) return [];
+    path.push(curr);
+  }
+  return path;
+};
+
+// --- Ground Truth ---
+// The fewest edges and the least cost from startId to the nearest of the goals (endId may be an array)
+export const getGroundTruth = (nodes, edges, startId, endId, directed = false) => {
+  // 1. Min Edges (BFS style)
+  const bfs = new GraphSearch(nodes, edges, startId, endId, 'BFS', { checkDuplicates: true, directed, recordSteps: false });
+  // Without recorded steps the only snapshot is the outcome
+  const bfsOutcome = bfs.history.at(-1);
+  const minEdgesSnap = bfsOutcome?.status === 'found' ? bfsOutcome : undefined;
+  
+  // 2. Min Cost (UCS, which unlike the Dijkstra variant replaces a costlier frontier entry, or Bellman-Ford once
+  // negative weights are involved)
+  const hasNegative = edges.some(e => e.weight < 0);
+  const costSearch = new GraphSearch(nodes, edges, startId, endId, hasNegative ? 'BellmanFord' : 'UCS', { checkDuplicates: true, directed, recordSteps: false });
+  const costOutcome = costSearch.history.at(-1);
+  const minCostSnap = costOutcome?.status === 'found' ? costOutcome : undefined;
+  // A reachable negative cycle means there is no least-cost path: any path can be undercut
+  const hasNegativeCycle = costOutcome?.status === 'negative_cycle';
+  
+  // Helper to reconstruct path length/cost
+  const getMetrics = (outcome, isWeighted) => {
+    if (!outcome) return Infinity;
+    const { parents } = outcome;
+    let curr = outcome.current;
+    let count = 0;
+    let cost = 0;
+    while (curr !== startId) {
+      let p = parents[curr];
+      if (p === undefined) return Infinity;
+      if (isWeighted) {
+        cost += findTraversableEdge(edges, p, curr, directed).weight;
+      }
+      count++;
+      curr = p;
+    }
+    return isWeighted ? cost : count;
+  };
+
+  return {
+    trueMinEdges: getMetrics(minEdgesSnap, false),
+    trueMinCost: hasNegativeCycle ? -Infinity : getMetrics(minCostSnap, true)
+  };
+};
+
+// The ground truth for a graph's whole route: each leg is measured on its own (the best route through the
+// waypoints in order is the best path of every leg strung together) and the legs are added up
+export const groundTruthFor = (graph) => {
+  const stops = [graph.start, ...(graph.waypoints ?? [])];
+  const legs = routeLegs(graph).map(({ to }, i) => getGroundTruth(graph.nodes, graph.edges, stops[i], to, Boolean(graph.directed)));
+  // An unreachable leg leaves the route without any path, negative cycles or not
+  const total = (field) => (legs.some(leg => leg[field] === Infinity) ? Infinity : legs.reduce((sum, leg) => sum + leg[field], 0));
+  return { trueMinEdges: total('trueMinEdges'), trueMinCost: total('trueMinCost') };
+};
+
+// --- Graph Generation ---
+export const TOPOLOGIES = [
+  { id: 'nearest', label: 'Nearest Neighbour' },
+  { id: 'grid', label: 'Grid' },
+  { id: 'tree', label: 'Tree' },
+  { id: 'complete', label: 'Complete', maxNodes: 100 }, // n² edges, so it gets its own cap
+  { id: 'erdosRenyi', label: 'Erdős–Rényi' },
+  { id: 'sparse', label: 'Sparse (Connected)' },
+  { id: 'disconnected', label: 'Disconnected' },
+];
+
+export const WEIGHT_SCHEMES = [
+  { id: 'euclidean', label: 'Euclidean' },
+  { id: 'uniform', label: 'Uniform (1)' },
+  { id: 'random', label: 'Random Range' },
+];
+
+export const DEFAULT_GENERATOR_OPTIONS = {
+  numNodes: 15,
+  topology: 'nearest',
+  weightScheme: 'euclidean',
+  minWeight: 1,
+  maxWeight: 20,
+};
+
+export const MAX_GENERATED_NODES = 2000;
+export const maxNodesFor = (topology) => TOPOLOGIES.find(t => t.id === topology)?.maxNodes ?? MAX_GENERATED_NODES;
+
+const GENERATOR_MARGIN = 50;
+const MIN_NODE_SPACING = 60;
+const PLACEMENT_ATTEMPTS = 200;
+
+// Points bucketed by integer cell coordinates, so proximity checks only look at nearby cells
+const createBuckets = (size) => {
+  const cells = new Map();
+  const keyOf = (cx, cy) => cx * 65536 + cy;
+  const cellOf = (p) => [Math.floor(p.x / size), Math.floor(p.y / size)];
+  return {
+    size,
+    cellOf,
+    add: (p, value) => {
+      const key = keyOf(...cellOf(p));
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(value);
+    },
+    at: (cx, cy) => cells.get(keyOf(cx, cy)) || [],
+  };
+};
+
+// Rejection sampling that relaxes the spacing instead of looping forever when nodes don't fit
+const placeNodes = (count, rng, area = { x0: GENERATOR_MARGIN, x1: CANVAS_SIZE - GENERATOR_MARGIN }) => {
+  const points = [];
+  // Spacing only shrinks, so the 3x3 cells around a point always cover everything closer than it
+  const buckets = createBuckets(MIN_NODE_SPACING);
+  const tooClose = (p, spacing) => {
+    const [cx, cy] = buckets.cellOf(p);
+    for (let x = cx - 1; x <= cx + 1; x++) {
+      for (let y = cy - 1; y <= cy + 1; y++) {
+        if (buckets.at(x, y).some(q => distance(p, q) < spacing)) return true;
+      }
+    }
+    return false;
+  };
+  let spacing = MIN_NODE_SPACING;
+  while (points.length < count) {
+    let placed = false;
+    for (let attempt = 0; attempt < PLACEMENT_ATTEMPTS && !placed; attempt++) {
+      const p = {
+        x: area.x0 + rng() * (area.x1 - area.x0),
+        y: GENERATOR_MARGIN + rng() * (CANVAS_SIZE - 2 * GENERATOR_MARGIN)
+      };
+      if (!tooClose(p, spacing)) {
+        points.push(p);
+        buckets.add(p, p);
+        placed = true;
+      }
+    }
+    if (!placed) spacing *= 0.9;
+  }
+  return points;
+};
+
+const placeGrid = (count) => {
+  const cols = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / cols);
+  const step = (CANVAS_SIZE - 2 * GENERATOR_MARGIN) / Math.max(cols - 1, rows - 1, 1);
+  return Array.from({ length: count }, (_, i) => ({
+    x: GENERATOR_MARGIN + (i % cols) * step,
+    y: GENERATOR_MARGIN + Math.floor(i / cols) * step,
+    col: i % cols,
+    row: Math.floor(i / cols)
+  }));
+};
+
+// The k nearest points to points[i] that pass `accept`, closest first (ties by index, like a stable sort).
+// Searches outward ring by ring and stops once nothing further out can beat the k-th candidate.
+const createNearestFinder = (points) => {
+  const buckets = createBuckets(CANVAS_SIZE / Math.ceil(Math.sqrt(points.length)));
+  points.forEach((p, i) => buckets.add(p, i));
+  const maxRing = Math.ceil(CANVAS_SIZE / buckets.size) + 1;
+
+  return (i, k, accept = () => true) => {
+    const [cx, cy] = buckets.cellOf(points[i]);
+    const found = [];
+    const collect = (x, y) => buckets.at(x, y).forEach(j => {
+      if (j !== i && accept(j)) found.push({ j, d: distance(points[i], points[j]) });
+    });
+    const sorted = () => found.sort((a, b) => a.d - b.d || a.j - b.j);
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      if (ring === 0) collect(cx, cy);
+      else for (let t = -ring; t <= ring; t++) {
+        collect(cx + t, cy - ring);
+        collect(cx + t, cy + ring);
+        if (Math.abs(t) !== ring) {
+          collect(cx - ring, cy + t);
+          collect(cx + ring, cy + t);
+        }
+      }
+      // Everything within ring * size of the point has been seen by now
+      if (found.length >= k && sorted()[k - 1].d <= ring * buckets.size) break;
+    }
+    return sorted().slice(0, k).map(f => f.j);
+  };
+};
+
+// Each topology returns positions plus the list of [u, v] pairs to connect
+const buildTopology = (topology, n, rng) => {
+  const pairs = [];
+  const all = [...Array(n).keys()];
+
+  switch (topology) {
+    case 'grid': {
+      const points = placeGrid(n);
+      const cols = Math.ceil(Math.sqrt(n));
+      points.forEach((p, i) => {
+        if (p.col + 1 < cols && i + 1 < n) pairs.push([i, i + 1]);
+        if (i + cols < n) pairs.push([i, i + cols]);
+      });
+      return { points, pairs };
+    }
+    case 'tree': {
+      const points = placeNodes(n, rng);
+      const nearest = createNearestFinder(points);
+      // Attach each node to one of the closest nodes already in the tree
+      for (let i = 1; i < n; i++) {
+        const options = nearest(i, 2, j => j < i);
+        pairs.push([i, options[Math.floor(rng() * options.length)]]);
+      }
+      return { points, pairs };
+    }
+    case 'complete': {
+      const points = placeNodes(n, rng);
+      all.forEach(i => all.forEach(j => { if (i < j) pairs.push([i, j]); }));
+      return { points, pairs };
+    }
+    case 'erdosRenyi': {
+      const points = placeNodes(n, rng);
+      const p = Math.min(1, 3 / Math.max(n - 1, 1)); // expected degree of about 3
+      all.forEach(i => all.forEach(j => { if (i < j && rng() < p) pairs.push([i, j]); }));
+      return { points, pairs };
+    }
+    case 'sparse': {
+      const points = placeNodes(n, rng);
+      const nearest = createNearestFinder(points);
+      // Spanning tree over nearest links keeps it connected, then a few shortcuts on top
+      for (const i of all.slice(1)) {
+        pairs.push([i, nearest(i, 1, j => j < i)[0]]);
+      }
+      for (let extra = 0; extra < Math.floor(n / 4); extra++) {
+        const i = Math.floor(rng() * n);
+        const j = nearest(i, 3)[1 + Math.floor(rng() * 2)];
+        if (j !== undefined) pairs.push([i, j]);
+      }
+      return { points, pairs };
+    }
+    case 'disconnected': {
+      // Two islands, left and right, each wired by nearest neighbours
+      const half = Math.ceil(n / 2);
+      const gap = 40;
+      const left = placeNodes(half, rng, { x0: GENERATOR_MARGIN, x1: CANVAS_SIZE / 2 - gap });
+      const right = placeNodes(n - half, rng, { x0: CANVAS_SIZE / 2 + gap, x1: CANVAS_SIZE - GENERATOR_MARGIN });
+      const points = [...left, ...right];
+      const islands = [all.slice(0, half), all.slice(half)];
+      const nearest = createNearestFinder(points);
+      all.forEach(i => {
+        nearest(i, 2, j => (j < half) === (i < half)).forEach(j => pairs.push([i, j]));
+      });
+      return { points, pairs, islands };
+    }
+    case 'nearest':
+    default: {
+      const points = placeNodes(n, rng);
+      const nearest = createNearestFinder(points);
+      all.forEach(i => nearest(i, 3).forEach(j => pairs.push([i, j])));
+      return { points, pairs };
+    }
+  }
+};
+
+const pickWeight = (scheme, u, v, rng, { minWeight, maxWeight }) => {
+  if (scheme === 'uniform') return 1;
+  if (scheme === 'random') {
+    const lo = Math.min(minWeight, maxWeight);
+    const hi = Math.max(minWeight, maxWeight);
+    return lo + Math.floor(rng() * (hi - lo + 1));
+  }
+  return Math.floor(distance(u, v));
+};
+
+export const generateRandomGraph = (options = {}) => {
+  const { numNodes, topology, weightScheme, seed = randomSeed(), ...weightRange } = { ...DEFAULT_GENERATOR_OPTIONS, ...options };
+  const n = Math.min(Math.max(2, numNodes), maxNodesFor(topology));
+  const rng = createRng(seed);
+
+  // 1. Shuffled pool of labels (A..Z, then AA, AB, ...) so labels don't give away the layout
+  const labels = Array.from({ length: Math.max(26, n) }, (_, i) => indexToLabel(i));
+  for (let i = labels.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [labels[i], labels[j]] = [labels[j], labels[i]];
+  }
+
+  // 2. Nodes and connections for the chosen topology
+  const { points, pairs, islands } = buildTopology(topology, n, rng);
+  const nodes = points.map((p, i) => ({ id: i, x: p.x, y: p.y, label: labels[i] }));
+
+  const edges = [];
+  const connected = new Set(); // "low-high" id pairs, so either orientation counts as a duplicate
+  pairs.forEach(([i, j]) => {
+    const key = i < j ? `${i}-${j}` : `${j}-${i}`;
+    if (i !== j && !connected.has(key)) {
+      connected.add(key);
+      edges.push({ source: i, target: j, weight: pickWeight(weightScheme, nodes[i], nodes[j], rng, weightRange) });
+    }
+  });
+
+  // 3. Randomly pick start and end (on different islands when the graph is split on purpose)
+  const pick = (pool) => pool[Math.floor(rng() * pool.length)];
+  const startIdx = islands ? pick(islands[0]) : pick(nodes.map(nd => nd.id));
+  let endIdx;
+  do {
+    endIdx = islands ? pick(islands[1]) : pick(nodes.map(nd => nd.id));
+  } while (endIdx === startIdx);
+
+  return { nodes, edges, start: startIdx, end: endIdx };
+};
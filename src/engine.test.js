@@ -0,0 +1,711 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALGORITHMS, MAX_ITERATIONS, TOPOLOGIES, describePolicies, findTraversableEdge, generateRandomGraph, getGroundTruth, goalTestTiming, graphGoals, groundTruthFor, queueInPopOrder, reconstructPath, runSearch, snapshotPath } from './engine.js';
+import { validateGraph } from './graphIO.js';
+
+// Ids deliberately don't follow the labels, so the alphabetical tie-breaking is visible:
+//
+//        C --1-- E                  (E is a dead end)
+//      1/
+//   S --2-- B --2-- D --1-- G
+//      5\           |
+//        A ----1----+
+const GRAPH = {
+  nodes: [
+    { id: 0, label: 'S', x: 0, y: 1 },
+    { id: 1, label: 'C', x: 1, y: 2 },
+    { id: 2, label: 'A', x: 1, y: 0 },
+    { id: 3, label: 'B', x: 1, y: 1 },
+    { id: 4, label: 'D', x: 2, y: 1 },
+    { id: 5, label: 'E', x: 2, y: 2 },
+    { id: 6, label: 'G', x: 3, y: 1 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 1 },
+    { source: 0, target: 2, weight: 5 },
+    { source: 0, target: 3, weight: 2 },
+    { source: 2, target: 4, weight: 1 },
+    { source: 3, target: 4, weight: 2 },
+    { source: 1, target: 5, weight: 1 },
+    { source: 4, target: 6, weight: 1 },
+  ],
+  start: 0,
+  end: 6,
+};
+
+const labelsOf = (graph, ids) => ids.map(id => graph.nodes.find(n => n.id === id).label).join('');
+
+// The node each snapshot highlights, as one string of labels
+const expansionOrder = (graph, history) => labelsOf(graph, history.map(step => step.current).filter(id => id !== null));
+
+const run = (algorithm, options = {}, graph = GRAPH) => {
+  const history = [...runSearch(graph, algorithm, options)];
+  const last = history.at(-1);
+  return {
+    history,
+    last,
+    order: expansionOrder(graph, history),
+    path: labelsOf(graph, snapshotPath(last, graph.start, graph.end)),
+  };
+};
+
+describe('expansion order and path', () => {
+  const cases = [
+    // BFS and DFS test the goal when it is pushed, Dijkstra and A* when it is popped
+    { algorithm: 'BFS', order: 'SABCDG', path: 'SADG' },
+    { algorithm: 'DFS', order: 'SADG', path: 'SADG' },
+    { algorithm: 'Dijkstra', order: 'SCBEDAGG', path: 'SBDG' },
+    { algorithm: 'AStar', order: 'SCEBDGG', path: 'SBDG' },
+    { algorithm: 'UCS', order: 'SCBEDAGG', path: 'SBDG' },
+    { algorithm: 'Greedy', order: 'SADGG', path: 'SADG' },
+    { algorithm: 'WeightedAStar', order: 'SCEBDGG', path: 'SBDG' },
+    // The depth-first family tests the goal when it is popped; IDDFS restarts with limits 0, 1, 2 and 3
+    { algorithm: 'DLS', order: 'SADBGG', path: 'SADG' },
+    { algorithm: 'IDDFS', order: 'SSABCSADBDCESADBGG', path: 'SADG' },
+    { algorithm: 'IDAStar', order: 'SCESBCESBDGG', path: 'SBDG' },
+    // Beam search tests the goal when it makes it into the beam
+    { algorithm: 'Beam', order: 'SABDG', path: 'SADG' },
+    // Bellman-Ford highlights the last node improved in each pass
+    { algorithm: 'BellmanFord', order: 'GG', path: 'SBDG' },
+    // The two sides take turns; the last entry is the meeting node
+    { algorithm: 'BiBFS', order: 'SGABCD', path: 'SADG' },
+    { algorithm: 'BiDijkstra', order: 'SGCDBEB', path: 'SBDG' },
+  ];
+
+  test('covers every path search in the picker', () => {
+    assert.deepEqual(cases.map(c => c.algorithm).sort(), ALGORITHMS.filter(a => !a.kind).map(a => a.id).sort());
+  });
+
+  cases.forEach(({ algorithm, order, path }) => {
+    test(algorithm, () => {
+      const result = run(algorithm);
+      assert.equal(result.last.status, 'found');
+      assert.equal(result.order, order);
+      assert.equal(result.path, path);
+    });
+  });
+});
+
+describe('duplicate checking', () => {
+  test('with the visited set, frontier and visited nodes are never pushed again', () => {
+    const { history } = run('BFS');
+    history.forEach(step => {
+      const ids = step.queue.map(item => item.id);
+      assert.equal(new Set(ids).size, ids.length);
+    });
+  });
+
+  test('without it, nodes are re-expanded', () => {
+    const { order, last } = run('Dijkstra', { checkDuplicates: false });
+    assert.equal(order, 'SCBESCCDSBESESAAGG');
+    assert.equal(last.status, 'found');
+    assert.ok(order.split('S').length - 1 > 1, 'start is expanded more than once');
+  });
+
+  test('DFS is unaffected when the first branch reaches the goal', () => {
+    assert.equal(run('DFS', { checkDuplicates: false }).order, run('DFS').order);
+  });
+});
+
+describe('tie-breaking', () => {
+  test('neighbours are expanded alphabetically, whatever the ids or edge order', () => {
+    const reversed = { ...GRAPH, edges: [...GRAPH.edges].reverse() };
+    ['BFS', 'DFS', 'Dijkstra', 'AStar'].forEach(algorithm => {
+      assert.equal(run(algorithm, {}, reversed).order, run(algorithm).order, algorithm);
+    });
+  });
+
+  test('BFS queues the start neighbours as A, B, C', () => {
+    const { history } = run('BFS');
+    assert.equal(labelsOf(GRAPH, history[1].queue.map(item => item.id)), 'ABC');
+  });
+
+  test('DFS keeps the alphabetically first neighbour on top of the stack', () => {
+    const { history } = run('DFS');
+    assert.equal(labelsOf(GRAPH, history[1].queue.map(item => item.id)), 'CBA');
+  });
+
+  test('equal priorities pop in insertion order', () => {
+    // After S and C, both B and E sit at cost 2; B was pushed first
+    assert.equal(run('Dijkstra').order.slice(0, 4), 'SCBE');
+  });
+
+  test('heap frontiers are stored in push order and shown in pop order', () => {
+    const { history } = run('Dijkstra');
+    assert.equal(labelsOf(GRAPH, history[1].queue.map(item => item.id)), 'ABC');
+    assert.equal(labelsOf(GRAPH, queueInPopOrder(history[1]).map(item => item.id)), 'CBA');
+    ['fifo', 'lifo', 'lowH', 'highG'].forEach(tieBreak => ['UCS', 'AStar', 'Prim', 'BiDijkstra'].forEach(algorithm => {
+      run(algorithm, { tieBreak }).history.filter(step => step.status === 'exploring' && step.event !== 'root').forEach(step => {
+        const front = queueInPopOrder(step).find(item => item.side === (step.activeSide ?? item.side));
+        assert.equal(front.id, step.current, `${algorithm} ${tieBreak}`);
+      });
+    }));
+  });
+});
+
+describe('search policies', () => {
+  test('neighbour order can be reversed, follow the edge list or be shuffled from a seed', () => {
+    assert.equal(run('BFS', { neighborOrder: 'reverse' }).order, 'SCBAEDG');
+    assert.equal(labelsOf(GRAPH, run('BFS', { neighborOrder: 'insertion' }).history[1].queue.map(item => item.id)), 'CAB');
+    assert.equal(run('DFS', { neighborOrder: 'reverse' }).path, 'SBDG');
+    const shuffled = run('BFS', { neighborOrder: 'random', neighborSeed: 7 });
+    assert.equal(shuffled.order, run('BFS', { neighborOrder: 'random', neighborSeed: 7 }).order);
+    assert.equal(shuffled.order, 'SBCADG');
+  });
+
+  test('priority ties can pop the newest entry first', () => {
+    // B and E tie at cost 2; LIFO takes E, pushed after B
+    assert.equal(run('Dijkstra', { tieBreak: 'lifo' }).order.slice(0, 4), 'SCEB');
+  });
+
+  test('priority ties can prefer the lower h or the higher g', () => {
+    // A and B both have f = 3: A is pushed first, B is closer to the goal and further from the start
+    const graph = {
+      nodes: [{ id: 0, label: 'S', x: 0, y: 0, h: 3 }, { id: 1, label: 'A', x: 0, y: 0, h: 2 },
+        { id: 2, label: 'B', x: 0, y: 0, h: 1 }, { id: 3, label: 'G', x: 0, y: 0, h: 0 }],
+      edges: [{ source: 0, target: 1, weight: 1 }, { source: 0, target: 2, weight: 2 },
+        { source: 1, target: 3, weight: 3 }, { source: 2, target: 3, weight: 1 }],
+      start: 0,
+      end: 3,
+    };
+    const options = { heuristicType: 'preset' };
+    assert.equal(run('AStar', options, graph).order.slice(0, 2), 'SA');
+    assert.equal(run('AStar', { ...options, tieBreak: 'lowH' }, graph).order.slice(0, 2), 'SB');
+    assert.equal(run('AStar', { ...options, tieBreak: 'highG' }, graph).order.slice(0, 2), 'SB');
+  });
+
+  test('the goal test can move to expansion or generation for any search', () => {
+    assert.equal(run('BFS', { goalTest: 'expansion' }).order, 'SABCDEGG');
+    // Testing on generation stops UCS as soon as G is pushed, before it is known to be cheapest
+    assert.equal(run('UCS', { goalTest: 'generation' }).order, 'SCBEDG');
+    const dls = run('DLS', { goalTest: 'generation' });
+    assert.equal(dls.order, 'SADG');
+    assert.equal(dls.path, 'SADG');
+  });
+
+  test('describes the policies that apply to an algorithm', () => {
+    assert.equal(describePolicies('UCS', { tieBreak: 'lifo' }),
+      'Neighbour Order: Alphabetical · Priority Ties: LIFO (newest first) · Goal Test: On expansion');
+    assert.equal(describePolicies('BFS', { neighborOrder: 'random', neighborSeed: 3 }),
+      'Neighbour Order: Seeded random (seed 3) · Goal Test: On generation');
+    assert.equal(goalTestTiming('DFS', { goalTest: 'expansion' }), 'pop');
+  });
+});
+
+describe('directed graphs', () => {
+  test('one-way edges are only followed forwards', () => {
+    const graph = { ...GRAPH, directed: true, edges: GRAPH.edges.map(e => (e.source === 4 ? { ...e, source: 6, target: 4 } : e)) };
+    const { last } = run('BFS', {}, graph);
+    assert.equal(last.status, 'failed');
+  });
+});
+
+describe('Bellman-Ford', () => {
+  const node = (id, label) => ({ id, label, x: id * 100, y: 0 });
+
+  test('finds the path Dijkstra misses behind a negative edge', () => {
+    const graph = {
+      directed: true,
+      nodes: [node(0, 'S'), node(1, 'A'), node(2, 'B'), node(3, 'G')],
+      edges: [
+        { source: 0, target: 1, weight: 1 },
+        { source: 0, target: 2, weight: 4 },
+        { source: 2, target: 1, weight: -5 },
+        { source: 1, target: 3, weight: 1 },
+      ],
+      start: 0,
+      end: 3,
+    };
+    assert.equal(run('Dijkstra', {}, graph).path, 'SAG');
+    const { path, last } = run('BellmanFord', {}, graph);
+    assert.equal(path, 'SBAG');
+    assert.equal(last.distances[3], 0);
+    assert.equal(getGroundTruth(graph.nodes, graph.edges, 0, 3, true).trueMinCost, 0);
+  });
+
+  test('reports a reachable negative cycle in travel order', () => {
+    const graph = {
+      directed: true,
+      nodes: [node(0, 'S'), node(1, 'A'), node(2, 'B'), node(3, 'C'), node(4, 'G')],
+      edges: [
+        { source: 0, target: 1, weight: 1 },
+        { source: 1, target: 2, weight: 2 },
+        { source: 2, target: 3, weight: -4 },
+        { source: 3, target: 1, weight: 1 },
+        { source: 3, target: 4, weight: 2 },
+      ],
+      start: 0,
+      end: 4,
+    };
+    const { last } = run('BellmanFord', {}, graph);
+    assert.equal(last.status, 'negative_cycle');
+    const cycle = labelsOf(graph, last.cycle);
+    // Any rotation of A -> B -> C is the same cycle
+    assert.ok('ABCABC'.includes(cycle) && cycle.length === 3, cycle);
+    assert.equal(getGroundTruth(graph.nodes, graph.edges, 0, 4, true).trueMinCost, -Infinity);
+  });
+});
+
+describe('depth-limited and iterative deepening search', () => {
+  test('DLS reports a cutoff when the goal lies past the limit', () => {
+    const { last } = run('DLS', { depthLimit: 2 });
+    assert.equal(last.status, 'cutoff');
+    assert.equal(last.limit, 2);
+    assert.equal(last.nextLimit, 3);
+  });
+
+  test('DLS fails outright when nothing was cut off', () => {
+    const edges = GRAPH.edges.filter(e => e.target !== 6);
+    assert.equal(run('DLS', { depthLimit: 10 }, { ...GRAPH, edges }).last.status, 'failed');
+  });
+
+  test('IDDFS raises the depth limit one pass at a time', () => {
+    const { history } = run('IDDFS');
+    assert.deepEqual([...new Set(history.map(step => step.limit))], [0, 1, 2, 3]);
+    assert.deepEqual([...new Set(history.map(step => step.iteration))], [1, 2, 3, 4]);
+  });
+
+  test('IDA* raises the f threshold to the smallest f that was cut off', () => {
+    const { history } = run('IDAStar');
+    const limits = [...new Set(history.map(step => step.limit))];
+    assert.deepEqual(limits, [...limits].sort((a, b) => a - b));
+    history.slice(0, -1).forEach(step => step.queue.forEach(item => assert.ok(item.priority <= step.limit)));
+  });
+});
+
+describe('priority variants', () => {
+  //   S --1-- A --1-- G, plus a direct S --5-- G
+  const TRAP = {
+    nodes: [{ id: 0, label: 'S', x: 0, y: 0 }, { id: 1, label: 'A', x: 1, y: 0 }, { id: 2, label: 'G', x: 2, y: 0 }],
+    edges: [{ source: 0, target: 1, weight: 1 }, { source: 1, target: 2, weight: 1 }, { source: 0, target: 2, weight: 5 }],
+    start: 0,
+    end: 2,
+  };
+
+  test('UCS replaces a costlier frontier entry where Dijkstra keeps it', () => {
+    assert.equal(run('Dijkstra', {}, TRAP).path, 'SG');
+    const { path, history } = run('UCS', {}, TRAP);
+    assert.equal(path, 'SAG');
+    // The replaced entry never shows up in the frontier
+    history.forEach(step => assert.ok(step.queue.filter(item => item.id === 2).length <= 1));
+  });
+
+  test('the ground truth is not fooled by the entry Dijkstra keeps', () => {
+    assert.equal(getGroundTruth(TRAP.nodes, TRAP.edges, TRAP.start, TRAP.end).trueMinCost, 2);
+  });
+
+  test('Weighted A* with w = 1 is A*', () => {
+    assert.equal(run('WeightedAStar', { weight: 1 }).order, run('AStar').order);
+  });
+
+  test('Greedy orders the frontier by h alone', () => {
+    run('Greedy').history.forEach(step => step.queue.forEach(item => assert.equal(item.priority, item.h)));
+  });
+});
+
+describe('beam search', () => {
+  test('keeps at most beamWidth nodes per layer and records what it pruned', () => {
+    const { history } = run('Beam', { beamWidth: 1 });
+    history.forEach(step => assert.ok(step.queue.filter(item => !item.candidate).length <= 1));
+    assert.ok(history.some(step => step.pruned.length > 0));
+  });
+});
+
+describe('minimum spanning trees', () => {
+  const edgeLabels = (graph, last) => last.decisions.filter(d => d.accepted)
+    .map(d => labelsOf(graph, [graph.edges[d.edge].source, graph.edges[d.edge].target]).split('').sort().join(''))
+    .sort();
+
+  test('Prim and Kruskal find the same tree', () => {
+    ['Prim', 'Kruskal'].forEach(algorithm => {
+      const { last } = run(algorithm);
+      assert.equal(last.status, 'complete', algorithm);
+      assert.equal(last.treeWeight, 8, algorithm);
+      assert.equal(last.trees, 1, algorithm);
+      assert.deepEqual(edgeLabels(GRAPH, last), ['AD', 'BD', 'BS', 'CE', 'CS', 'DG'], algorithm);
+    });
+  });
+
+  test('Prim grows from the start, cheapest crossing edge first', () => {
+    const { order, last } = run('Prim');
+    assert.equal(order, 'SCEBDAGA');
+    // S-A was queued first but A joined through D, so the edge is rejected when it is finally popped
+    assert.deepEqual(last.decisions.at(-1), { edge: 1, accepted: false });
+  });
+
+  test('Kruskal sorts by weight, then by endpoint labels, and stops at V - 1 edges', () => {
+    const { last } = run('Kruskal');
+    assert.deepEqual(last.order, [3, 5, 0, 6, 4, 2, 1]);
+    assert.deepEqual(last.decisions.map(d => d.edge), [3, 5, 0, 6, 4, 2]);
+  });
+
+  test('Kruskal rejects an edge whose ends are already in one component', () => {
+    const triangle = {
+      nodes: ['A', 'B', 'C', 'D'].map((label, id) => ({ id, label, x: id, y: 0 })),
+      edges: [
+        { source: 0, target: 1, weight: 1 },
+        { source: 1, target: 2, weight: 1 },
+        { source: 0, target: 2, weight: 1 },
+        { source: 2, target: 3, weight: 5 },
+      ],
+      start: 0,
+      end: 3,
+    };
+    const { history, last } = run('Kruskal', {}, triangle);
+    assert.deepEqual(last.decisions, [
+      { edge: 0, accepted: true },
+      { edge: 2, accepted: true },
+      { edge: 1, accepted: false },
+      { edge: 3, accepted: true },
+    ]);
+    // A-B and A-C come first by label, so B-C finds both ends under one root
+    const deciding = history.find(step => step.edge === 1);
+    assert.equal(deciding.roots[0], deciding.roots[1]);
+    assert.equal(last.treeWeight, 7);
+  });
+
+  test('a disconnected graph gives a spanning forest', () => {
+    const forest = {
+      nodes: ['A', 'B', 'C', 'D', 'E'].map((label, id) => ({ id, label, x: id, y: 0 })),
+      edges: [
+        { source: 0, target: 1, weight: 2 },
+        { source: 2, target: 3, weight: 3 },
+        { source: 3, target: 4, weight: 1 },
+      ],
+      start: 0,
+      end: 4,
+    };
+    ['Prim', 'Kruskal'].forEach(algorithm => {
+      const { last } = run(algorithm, {}, forest);
+      assert.equal(last.status, 'complete', algorithm);
+      assert.equal(last.trees, 2, algorithm);
+      assert.equal(last.treeWeight, 6, algorithm);
+    });
+  });
+});
+
+describe('graph structure', () => {
+  // A -> B -> C -> A is one SCC, D <-> E another and F stands alone; C -> D joins the first two
+  const CYCLIC = {
+    nodes: ['A', 'B', 'C', 'D', 'E', 'F'].map((label, id) => ({ id, label, x: id, y: 0 })),
+    edges: [[0, 1], [1, 2], [2, 0], [2, 3], [3, 4], [4, 3]].map(([source, target]) => ({ source, target, weight: 1 })),
+    start: 0,
+    end: 5,
+    directed: true,
+  };
+  // A -> C, B -> C, C -> D, A -> E, E -> D
+  const DAG = {
+    nodes: ['A', 'B', 'C', 'D', 'E'].map((label, id) => ({ id, label, x: id, y: 0 })),
+    edges: [[0, 2], [1, 2], [2, 3], [0, 4], [4, 3]].map(([source, target]) => ({ source, target, weight: 1 })),
+    start: 0,
+    end: 3,
+    directed: true,
+  };
+  // The groups at the end of a run as sorted label strings, e.g. ['ABC', 'DE', 'F']
+  const groupsOf = (graph, last) => {
+    const groups = [];
+    last.log.forEach(({ id, field, value }) => field === 'group' && (groups[value] ??= []).push(id));
+    return groups.map(ids => labelsOf(graph, ids).split('').sort().join('')).sort();
+  };
+  // A topological order puts every edge's source before its target
+  const respectsEdges = (graph, order) => graph.edges.every(e => order.indexOf(e.source) < order.indexOf(e.target));
+
+  test('connected components ignore edge directions', () => {
+    const { last } = run('Components', {}, CYCLIC);
+    assert.equal(last.status, 'complete');
+    assert.equal(last.groups, 2);
+    assert.deepEqual(groupsOf(CYCLIC, last), ['ABCDE', 'F']);
+  });
+
+  test('cycle detection stops at the first back edge', () => {
+    const { last } = run('CycleDetection', {}, CYCLIC);
+    assert.equal(last.backEdge, 2);
+    assert.equal(labelsOf(CYCLIC, last.cycle), 'ABC');
+    assert.equal(run('CycleDetection', {}, DAG).last.backEdge, null);
+  });
+
+  test('an undirected edge is not a cycle on its own, but a triangle is', () => {
+    const path = { ...DAG, directed: false, edges: DAG.edges.slice(0, 3) };
+    assert.equal(run('CycleDetection', {}, path).last.backEdge, null);
+    assert.notEqual(run('CycleDetection', {}, { ...DAG, directed: false }).last.backEdge, null);
+  });
+
+  test("Kahn's algorithm outputs in-degree 0 nodes in label order", () => {
+    const { last } = run('TopoKahn', {}, DAG);
+    assert.equal(labelsOf(DAG, last.order), 'ABECD');
+    assert.ok(respectsEdges(DAG, last.order));
+  });
+
+  test('the DFS topological sort is the reverse finish order', () => {
+    const { last } = run('TopoDFS', {}, DAG);
+    assert.equal(labelsOf(DAG, last.order), 'BAECD');
+    assert.ok(respectsEdges(DAG, last.order));
+  });
+
+  test('both topological sorts report a cycle instead of an order', () => {
+    const kahn = run('TopoKahn', {}, CYCLIC).last;
+    assert.equal(kahn.order, null);
+    assert.equal(labelsOf(CYCLIC, kahn.blocked), 'ABCDE');
+    const dfs = run('TopoDFS', {}, CYCLIC).last;
+    assert.equal(dfs.order, null);
+    assert.equal(labelsOf(CYCLIC, dfs.cycle), 'ABC');
+  });
+
+  test('Tarjan and Kosaraju find the same SCCs', () => {
+    ['Tarjan', 'Kosaraju'].forEach(algorithm => {
+      const { last } = run(algorithm, {}, CYCLIC);
+      assert.equal(last.groups, 3, algorithm);
+      assert.deepEqual(groupsOf(CYCLIC, last), ['ABC', 'DE', 'F'], algorithm);
+    });
+    assert.equal(run('Tarjan', {}, DAG).last.groups, 5);
+  });
+
+  test('Tarjan logs disc and low for every node', () => {
+    const { last } = run('Tarjan', {}, CYCLIC);
+    const latest = (field) => Object.fromEntries(last.log.filter(e => e.field === field).map(e => [labelsOf(CYCLIC, [e.id]), e.value]));
+    assert.deepEqual(latest('disc'), { A: 0, B: 1, C: 2, D: 3, E: 4, F: 5 });
+    assert.deepEqual(latest('low'), { A: 0, B: 0, C: 0, D: 3, E: 3, F: 5 });
+  });
+});
+
+describe('max flow', () => {
+  // The network from CLRS figure 26.1 (max flow 23), with S as source and T as sink
+  const NETWORK = {
+    nodes: ['S', 'A', 'B', 'C', 'D', 'T'].map((label, id) => ({ id, label, x: id, y: 0 })),
+    edges: [[0, 1, 16], [0, 2, 13], [2, 1, 4], [1, 3, 12], [3, 2, 9], [2, 4, 14], [4, 3, 7], [3, 5, 20], [4, 5, 4]]
+      .map(([source, target, weight]) => ({ source, target, weight })),
+    start: 0,
+    end: 5,
+    directed: true,
+  };
+  const cutCapacity = (graph, last) => last.cut.reduce((sum, i) => sum + graph.edges[i].weight, 0);
+
+  test('augments along shortest residual paths, one snapshot each', () => {
+    const { history, last } = run('EdmondsKarp', {}, NETWORK);
+    assert.equal(last.status, 'complete');
+    assert.equal(last.flowValue, 23);
+    const paths = history.filter(step => step.path).map(step => [labelsOf(NETWORK, step.path), step.bottleneck]);
+    assert.deepEqual(paths, [['SACT', 12], ['SBDT', 4], ['SBDCT', 7]]);
+    // Plus the empty start and the final cut
+    assert.equal(history.length, paths.length + 2);
+  });
+
+  test('flows respect capacities and are conserved', () => {
+    const { last } = run('EdmondsKarp', {}, NETWORK);
+    NETWORK.edges.forEach((e, i) => assert.ok(last.flows[i] >= 0 && last.flows[i] <= e.weight));
+    NETWORK.nodes.slice(1, -1).forEach(({ id }) => {
+      const net = NETWORK.edges.reduce((sum, e, i) => sum + (e.target === id ? last.flows[i] : 0) - (e.source === id ? last.flows[i] : 0), 0);
+      assert.equal(net, 0);
+    });
+  });
+
+  test('the minimum cut has the capacity of the maximum flow', () => {
+    const { last } = run('EdmondsKarp', {}, NETWORK);
+    assert.equal(labelsOf(NETWORK, [...last.visited].sort()), 'SABD');
+    assert.equal(cutCapacity(NETWORK, last), 23);
+  });
+
+  test('undirected edges carry flow either way', () => {
+    const undirected = { ...NETWORK, directed: false };
+    const { last } = run('EdmondsKarp', {}, undirected);
+    assert.equal(last.flowValue, 24);
+    assert.equal(cutCapacity(undirected, last), 24);
+    // The edge listed as C -> B carries 8 from B to C, so its flow is negative
+    assert.equal(last.flows[4], -8);
+  });
+
+  test('no flow when the sink is unreachable', () => {
+    const { last } = run('EdmondsKarp', {}, { ...NETWORK, end: 0, start: 5 });
+    assert.equal(last.flowValue, 0);
+    assert.deepEqual(last.cut, []);
+  });
+});
+
+describe('bidirectional search', () => {
+  test('keeps the start and goal trees apart', () => {
+    const { last } = run('BiBFS');
+    // D was reached from both sides: A leads to it from the start, G from the goal
+    assert.equal(last.parents[4], 2);
+    assert.equal(last.parentsEnd[4], 6);
+    assert.equal(labelsOf(GRAPH, [last.meet]), 'D');
+    // The queue lists the start side's frontier first
+    const sides = last.queue.map(item => item.side);
+    assert.ok(sides.includes('end') && sides.lastIndexOf('start') < sides.indexOf('end'));
+  });
+
+  test('Dijkstra stops once the frontier tops sum to at least the best meeting cost', () => {
+    const { history, last } = run('BiDijkstra');
+    assert.equal(last.best, 5);
+    assert.ok(last.bound >= last.best);
+    assert.ok(history.at(-2).bound < history.at(-2).best);
+  });
+
+  test('finds a shortest path on random graphs', () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      const graph = { ...generateRandomGraph({ numNodes: 15, topology: 'sparse', weightScheme: 'random', seed }), directed: seed % 2 === 0 };
+      const { trueMinEdges, trueMinCost } = getGroundTruth(graph.nodes, graph.edges, graph.start, graph.end, graph.directed);
+      const path = (algorithm) => snapshotPath(runSearch(graph, algorithm).at(-1), graph.start, graph.end);
+      const bfsPath = path('BiBFS');
+      const dijkstraPath = path('BiDijkstra');
+      const cost = dijkstraPath.slice(1).reduce((sum, id, i) => sum + findTraversableEdge(graph.edges, dijkstraPath[i], id, graph.directed).weight, 0);
+      assert.equal(bfsPath.length > 0 ? bfsPath.length - 1 : Infinity, trueMinEdges, `seed ${seed}`);
+      assert.ok(trueMinCost === Infinity || cost <= trueMinCost, `seed ${seed}`);
+    }
+  });
+});
+
+describe('getGroundTruth', () => {
+  test('returns the fewest edges and the least cost independently', () => {
+    assert.deepEqual(getGroundTruth(GRAPH.nodes, GRAPH.edges, GRAPH.start, GRAPH.end), { trueMinEdges: 3, trueMinCost: 5 });
+  });
+
+  test('is infinite when the goal is unreachable', () => {
+    const edges = GRAPH.edges.filter(e => e.target !== 6);
+    assert.deepEqual(getGroundTruth(GRAPH.nodes, edges, GRAPH.start, GRAPH.end), { trueMinEdges: Infinity, trueMinCost: Infinity });
+  });
+});
+
+describe('several goals', () => {
+  // E, a dead end two cheap edges from the start, becomes a second goal
+  const graph = { ...GRAPH, goals: [5] };
+  const pathTo = (algorithm) => labelsOf(graph, snapshotPath(runSearch(graph, algorithm).at(-1), graph.start, graphGoals(graph)));
+
+  test('every path search stops at whichever goal it reaches', () => {
+    ALGORITHMS.filter(a => !a.kind).forEach(({ id }) => {
+      const last = runSearch(graph, id, { depthLimit: 4 }).at(-1);
+      assert.equal(last.status, 'found', id);
+      assert.ok(['E', 'G'].includes(pathTo(id).at(-1)), id);
+    });
+    assert.equal(pathTo('DFS'), 'SADG');
+  });
+
+  test('the searches that find shortest paths reach the nearer goal', () => {
+    ['BFS', 'UCS', 'Dijkstra', 'AStar', 'IDDFS', 'BellmanFord', 'BiBFS', 'BiDijkstra'].forEach(id => assert.equal(pathTo(id), 'SCE', id));
+  });
+
+  test('A* takes the smallest h over all the goals', () => {
+    const pushes = runSearch(graph, 'AStar').at(0).events.filter(e => e.type === 'push');
+    // C sits right next to E but over two units from G
+    assert.equal(pushes.find(e => e.id === 1).h, 1);
+    assert.equal(runSearch(GRAPH, 'AStar').at(0).events.find(e => e.type === 'push' && e.id === 1).h, 2);
+  });
+
+  test('the ground truth measures the nearest goal', () => {
+    assert.deepEqual(getGroundTruth(GRAPH.nodes, GRAPH.edges, GRAPH.start, graphGoals(graph)), { trueMinEdges: 2, trueMinCost: 2 });
+    assert.deepEqual(groundTruthFor(graph), { trueMinEdges: 2, trueMinCost: 2 });
+  });
+
+  test('max flow keeps `end` as its sink', () => {
+    assert.equal(runSearch(graph, 'EdmondsKarp').at(-1).flowValue, runSearch(GRAPH, 'EdmondsKarp').at(-1).flowValue);
+  });
+
+  test('no goal may be the start', () => {
+    assert.deepEqual(validateGraph(graph), []);
+    assert.deepEqual(validateGraph({ ...graph, goals: [5, 0] }), ['Goal S is also the start']);
+    assert.deepEqual(validateGraph({ ...GRAPH, end: 0 }), ['Goal S is also the start']);
+  });
+});
+
+describe('waypoints', () => {
+  // S -> C -> G: the route has to double back through S after the detour to C
+  const graph = { ...GRAPH, waypoints: [1] };
+
+  test('run as one search per leg, played one after another', () => {
+    const history = [...runSearch(graph, 'Dijkstra')];
+    const last = history.at(-1);
+    assert.equal(last.status, 'found');
+    assert.deepEqual(last.leg, { index: 1, count: 2, from: 1, to: [6] });
+    assert.equal(labelsOf(graph, snapshotPath(last, graph.start, graphGoals(graph))), 'SCSBDG');
+
+    // The first leg ends on the waypoint without stopping the run
+    const reached = history.filter(step => step.waypoint !== undefined);
+    assert.deepEqual(reached.map(step => [step.status, step.waypoint, labelsOf(graph, step.route)]), [['exploring', 1, 'SC']]);
+    assert.ok(history.every(step => step.leg.index === (history.indexOf(step) <= history.indexOf(reached[0]) ? 0 : 1)));
+  });
+
+  test('the ground truth adds up the best path of every leg', () => {
+    assert.deepEqual(groundTruthFor(graph), { trueMinEdges: 5, trueMinCost: 7 });
+    const last = runSearch(graph, 'BFS').at(-1);
+    assert.equal(labelsOf(graph, snapshotPath(last, graph.start, graph.end)), 'SCSADG');
+  });
+
+  test('the first leg that fails ends the route', () => {
+    const island = { ...graph, nodes: [...graph.nodes, { id: 7, label: 'Z', x: 4, y: 4 }], waypoints: [7, 1] };
+    const last = runSearch(island, 'BFS').at(-1);
+    assert.equal(last.status, 'failed');
+    assert.equal(last.leg.index, 0);
+    assert.deepEqual(snapshotPath(last, island.start, island.end), []);
+    assert.equal(groundTruthFor(island).trueMinCost, Infinity);
+  });
+
+  test('the other kinds of algorithm ignore them', () => {
+    assert.equal(runSearch(graph, 'Prim').at(-1).leg, undefined);
+  });
+});
+
+describe('reconstructPath', () => {
+  test('walks parents back from the goal', () => {
+    assert.deepEqual(reconstructPath({ 1: 0, 2: 1 }, 0, 2), [0, 1, 2]);
+  });
+
+  test('returns [] for an unreached goal or a parent loop', () => {
+    assert.deepEqual(reconstructPath({ 1: 0 }, 0, 2), []);
+    assert.deepEqual(reconstructPath({ 1: 2, 2: 1 }, 0, 2), []);
+  });
+});
+
+describe('generateRandomGraph', () => {
+  test('the same seed and options give the same graph', () => {
+    const options = { numNodes: 20, topology: 'sparse', weightScheme: 'random', seed: 1234 };
+    assert.deepEqual(generateRandomGraph(options), generateRandomGraph(options));
+    assert.notDeepEqual(generateRandomGraph(options), generateRandomGraph({ ...options, seed: 4321 }));
+  });
+
+  TOPOLOGIES.forEach(({ id }) => {
+    test(`${id} topology produces a valid graph`, () => {
+      const graph = generateRandomGraph({ numNodes: 12, topology: id, seed: 7 });
+      assert.equal(graph.nodes.length, 12);
+      assert.deepEqual(validateGraph(graph), []);
+      assert.notEqual(graph.start, graph.end);
+    });
+  });
+});
+
+describe('large graphs', () => {
+  const big = generateRandomGraph({ numNodes: 2000, topology: 'sparse', seed: 42 });
+
+  test('labels continue past Z', () => {
+    const labels = new Set(big.nodes.map(n => n.label));
+    assert.equal(labels.size, 2000);
+    ['Z', 'AA', 'BXX'].forEach(label => assert.ok(labels.has(label), label));
+  });
+
+  test('every algorithm finishes on thousands of nodes', () => {
+    // Depth limits, the iteration cap and a narrow beam can stop these short on a graph this big
+    const bounded = ['DLS', 'IDDFS', 'IDAStar', 'Beam'];
+    ALGORITHMS.forEach(({ id, kind }) => {
+      const { status } = runSearch(big, id).at(-1);
+      if (bounded.includes(id)) assert.notEqual(status, 'exploring', id);
+      else assert.equal(status, kind ? 'complete' : 'found', id);
+    });
+  });
+
+  test('the iteration limit grows with the graph', () => {
+    const history = runSearch(big, 'BFS', { checkDuplicates: false });
+    assert.ok(history.length > MAX_ITERATIONS);
+    assert.equal(runSearch(big, 'BFS', { checkDuplicates: false, maxIterations: 10 }).at(-1).status, 'limit_reached');
+  });
+
+  test('recordSteps: false keeps only the outcome', () => {
+    const history = runSearch(big, 'Dijkstra', { recordSteps: false });
+    assert.equal(history.length, 1);
+    assert.equal(history.at(0).status, 'found');
+  });
+
+  test('onProgress reports while searching', () => {
+    const reports = [];
+    runSearch(big, 'BFS', { checkDuplicates: false, onProgress: steps => reports.push(steps) });
+    assert.ok(reports.length > 0);
+    assert.deepEqual(reports, [...reports].sort((a, b) => a - b));
+  });
+});
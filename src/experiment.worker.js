@@ -0,0 +1,11 @@
+import { runExperimentGraph } from './experiments.js';
+
+// Runs an experiment batch off the main thread for ExperimentView.
+// Receives the experiment config; posts { type: 'progress', graphs, rows } after each graph (with that graph's
+// rows), then { type: 'done' }.
+self.onmessage = ({ data: config }) => {
+  for (let i = 0; i < config.count; i++) {
+    self.postMessage({ type: 'progress', graphs: i + 1, rows: runExperimentGraph(config, i) });
+  }
+  self.postMessage({ type: 'done' });
+};
@@ -0,0 +1,103 @@
+import { generateRandomGraph, groundTruthFor, runSearch } from './engine.js';
+import { summarizeRun } from './metrics.js';
+import { toCSV } from './csv.js';
+
+// --- Experiments ---
+// Batch runs over seeded random graphs, so claims like "A* expands fewer nodes than Dijkstra" rest on many
+// graphs rather than one. Graph i is generated from `seed + i`, so a batch can always be reproduced.
+//
+//   config: { generatorOptions, seed, count, runs: [{ algorithm, label, options }] }
+//   one row per graph and run: { graph, seed, nodes, edges, label, algorithm, status, found, explored, ... }
+
+// The per-run numbers the tables and charts aggregate
+export const EXPERIMENT_METRICS = [
+  { id: 'explored', label: 'Nodes Expanded' },
+  { id: 'frontierMax', label: 'Max Frontier' },
+  { id: 'frontierAvg', label: 'Avg Frontier' },
+  { id: 'pathEdges', label: 'Path Length (edges)' },
+  { id: 'cost', label: 'Path Cost' },
+];
+
+export const MAX_EXPERIMENT_GRAPHS = 500;
+
+// Every run on graph `index` of the batch
+export const runExperimentGraph = ({ generatorOptions, seed, runs }, index) => {
+  const graphSeed = seed + index;
+  const graph = generateRandomGraph({ ...generatorOptions, seed: graphSeed });
+  const groundTruth = groundTruthFor(graph);
+  return runs.map(({ algorithm, label, options }) => {
+    const history = runSearch(graph, algorithm, options);
+    const summary = summarizeRun(history, history.length - 1, graph, groundTruth);
+    return {
+      graph: index,
+      seed: graphSeed,
+      nodes: graph.nodes.length,
+      edges: graph.edges.length,
+      label,
+      algorithm,
+      status: summary.status,
+      found: summary.found,
+      explored: summary.explored,
+      frontierMax: summary.frontierMax,
+      frontierAvg: summary.frontierAvg,
+      // Path numbers only exist for runs that found the goal
+      pathEdges: summary.found ? summary.pathEdges : null,
+      cost: summary.cost,
+      shortest: summary.shortest,
+      leastCost: summary.leastCost,
+    };
+  });
+};
+
+// The whole batch; `onProgress(graphsDone)` is called after each graph
+export const runExperiment = (config, onProgress) => {
+  const rows = [];
+  for (let i = 0; i < config.count; i++) {
+    rows.push(...runExperimentGraph(config, i));
+    onProgress?.(i + 1);
+  }
+  return rows;
+};
+
+// Mean, median, min, max and standard deviation of the numbers given, or null for none
+export const describeValues = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const middle = sorted.length >> 1;
+  return {
+    count: sorted.length,
+    mean,
+    median: sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    stdDev: Math.sqrt(sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length),
+  };
+};
+
+// One entry per run label, in the order the runs first appear: how often it found the goal and an optimal
+// path, and the statistics of each metric (path metrics over the runs that found the goal)
+export const aggregateExperiment = (rows) => {
+  const byLabel = new Map();
+  rows.forEach(row => byLabel.set(row.label, [...(byLabel.get(row.label) ?? []), row]));
+  return [...byLabel].map(([label, group]) => {
+    const found = group.filter(row => row.found);
+    return {
+      label,
+      runs: group.length,
+      foundRate: found.length / group.length,
+      shortestRate: found.length ? found.filter(row => row.shortest).length / found.length : null,
+      leastCostRate: found.length ? found.filter(row => row.leastCost).length / found.length : null,
+      metrics: Object.fromEntries(EXPERIMENT_METRICS.map(({ id }) => [
+        id,
+        describeValues(group.map(row => row[id]).filter(v => v !== null && v !== undefined)),
+      ])),
+    };
+  });
+};
+
+const EXPERIMENT_COLUMNS = ['graph', 'seed', 'nodes', 'edges', 'label', 'algorithm', 'status', 'found', 'explored',
+  'frontierMax', 'frontierAvg', 'pathEdges', 'cost', 'shortest', 'leastCost'];
+
+// The raw rows, one line per run
+export const experimentToCSV = (rows) => toCSV(EXPERIMENT_COLUMNS, rows);
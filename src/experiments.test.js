@@ -0,0 +1,49 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateExperiment, describeValues, experimentToCSV, runExperiment } from './experiments.js';
+
+const CONFIG = {
+  generatorOptions: { numNodes: 25, topology: 'nearest', weightScheme: 'euclidean' },
+  seed: 7,
+  count: 6,
+  runs: [
+    { algorithm: 'Dijkstra', label: 'Dijkstra', options: { checkDuplicates: true, heuristicType: 'zero' } },
+    { algorithm: 'AStar', label: 'A*', options: { checkDuplicates: true, heuristicType: 'euclidean' } },
+    { algorithm: 'UCS', label: 'UCS', options: { checkDuplicates: true } },
+  ],
+};
+
+describe('experiments', () => {
+  const progress = [];
+  const rows = runExperiment(CONFIG, done => progress.push(done));
+
+  test('runs every algorithm on every seeded graph', () => {
+    assert.equal(rows.length, 18);
+    assert.deepEqual(progress, [1, 2, 3, 4, 5, 6]);
+    assert.deepEqual([...new Set(rows.map(row => row.seed))], [7, 8, 9, 10, 11, 12]);
+    // The same config reproduces the same batch
+    assert.deepEqual(runExperiment(CONFIG), rows);
+  });
+
+  test('A* expands no more than Dijkstra, and UCS always finds the least cost', () => {
+    const [dijkstra, astar, ucs] = aggregateExperiment(rows);
+    for (let i = 0; i < rows.length; i += 3) assert.ok(rows[i + 1].explored <= rows[i].explored);
+    assert.ok(astar.metrics.explored.mean <= dijkstra.metrics.explored.mean);
+    assert.equal(ucs.foundRate, 1);
+    assert.equal(ucs.leastCostRate, 1);
+    assert.equal(ucs.metrics.cost.count, 6);
+  });
+
+  test('describes values', () => {
+    assert.deepEqual(describeValues([4, 1, 3, 2]), { count: 4, mean: 2.5, median: 2.5, min: 1, max: 4, stdDev: Math.sqrt(1.25) });
+    assert.equal(describeValues([5, 1, 3]).median, 3);
+    assert.equal(describeValues([]), null);
+  });
+
+  test('exports one CSV line per run', () => {
+    const lines = experimentToCSV(rows).trim().split('\n');
+    assert.equal(lines.length, rows.length + 1);
+    assert.match(lines[0], /^graph,seed,nodes,edges,label,algorithm,status,found,explored,/);
+    assert.match(lines[2], /^0,7,25,\d+,A\*,AStar,found,true,/);
+  });
+});
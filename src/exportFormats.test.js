@@ -0,0 +1,159 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSearch } from './engine.js';
+import { createRng } from './random.js';
+import { encodeGif } from './gif.js';
+import { crc32, createZip } from './zip.js';
+import { traceRows, traceToCSV, traceToMarkdown } from './traceTable.js';
+import { exportSteps } from './playbackExport.js';
+
+// Just enough of a GIF decoder to read back what encodeGif writes: the global palette, then each frame's
+// delay and pixels as [r, g, b] triples
+const decodeGif = (bytes) => {
+  const u16 = (i) => bytes[i] | (bytes[i + 1] << 8);
+  const width = u16(6);
+  const height = u16(8);
+  const palette = [];
+  for (let i = 0; i < 256; i++) palette.push([...bytes.subarray(13 + i * 3, 16 + i * 3)]);
+  let pos = 13 + 768;
+  const frames = [];
+  let delay = 0;
+  const readBlocks = () => {
+    const data = [];
+    while (bytes[pos] !== 0) {
+      data.push(...bytes.subarray(pos + 1, pos + 1 + bytes[pos]));
+      pos += bytes[pos] + 1;
+    }
+    pos++;
+    return data;
+  };
+  while (bytes[pos] !== 0x3b) {
+    if (bytes[pos] === 0x21) {
+      if (bytes[pos + 1] === 0xf9) delay = u16(pos + 4) * 10;
+      pos += 2;
+      readBlocks();
+    } else {
+      pos += 10;
+      const minCodeSize = bytes[pos++];
+      const data = readBlocks();
+      const clear = 1 << minCodeSize;
+      let codeSize = minCodeSize + 1;
+      let dict = [];
+      let prev = null;
+      let bit = 0;
+      const out = [];
+      for (;;) {
+        let code = 0;
+        for (let b = 0; b < codeSize; b++, bit++) code |= ((data[bit >> 3] >> (bit & 7)) & 1) << b;
+        if (code === clear) {
+          dict = Array.from({ length: clear + 2 }, (_, i) => [i]);
+          codeSize = minCodeSize + 1;
+          prev = null;
+          continue;
+        }
+        if (code === clear + 1) break;
+        const entry = code < dict.length ? dict[code] : [...dict[prev], dict[prev][0]];
+        if (prev !== null) dict.push([...dict[prev], entry[0]]);
+        out.push(...entry);
+        if (dict.length === 1 << codeSize && codeSize < 12) codeSize++;
+        prev = code;
+      }
+      frames.push({ delay, pixels: out.map(i => palette[i]) });
+    }
+  }
+  return { width, height, frames };
+};
+
+describe('encodeGif', () => {
+  test('round-trips frames exactly when they use at most 256 colours', () => {
+    const rng = createRng(1);
+    const width = 64;
+    const height = 48;
+    // 200 colours in distinct buckets; random pixels fill the LZW table and force clear codes
+    const colors = Array.from({ length: 200 }, (_, i) => [(i % 8) * 32, (Math.floor(i / 8) % 5) * 48, Math.floor(i / 40) * 48]);
+    const frames = [0, 1].map(() => {
+      const picks = Array.from({ length: width * height }, () => colors[Math.floor(rng() * (rng() < 0.5 ? 4 : colors.length))]);
+      const pixels = new Uint8ClampedArray(picks.flatMap(c => [...c, 255]));
+      return { pixels, picks, delay: 250 };
+    });
+    const gif = encodeGif({ width, height, frames });
+    assert.equal(new TextDecoder().decode(gif.subarray(0, 6)), 'GIF89a');
+    const decoded = decodeGif(gif);
+    assert.equal(decoded.width, width);
+    assert.equal(decoded.frames.length, 2);
+    decoded.frames.forEach((frame, i) => {
+      assert.equal(frame.delay, 250);
+      assert.deepEqual(frame.pixels, frames[i].picks);
+    });
+  });
+
+  test('maps extra colours to the nearest palette entry', () => {
+    const pixels = new Uint8ClampedArray([10, 10, 10, 255, 12, 9, 11, 255, 250, 250, 250, 255]);
+    const { frames: [frame] } = decodeGif(encodeGif({ width: 3, height: 1, frames: [{ pixels, delay: 100 }] }));
+    assert.deepEqual(frame.pixels, [[11, 10, 11], [11, 10, 11], [250, 250, 250]]);
+  });
+});
+
+describe('createZip', () => {
+  test('computes the standard CRC-32', () => {
+    assert.equal(crc32(new TextEncoder().encode('hello')), 0x3610a686);
+  });
+
+  test('stores each file behind a local header and lists it in the central directory', () => {
+    const zip = createZip([{ name: 'a.svg', data: '<svg/>' }, { name: 'b.txt', data: new Uint8Array([1, 2, 3]) }]);
+    const view = new DataView(zip.buffer);
+    assert.equal(view.getUint32(0, true), 0x04034b50);
+    assert.equal(new TextDecoder().decode(zip.subarray(30, 35)), 'a.svg');
+    assert.equal(new TextDecoder().decode(zip.subarray(35, 41)), '<svg/>');
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), 2);
+    const centralStart = view.getUint32(end + 16, true);
+    assert.equal(view.getUint32(centralStart, true), 0x02014b50);
+    assert.equal(view.getUint32(end + 12, true), end - centralStart);
+  });
+});
+
+describe('traceRows', () => {
+  const graph = {
+    nodes: [
+      { id: 0, label: 'S', x: 0, y: 0 },
+      { id: 1, label: 'A', x: 3, y: 4 },
+      { id: 2, label: 'G', x: 6, y: 8 },
+    ],
+    edges: [{ source: 0, target: 1, weight: 5 }, { source: 1, target: 2, weight: 5 }],
+    start: 0,
+    end: 2,
+  };
+  const rows = traceRows(runSearch(graph, 'AStar', { checkDuplicates: true, heuristicType: 'euclidean' }), graph);
+
+  test('lists the current node, the frontier with g/h/f and the visited set', () => {
+    assert.deepEqual(rows[0], { step: 0, event: 'pop', status: 'exploring', current: 'S', frontier: 'S (g 0, h 10, f 10)', visited: '' });
+    assert.deepEqual(rows[1], { step: 1, event: 'pop', status: 'exploring', current: 'A', frontier: 'A (g 5, h 5, f 10)', visited: 'S' });
+    assert.deepEqual(rows[3], { step: 3, event: 'goal', status: 'found', current: 'G', frontier: '', visited: 'S, A, G' });
+  });
+
+  test('formats Markdown and CSV tables', () => {
+    const markdown = traceToMarkdown(rows, 'A*').split('\n');
+    assert.equal(markdown[0], '# A*');
+    assert.equal(markdown[2], '| Step | Event | Status | Current | Frontier (front first) | Visited |');
+    assert.equal(markdown[5], '| 1 | pop | exploring | A | A (g 5, h 5, f 10) | S |');
+    const csv = traceToCSV(rows).split('\n');
+    assert.equal(csv[0], 'step,event,status,current,frontier,visited');
+    assert.equal(csv[1], '0,pop,exploring,S,"S (g 0, h 10, f 10)",');
+  });
+});
+
+describe('exportSteps', () => {
+  test('keeps every step of a short run', () => {
+    assert.deepEqual(exportSteps(4, 10), [0, 1, 2, 3]);
+  });
+
+  test('samples long runs evenly, keeping the first and last step', () => {
+    const steps = exportSteps(1000, 10);
+    assert.equal(steps.length, 10);
+    assert.equal(steps[0], 0);
+    assert.equal(steps[9], 999);
+    assert.deepEqual(steps, [...steps].sort((a, b) => a - b));
+  });
+});
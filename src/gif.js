@@ -0,0 +1,207 @@
+// --- GIF ---
+// Animated GIF encoder for playback exports. The canvas is mostly flat UI colours, so one global palette of
+// the 256 most common colours (counted at 5 bits per channel) reproduces it closely without dithering.
+
+const MAX_COLORS = 256;
+const MIN_CODE_SIZE = 8;
+
+// Growable byte buffer, in chunks so long animations don't copy everything on every resize
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.chunk = new Uint8Array(1 << 16);
+    this.length = 0;
+  }
+
+  byte(b) {
+    if (this.length === this.chunk.length) {
+      this.chunks.push(this.chunk);
+      this.chunk = new Uint8Array(1 << 16);
+      this.length = 0;
+    }
+    this.chunk[this.length++] = b;
+  }
+
+  u16(v) {
+    this.byte(v & 0xff);
+    this.byte((v >> 8) & 0xff);
+  }
+
+  bytes(list) {
+    for (const b of list) this.byte(b);
+  }
+
+  ascii(text) {
+    for (let i = 0; i < text.length; i++) this.byte(text.charCodeAt(i));
+  }
+
+  toBytes() {
+    const parts = [...this.chunks, this.chunk.subarray(0, this.length)];
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    parts.forEach(p => {
+      out.set(p, offset);
+      offset += p.length;
+    });
+    return out;
+  }
+}
+
+const colorKey = (pixels, i) => ((pixels[i] >> 3) << 10) | ((pixels[i + 1] >> 3) << 5) | (pixels[i + 2] >> 3);
+
+// The most common colours over every frame (RGBA pixel arrays), as [[r, g, b], ...], at most 256 of them.
+// Each palette entry is the average of the pixels that fell in its 5-bit bucket.
+export const buildPalette = (frames) => {
+  const buckets = new Map(); // key -> [count, r, g, b]
+  frames.forEach(pixels => {
+    for (let i = 0; i < pixels.length; i += 4) {
+      const key = colorKey(pixels, i);
+      const bucket = buckets.get(key);
+      if (bucket) {
+        bucket[0]++;
+        bucket[1] += pixels[i];
+        bucket[2] += pixels[i + 1];
+        bucket[3] += pixels[i + 2];
+      } else {
+        buckets.set(key, [1, pixels[i], pixels[i + 1], pixels[i + 2]]);
+      }
+    }
+  });
+  return [...buckets.values()]
+    .sort((a, b) => b[0] - a[0])
+    .slice(0, MAX_COLORS)
+    .map(([count, r, g, b]) => [Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+};
+
+// Palette index for every pixel, nearest colour by squared distance (cached per 5-bit bucket)
+const indexPixels = (pixels, palette, cache) => {
+  const indices = new Uint8Array(pixels.length / 4);
+  for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+    const key = colorKey(pixels, i);
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      palette.forEach(([r, g, b], j) => {
+        const d = (r - pixels[i]) ** 2 + (g - pixels[i + 1]) ** 2 + (b - pixels[i + 2]) ** 2;
+        if (d < best) {
+          best = d;
+          index = j;
+        }
+      });
+      cache.set(key, index);
+    }
+    indices[p] = index;
+  }
+  return indices;
+};
+
+// GIF's variable-width LZW, codes packed least significant bit first into sub-blocks of up to 255 bytes
+const lzwEncode = (indices, out) => {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  let block = [];
+  let bits = 0;
+  let bitCount = 0;
+  const flushBlock = () => {
+    out.byte(block.length);
+    out.bytes(block);
+    block = [];
+  };
+  const emit = (code) => {
+    bits |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      block.push(bits & 0xff);
+      if (block.length === 255) flushBlock();
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  out.byte(MIN_CODE_SIZE);
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      // The code table is full: start over
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = MIN_CODE_SIZE + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(endCode);
+  if (bitCount > 0) block.push(bits & 0xff);
+  if (block.length) flushBlock();
+  out.byte(0);
+};
+
+// Streams frames into a looping GIF, so long runs never hold every frame at once. The palette (from
+// buildPalette, over all frames or a sample of them) is fixed up front.
+export class GifEncoder {
+  constructor(width, height, palette) {
+    this.width = width;
+    this.height = height;
+    this.palette = [...palette];
+    while (this.palette.length < MAX_COLORS) this.palette.push([0, 0, 0]);
+    this.cache = new Map();
+    this.out = new ByteWriter();
+
+    const out = this.out;
+    out.ascii('GIF89a');
+    out.u16(width);
+    out.u16(height);
+    out.bytes([0xf7, 0, 0]); // 256-colour global table, background 0, square pixels
+    this.palette.forEach(color => out.bytes(color));
+    // NETSCAPE2.0 extension: loop forever
+    out.bytes([0x21, 0xff, 11]);
+    out.ascii('NETSCAPE2.0');
+    out.bytes([3, 1, 0, 0, 0]);
+  }
+
+  // RGBA pixels for the whole canvas, shown for `delay` ms
+  addFrame(pixels, delay) {
+    const out = this.out;
+    // Graphic control: each frame replaces the last, delay in hundredths of a second
+    out.bytes([0x21, 0xf9, 4, 0x04]);
+    out.u16(Math.max(2, Math.round(delay / 10)));
+    out.bytes([0, 0]);
+    out.byte(0x2c);
+    out.u16(0);
+    out.u16(0);
+    out.u16(this.width);
+    out.u16(this.height);
+    out.byte(0);
+    lzwEncode(indexPixels(pixels, this.palette, this.cache), out);
+  }
+
+  // The file's bytes
+  finish() {
+    this.out.byte(0x3b);
+    return this.out.toBytes();
+  }
+}
+
+// frames: [{ pixels (RGBA, width × height), delay (ms) }], all in memory. Returns the file's bytes.
+export const encodeGif = ({ width, height, frames }) => {
+  const encoder = new GifEncoder(width, height, buildPalette(frames.map(f => f.pixels)));
+  frames.forEach(({ pixels, delay }) => encoder.addFrame(pixels, delay));
+  return encoder.finish();
+};
@@ -0,0 +1,557 @@
+import { CANVAS_SIZE } from './constants.js';
+import { graphGoals } from './engine.js';
+
+// --- Graph Import / Export ---
+// Everything here reads or writes the same { nodes, edges, start, end, goals?, waypoints?, directed? } shape that
+// App keeps in state (`goals` are the goals besides `end`, `waypoints` the ordered stops on the way).
+// Three text formats are supported:
+//   json     - versioned, lossless
+//   dot      - Graphviz; positions survive through `pos`, start/goals/waypoints through node attributes
+//   edgelist - one `u v weight` line per edge, `# start: X` / `# goal: Y Z` / `# waypoints: A B` / `# directed`
+//              directives
+//
+// JSON schema history:
+//   1 - nodes, edges, start, end
+//   2 - adds the optional graph-level `directed` flag and per-edge `directed` overrides
+//   3 - adds the optional `goals` and `waypoints` lists
+
+export const GRAPH_SCHEMA_VERSION = 3;
+
+export const FORMATS = {
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+  dot: { label: 'Graphviz DOT', extension: 'dot', mime: 'text/vnd.graphviz' },
+  edgelist: { label: 'Edge List', extension: 'txt', mime: 'text/plain' },
+};
+
+export class GraphImportError extends Error {
+  constructor(errors) {
+    super(errors.length === 1 ? errors[0] : `${errors.length} problems found:\n${errors.join('\n')}`);
+    this.name = 'GraphImportError';
+    this.errors = errors;
+  }
+}
+
+const LAYOUT_MARGIN = 50;
+const round = (v) => Math.round(v * 100) / 100;
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// --- Validation ---
+
+// Returns a list of human readable problems; an empty list means the graph is usable
+export const validateGraph = (graph) => {
+  const errors = [];
+  if (!graph || typeof graph !== 'object') return ['File does not contain a graph object'];
+  if (!Array.isArray(graph.nodes) || graph.nodes.length === 0) errors.push('Graph has no nodes');
+  if (!Array.isArray(graph.edges)) errors.push('Graph has no "edges" list');
+  if (errors.length) return errors;
+
+  const ids = new Set();
+  const labels = new Map();
+  graph.nodes.forEach((n, i) => {
+    if (!isNumber(n?.id)) {
+      errors.push(`Node #${i + 1} has no numeric id`);
+      return;
+    }
+    if (ids.has(n.id)) errors.push(`Duplicate node id ${n.id}`);
+    ids.add(n.id);
+    if (labels.has(n.label)) errors.push(`Duplicate node label "${n.label}" (ids ${labels.get(n.label)} and ${n.id})`);
+    labels.set(n.label, n.id);
+    if (n.h !== undefined && !isNumber(n.h)) errors.push(`Node ${n.label} has a non-numeric h value`);
+  });
+
+  const nameOf = (id) => graph.nodes.find(n => n.id === id)?.label ?? id;
+  const seen = new Set();
+  graph.edges.forEach((e, i) => {
+    const where = `Edge #${i + 1}`;
+    if (!ids.has(e?.source)) errors.push(`${where} references unknown node id ${e?.source}`);
+    if (!ids.has(e?.target)) errors.push(`${where} references unknown node id ${e?.target}`);
+    if (!ids.has(e?.source) || !ids.has(e?.target)) return;
+
+    const name = `${nameOf(e.source)}–${nameOf(e.target)}`;
+    if (e.source === e.target) errors.push(`${where} (${name}) is a self-loop`);
+    if (e.weight === undefined || e.weight === null || e.weight === '') errors.push(`${where} (${name}) is missing a weight`);
+    else if (!isNumber(e.weight)) errors.push(`${where} (${name}) has a non-numeric weight "${e.weight}"`);
+
+    if (e.directed !== undefined && typeof e.directed !== 'boolean') errors.push(`${where} (${name}) has a non-boolean "directed" flag`);
+
+    // One-way edges only clash with the same direction; two-way edges clash with either
+    const forward = `${e.source}>${e.target}`;
+    const backward = `${e.target}>${e.source}`;
+    const directed = e.directed ?? Boolean(graph.directed);
+    if (seen.has(forward) || (!directed && seen.has(backward))) errors.push(`${where} (${name}) duplicates an earlier edge`);
+    seen.add(forward);
+    if (!directed) seen.add(backward);
+  });
+
+  if (graph.start === undefined || graph.start === null) errors.push('Graph has no start node');
+  else if (!ids.has(graph.start)) errors.push(`Start node id ${graph.start} does not exist`);
+  if (graph.end === undefined || graph.end === null) errors.push('Graph has no goal node');
+  else if (!ids.has(graph.end)) errors.push(`Goal node id ${graph.end} does not exist`);
+
+  const idList = (key, role) => {
+    if (graph[key] === undefined) return [];
+    if (!Array.isArray(graph[key])) {
+      errors.push(`"${key}" must be a list of node ids`);
+      return [];
+    }
+    graph[key].filter(id => !ids.has(id)).forEach(id => errors.push(`${role} node id ${id} does not exist`));
+    return graph[key];
+  };
+  const goals = [graph.end, ...idList('goals', 'Goal')];
+  if (ids.has(graph.start) && goals.includes(graph.start)) errors.push(`Goal ${nameOf(graph.start)} is also the start`);
+  idList('waypoints', 'Waypoint')
+    .filter(id => id === graph.start || goals.includes(id))
+    .forEach(id => errors.push(`Waypoint ${nameOf(id)} is also the ${id === graph.start ? 'start' : 'goal'}`));
+
+  return errors;
+};
+
+// Nodes without coordinates are placed on a circle so the canvas can still draw them
+const layoutMissingPositions = (nodes) => {
+  const missing = nodes.filter(n => !isNumber(n.x) || !isNumber(n.y));
+  const radius = CANVAS_SIZE / 2 - LAYOUT_MARGIN;
+  missing.forEach((n, i) => {
+    const angle = (2 * Math.PI * i) / missing.length - Math.PI / 2;
+    n.x = round(CANVAS_SIZE / 2 + radius * Math.cos(angle));
+    n.y = round(CANVAS_SIZE / 2 + radius * Math.sin(angle));
+  });
+  return nodes;
+};
+
+// Scales positions into the canvas when a file uses a different coordinate space (e.g. Graphviz points)
+const fitToCanvas = (nodes) => {
+  const xs = nodes.map(n => n.x);
+  const ys = nodes.map(n => n.y);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const fits = minX >= 0 && minY >= 0 && maxX <= CANVAS_SIZE && maxY <= CANVAS_SIZE;
+  if (fits) return nodes;
+
+  const span = Math.max(maxX - minX, maxY - minY) || 1;
+  const scale = (CANVAS_SIZE - 2 * LAYOUT_MARGIN) / span;
+  nodes.forEach(n => {
+    n.x = round(LAYOUT_MARGIN + (n.x - minX) * scale);
+    n.y = round(LAYOUT_MARGIN + (n.y - minY) * scale);
+  });
+  return nodes;
+};
+
+const finalize = (graph) => {
+  const errors = validateGraph(graph);
+  if (errors.length) throw new GraphImportError(errors);
+  fitToCanvas(layoutMissingPositions(graph.nodes));
+  return graph;
+};
+
+// Builds numbered nodes from the names used by text formats
+const createNameRegistry = () => {
+  const nodes = [];
+  const byName = new Map();
+  const get = (name) => {
+    if (!byName.has(name)) {
+      const node = { id: nodes.length, label: name };
+      byName.set(name, node);
+      nodes.push(node);
+    }
+    return byName.get(name);
+  };
+  return { nodes, byName, get };
+};
+
+// --- JSON ---
+
+const exportJSON = (graph) => JSON.stringify({
+  version: GRAPH_SCHEMA_VERSION,
+  ...(graph.directed ? { directed: true } : {}),
+  nodes: graph.nodes.map(({ id, label, x, y, h }) => (h === undefined ? { id, label, x, y } : { id, label, x, y, h })),
+  edges: graph.edges.map(({ source, target, weight, directed }) => (
+    directed === undefined ? { source, target, weight } : { source, target, weight, directed }
+  )),
+  start: graph.start,
+  end: graph.end,
+  ...(graph.goals?.length ? { goals: graph.goals } : {}),
+  ...(graph.waypoints?.length ? { waypoints: graph.waypoints } : {}),
+}, null, 2);
+
+const importJSON = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new GraphImportError([`Invalid JSON: ${err.message}`]);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new GraphImportError(['JSON file does not contain a graph object']);
+  // Files without a version are plain dumps of App state, which the current schema describes
+  const version = data.version ?? GRAPH_SCHEMA_VERSION;
+  if (!Number.isInteger(version) || version < 1) throw new GraphImportError([`Unknown schema version "${version}"`]);
+  if (version > GRAPH_SCHEMA_VERSION) {
+    throw new GraphImportError([`File uses schema version ${version}, but this visualizer only understands up to ${GRAPH_SCHEMA_VERSION}`]);
+  }
+
+  if (data.directed !== undefined && typeof data.directed !== 'boolean') throw new GraphImportError(['"directed" must be true or false']);
+
+  // Anything malformed is passed through untouched so validateGraph can report it
+  return finalize({
+    ...(data.directed ? { directed: true } : {}),
+    nodes: Array.isArray(data.nodes) ? data.nodes.map(n => ({ ...n, label: n?.label ?? String(n?.id) })) : data.nodes,
+    edges: Array.isArray(data.edges) ? data.edges.map(e => ({ ...e })) : data.edges,
+    start: data.start,
+    end: data.end,
+    ...(data.goals !== undefined ? { goals: data.goals } : {}),
+    ...(data.waypoints !== undefined ? { waypoints: data.waypoints } : {}),
+  });
+};
+
+// --- Graphviz DOT ---
+
+const DOT_BARE_ID = /^([A-Za-z_][A-Za-z0-9_]*|-?(\.[0-9]+|[0-9]+(\.[0-9]*)?))$/;
+const DOT_KEYWORDS = new Set(['graph', 'digraph', 'node', 'edge', 'subgraph', 'strict']);
+const dotId = (name) => (DOT_BARE_ID.test(name) && !DOT_KEYWORDS.has(name.toLowerCase())
+  ? name
+  : `"${String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+
+// Graphviz puts the origin bottom-left, the canvas puts it top-left.
+// Edges that differ from the graph's kind are written with `dir` (none in a digraph, forward in a graph).
+// Every goal gets `goal=true` (the primary one `goal=1`) and waypoints their place in the route, `waypoint=1`, ...
+const exportDOT = (graph) => {
+  const lines = [graph.directed ? 'digraph G {' : 'graph G {'];
+  const waypoints = graph.waypoints ?? [];
+  graph.nodes.forEach(n => {
+    const attrs = [`pos="${round(n.x)},${round(CANVAS_SIZE - n.y)}!"`];
+    if (n.h !== undefined) attrs.push(`h=${n.h}`);
+    if (n.id === graph.start) attrs.push('start=true');
+    if (n.id === graph.end) attrs.push(graph.goals?.length ? 'goal=1' : 'goal=true');
+    else if (graph.goals?.includes(n.id)) attrs.push('goal=true');
+    waypoints.forEach((id, i) => { if (id === n.id) attrs.push(`waypoint=${i + 1}`); });
+    lines.push(`  ${dotId(n.label)} [${attrs.join(', ')}];`);
+  });
+  const label = (id) => dotId(graph.nodes.find(n => n.id === id).label);
+  const op = graph.directed ? '->' : '--';
+  graph.edges.forEach(e => {
+    const attrs = [`weight=${e.weight}`, `label="${e.weight}"`];
+    if (e.directed !== undefined && e.directed !== Boolean(graph.directed)) attrs.push(`dir=${e.directed ? 'forward' : 'none'}`);
+    lines.push(`  ${label(e.source)} ${op} ${label(e.target)} [${attrs.join(', ')}];`);
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+};
+
+const tokenizeDOT = (text) => {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  while (i < text.length) {
+    const c = text[i];
+    if (c === '\n') { line++; i++; continue; }
+    if (/\s/.test(c)) { i++; continue; }
+    if (c === '/' && text[i + 1] === '/') { while (i < text.length && text[i] !== '\n') i++; continue; }
+    if (c === '#' && (i === 0 || text[i - 1] === '\n')) { while (i < text.length && text[i] !== '\n') i++; continue; }
+    if (c === '/' && text[i + 1] === '*') {
+      const close = text.indexOf('*/', i + 2);
+      if (close === -1) throw new GraphImportError([`DOT line ${line}: unterminated comment`]);
+      line += text.slice(i, close).split('\n').length - 1;
+      i = close + 2;
+      continue;
+    }
+    if (c === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && text[i + 1] === '\n') { i += 2; line++; continue; }
+        if (text[i] === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) { value += text[i + 1]; i += 2; continue; }
+        if (text[i] === '\n') line++;
+        value += text[i++];
+      }
+      if (i >= text.length) throw new GraphImportError([`DOT line ${line}: unterminated string`]);
+      i++;
+      tokens.push({ type: 'id', value, line });
+      continue;
+    }
+    if (text.startsWith('--', i) || text.startsWith('->', i)) {
+      tokens.push({ type: 'edgeop', value: text.slice(i, i + 2), line });
+      i += 2;
+      continue;
+    }
+    if ('{}[]=;,:'.includes(c)) { tokens.push({ type: c, value: c, line }); i++; continue; }
+    const m = /^(-?(\.[0-9]+|[0-9]+(\.[0-9]*)?)|[A-Za-z_\u0080-\uffff][A-Za-z0-9_\u0080-\uffff]*)/.exec(text.slice(i));
+    if (!m) throw new GraphImportError([`DOT line ${line}: unexpected character "${c}"`]);
+    tokens.push({ type: 'id', value: m[0], line });
+    i += m[0].length;
+  }
+  return tokens;
+};
+
+const parseDOT = (text) => {
+  const tokens = tokenizeDOT(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const fail = (msg) => {
+    const line = (peek() ?? tokens[tokens.length - 1])?.line ?? 1;
+    throw new GraphImportError([`DOT line ${line}: ${msg}`]);
+  };
+  const expect = (type) => {
+    if (peek()?.type !== type) fail(`expected "${type}" but found "${peek()?.value ?? 'end of file'}"`);
+    return tokens[pos++];
+  };
+  const isKeyword = (tok, word) => tok?.type === 'id' && tok.value.toLowerCase() === word;
+
+  if (isKeyword(peek(), 'strict')) pos++;
+  const header = peek();
+  if (!isKeyword(header, 'graph') && !isKeyword(header, 'digraph')) fail('file must start with "graph" or "digraph"');
+  const directed = isKeyword(header, 'digraph');
+  pos++;
+  if (peek()?.type === 'id') pos++; // graph name
+  expect('{');
+
+  const parseAttrList = () => {
+    const attrs = {};
+    while (peek()?.type === '[') {
+      pos++;
+      while (peek() && peek().type !== ']') {
+        const key = expect('id').value;
+        expect('=');
+        attrs[key] = expect('id').value;
+        if (peek()?.type === ',' || peek()?.type === ';') pos++;
+      }
+      expect(']');
+    }
+    return attrs;
+  };
+  const parseNodeId = () => {
+    const name = expect('id').value;
+    if (peek()?.type === ':') { pos++; expect('id'); } // ports are irrelevant here
+    if (peek()?.type === ':') { pos++; expect('id'); }
+    return name;
+  };
+
+  const nodeAttrs = new Map(); // name -> merged attributes
+  const nodeOrder = [];
+  const edges = [];
+  let nodeDefaults = {};
+  let edgeDefaults = {};
+  const touchNode = (name, attrs = {}) => {
+    if (!nodeAttrs.has(name)) {
+      nodeAttrs.set(name, { ...nodeDefaults });
+      nodeOrder.push(name);
+    }
+    Object.assign(nodeAttrs.get(name), attrs);
+  };
+
+  while (peek() && peek().type !== '}') {
+    const tok = peek();
+    if (tok.type === ';') { pos++; continue; }
+    if (isKeyword(tok, 'subgraph') || tok.type === '{') fail('subgraphs are not supported');
+    if (isKeyword(tok, 'graph') || isKeyword(tok, 'node') || isKeyword(tok, 'edge')) {
+      pos++;
+      const attrs = parseAttrList();
+      if (isKeyword(tok, 'node')) nodeDefaults = { ...nodeDefaults, ...attrs };
+      if (isKeyword(tok, 'edge')) edgeDefaults = { ...edgeDefaults, ...attrs };
+      continue;
+    }
+    if (tokens[pos + 1]?.type === '=') { // graph attribute: key = value
+      pos += 2;
+      expect('id');
+      continue;
+    }
+
+    const chain = [{ name: parseNodeId(), line: tok.line }];
+    while (peek()?.type === 'edgeop') {
+      pos++;
+      if (peek()?.type === '{') fail('subgraphs are not supported');
+      chain.push({ name: parseNodeId(), line: peek()?.line ?? tok.line });
+    }
+    const attrs = parseAttrList();
+    if (chain.length === 1) {
+      touchNode(chain[0].name, attrs);
+    } else {
+      chain.forEach(({ name }) => touchNode(name));
+      for (let i = 0; i < chain.length - 1; i++) {
+        edges.push({ from: chain[i].name, to: chain[i + 1].name, attrs: { ...edgeDefaults, ...attrs }, line: tok.line });
+      }
+    }
+  }
+  expect('}');
+  return { directed, nodeAttrs, nodeOrder, edges };
+};
+
+const toNumber = (v) => (v === undefined || v === '' ? undefined : Number(v));
+const isTruthyAttr = (v) => v !== undefined && !['false', '0', 'no'].includes(String(v).toLowerCase());
+
+const importDOT = (text) => {
+  const { directed, nodeAttrs, nodeOrder, edges } = parseDOT(text);
+  const errors = [];
+  const registry = createNameRegistry();
+  let start;
+  const goals = [];
+  const waypoints = [];
+
+  nodeOrder.forEach(name => {
+    const attrs = nodeAttrs.get(name);
+    const node = registry.get(name);
+    if (attrs.label !== undefined && attrs.label !== '\\N') node.label = attrs.label;
+    if (attrs.pos !== undefined) {
+      const [x, y] = attrs.pos.replace('!', '').split(',').map(Number);
+      if (isNumber(x) && isNumber(y)) {
+        node.x = x;
+        node.y = CANVAS_SIZE - y;
+      } else {
+        errors.push(`Node ${name} has an unreadable pos "${attrs.pos}"`);
+      }
+    }
+    if (attrs.h !== undefined) node.h = toNumber(attrs.h);
+    if (isTruthyAttr(attrs.start)) start = node.id;
+    // `goal=1` marks the primary goal, otherwise the first goal is
+    if (isTruthyAttr(attrs.goal)) goals.splice(attrs.goal === '1' ? 0 : goals.length, 0, node.id);
+    if (isTruthyAttr(attrs.waypoint)) {
+      const place = toNumber(attrs.waypoint);
+      if (Number.isInteger(place) && place > 0) waypoints.push({ id: node.id, place });
+      else errors.push(`Node ${name} has an unreadable waypoint number "${attrs.waypoint}"`);
+    }
+  });
+
+  // Graphviz drops partial layouts, so do we: positions only count if every node has one
+  if (registry.nodes.some(n => n.x === undefined)) registry.nodes.forEach(n => { delete n.x; delete n.y; });
+
+  const graphEdges = edges.map(({ from, to, attrs, line }) => {
+    const raw = attrs.weight ?? attrs.label;
+    if (raw === undefined) errors.push(`DOT line ${line}: edge ${from}–${to} is missing a weight`);
+    const edge = { source: registry.byName.get(from).id, target: registry.byName.get(to).id, weight: toNumber(raw) };
+
+    // `dir` overrides the graph kind for a single edge; `back` points it the other way
+    const dir = attrs.dir?.toLowerCase();
+    if (dir === 'back') [edge.source, edge.target] = [edge.target, edge.source];
+    const edgeDirected = dir === undefined ? directed : dir !== 'none' && dir !== 'both';
+    if (edgeDirected !== directed) edge.directed = edgeDirected;
+    return edge;
+  });
+  if (errors.length) throw new GraphImportError(errors);
+
+  return finalize({
+    ...(directed ? { directed: true } : {}),
+    nodes: registry.nodes,
+    edges: graphEdges,
+    start,
+    end: goals[0],
+    ...(goals.length > 1 ? { goals: goals.slice(1) } : {}),
+    ...(waypoints.length ? { waypoints: waypoints.sort((a, b) => a.place - b.place).map(w => w.id) } : {}),
+  });
+};
+
+// --- Edge List ---
+
+// An optional fourth column ("directed" / "undirected") overrides the graph kind for one edge
+const exportEdgeList = (graph) => {
+  const label = (id) => graph.nodes.find(n => n.id === id).label;
+  const connected = new Set(graph.edges.flatMap(e => [e.source, e.target]));
+  const kind = (e) => (e.directed === undefined || e.directed === Boolean(graph.directed) ? '' : e.directed ? ' directed' : ' undirected');
+  const lines = [
+    `# start: ${label(graph.start)}`,
+    `# goal: ${graphGoals(graph).map(label).join(' ')}`,
+    ...(graph.waypoints?.length ? [`# waypoints: ${graph.waypoints.map(label).join(' ')}`] : []),
+    ...(graph.directed ? ['# directed'] : []),
+    ...graph.nodes.filter(n => !connected.has(n.id)).map(n => n.label), // isolated nodes
+    ...graph.edges.map(e => `${label(e.source)} ${label(e.target)} ${e.weight}${kind(e)}`),
+  ];
+  return lines.join('\n') + '\n';
+};
+
+const importEdgeList = (text) => {
+  const registry = createNameRegistry();
+  const edges = [];
+  const errors = [];
+  let startName;
+  let goalNames = [];
+  let waypointNames = [];
+  let directed = false;
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const lineNo = i + 1;
+    if (/^#\s*directed\s*$/i.test(raw.trim())) {
+      directed = true;
+      return;
+    }
+    const directive = /^#\s*(start|goals?|waypoints?)\s*:\s*(\S.*)$/i.exec(raw.trim());
+    if (directive) {
+      const names = directive[2].split(/[\s,]+/);
+      const key = directive[1].toLowerCase();
+      if (key === 'start' && names.length > 1) errors.push(`Line ${lineNo}: there can only be one start node`);
+      else if (key === 'start') startName = names[0];
+      else if (key.startsWith('goal')) goalNames = names;
+      else waypointNames = names;
+      return;
+    }
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+
+    const parts = line.split(/[\s,]+/);
+    if (parts.length === 1) {
+      registry.get(parts[0]);
+    } else if (parts.length === 2) {
+      errors.push(`Line ${lineNo}: edge ${parts[0]}–${parts[1]} is missing a weight`);
+    } else if (parts.length === 3 || (parts.length === 4 && /^(un)?directed$/i.test(parts[3]))) {
+      const weight = Number(parts[2]);
+      if (!isNumber(weight)) errors.push(`Line ${lineNo}: weight "${parts[2]}" is not a number`);
+      const edge = { source: registry.get(parts[0]).id, target: registry.get(parts[1]).id, weight };
+      if (parts[3]) edge.kind = parts[3].toLowerCase() === 'directed'; // resolved once "# directed" is known
+      edges.push(edge);
+    } else {
+      errors.push(`Line ${lineNo}: expected "u v weight" but found ${parts.length} values`);
+    }
+  });
+
+  const resolve = (name, role) => {
+    if (name === undefined) {
+      errors.push(`No ${role} node given (add a "# ${role}: <node>" line)`);
+      return undefined;
+    }
+    if (!registry.byName.has(name)) {
+      errors.push(`The ${role} node "${name}" does not appear in the edge list`);
+      return undefined;
+    }
+    return registry.byName.get(name).id;
+  };
+  const start = resolve(startName, 'start');
+  const [end, ...goals] = goalNames.length ? goalNames.map(name => resolve(name, 'goal')) : [resolve(undefined, 'goal')];
+  const waypoints = waypointNames.map(name => resolve(name, 'waypoint'));
+  if (errors.length) throw new GraphImportError(errors);
+
+  const graphEdges = edges.map(({ kind, ...edge }) => (kind === undefined || kind === directed ? edge : { ...edge, directed: kind }));
+  return finalize({
+    ...(directed ? { directed: true } : {}),
+    nodes: registry.nodes,
+    edges: graphEdges,
+    start,
+    end,
+    ...(goals.length ? { goals } : {}),
+    ...(waypoints.length ? { waypoints } : {}),
+  });
+};
+
+// --- Public API ---
+
+export const detectFormat = (filename = '', text = '') => {
+  const ext = filename.split('.').pop().toLowerCase();
+  if (ext === 'json') return 'json';
+  if (ext === 'dot' || ext === 'gv') return 'dot';
+  if (['txt', 'edges', 'edgelist', 'csv'].includes(ext)) return 'edgelist';
+
+  const trimmed = text.trimStart();
+  if (trimmed.startsWith('{')) return 'json';
+  if (/^(strict\s+)?(di)?graph\b/i.test(trimmed)) return 'dot';
+  return 'edgelist';
+};
+
+export const exportGraph = (graph, format) => {
+  if (format === 'json') return exportJSON(graph);
+  if (format === 'dot') return exportDOT(graph);
+  if (format === 'edgelist') return exportEdgeList(graph);
+  throw new Error(`Unknown export format "${format}"`);
+};
+
+// Throws GraphImportError (with an `errors` list) when the text is not a usable graph
+export const importGraph = (text, format = detectFormat('', text)) => {
+  if (format === 'json') return importJSON(text);
+  if (format === 'dot') return importDOT(text);
+  if (format === 'edgelist') return importEdgeList(text);
+  throw new GraphImportError([`Unknown import format "${format}"`]);
+};
@@ -0,0 +1,50 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { FORMATS, detectFormat, exportGraph, importGraph } from './graphIO.js';
+
+// Two goals (G and H) and a waypoint (A), with an h value, a fractional weight and a one-way edge
+//   S --2-- A --3-- G
+//    \
+//    1.5
+//      \
+//       B --4--> H
+const GRAPH = {
+  nodes: [
+    { id: 0, label: 'S', x: 50, y: 300, h: 4 },
+    { id: 1, label: 'A', x: 200, y: 150 },
+    { id: 2, label: 'B', x: 200, y: 450 },
+    { id: 3, label: 'G', x: 400, y: 300 },
+    { id: 4, label: 'H', x: 400, y: 500 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 2 },
+    { source: 0, target: 2, weight: 1.5 },
+    { source: 1, target: 3, weight: 3 },
+    { source: 2, target: 4, weight: 4, directed: true },
+  ],
+  start: 0,
+  end: 3,
+  goals: [4],
+  waypoints: [1],
+};
+
+// An edge list only has the topology, so its nodes are laid out afresh without any h
+const topology = (graph) => ({ ...graph, nodes: graph.nodes.map(({ id, label }) => ({ id, label })) });
+
+describe('export then import', () => {
+  test('JSON keeps the whole graph', () => {
+    assert.deepEqual(importGraph(exportGraph(GRAPH, 'json'), 'json'), GRAPH);
+  });
+
+  test('DOT keeps the whole graph', () => {
+    assert.deepEqual(importGraph(exportGraph(GRAPH, 'dot'), 'dot'), GRAPH);
+  });
+
+  test('an edge list keeps the edges, the start, both goals and the waypoint', () => {
+    assert.deepEqual(topology(importGraph(exportGraph(GRAPH, 'edgelist'), 'edgelist')), topology(GRAPH));
+  });
+
+  test('each export is recognised as its own format', () => {
+    Object.keys(FORMATS).forEach(format => assert.equal(detectFormat('', exportGraph(GRAPH, format)), format));
+  });
+});
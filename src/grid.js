@@ -0,0 +1,201 @@
+import { CANVAS_SIZE } from './constants.js';
+import { indexToLabel } from './labels.js';
+import { shuffled } from './random.js';
+
+// --- Grid / Maze Mode ---
+// A grid is { rows, cols, cells, start, end } where `cells` is a row-major list of terrain ids and
+// start/end are cell indices. gridToGraph turns it into the usual { nodes, edges, start, end } so
+// GraphSearch can run on it unchanged; node ids are cell indices and walls simply get no node.
+
+export const TERRAINS = {
+  open: { label: 'Open', cost: 1, code: '.' },
+  sand: { label: 'Sand', cost: 3, code: 's' },
+  water: { label: 'Water', cost: 8, code: 'w' },
+  wall: { label: 'Wall', cost: Infinity, code: '#' },
+};
+
+export const MIN_GRID_SIZE = 3;
+export const MAX_GRID_SIZE = 30;
+
+// Distances in cells, with the cheapest terrain costing 1 per cell. Manhattan is only admissible with
+// 4-connectivity, where no move crosses a row and a column at once; the others also allow for diagonals.
+export const GRID_HEURISTICS = {
+  manhattan: { label: 'Manhattan', fn: (dx, dy) => dx + dy },
+  chebyshev: { label: 'Chebyshev', fn: (dx, dy) => Math.max(dx, dy) },
+  octile: { label: 'Octile', fn: (dx, dy) => Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy) },
+  euclidean: { label: 'Euclidean', fn: (dx, dy) => Math.hypot(dx, dy) },
+};
+
+export const cellSize = (grid) => CANVAS_SIZE / Math.max(grid.rows, grid.cols);
+
+export const cellCenter = (grid, index) => {
+  const size = cellSize(grid);
+  return {
+    x: (index % grid.cols) * size + size / 2,
+    y: Math.floor(index / grid.cols) * size + size / 2,
+  };
+};
+
+export const cellAt = (grid, { x, y }) => {
+  const size = cellSize(grid);
+  const col = Math.floor(x / size);
+  const row = Math.floor(y / size);
+  if (col < 0 || row < 0 || col >= grid.cols || row >= grid.rows) return null;
+  return row * grid.cols + col;
+};
+
+export const createGrid = (rows, cols) => ({
+  rows,
+  cols,
+  cells: Array(rows * cols).fill('open'),
+  start: 0,
+  end: rows * cols - 1,
+});
+
+// Keeps whatever overlaps the old grid; start/goal are pulled back inside if they fall off the edge
+export const resizeGrid = (grid, rows, cols) => {
+  const next = createGrid(rows, cols);
+  for (let r = 0; r < Math.min(rows, grid.rows); r++) {
+    for (let c = 0; c < Math.min(cols, grid.cols); c++) {
+      next.cells[r * cols + c] = grid.cells[r * grid.cols + c];
+    }
+  }
+  const move = (index) => {
+    const r = Math.min(Math.floor(index / grid.cols), rows - 1);
+    const c = Math.min(index % grid.cols, cols - 1);
+    return r * cols + c;
+  };
+  next.start = move(grid.start);
+  next.end = move(grid.end);
+  if (next.start === next.end) next.end = next.start === 0 ? rows * cols - 1 : 0;
+  next.cells[next.start] = next.cells[next.start] === 'wall' ? 'open' : next.cells[next.start];
+  next.cells[next.end] = next.cells[next.end] === 'wall' ? 'open' : next.cells[next.end];
+  return next;
+};
+
+// `brush` is a terrain id, 'start' or 'end'. Start and goal can never be walled in.
+export const paintCell = (grid, index, brush) => {
+  if (brush === 'start' || brush === 'end') {
+    const other = brush === 'start' ? 'end' : 'start';
+    if (grid[other] === index) return grid;
+    const cells = [...grid.cells];
+    if (cells[index] === 'wall') cells[index] = 'open';
+    return { ...grid, cells, [brush]: index };
+  }
+  if (grid.cells[index] === brush) return grid;
+  if (brush === 'wall' && (index === grid.start || index === grid.end)) return grid;
+  const cells = [...grid.cells];
+  cells[index] = brush;
+  return { ...grid, cells };
+};
+
+export const clearGrid = (grid) => ({ ...grid, cells: grid.cells.map(() => 'open') });
+
+export const gridToGraph = (grid, connectivity = 4) => {
+  const { rows, cols, cells } = grid;
+  const passable = (r, c) => r >= 0 && c >= 0 && r < rows && c < cols && cells[r * cols + c] !== 'wall';
+
+  const nodes = [];
+  cells.forEach((terrain, index) => {
+    if (terrain === 'wall') return;
+    const row = Math.floor(index / cols);
+    const col = index % cols;
+    nodes.push({ id: index, label: `${indexToLabel(col)}${row + 1}`, row, col, ...cellCenter(grid, index) });
+  });
+
+  // Only look "forward" so every undirected edge is created once
+  const steps = [[0, 1], [1, 0]];
+  if (connectivity === 8) steps.push([1, 1], [1, -1]);
+
+  const edges = [];
+  nodes.forEach(({ id, row, col }) => {
+    steps.forEach(([dr, dc]) => {
+      const r = row + dr;
+      const c = col + dc;
+      if (!passable(r, c)) return;
+      // No cutting corners: a diagonal needs both orthogonal cells open
+      if (dr !== 0 && dc !== 0 && (!passable(row + dr, col) || !passable(row, col + dc))) return;
+      const target = r * cols + c;
+      // Moving between two cells costs the average of their terrain, scaled by the step length. Diagonals
+      // keep the exact √2 the heuristics measure with: rounded to 1.41, Octile would overestimate long runs.
+      const cost = (TERRAINS[cells[id]].cost + TERRAINS[cells[target]].cost) / 2;
+      edges.push({ source: id, target, weight: cost * Math.hypot(dr, dc) });
+    });
+  });
+
+  return { nodes, edges, start: grid.start, end: grid.end };
+};
+
+// --- Maze Generators ---
+// Both carve passages through an all-wall grid using the cells at even coordinates as rooms.
+
+const ROOM_STEPS = [[0, 2], [2, 0], [0, -2], [-2, 0]];
+
+const carveBacktracker = (grid, rng) => {
+  const { rows, cols, cells } = grid;
+  const stack = [[0, 0]];
+  cells[0] = 'open';
+  while (stack.length) {
+    const [r, c] = stack[stack.length - 1];
+    const next = shuffled(ROOM_STEPS, rng)
+      .map(([dr, dc]) => [r + dr, c + dc, r + dr / 2, c + dc / 2])
+      .find(([nr, nc]) => nr >= 0 && nc >= 0 && nr < rows && nc < cols && cells[nr * cols + nc] === 'wall');
+    if (!next) {
+      stack.pop();
+      continue;
+    }
+    const [nr, nc, wr, wc] = next;
+    cells[wr * cols + wc] = 'open';
+    cells[nr * cols + nc] = 'open';
+    stack.push([nr, nc]);
+  }
+};
+
+const carvePrim = (grid, rng) => {
+  const { rows, cols, cells } = grid;
+  const frontier = [];
+  const addWalls = (r, c) => ROOM_STEPS.forEach(([dr, dc]) => {
+    const nr = r + dr;
+    const nc = c + dc;
+    if (nr >= 0 && nc >= 0 && nr < rows && nc < cols && cells[nr * cols + nc] === 'wall') {
+      frontier.push([nr, nc, r + dr / 2, c + dc / 2]);
+    }
+  });
+  cells[0] = 'open';
+  addWalls(0, 0);
+  while (frontier.length) {
+    const [nr, nc, wr, wc] = frontier.splice(Math.floor(rng() * frontier.length), 1)[0];
+    if (cells[nr * cols + nc] !== 'wall') continue;
+    cells[wr * cols + wc] = 'open';
+    cells[nr * cols + nc] = 'open';
+    addWalls(nr, nc);
+  }
+};
+
+// Not a maze: scattered walls and terrain patches for weighted pathfinding
+const scatterTerrain = (grid, rng) => {
+  grid.cells.forEach((_, i) => {
+    const roll = rng();
+    grid.cells[i] = roll < 0.22 ? 'wall' : roll < 0.34 ? 'sand' : roll < 0.42 ? 'water' : 'open';
+  });
+};
+
+export const MAZE_GENERATORS = {
+  backtracker: { label: 'Recursive Backtracker', carve: carveBacktracker, startFilled: true },
+  prim: { label: "Prim's", carve: carvePrim, startFilled: true },
+  scatter: { label: 'Random Terrain', carve: scatterTerrain, startFilled: false },
+};
+
+// Start goes top-left and the goal to the farthest open room so the maze is actually traversed
+export const generateMaze = (grid, type, rng) => {
+  const { carve, startFilled } = MAZE_GENERATORS[type];
+  const next = { ...grid, cells: grid.cells.map(() => (startFilled ? 'wall' : 'open')) };
+  carve(next, rng);
+
+  const lastRoom = (n) => (n - 1) - ((n - 1) % 2);
+  next.start = 0;
+  next.end = startFilled ? lastRoom(grid.rows) * grid.cols + lastRoom(grid.cols) : grid.rows * grid.cols - 1;
+  next.cells[next.start] = 'open';
+  next.cells[next.end] = 'open';
+  return next;
+};
@@ -0,0 +1,67 @@
+// Binary min-heap keyed on `priority`. Equal priorities pop in insertion order, which is what the
+// old sort-the-whole-queue frontier did, so expansion orders don't change.
+// `tieBreak(a, b)` can order equal priorities another way: it gets two entries { value, seq } (seq counts
+// pushes) and returns a negative number when a should pop first.
+export class BinaryHeap {
+  constructor(tieBreak = (a, b) => a.seq - b.seq) {
+    this.items = [];
+    this.queued = new Map(); // seq -> value, in push order
+    this.counter = 0;
+    this.tieBreak = tieBreak;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  less(a, b) {
+    return a.priority < b.priority || (a.priority === b.priority && this.tieBreak(a, b) < 0);
+  }
+
+  swap(i, j) {
+    [this.items[i], this.items[j]] = [this.items[j], this.items[i]];
+  }
+
+  push(value, priority) {
+    this.queued.set(this.counter, value);
+    this.items.push({ value, priority, seq: this.counter++ });
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.less(this.items[i], this.items[parent])) break;
+      this.swap(i, parent);
+      i = parent;
+    }
+  }
+
+  peek() {
+    return this.items[0]?.value;
+  }
+
+  pop() {
+    if (this.items.length === 0) return undefined;
+    const top = this.items[0];
+    const last = this.items.pop();
+    this.queued.delete(top.seq);
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.less(this.items[left], this.items[smallest])) smallest = left;
+        if (right < this.items.length && this.less(this.items[right], this.items[smallest])) smallest = right;
+        if (smallest === i) break;
+        this.swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top.value;
+  }
+
+  // Values in push order, which popping leaves alone for the rest; cheap enough to copy every step
+  inPushOrder() {
+    return [...this.queued.values()];
+  }
+}
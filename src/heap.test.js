@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BinaryHeap } from './heap.js';
+import { queueInPopOrder } from './engine.js';
+
+// Frontier items the way the searches queue them, so the display order can be checked against the pops
+const pushAll = (heap, entries) => entries.forEach(([id, priority]) => heap.push({ id, priority }, priority));
+const ids = (items) => items.map(item => item.id);
+
+test('pops in priority order, ties in insertion order', () => {
+  const heap = new BinaryHeap();
+  pushAll(heap, [['a', 3], ['b', 1], ['c', 2], ['d', 1], ['e', 3], ['f', 0]]);
+  assert.equal(heap.size, 6);
+  assert.equal(heap.peek().id, 'f');
+  assert.deepEqual(ids(queueInPopOrder({ queue: heap.inPushOrder(), queueOrder: 'fifo' })), ['f', 'b', 'd', 'c', 'a', 'e']);
+  const popped = [];
+  while (heap.size) popped.push(heap.pop());
+  assert.deepEqual(ids(popped), ['f', 'b', 'd', 'c', 'a', 'e']);
+  assert.equal(heap.pop(), undefined);
+});
+
+test('matches a stable sort on random input', () => {
+  const heap = new BinaryHeap();
+  const items = Array.from({ length: 500 }, (_, i) => ({ i, p: (i * 7919) % 37 }));
+  items.forEach(item => heap.push(item, item.p));
+  const expected = [...items].sort((a, b) => a.p - b.p);
+  assert.deepEqual(Array.from({ length: items.length }, () => heap.pop()), expected);
+});
+
+test('orders equal priorities with a tie-break', () => {
+  const heap = new BinaryHeap((a, b) => b.seq - a.seq);
+  pushAll(heap, [['a', 1], ['b', 0], ['c', 1], ['d', 1]]);
+  assert.deepEqual(ids(queueInPopOrder({ queue: heap.inPushOrder(), queueOrder: 'lifo' })), ['b', 'd', 'c', 'a']);
+  assert.deepEqual(ids([heap.pop(), heap.pop(), heap.pop(), heap.pop()]), ['b', 'd', 'c', 'a']);
+});
+
+test('lists the values still queued in push order', () => {
+  const heap = new BinaryHeap();
+  [['a', 3], ['b', 1], ['c', 2], ['d', 0]].forEach(([v, p]) => heap.push(v, p));
+  heap.pop();
+  heap.push('e', 1);
+  heap.pop();
+  assert.deepEqual(heap.inPushOrder(), ['a', 'c', 'e']);
+});
@@ -0,0 +1,63 @@
+import { graphGoals, heuristicToGoals, isDirectedEdge } from './engine.js';
+import { BinaryHeap } from './heap.js';
+
+// --- Heuristic Check ---
+// Whether a heuristic is admissible (h never overestimates h*, the true cost to the goal) and consistent
+// (h(u) <= w(u, v) + h(v) along every edge u -> v), with the nodes and edges that break each rule.
+
+// Allowance for the fractions grid heuristics round to
+const EPSILON = 1e-9;
+
+// h* for every node: Dijkstra outwards from the goals over reversed edges, so each node gets the cost to its
+// nearest goal. Unreachable nodes get Infinity.
+// Returns null when an edge is negative, where Dijkstra's costs could be wrong.
+export const costsToGoal = (graph) => {
+  if (graph.edges.some(e => e.weight < 0)) return null;
+  const incoming = new Map(graph.nodes.map(n => [n.id, []]));
+  graph.edges.forEach(e => {
+    incoming.get(e.target).push({ from: e.source, weight: e.weight });
+    if (!isDirectedEdge(e, graph.directed)) incoming.get(e.source).push({ from: e.target, weight: e.weight });
+  });
+
+  const costs = new Map(graph.nodes.map(n => [n.id, Infinity]));
+  const heap = new BinaryHeap();
+  graphGoals(graph).forEach(goal => {
+    costs.set(goal, 0);
+    heap.push(goal, 0);
+  });
+  while (heap.size > 0) {
+    const id = heap.pop();
+    incoming.get(id).forEach(({ from, weight }) => {
+      const cost = costs.get(id) + weight;
+      if (cost < costs.get(from)) {
+        costs.set(from, cost);
+        heap.push(from, cost);
+      }
+    });
+  }
+  return costs;
+};
+
+// { h, trueCost (id -> value Maps), overestimates: [{ id, h, cost }], inconsistent: [{ edge, from, to }] }
+// for the heuristic the search options pick; null when h* cannot be computed (negative weights)
+export const checkHeuristic = (graph, options) => {
+  const trueCost = costsToGoal(graph);
+  if (!trueCost) return null;
+  const goals = graphGoals(graph).map(id => graph.nodes.find(n => n.id === id));
+  const h = new Map(graph.nodes.map(n => [n.id, heuristicToGoals(n, goals, options)]));
+
+  const overestimates = graph.nodes
+    .filter(n => h.get(n.id) > trueCost.get(n.id) + EPSILON)
+    .map(n => ({ id: n.id, h: h.get(n.id), cost: trueCost.get(n.id) }));
+
+  // An undirected edge is checked in both directions
+  const inconsistent = [];
+  graph.edges.forEach((e, edge) => {
+    const arcs = isDirectedEdge(e, graph.directed) ? [[e.source, e.target]] : [[e.source, e.target], [e.target, e.source]];
+    arcs.forEach(([from, to]) => {
+      if (h.get(from) > e.weight + h.get(to) + EPSILON) inconsistent.push({ edge, from, to });
+    });
+  });
+
+  return { h, trueCost, overestimates, inconsistent };
+};
@@ -0,0 +1,112 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRandomGraph, heuristicValue } from './engine.js';
+import { checkHeuristic, costsToGoal } from './heuristicCheck.js';
+import { createGrid, gridToGraph } from './grid.js';
+
+// The "inconsistent" preset: h(A) = 100 never overestimates (A -> C -> G costs 101) but drops by 99 over A -> C
+//   S --1-- A --1-- C --100-- G
+//    \             /
+//     +--1-- B --10
+const TRAP = {
+  nodes: [
+    { id: 0, x: 50, y: 300, label: 'S', h: 10 },
+    { id: 1, x: 200, y: 150, label: 'A', h: 100 },
+    { id: 2, x: 200, y: 450, label: 'B', h: 0 },
+    { id: 3, x: 400, y: 300, label: 'C', h: 0 },
+    { id: 4, x: 550, y: 300, label: 'G', h: 0 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 1 },
+    { source: 0, target: 2, weight: 1 },
+    { source: 1, target: 3, weight: 1 },
+    { source: 2, target: 3, weight: 10 },
+    { source: 3, target: 4, weight: 100 },
+  ],
+  start: 0,
+  end: 4,
+};
+
+describe('costsToGoal', () => {
+  test('measures the cheapest way to the goal from every node', () => {
+    assert.deepEqual([...costsToGoal(TRAP)], [[0, 102], [1, 101], [2, 103], [3, 100], [4, 0]]);
+  });
+
+  test('follows directed edges towards the goal only', () => {
+    const costs = costsToGoal({ ...TRAP, directed: true });
+    assert.equal(costs.get(1), 101);
+    assert.equal(costs.get(4), 0);
+    assert.equal(costsToGoal({ ...TRAP, directed: true, end: 0 }).get(4), Infinity);
+  });
+
+  test('measures to the nearest of several goals', () => {
+    assert.deepEqual([...costsToGoal({ ...TRAP, goals: [2] })], [[0, 1], [1, 2], [2, 0], [3, 3], [4, 0]]);
+  });
+
+  test('gives up on negative weights', () => {
+    assert.equal(costsToGoal({ ...TRAP, edges: [...TRAP.edges, { source: 2, target: 1, weight: -1 }] }), null);
+  });
+});
+
+describe('checkHeuristic', () => {
+  test('finds the edge that breaks consistency in the trap, which is still admissible', () => {
+    const check = checkHeuristic(TRAP, { heuristicType: 'preset' });
+    assert.deepEqual(check.overestimates, []);
+    // h(A) = 100 > 1 + h(S) and > 1 + h(C); h(S) = 10 > 1 + h(B)
+    assert.deepEqual(check.inconsistent, [{ edge: 0, from: 1, to: 0 }, { edge: 1, from: 0, to: 2 }, { edge: 2, from: 1, to: 3 }]);
+  });
+
+  test('reports nodes that overestimate', () => {
+    const nodes = TRAP.nodes.map(n => (n.label === 'C' ? { ...n, h: 500 } : n));
+    const check = checkHeuristic({ ...TRAP, nodes }, { heuristicType: 'preset' });
+    assert.deepEqual(check.overestimates, [{ id: 3, h: 500, cost: 100 }]);
+  });
+
+  test('zero is admissible and consistent everywhere', () => {
+    const check = checkHeuristic(TRAP, { heuristicType: 'zero' });
+    assert.equal(check.overestimates.length + check.inconsistent.length, 0);
+  });
+
+  test('Euclidean never overestimates on generated graphs, and breaks consistency by at most its rounding', () => {
+    // Weights and h are both floored, so h(u) can beat w(u, v) + h(v) by less than 1
+    [1, 2, 3].forEach(seed => {
+      const graph = generateRandomGraph({ numNodes: 20, seed });
+      const check = checkHeuristic(graph, { heuristicType: 'euclidean' });
+      assert.deepEqual(check.overestimates, [], `seed ${seed}`);
+      check.inconsistent.forEach(({ edge, from, to }) => {
+        assert.ok(check.h.get(from) - graph.edges[edge].weight - check.h.get(to) <= 1, `seed ${seed}`);
+      });
+    });
+  });
+
+  test('Octile and Euclidean never overestimate on an open 8-connected grid', () => {
+    // The corner-to-corner run is all diagonals, where a rounded √2 used to add up to less than h
+    const graph = gridToGraph(createGrid(6, 6), 8);
+    ['octile', 'euclidean', 'chebyshev'].forEach(heuristicType => {
+      assert.deepEqual(checkHeuristic(graph, { heuristicType }).overestimates, [], heuristicType);
+    });
+  });
+
+  test('Manhattan overestimates once diagonals are allowed', () => {
+    const check = checkHeuristic(gridToGraph(createGrid(6, 6), 8), { heuristicType: 'manhattan' });
+    assert.ok(check.overestimates.some(o => o.id === 0));
+    assert.deepEqual(checkHeuristic(gridToGraph(createGrid(6, 6), 4), { heuristicType: 'manhattan' }).overestimates, []);
+  });
+});
+
+describe('heuristicValue', () => {
+  const node = { x: 0, y: 0, h: 7 };
+  const goal = { x: 30, y: 40 };
+
+  test('computes each heuristic', () => {
+    assert.equal(heuristicValue(node, goal, { heuristicType: 'euclidean' }), 50);
+    assert.equal(heuristicValue(node, goal, { heuristicType: 'manhattan' }), 70);
+    assert.equal(heuristicValue(node, goal, { heuristicType: 'scaled', heuristicScale: 1.5 }), 75);
+    assert.equal(heuristicValue(node, goal, { heuristicType: 'zero' }), 0);
+    assert.equal(heuristicValue(node, goal, { heuristicType: 'preset' }), 7);
+  });
+
+  test('falls back to Euclidean for nodes without their own h', () => {
+    assert.equal(heuristicValue({ x: 0, y: 0 }, goal, { heuristicType: 'preset' }), 50);
+  });
+});
@@ -0,0 +1,284 @@
+// --- Search History ---
+// A run's snapshots, stored as what changed from one step to the next so memory grows with the run instead of
+// with the run times the graph. Each step keeps its own small fields (current, status, event and the
+// algorithm's extras) and a list of changes to the big structures: queue items popped and pushed, nodes marked
+// visited, parent links set and, for Bellman-Ford and max flow, distances relaxed and flows changed. Every
+// KEYFRAME_INTERVAL steps a full copy of those structures is kept too, so any step can be rebuilt by replaying
+// at most that many steps.
+//
+//   history.length, history.at(index) (negative counts back from the end), for (const step of history)
+//   history.fieldsAt(index)  -> that step without queue, visited and the other tracked structures
+//   history.frontierStats(index)  -> { avg, max } frontier size over steps 0..index, from running totals
+//
+// Snapshots come out as fresh objects, like the copies the engine used to store. Sets and maps the engine makes
+// with trackedSet() and trackedObject() log their own changes, so recording a step costs what the step changed
+// rather than a scan of the whole structure; anything else is diffed against the last step.
+
+export const KEYFRAME_INTERVAL = 64;
+
+// How each structure is diffed: 'list' (the queue, in display order), 'set', or 'map' (a plain object, or an
+// array indexed by edge)
+const TRACKED = {
+  queue: 'list',
+  visited: 'set',
+  visitedEnd: 'set',
+  parents: 'map',
+  parentsEnd: 'map',
+  distances: 'map',
+  flows: 'map',
+};
+
+const copyValue = (kind, value) => {
+  if (kind === 'list') return value.slice();
+  if (kind === 'set') return new Set(value);
+  return Array.isArray(value) ? value.slice() : { ...value };
+};
+
+const copyState = (state) => {
+  const copy = {};
+  Object.keys(state).forEach(field => { copy[field] = copyValue(TRACKED[field], state[field]); });
+  return copy;
+};
+
+// Queue items are never mutated once pushed, so they are matched by identity. Items that stay must keep their
+// order (true of every frontier); when they don't, or nothing stays, the whole queue is stored instead.
+const diffList = (field, prev, next) => {
+  const inPrev = new Set(prev);
+  const inNext = new Set(next);
+  if (inPrev.size !== prev.length || inNext.size !== next.length) return null;
+  const popped = [];
+  const kept = [];
+  prev.forEach((item, i) => (inNext.has(item) ? kept.push(item) : popped.push(i)));
+  const pushed = [];
+  let k = 0;
+  for (let i = 0; i < next.length; i++) {
+    if (!inPrev.has(next[i])) pushed.push([i, next[i]]);
+    else if (next[i] !== kept[k++]) return null;
+  }
+  if (next.length > 0 && kept.length === 0) return null;
+  return [
+    popped.length > 0 && [field, 'pop', popped],
+    pushed.length > 0 && [field, 'push', pushed],
+  ];
+};
+
+const diffSet = (field, prev, next) => {
+  const added = [];
+  next.forEach(id => { if (!prev.has(id)) added.push(id); });
+  const removed = [];
+  if (prev.size + added.length !== next.size) prev.forEach(id => { if (!next.has(id)) removed.push(id); });
+  if (added.length + removed.length > next.size) return null;
+  return [
+    removed.length > 0 && [field, 'delete', removed],
+    added.length > 0 && [field, 'add', added],
+  ];
+};
+
+const diffMap = (field, prev, next) => {
+  if (Array.isArray(prev) !== Array.isArray(next)) return null;
+  const nextKeys = Object.keys(next);
+  const set = [];
+  let added = 0;
+  nextKeys.forEach(key => {
+    const fresh = !(key in prev);
+    if (fresh) added++;
+    if (fresh || !Object.is(prev[key], next[key])) set.push([key, next[key]]);
+  });
+  const prevKeys = Object.keys(prev);
+  const removed = prevKeys.length + added === nextKeys.length ? [] : prevKeys.filter(key => !(key in next));
+  if (set.length + removed.length > nextKeys.length) return null;
+  return [
+    removed.length > 0 && [field, 'delete', removed],
+    set.length > 0 && [field, 'set', set],
+  ];
+};
+
+const DIFFS = { list: diffList, set: diffSet, map: diffMap };
+
+// --- Tracked structures ---
+// Each tracked set or object's changes since the history last recorded it, as [op, payload] in the order they
+// happened ('add' / 'delete' an id, 'set' a [key, value] / 'delete' a key)
+const LOGS = new WeakMap();
+
+const log = (target, op, payload) => LOGS.get(target)?.push([op, payload]);
+
+class TrackedSet extends Set {
+  add(value) {
+    if (!this.has(value)) log(this, 'add', value);
+    return super.add(value);
+  }
+
+  delete(value) {
+    if (this.has(value)) log(this, 'delete', value);
+    return super.delete(value);
+  }
+
+  clear() {
+    this.forEach(value => log(this, 'delete', value));
+    super.clear();
+  }
+}
+
+export const trackedSet = (values) => {
+  const set = new TrackedSet(values);
+  LOGS.set(set, []);
+  return set;
+};
+
+// A plain object (node id -> value) behind a proxy that logs writes and deletes; reads go straight through
+export const trackedObject = (entries = {}) => {
+  const proxy = new Proxy({ ...entries }, {
+    set: (target, key, value) => {
+      if (!(key in target) || !Object.is(target[key], value)) log(proxy, 'set', [key, value]);
+      target[key] = value;
+      return true;
+    },
+    deleteProperty: (target, key) => {
+      if (key in target) log(proxy, 'delete', key);
+      return delete target[key];
+    },
+  });
+  LOGS.set(proxy, []);
+  return proxy;
+};
+
+// A tracked structure's logged changes as history changes, consecutive ones of a kind grouped together
+const loggedChanges = (field, entries) => {
+  const changes = [];
+  entries.forEach(([op, payload]) => {
+    const last = changes[changes.length - 1];
+    if (last && last[1] === op) last[2].push(payload);
+    else changes.push([field, op, [payload]]);
+  });
+  return changes;
+};
+
+// Changes are [field, op, payload]: 'reset' (the whole value), 'drop' (the field is gone), then per kind
+// list 'pop' (indices before the step) / 'push' ([index after the step, item]), set 'add' / 'delete' (ids) and
+// map 'set' ([key, value]) / 'delete' (keys)
+const applyChanges = (state, changes) => {
+  changes.forEach(([field, op, payload]) => {
+    const kind = TRACKED[field];
+    const value = state[field];
+    if (op === 'reset') state[field] = copyValue(kind, payload);
+    else if (op === 'drop') delete state[field];
+    else if (kind === 'list' && op === 'pop') {
+      const popped = new Set(payload);
+      state[field] = value.filter((_, i) => !popped.has(i));
+    } else if (kind === 'list') payload.forEach(([i, item]) => value.splice(i, 0, item));
+    else if (kind === 'set' && op === 'add') payload.forEach(id => value.add(id));
+    else if (kind === 'set') payload.forEach(id => value.delete(id));
+    else if (op === 'set') payload.forEach(([key, v]) => { value[key] = v; });
+    else payload.forEach(key => { delete value[key]; });
+  });
+};
+
+export class SearchHistory {
+  // The recorder's own copy of the tracked structures as they were at the last step
+  #state = {};
+  // The last snapshot rebuilt by at(), since playback asks for the same step on every render
+  #cached = { index: -1, snapshot: null };
+  // The structures the last snapshot passed in, so a tracked one that is passed again can replay its log
+  #live = {};
+
+  constructor() {
+    this.steps = []; // [{ fields, changes }]
+    this.keyframes = []; // keyframes[k]: the tracked structures after step k * KEYFRAME_INTERVAL
+    this.frontierTotals = []; // summed queue lengths over steps 0..i
+    this.frontierMaxes = []; // longest queue over steps 0..i
+  }
+
+  static from(snapshots) {
+    const history = new SearchHistory();
+    snapshots.forEach(snapshot => history.push(snapshot));
+    return history;
+  }
+
+  // postMessage only copies the plain fields, so a history from a worker needs its methods back
+  static revive(data) {
+    return Object.assign(new SearchHistory(), data);
+  }
+
+  get length() {
+    return this.steps.length;
+  }
+
+  // Records a snapshot. Its structures are only read here, so the engine can go on mutating them.
+  push(snapshot) {
+    const fields = {};
+    const changes = [];
+    Object.keys(snapshot).forEach(key => {
+      if (!(key in TRACKED)) fields[key] = snapshot[key];
+    });
+    // Taken up front, since one structure could be passed as two fields
+    const logs = new Map();
+    Object.keys(TRACKED).forEach(field => {
+      const next = snapshot[field];
+      if (LOGS.has(next) && !logs.has(next)) {
+        logs.set(next, LOGS.get(next));
+        LOGS.set(next, []);
+      }
+    });
+    Object.entries(TRACKED).forEach(([field, kind]) => {
+      const prev = this.#state[field];
+      const next = snapshot[field];
+      const live = this.#live[field];
+      this.#live[field] = next;
+      if (next === undefined) {
+        if (prev !== undefined) changes.push([field, 'drop']);
+        return;
+      }
+      if (prev !== undefined && next === live && logs.has(next)) {
+        changes.push(...loggedChanges(field, logs.get(next)));
+        return;
+      }
+      const diff = prev === undefined ? null : DIFFS[kind](field, prev, next);
+      if (diff) changes.push(...diff.filter(Boolean));
+      else changes.push([field, 'reset', copyValue(kind, next)]);
+    });
+    applyChanges(this.#state, changes);
+
+    const index = this.steps.length;
+    this.steps.push({ fields, changes });
+    if (index % KEYFRAME_INTERVAL === 0) this.keyframes.push(copyState(this.#state));
+    const size = snapshot.queue?.length ?? 0;
+    this.frontierTotals.push((this.frontierTotals[index - 1] ?? 0) + size);
+    this.frontierMaxes.push(Math.max(this.frontierMaxes[index - 1] ?? 0, size));
+  }
+
+  // The snapshot at `index`, or undefined past either end (like Array.prototype.at)
+  at(index) {
+    const i = index < 0 ? index + this.length : index;
+    if (i < 0 || i >= this.length) return undefined;
+    if (this.#cached.index === i) return this.#cached.snapshot;
+
+    const keyframe = Math.floor(i / KEYFRAME_INTERVAL);
+    const state = copyState(this.keyframes[keyframe]);
+    for (let step = keyframe * KEYFRAME_INTERVAL + 1; step <= i; step++) applyChanges(state, this.steps[step].changes);
+    const snapshot = { ...state, ...this.steps[i].fields };
+    this.#cached = { index: i, snapshot };
+    return snapshot;
+  }
+
+  // A step's own fields (current, status, event, events and the algorithm's extras), without rebuilding the
+  // structures; the cheap way to read many steps
+  fieldsAt(index) {
+    return this.steps.at(index)?.fields;
+  }
+
+  // Every snapshot in order, replayed as it goes rather than rebuilt from keyframes
+  *[Symbol.iterator]() {
+    const state = {};
+    for (const { fields, changes } of this.steps) {
+      applyChanges(state, changes);
+      yield { ...copyState(state), ...fields };
+    }
+  }
+
+  // Frontier size averaged over and peaking across steps 0..index
+  frontierStats(index) {
+    if (this.length === 0) return { avg: 0, max: 0 };
+    const i = Math.min(index, this.length - 1);
+    return { avg: this.frontierTotals[i] / (i + 1), max: this.frontierMaxes[i] };
+  }
+}
@@ -0,0 +1,119 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALGORITHMS, generateRandomGraph, runSearch } from './engine.js';
+import { KEYFRAME_INTERVAL, SearchHistory, trackedObject, trackedSet } from './history.js';
+
+// The full copies the engine used to store, to check the diffs against
+const copySnapshot = (snapshot) => ({
+  ...snapshot,
+  queue: snapshot.queue.slice(),
+  visited: new Set(snapshot.visited),
+  parents: { ...snapshot.parents },
+  ...(snapshot.flows && { flows: snapshot.flows.slice() }),
+});
+
+// A made-up run that mutates its structures in place the way the engine does, including a restart (a new
+// visited set and parents object, like an IDDFS pass) and a field that only some steps have. `track` makes the
+// set and object with trackedSet() and trackedObject(), and has the run take things out of them as well.
+const recordRun = (steps, track = false) => {
+  const makeSet = track ? trackedSet : (values) => new Set(values);
+  const makeObject = track ? trackedObject : () => ({});
+  const history = new SearchHistory();
+  const expected = [];
+  let queue = [];
+  let visited = makeSet();
+  let parents = makeObject();
+  const flows = [0, 0, 0];
+  for (let i = 0; i < steps; i++) {
+    if (i === 100) {
+      visited = makeSet([0]);
+      parents = makeObject();
+    }
+    if (track && i % 7 === 0) {
+      visited.delete((i * 3) % 150);
+      delete parents[(i * 5) % 150];
+    }
+    if (i % 3 === 0 && queue.length > 0) queue.shift();
+    queue.splice(queue.length % 3, 0, { id: i, cost: i });
+    visited.add(i % 150);
+    parents[i % 150] = i - 1;
+    flows[i % 3] += 1;
+    const snapshot = { queue, visited, parents, current: i, status: 'exploring', ...(i > 40 && i < 60 && { flows }) };
+    history.push(snapshot);
+    expected.push(copySnapshot(snapshot));
+  }
+  return { history, expected };
+};
+
+describe('SearchHistory', () => {
+  const { history, expected } = recordRun(3 * KEYFRAME_INTERVAL + 5);
+
+  test('at() rebuilds every step from the nearest keyframe', () => {
+    assert.equal(history.length, expected.length);
+    expected.forEach((snapshot, i) => assert.deepEqual(history.at(i), snapshot, `step ${i}`));
+    assert.deepEqual(history.at(-1), expected.at(-1));
+    assert.equal(history.at(expected.length), undefined);
+  });
+
+  test('iterating replays the same snapshots', () => {
+    assert.deepEqual([...history], expected);
+  });
+
+  test('snapshots are copies the caller may change', () => {
+    history.at(5).visited.add('x');
+    history.at(6);
+    assert.ok(!history.at(5).visited.has('x'));
+  });
+
+  test('keeps running frontier totals', () => {
+    const sizes = expected.map(s => s.queue.length);
+    const i = 2 * KEYFRAME_INTERVAL;
+    const seen = sizes.slice(0, i + 1);
+    assert.deepEqual(history.frontierStats(i), { avg: seen.reduce((a, b) => a + b, 0) / (i + 1), max: Math.max(...seen) });
+  });
+
+  test('stores changes rather than copies', () => {
+    // Only the restart and the step flows first appear on store a whole structure again
+    const resets = history.steps.map((step, i) => (step.changes.some(([, op]) => op === 'reset') ? i : null)).filter(i => i);
+    assert.deepEqual(resets, [41, 100]);
+  });
+
+  test('revives a history cloned out of a worker', () => {
+    const revived = SearchHistory.revive(structuredClone(history));
+    assert.deepEqual(revived.at(150), expected[150]);
+    assert.deepEqual(revived.frontierStats(20), history.frontierStats(20));
+  });
+
+  test('replays what tracked structures logged', () => {
+    const tracked = recordRun(3 * KEYFRAME_INTERVAL + 5, true);
+    tracked.expected.forEach((snapshot, i) => assert.deepEqual(tracked.history.at(i), snapshot, `step ${i}`));
+    // A step stores the one id added and the one parent set, plus what was deleted every seventh step
+    const sizes = tracked.history.steps.slice(101).map(step => step.changes
+      .filter(([field]) => field === 'visited' || field === 'parents')
+      .reduce((sum, [, , payload]) => sum + payload.length, 0));
+    assert.ok(sizes.every(size => size <= 4), String(sizes));
+  });
+
+  test('a structure analysis stores each queue item once', () => {
+    // On a grid, Tarjan's stack holds hundreds of nodes at a time, but only what is pushed should be stored (a
+    // queue that emptied out starts over with a reset)
+    const graph = generateRandomGraph({ numNodes: 400, topology: 'grid', seed: 2 });
+    ['Tarjan', 'Kosaraju', 'Components', 'TopoDFS', 'CycleDetection'].forEach(algorithm => {
+      const { steps } = runSearch(graph, algorithm);
+      const stored = steps.flatMap(step => step.changes)
+        .filter(([field, op]) => field === 'queue' && (op === 'push' || op === 'reset'))
+        .reduce((sum, [, , items]) => sum + items.length, 0);
+      const passes = algorithm === 'Kosaraju' ? 2 : 1;
+      assert.ok(stored <= passes * graph.nodes.length, `${algorithm}: ${stored}`);
+    });
+  });
+
+  test('matches a straight replay for every algorithm', () => {
+    const graph = generateRandomGraph({ numNodes: 40, topology: 'sparse', seed: 11 });
+    ALGORITHMS.forEach(({ id }) => {
+      const runHistory = runSearch(graph, id);
+      const replayed = [...runHistory];
+      replayed.forEach((snapshot, i) => assert.deepEqual(runHistory.at(i), snapshot, `${id} step ${i}`));
+    });
+  });
+});
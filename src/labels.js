@@ -0,0 +1,11 @@
+// Labels run A..Z, then AA, AB, ... so graphs can grow past 26 nodes
+export const indexToLabel = (i) => {
+  let label = '';
+  let n = i + 1;
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    label = String.fromCharCode(65 + r) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+};
@@ -0,0 +1,196 @@
+import { findTraversableEdge, graphGoals, isDirectedEdge, residualCapacity, snapshotPath } from './engine.js';
+import { UnionFind } from './unionFind.js';
+
+// --- Step Metrics ---
+// What the canvas and the sidebar read off a single history entry. Shared by the main view and compare mode,
+// so every run is measured the same way.
+
+export const EMPTY_STEP = { queue: [], visited: new Set(), parents: {}, status: 'start' };
+
+// Parent links from the node being explored back to the root of its tree (current -> start, or to where the
+// current leg of a route started). A bidirectional search expanding from the goal side walks its own tree
+// instead (current -> a goal), and the structure analyses stop at whichever node their traversal started from.
+export const getTrace = (step, graph) => {
+  if (!step.current) return [];
+  const fromGoal = step.activeSide === 'end';
+  const parents = fromGoal ? step.parentsEnd : step.parents;
+  const roots = fromGoal ? step.leg?.to ?? graphGoals(graph) : [step.leg?.from ?? graph.start];
+  const trace = [];
+  let curr = step.current;
+  while (curr !== undefined && !roots.includes(curr)) {
+    trace.push(curr);
+    curr = parents[curr];
+    if (trace.length > graph.nodes.length) break; // Safety against cycles
+  }
+  if (roots.includes(curr)) trace.push(curr);
+  return trace;
+};
+
+// The final path (goal -> start), through every waypoint, or [] until a goal is found
+export const getPath = (step, graph) => {
+  if (step.status !== 'found') return [];
+  return snapshotPath(step, graph.start, graphGoals(graph)).reverse();
+};
+
+// The path runs goal -> start, so each step is travelled parent -> child
+export const getPathCost = (path, graph) => {
+  let cost = 0;
+  for (let i = 0; i < path.length - 1; i++) {
+    const child = path[i];
+    const parent = path[i+1];
+    const edge = findTraversableEdge(graph.edges, parent, child, graph.directed);
+    cost += edge?.weight || 0;
+  }
+  return cost;
+};
+
+// Bidirectional searches colour the goal side's frontier and visited nodes separately. Every goal is an 'end',
+// and on a route (steps with a `leg`) waypoints are 'waypoint'. Algorithms without a start and goal (spanning trees) pass `endpoints: false`.
+export const createStateClassFor = (step, graph, { endpoints = true } = {}) => {
+  const frontierSides = new Map(step.queue.map(item => [item.id, item.side]));
+  const goals = graphGoals(graph);
+  return (id) => {
+    if (endpoints && id === graph.start) return 'start';
+    if (endpoints && goals.includes(id)) return 'end';
+    if (endpoints && step.leg && graph.waypoints.includes(id)) return 'waypoint';
+    if (step.current === id) return 'current';
+    // Frontier should take priority over visited if both exist
+    if (frontierSides.has(id)) return frontierSides.get(id) === 'end' ? 'frontier frontier-end' : 'frontier';
+    if (step.visitedEnd?.has(id)) return 'visited visited-end';
+    if (step.visited.has(id)) return 'visited';
+    return '';
+  };
+};
+
+// Spanning trees: edge index -> true (accepted) / false (rejected) for the decisions made before this step
+export const decisionsAt = (step) => new Map((step.decisions || []).slice(0, step.decided).map(d => [d.edge, d.accepted]));
+
+// Kruskal's union-find components at this step, as node id -> representative. Replaying the accepted edges
+// gives the same sets the engine had, without every snapshot carrying a copy.
+export const componentsAt = (step, graph) => {
+  const sets = new UnionFind(graph.nodes.map(n => n.id));
+  decisionsAt(step).forEach((accepted, edge) => {
+    if (accepted) sets.union(graph.edges[edge].source, graph.edges[edge].target);
+  });
+  return new Map(graph.nodes.map(n => [n.id, sets.find(n.id)]));
+};
+
+// Structure analyses: field -> Map(node id -> value) for the per-node numbers logged before this step
+// (group, disc, low, finish, inDegree, position; see the engine's Graph Structure section)
+export const nodeValuesAt = (step) => {
+  const values = {};
+  const log = step.log || [];
+  for (let i = 0; i < step.logged; i++) {
+    const { id, field, value } = log[i];
+    (values[field] ??= new Map()).set(id, value);
+  }
+  return values;
+};
+
+// The numbers a structure analysis writes above each node, or null
+export const nodeAnnotation = (algorithm, values, id) => {
+  const { disc = new Map(), low = new Map(), finish = new Map(), inDegree = new Map() } = values;
+  if (algorithm === 'Tarjan') return disc.has(id) ? `${disc.get(id)}/${low.get(id)}` : null;
+  if (algorithm === 'CycleDetection' || algorithm === 'TopoDFS') {
+    return disc.has(id) ? `${disc.get(id)}/${finish.get(id) ?? '-'}` : null;
+  }
+  if (algorithm === 'Kosaraju') return finish.has(id) ? `f: ${finish.get(id)}` : null;
+  if (algorithm === 'TopoKahn') return inDegree.has(id) ? `in: ${inDegree.get(id)}` : null;
+  return null;
+};
+
+// Which highlight layers an edge (at `index` in graph.edges) gets for this step
+export const classifyEdge = (e, index, step, graph, { pathIds, traceIds, decisions }) => {
+  const directed = isDirectedEdge(e, graph.directed);
+  const cycle = step.cycle || [];
+
+  // The search travelled this edge if one end is the parent of the other (in the edge's direction).
+  // The goal side's tree points towards the goal, so its links run the other way round.
+  const parentsEnd = step.parentsEnd || {};
+  const isTreeEdge = step.parents[e.target] === e.source ||
+                     (!directed && step.parents[e.source] === e.target) ||
+                     parentsEnd[e.source] === e.target ||
+                     (!directed && parentsEnd[e.target] === e.source);
+
+  // Bellman-Ford: edges relaxed in this pass, and the edges of a detected negative cycle
+  const matches = ([a, b]) => (a === e.source && b === e.target) || (!directed && a === e.target && b === e.source);
+  // The legs of a route already travelled
+  const route = step.route || [];
+  const onRoute = route.slice(1).some((id, k) => matches([route[k], id]));
+
+  return {
+    directed,
+    // 1. Final Path (Gold/Orange)
+    isFinalPath: step.status === 'found' && ((pathIds.has(e.source) && pathIds.has(e.target) && isTreeEdge) || onRoute),
+    isRoute: onRoute,
+    // 2. Current "Ghost" Trace (Thin Blue/White)
+    isTraceEdge: traceIds.has(e.source) && traceIds.has(e.target) && isTreeEdge,
+    isRelaxed: (step.relaxed || []).some(matches),
+    isCycleEdge: cycle.some((id, k) => matches([id, cycle[(k + 1) % cycle.length]])),
+    // Spanning trees
+    isAccepted: decisions?.get(index) === true,
+    isRejected: decisions?.get(index) === false,
+    isConsidered: step.edge === index,
+    // Cycle detection
+    isBackEdge: step.backEdge === index,
+    // Max flow
+    isAugmenting: Boolean(step.augmenting?.includes(index)),
+    isCut: Boolean(step.cut?.includes(index)),
+  };
+};
+
+// Max flow on an edge at this step: { flow (signed, + is source -> target), capacity, saturated, residual }, where
+// residual is [source -> target, target -> source]. null before the run has any flows.
+export const edgeFlow = (e, index, step, graph) => {
+  if (!step.flows) return null;
+  const flow = step.flows[index];
+  const capacity = Math.max(0, e.weight);
+  return {
+    flow,
+    capacity,
+    saturated: capacity > 0 && Math.abs(flow) >= capacity,
+    residual: [residualCapacity(e, flow, e.source, graph.directed), residualCapacity(e, flow, e.target, graph.directed)],
+  };
+};
+
+// The numbers in the Status panel (and the compare table) for a run paused at `stepIndex`
+export const summarizeRun = (history, stepIndex, graph, groundTruth) => {
+  const index = Math.min(stepIndex, history.length - 1);
+  const step = history.at(index) || EMPTY_STEP;
+  const frontier = history.frontierStats(index);
+  const path = getPath(step, graph);
+  const found = step.status === 'found';
+  const edges = path.length > 0 ? path.length - 1 : Infinity;
+  const cost = getPathCost(path, graph);
+
+  return {
+    step: index,
+    lastStep: history.length - 1,
+    status: step.status,
+    explored: step.visited?.size || 0,
+    frontierAvg: frontier.avg,
+    frontierMax: frontier.max,
+    found,
+    pathEdges: path.length > 0 ? path.length - 1 : 0,
+    cost: found ? cost : null,
+    // null while there is no path to judge
+    shortest: found ? edges <= groundTruth.trueMinEdges : null,
+    leastCost: found ? cost <= groundTruth.trueMinCost : null,
+    treeWeight: step.treeWeight ?? null,
+    groups: step.groups ?? null,
+    flowValue: step.flowValue ?? null,
+  };
+};
+
+// How the sidebar prints a cost: '-' while there is none, '∞' for an unreachable node or a bound that starts out
+// infinite, and grid diagonals' √2 fractions to two decimals
+export const formatCost = (value) => {
+  if (value === undefined || value === null) return '-';
+  return value === Infinity ? '∞' : Number(value.toFixed(2));
+};
+
+// How the sidebar prints a yes/no metric that may not apply yet
+export const formatCheck = (value) => {
+  if (value === null) return 'N/A';
+  return value ? '✅ Yes' : '❌ No';
+};
@@ -0,0 +1,118 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGroundTruth, groundTruthFor, runSearch } from './engine.js';
+import { classifyEdge, formatCheck, formatCost, getPath, nodeAnnotation, nodeValuesAt, summarizeRun } from './metrics.js';
+
+//   S --1-- A --1-- C --1-- G
+//    \                     /
+//     +---5--- B ---1----+
+const GRAPH = {
+  nodes: [
+    { id: 0, label: 'S', x: 0, y: 0 },
+    { id: 1, label: 'A', x: 1, y: 0 },
+    { id: 2, label: 'B', x: 1, y: 1 },
+    { id: 3, label: 'C', x: 2, y: 0 },
+    { id: 4, label: 'G', x: 3, y: 0 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 1 },
+    { source: 1, target: 3, weight: 1 },
+    { source: 3, target: 4, weight: 1 },
+    { source: 0, target: 2, weight: 5 },
+    { source: 2, target: 4, weight: 1 },
+  ],
+  start: 0,
+  end: 4,
+};
+
+const groundTruth = getGroundTruth(GRAPH.nodes, GRAPH.edges, GRAPH.start, GRAPH.end);
+const summarize = (algorithm, stepIndex = Infinity) =>
+  summarizeRun(runSearch(GRAPH, algorithm), stepIndex, GRAPH, groundTruth);
+
+describe('summarizeRun', () => {
+  test('BFS finds the fewest edges but not the least cost', () => {
+    const summary = summarize('BFS');
+    assert.equal(summary.found, true);
+    assert.equal(summary.pathEdges, 2);
+    assert.equal(summary.cost, 6);
+    assert.equal(summary.shortest, true);
+    assert.equal(summary.leastCost, false);
+  });
+
+  test('Dijkstra finds the least cost', () => {
+    const summary = summarize('Dijkstra');
+    assert.equal(summary.cost, 3);
+    assert.equal(summary.leastCost, true);
+    assert.equal(summary.shortest, false);
+  });
+
+  test('a step past the end of a shorter run holds its last step', () => {
+    const history = runSearch(GRAPH, 'BFS');
+    assert.deepEqual(summarize('BFS', 1000), summarize('BFS', history.length - 1));
+  });
+
+  test('optimality is not judged before the goal is found', () => {
+    const summary = summarize('Dijkstra', 0);
+    assert.equal(summary.found, false);
+    assert.equal(summary.cost, null);
+    assert.equal(formatCheck(summary.shortest), 'N/A');
+    assert.equal(formatCost(summary.cost), '-');
+  });
+
+  test('costs print to two decimals, and infinite ones as ∞', () => {
+    assert.equal(formatCost(5), 5);
+    assert.equal(formatCost(3 * Math.SQRT2), 4.24);
+    assert.equal(formatCost(Infinity), '∞');
+    assert.equal(formatCost(undefined), '-');
+  });
+});
+
+describe('getPath', () => {
+  test('runs goal -> start', () => {
+    const history = runSearch(GRAPH, 'Dijkstra');
+    assert.deepEqual(getPath(history.at(-1), GRAPH), [4, 3, 1, 0]);
+  });
+});
+
+describe('routes through waypoints', () => {
+  // By way of B, which is cheaper to reach round the far side of G
+  const route = { ...GRAPH, waypoints: [2] };
+  const routeTruth = groundTruthFor(route);
+  const summarizeRoute = (algorithm) => {
+    const history = runSearch(route, algorithm);
+    return summarizeRun(history, history.length - 1, route, routeTruth);
+  };
+
+  test('the path takes in every leg', () => {
+    assert.deepEqual(getPath(runSearch(route, 'UCS').at(-1), route), [4, 2, 4, 3, 1, 0]);
+  });
+
+  test('optimality is judged against the whole route', () => {
+    assert.deepEqual(routeTruth, { trueMinEdges: 2, trueMinCost: 5 });
+    assert.deepEqual([summarizeRoute('BFS').shortest, summarizeRoute('BFS').leastCost], [true, false]);
+    const ucs = summarizeRoute('UCS');
+    assert.deepEqual([ucs.pathEdges, ucs.cost, ucs.shortest, ucs.leastCost], [5, 5, false, true]);
+    // Dijkstra keeps its first frontier entry for B, so the first leg goes straight there
+    assert.equal(summarizeRoute('Dijkstra').leastCost, false);
+  });
+
+  test('the legs already travelled stay marked', () => {
+    const history = runSearch(route, 'BFS');
+    const secondLeg = [...history].find(step => step.leg.index === 1);
+    const marked = GRAPH.edges.filter((e, i) => classifyEdge(e, i, secondLeg, route, { pathIds: new Set(), traceIds: new Set() }).isRoute);
+    assert.deepEqual(marked, [GRAPH.edges[3]]);
+  });
+});
+
+describe('nodeValuesAt', () => {
+  test('only replays the log entries made before the step', () => {
+    const history = runSearch(GRAPH, 'Tarjan');
+    // The first snapshot is the discovery of A, the first root by label
+    const first = nodeValuesAt(history.at(0));
+    assert.deepEqual([...first.disc], [[1, 0]]);
+    assert.equal(first.group, undefined);
+    const last = nodeValuesAt(history.at(-1));
+    assert.equal(last.disc.size, 5);
+    assert.equal(nodeAnnotation('Tarjan', last, 1), '0/0');
+  });
+});
@@ -0,0 +1,204 @@
+import { validateGraph } from './graphIO.js';
+import { TERRAINS, GRID_HEURISTICS, gridToGraph } from './grid.js';
+import { ALGORITHM_PARAMS, HEURISTICS, HEURISTIC_SCALE, NEIGHBOR_SEED, SEARCH_POLICIES } from './engine.js';
+
+// --- Permalinks ---
+// The visualizer state is packed into a compact array payload, deflated and base64url encoded:
+//   #v<PERMALINK_VERSION>.<data>
+// The version prefix picks the decoder, so old links keep working after the payload layout changes.
+//   v1 - undirected graphs only
+//   v2 - edges carry an optional directed flag, and the graph-wide flag is appended after the grid
+//   v3 - the algorithm parameters (depth limit, A* weight, beam width) are appended as an object
+//   v4 - the heuristic is appended as [type, scale]
+//   v5 - the search policies are appended as [neighborOrder, neighborSeed, tieBreak, goalTest]
+//   v6 - the extra goals and the waypoints are appended as [goals, waypoints]
+
+export const PERMALINK_VERSION = 6;
+
+const round = (v) => Math.round(v * 10) / 10;
+
+// Grid cells travel as one character per cell, which deflates very well
+const TERRAIN_BY_CODE = Object.fromEntries(Object.entries(TERRAINS).map(([id, { code }]) => [code, id]));
+
+// --- Compression (deflate-raw via the streams API, available in browsers and Node 18+) ---
+
+const pipeBytes = async (bytes, stream) => {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+// --- Payload layouts, one per version ---
+
+// In grid mode the graph is fully determined by the cells, so only the grid is stored
+const encodeGrid = (grid) => [
+  grid.grid.rows,
+  grid.grid.cols,
+  grid.grid.cells.map(t => TERRAINS[t].code).join(''),
+  grid.grid.start,
+  grid.grid.end,
+  grid.options.connectivity,
+  grid.options.heuristic,
+];
+
+const encodeV6 = ({ graph, algoType, checkDuplicates, presetName, stepIndex, grid, algoParams, heuristic, policies }) => [
+  grid ? [] : graph.nodes.map(n => (n.h === undefined ? [n.id, n.label, round(n.x), round(n.y)] : [n.id, n.label, round(n.x), round(n.y), n.h])),
+  grid ? [] : graph.edges.map(e => (e.directed === undefined ? [e.source, e.target, e.weight] : [e.source, e.target, e.weight, e.directed ? 1 : 0])),
+  graph.start,
+  graph.end,
+  algoType,
+  checkDuplicates ? 1 : 0,
+  presetName,
+  stepIndex,
+  grid ? encodeGrid(grid) : 0,
+  graph.directed ? 1 : 0,
+  algoParams,
+  [heuristic.type, heuristic.scale],
+  [policies.neighborOrder, policies.neighborSeed, policies.tieBreak, policies.goalTest],
+  [graph.goals ?? [], graph.waypoints ?? []],
+];
+
+const decodeGridV1 = ([rows, cols, cells, start, end, connectivity, heuristic]) => {
+  if (!Number.isInteger(rows) || !Number.isInteger(cols) || typeof cells !== 'string' || cells.length !== rows * cols) {
+    throw new Error('Link contains an invalid grid');
+  }
+  const terrains = [...cells].map(c => TERRAIN_BY_CODE[c]);
+  if (terrains.some(t => t === undefined)) throw new Error('Link contains an unknown terrain type');
+  if (![4, 8].includes(connectivity) || !GRID_HEURISTICS[heuristic]) throw new Error('Link contains invalid grid options');
+  return {
+    grid: { rows, cols, cells: terrains, start, end },
+    options: { connectivity, heuristic },
+  };
+};
+
+const decodeV1 = (payload) => {
+  const [nodes, edges, start, end, algoType, checkDuplicates, presetName, stepIndex, gridPayload] = payload;
+  if (!Array.isArray(nodes) || !Array.isArray(edges)) throw new Error('Link is missing the graph');
+  const grid = gridPayload ? decodeGridV1(gridPayload) : null;
+  return {
+    graph: grid ? gridToGraph(grid.grid, grid.options.connectivity) : {
+      nodes: nodes.map(([id, label, x, y, h]) => (h === undefined ? { id, label, x, y } : { id, label, x, y, h })),
+      edges: edges.map(([source, target, weight]) => ({ source, target, weight })),
+      start,
+      end,
+    },
+    grid,
+    algoType,
+    checkDuplicates: checkDuplicates === 1,
+    presetName,
+    stepIndex: Number.isInteger(stepIndex) && stepIndex >= 0 ? stepIndex : 0,
+  };
+};
+
+// Same layout as v1 plus the directed flags
+const decodeV2 = (payload) => {
+  const state = decodeV1(payload);
+  if (state.grid) return state;
+  const [, edges, , , , , , , , directed] = payload;
+  state.graph.edges = edges.map(([source, target, weight, edgeDirected]) => (
+    edgeDirected === undefined ? { source, target, weight } : { source, target, weight, directed: edgeDirected === 1 }
+  ));
+  if (directed === 1) state.graph.directed = true;
+  return state;
+};
+
+// Same layout as v2 plus the algorithm parameters; anything missing or non-numeric falls back to the defaults
+const decodeV3 = (payload) => {
+  const state = decodeV2(payload);
+  const params = payload[10];
+  state.algoParams = Object.fromEntries(Object.entries(ALGORITHM_PARAMS).map(([name, { default: fallback, min, max }]) => {
+    const value = params?.[name];
+    return [name, Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback];
+  }));
+  return state;
+};
+
+// Same layout as v3 plus the heuristic; older links leave it out and the app picks one from the preset
+const decodeV4 = (payload) => {
+  const state = decodeV3(payload);
+  const [type, scale] = Array.isArray(payload[11]) ? payload[11] : [];
+  if (!HEURISTICS.some(h => h.id === type)) throw new Error(`Unknown heuristic "${type}"`);
+  state.heuristic = {
+    type,
+    scale: Number.isFinite(scale) ? Math.min(HEURISTIC_SCALE.max, Math.max(HEURISTIC_SCALE.min, scale)) : HEURISTIC_SCALE.default,
+  };
+  return state;
+};
+
+// Same layout as v4 plus the search policies; unknown choices fall back to the defaults
+const decodeV5 = (payload) => {
+  const state = decodeV4(payload);
+  const [neighborOrder, neighborSeed, tieBreak, goalTest] = Array.isArray(payload[12]) ? payload[12] : [];
+  const choose = (name, value) => {
+    const { options, default: fallback } = SEARCH_POLICIES[name];
+    return options.some(o => o.id === value) ? value : fallback;
+  };
+  state.policies = {
+    neighborOrder: choose('neighborOrder', neighborOrder),
+    neighborSeed: Number.isInteger(neighborSeed) ? neighborSeed : NEIGHBOR_SEED,
+    tieBreak: choose('tieBreak', tieBreak),
+    goalTest: choose('goalTest', goalTest),
+  };
+  return state;
+};
+
+// Same layout as v5 plus the goals besides `end` and the waypoints; grids have neither
+const decodeV6 = (payload) => {
+  const state = decodeV5(payload);
+  const [goals, waypoints] = Array.isArray(payload[13]) ? payload[13] : [];
+  if (state.grid) return state;
+  if (Array.isArray(goals) && goals.length > 0) state.graph.goals = goals;
+  if (Array.isArray(waypoints) && waypoints.length > 0) state.graph.waypoints = waypoints;
+  return state;
+};
+
+const DECODERS = { 1: decodeV1, 2: decodeV2, 3: decodeV3, 4: decodeV4, 5: decodeV5, 6: decodeV6 };
+
+// --- Public API ---
+
+export const encodeState = async (state) => {
+  const json = JSON.stringify(encodeV6(state));
+  const bytes = await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return `v${PERMALINK_VERSION}.${toBase64Url(bytes)}`;
+};
+
+// Accepts a location hash (with or without the leading '#'); throws with a readable message for bad links
+export const decodeState = async (hash) => {
+  const match = /^#?v(\d+)\.([A-Za-z0-9_-]+)$/.exec(hash);
+  if (!match) throw new Error('Link is not a visualizer permalink');
+
+  const version = Number(match[1]);
+  const decode = DECODERS[version];
+  if (!decode) throw new Error(`Link uses format v${version}, which this version of the visualizer cannot read`);
+
+  let payload;
+  try {
+    const bytes = await pipeBytes(fromBase64Url(match[2]), new DecompressionStream('deflate-raw'));
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('Link is truncated or corrupted');
+  }
+  if (!Array.isArray(payload)) throw new Error('Link is truncated or corrupted');
+
+  const state = decode(payload);
+  const errors = validateGraph(state.graph);
+  if (errors.length) throw new Error(`Link contains an invalid graph: ${errors[0]}`);
+  return state;
+};
+
+export const buildPermalink = async (state, location = window.location) => {
+  const hash = await encodeState(state);
+  return `${location.origin}${location.pathname}${location.search}#${hash}`;
+};
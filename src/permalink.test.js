@@ -0,0 +1,57 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { PERMALINK_VERSION, decodeState, encodeState } from './permalink.js';
+import { createGrid, gridToGraph } from './grid.js';
+
+// Everything a v6 link carries, on a graph with two goals (G and H) and a waypoint (A)
+const STATE = {
+  graph: {
+    nodes: [
+      { id: 0, label: 'S', x: 50, y: 300, h: 4 },
+      { id: 1, label: 'A', x: 200, y: 150 },
+      { id: 2, label: 'B', x: 200.5, y: 450 },
+      { id: 3, label: 'G', x: 400, y: 300 },
+      { id: 4, label: 'H', x: 400, y: 500 },
+    ],
+    edges: [
+      { source: 0, target: 1, weight: 2 },
+      { source: 0, target: 2, weight: 1.5 },
+      { source: 1, target: 3, weight: 3 },
+      { source: 2, target: 4, weight: 4, directed: true },
+    ],
+    start: 0,
+    end: 3,
+    goals: [4],
+    waypoints: [1],
+  },
+  grid: null,
+  algoType: 'AStar',
+  checkDuplicates: true,
+  presetName: 'custom',
+  stepIndex: 3,
+  algoParams: { depthLimit: 4, weight: 1.5, beamWidth: 3 },
+  heuristic: { type: 'scaled', scale: 2.5 },
+  policies: { neighborOrder: 'random', neighborSeed: 7, tieBreak: 'lifo', goalTest: 'generation' },
+};
+
+describe('permalinks', () => {
+  test('encode then decode gives the state back', async () => {
+    const hash = await encodeState(STATE);
+    assert.ok(hash.startsWith(`v${PERMALINK_VERSION}.`));
+    assert.equal(PERMALINK_VERSION, 6);
+    assert.deepEqual(await decodeState(`#${hash}`), STATE);
+  });
+
+  test('a grid link rebuilds its graph from the cells', async () => {
+    const grid = { grid: createGrid(4, 5), options: { connectivity: 8, heuristic: 'octile' } };
+    grid.grid.cells[7] = 'wall';
+    const state = await decodeState(await encodeState({ ...STATE, grid, graph: gridToGraph(grid.grid, 8) }));
+    assert.deepEqual(state.grid, grid);
+    assert.deepEqual(state.graph, gridToGraph(grid.grid, 8));
+  });
+
+  test('rejects links that are not permalinks or come from a newer version', async () => {
+    await assert.rejects(decodeState('#nothing-here'), /not a visualizer permalink/);
+    await assert.rejects(decodeState(`#v${PERMALINK_VERSION + 1}.abc`), /cannot read/);
+  });
+});
@@ -0,0 +1,156 @@
+import { GifEncoder, buildPalette } from './gif.js';
+
+// --- Playback Export ---
+// The browser half of the run exports: each step of the canvas as a standalone SVG that carries the stylesheet
+// rules it uses, and those SVGs rasterised into an animated GIF or recorded as a WebM video. The file formats
+// themselves live in gif.js, zip.js and traceTable.js.
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Pixel size of GIF and WebM frames
+export const EXPORT_SIZE = 480;
+// Longer runs are sampled evenly down to this many frames (always keeping the first and last step)
+export const MAX_EXPORT_FRAMES = 300;
+// The last frame stays up this long before the animation loops
+const FINAL_FRAME_MS = 2000;
+// The GIF palette is built from this many frames spread over the run
+const PALETTE_SAMPLES = 12;
+
+// The history indices to export for a run of `count` steps
+export const exportSteps = (count, max = MAX_EXPORT_FRAMES) => {
+  if (count <= max) return Array.from({ length: count }, (_, i) => i);
+  return [...new Set(Array.from({ length: max }, (_, i) => Math.round(i * (count - 1) / (max - 1))))];
+};
+
+// Rules for pointer and focus states would style every element at once in a still frame
+const STATE_PSEUDO = /:(hover|active|focus|focus-visible|focus-within)\b/;
+
+const matchesInside = (svg, selector) => {
+  try {
+    return svg.matches(selector) || svg.querySelector(selector) !== null;
+  } catch {
+    return false; // a selector this browser can't test
+  }
+};
+
+// The CSS text of every rule that styles something in `svg`, plus :root rules for the custom properties
+const usedStyleRules = (svg) => {
+  const css = [];
+  for (const sheet of document.styleSheets) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      continue; // cross-origin sheets can't be read
+    }
+    for (const rule of rules) {
+      if (!rule.selectorText) continue;
+      const used = rule.selectorText.includes(':root') || rule.selectorText.split(',')
+        .some(selector => !STATE_PSEUDO.test(selector) && matchesInside(svg, selector.trim()));
+      if (used) css.push(rule.cssText);
+    }
+  }
+  return css.join('\n');
+};
+
+// The first non-transparent background behind an element
+const backgroundBehind = (element) => {
+  for (let el = element; el; el = el.parentElement) {
+    const color = getComputedStyle(el).backgroundColor;
+    if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) return color;
+  }
+  return '#ffffff';
+};
+
+// The canvas as it looks now, as the text of an SVG file that renders the same anywhere
+export const standaloneSvg = (svg) => {
+  const clone = svg.cloneNode(true);
+  const [, , width, height] = svg.getAttribute('viewBox').split(/\s+/).map(Number);
+  clone.setAttribute('xmlns', SVG_NS);
+  clone.setAttribute('width', width);
+  clone.setAttribute('height', height);
+  // Inline edit boxes are HTML and never part of a step
+  clone.querySelectorAll('foreignObject').forEach(el => el.remove());
+
+  const style = document.createElementNS(SVG_NS, 'style');
+  style.textContent = `${usedStyleRules(svg)}\nsvg { font-family: ${getComputedStyle(svg).fontFamily}; }`;
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', '100%');
+  background.setAttribute('height', '100%');
+  background.setAttribute('fill', backgroundBehind(svg));
+  clone.insertBefore(background, clone.firstChild);
+  clone.insertBefore(style, clone.firstChild);
+  return new XMLSerializer().serializeToString(clone);
+};
+
+const loadSvgImage = async (svgText) => {
+  const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const drawSvg = async (context, svgText, size) => {
+  const image = await loadSvgImage(svgText);
+  context.clearRect(0, 0, size, size);
+  context.drawImage(image, 0, 0, size, size);
+};
+
+const createCanvas = (size) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  return [canvas, canvas.getContext('2d', { willReadFrequently: true })];
+};
+
+// Animated GIF of the frames (SVG texts), each shown `frameMs`. Frames are rasterised one at a time, so only the
+// palette samples are ever held together.
+export const renderGif = async (frames, frameMs, size = EXPORT_SIZE) => {
+  const [, context] = createCanvas(size);
+  const pixelsOf = async (svgText) => {
+    await drawSvg(context, svgText, size);
+    return context.getImageData(0, 0, size, size).data;
+  };
+
+  const samples = [];
+  for (const i of exportSteps(frames.length, PALETTE_SAMPLES)) samples.push(await pixelsOf(frames[i]));
+  const encoder = new GifEncoder(size, size, buildPalette(samples));
+  for (let i = 0; i < frames.length; i++) {
+    encoder.addFrame(await pixelsOf(frames[i]), i === frames.length - 1 ? FINAL_FRAME_MS : frameMs);
+  }
+  return new Blob([encoder.finish()], { type: 'image/gif' });
+};
+
+export const canRecordWebm = () =>
+  typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm') &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// WebM video of the frames, recorded in real time (the export takes as long as the video)
+export const recordWebm = async (frames, frameMs, size = EXPORT_SIZE) => {
+  const [canvas, context] = createCanvas(size);
+  const recorder = new MediaRecorder(canvas.captureStream(), { mimeType: 'video/webm' });
+  const chunks = [];
+  recorder.ondataavailable = (e) => chunks.push(e.data);
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+  // The next frame decodes while this one is on screen
+  let next = loadSvgImage(frames[0]);
+  recorder.start();
+  for (let i = 0; i < frames.length; i++) {
+    const image = await next;
+    context.clearRect(0, 0, size, size);
+    context.drawImage(image, 0, 0, size, size);
+    if (i + 1 < frames.length) next = loadSvgImage(frames[i + 1]);
+    await wait(i === frames.length - 1 ? FINAL_FRAME_MS : frameMs);
+  }
+  recorder.stop();
+  await stopped;
+  return new Blob(chunks, { type: 'video/webm' });
+};
@@ -0,0 +1,271 @@
+import { goalTestTiming, policiesFor } from './engine.js';
+
+// --- Pseudocode ---
+// What the pseudocode panel lists for each algorithm, as lines { text, indent, event, on }. The engine records an
+// `event` on every snapshot (e.g. 'pop', 'skip', 'goal', 'relax') and the panel highlights the lines with that
+// event; `on` lists the step events (see GraphSearch.emit) whose lines are marked as run during the step too,
+// with 'relax' standing for a push that replaces a costlier frontier entry. Listings follow the options the engine reads, so turning off the visited set, testing for the goal at
+// a different point or changing the neighbour order or tie-break policy (see SEARCH_POLICIES) changes them too.
+
+const line = (indent, text, event = null, on = []) => ({ indent, text, event, on });
+
+const FRONTIERS = {
+  BFS: 'a FIFO queue',
+  DFS: 'a LIFO stack',
+  UCS: 'a priority queue by g',
+  Dijkstra: 'a priority queue by g',
+  Greedy: 'a priority queue by h',
+  AStar: 'a priority queue by g + h',
+  WeightedAStar: 'a priority queue by g + w·h',
+};
+
+// The neighbour order as [generated, pushed onto a stack] (a stack pushes in reverse, so the first pops first)
+const NEIGHBOUR_ORDERS = {
+  alphabetical: ['A → Z', 'Z → A (A ends on top)'],
+  reverse: ['Z → A', 'A → Z (Z ends on top)'],
+  insertion: ['in edge order', 'in reverse edge order (the first edge ends on top)'],
+  random: ['in seeded random order', 'in reverse seeded order (the first ends on top)'],
+};
+
+const neighbourOrder = ({ neighborOrder }, stacked) => (NEIGHBOUR_ORDERS[neighborOrder] ?? NEIGHBOUR_ORDERS.alphabetical)[stacked ? 1 : 0];
+
+const TIES = {
+  lifo: 'newest first',
+  lowH: 'lower h first',
+  highG: 'higher g first',
+};
+
+// BFS, DFS and the priority-queue searches share one loop (GraphSearch.run)
+const frontierSearch = (algorithm, options) => {
+  const { checkDuplicates } = options;
+  const onPop = goalTestTiming(algorithm, options) === 'pop';
+  const prioritized = policiesFor(algorithm).includes('tieBreak');
+  const ties = prioritized && TIES[options.tieBreak] ? ` (ties: ${TIES[options.tieBreak]})` : '';
+  const replaces = algorithm === 'UCS' && checkDuplicates;
+  const skipCheck = replaces
+    ? 'if n ∈ visited, or n ∈ frontier at no higher g: skip'
+    : 'if n ∈ visited or n ∈ frontier: skip';
+  return [
+    line(0, 'if start = goal: return [start]', 'start-goal'),
+    line(0, `frontier ← ${FRONTIERS[algorithm]}${ties} holding start`),
+    checkDuplicates && line(0, 'visited ← ∅'),
+    line(0, 'while frontier is not empty:', 'limit'),
+    line(1, 'node ← frontier.pop()', 'pop'),
+    checkDuplicates && line(1, 'if node ∈ visited: continue', 'skip'),
+    checkDuplicates && line(1, 'visited.add(node)'),
+    onPop && line(1, 'if node = goal: return path(node)', 'goal'),
+    line(1, `for each neighbour n of node, ${neighbourOrder(options, algorithm === 'DFS')}:`),
+    checkDuplicates && line(2, skipCheck, null, ['skip']),
+    line(2, 'parent[n] ← node', null, ['push', 'parent']),
+    !onPop && line(2, 'if n = goal: return path(n)', 'goal', ['goal-test']),
+    replaces && line(2, 'if n ∈ frontier: replace its entry (g got lower)', null, ['relax']),
+    line(2, prioritized ? 'frontier.push(n, priority(n))' : 'frontier.push(n)', null, ['push']),
+    line(0, 'return failure', 'fail'),
+  ];
+};
+
+// DLS, IDDFS and IDA* (GraphSearch.runIterativeDeepening)
+const iterativeDeepening = (algorithm, options) => {
+  const { checkDuplicates } = options;
+  const onPop = goalTestTiming(algorithm, options) === 'pop';
+  const byF = algorithm === 'IDAStar';
+  const measure = byF ? 'f(n) = g + h' : 'depth(n)';
+  const passes = algorithm !== 'DLS';
+  const inner = passes ? 1 : 0;
+  return [
+    line(0, `limit ← ${{ DLS: 'depthLimit', IDDFS: '0', IDAStar: 'h(start)' }[algorithm]}`),
+    passes && line(0, 'repeat:'),
+    line(inner, 'stack ← [start]'),
+    line(inner, 'while stack is not empty:', 'limit'),
+    line(inner + 1, 'node ← stack.pop()', 'pop'),
+    checkDuplicates && line(inner + 1, `if node was expanded this pass at ≤ ${byF ? 'g' : 'depth'}: continue`, 'skip'),
+    onPop
+      ? line(inner + 1, 'if node = goal: return path(node)', 'goal')
+      : line(inner + 1, 'if node = start = goal: return [start]'),
+    line(inner + 1, `for each neighbour n not on the current path, ${neighbourOrder(options, true)}:`),
+    line(inner + 2, `if ${measure} > limit: cut off n (remember the smallest)`),
+    !onPop && line(inner + 2, 'else if n = goal: return path(n)', 'goal'),
+    line(inner + 2, 'else stack.push(n)'),
+    line(inner, 'if nothing was cut off: return failure', 'fail'),
+    !passes && line(0, 'return cutoff', 'cutoff'),
+    passes && line(1, byF ? 'limit ← smallest f that was cut off' : 'limit ← limit + 1'),
+  ];
+};
+
+const beam = (algorithm, { checkDuplicates }) => [
+  line(0, 'if start = goal: return [start]', 'start-goal'),
+  line(0, 'beam ← [start]'),
+  line(0, 'while beam is not empty:', 'limit'),
+  line(1, 'candidates ← []'),
+  line(1, 'for each node in beam:', 'pop'),
+  line(2, 'visited.add(node)'),
+  line(2, checkDuplicates
+    ? 'add each neighbour ∉ visited ∪ beam ∪ candidates to candidates'
+    : 'add each neighbour ∉ candidates to candidates', null, ['push', 'skip']),
+  line(1, 'beam ← the beamWidth candidates with the lowest h', null, ['goal-test']),
+  line(1, 'if goal ∈ beam: return path(goal)', 'goal'),
+  line(0, 'return failure', 'fail'),
+];
+
+const bellmanFord = () => [
+  line(0, 'dist[start] ← 0, every other dist ← ∞'),
+  line(0, 'repeat V − 1 times (stop once nothing changes):'),
+  line(1, 'for each edge (u, v, w):', 'relax'),
+  line(2, 'if dist[u] + w < dist[v]: dist[v] ← dist[u] + w, parent[v] ← u', 'relax'),
+  line(0, 'for each edge (u, v, w):'),
+  line(1, 'if dist[u] + w < dist[v]: return negative cycle', 'negative-cycle'),
+  line(0, 'if dist[goal] < ∞: return path(goal)', 'goal'),
+  line(0, 'return failure', 'fail'),
+];
+
+const bidirectionalBfs = () => [
+  line(0, 'if start = goal: return [start]', 'start-goal'),
+  line(0, 'one BFS from start, one from goal over reversed edges'),
+  line(0, 'while both queues are non-empty:', 'limit'),
+  line(1, 'side ← the side that did not move last'),
+  line(1, "for each node in side's current layer:", 'pop'),
+  line(2, 'for each unseen neighbour n: parent[n] ← node, queue n', null, ['push']),
+  line(3, 'if the other side has seen n: keep the shortest meeting'),
+  line(1, 'if a meeting node was found: return the path through it', 'goal'),
+  line(0, 'return failure', 'fail'),
+];
+
+const bidirectionalDijkstra = () => [
+  line(0, 'μ ← ∞ (best start → goal cost through a node both sides reached)'),
+  line(0, 'while both heaps are non-empty:', 'limit'),
+  line(1, 'if μ ≤ top(start heap) + top(goal heap): stop'),
+  line(1, 'side ← the side with the cheaper top'),
+  line(1, 'node ← side.pop(), settle it', 'pop'),
+  line(1, 'for each neighbour n: relax dist_side[n]', null, ['push']),
+  line(2, 'if the other side reached n: μ ← min(μ, dist_side[n] + dist_other[n])'),
+  line(0, 'if μ < ∞: return the path through the best meeting node', 'goal'),
+  line(0, 'return failure', 'fail'),
+];
+
+const prim = () => [
+  line(0, 'for each root (start first, then any node not yet in a tree):'),
+  line(1, 'add root to the tree, push its edges onto the heap', 'root'),
+  line(1, 'while the heap is not empty:'),
+  line(2, '(u, v) ← cheapest edge in the heap', 'pop'),
+  line(2, 'if v is already in the tree: reject it (it would close a cycle)'),
+  line(2, "else accept it, add v, push v's edges to nodes outside the tree"),
+  line(0, 'return the tree (a forest if the graph is disconnected)', 'done'),
+];
+
+const kruskal = () => [
+  line(0, 'sort the edges by weight (ties by endpoint labels)'),
+  line(0, 'every node starts in a set of its own'),
+  line(0, 'for each edge (u, v) in that order, until V − 1 are accepted:', 'consider'),
+  line(1, 'if find(u) ≠ find(v): accept it and union(u, v)'),
+  line(1, 'else reject it (u and v are already connected)'),
+  line(0, 'return the accepted edges', 'done'),
+];
+
+const components = () => [
+  line(0, 'for each node s, A → Z, not yet reached:'),
+  line(1, 'start a new component, queue ← [s]'),
+  line(1, 'while the queue is not empty:'),
+  line(2, 'node ← queue.pop()', 'pop'),
+  line(2, 'for each unreached neighbour n (ignoring directions):'),
+  line(3, 'put n in this component and queue it'),
+  line(0, 'return the components', 'done'),
+];
+
+const depthFirstOrder = (algorithm) => {
+  const topological = algorithm === 'TopoDFS';
+  return [
+    line(0, 'for each node s, A → Z, not yet discovered: dfs(s)'),
+    line(0, 'dfs(node):'),
+    line(1, 'disc[node] ← time++, node joins the DFS path', 'discover'),
+    line(1, 'for each neighbour n:'),
+    line(2, topological
+      ? 'if n is on the path: back edge, not a DAG → stop'
+      : 'if n is on the path (not back over the edge we came by): back edge → return the cycle', 'back-edge'),
+    line(2, 'if n is undiscovered: dfs(n)'),
+    line(1, 'finish[node] ← time++, node leaves the path', 'finish'),
+    topological && line(1, 'prepend node to the order'),
+    line(0, topological ? 'return the order (reverse finish order)' : 'return "no cycle"', 'done'),
+  ];
+};
+
+const kahn = () => [
+  line(0, 'inDegree[v] ← number of edges into v, for every v'),
+  line(0, 'queue ← nodes with in-degree 0, A → Z'),
+  line(0, 'while the queue is not empty:'),
+  line(1, 'node ← queue.pop(), append it to the order', 'pop'),
+  line(1, 'for each edge node → n:'),
+  line(2, 'inDegree[n] ← inDegree[n] − 1; if it is 0: queue n'),
+  line(0, 'if the order holds every node: return it', 'done'),
+  line(0, 'else the rest are on or behind a cycle: not a DAG', 'cycle'),
+];
+
+const tarjan = () => [
+  line(0, 'for each node s, A → Z, not yet discovered: visit(s)'),
+  line(0, 'visit(node):'),
+  line(1, 'disc[node] ← low[node] ← time++, push node on the stack', 'discover'),
+  line(1, 'for each neighbour n:'),
+  line(2, 'if n is undiscovered: visit(n), low[node] ← min(low[node], low[n])'),
+  line(2, 'else if n is on the stack: low[node] ← min(low[node], disc[n])'),
+  line(1, 'if low[node] = disc[node]:', 'finish'),
+  line(2, 'pop the stack down to node: that is one SCC', 'scc'),
+  line(0, 'return the SCCs', 'done'),
+];
+
+const kosaraju = () => [
+  line(0, 'pass 1: for each node, A → Z, not yet visited: dfs(node)'),
+  line(1, 'discover node', 'discover'),
+  line(1, 'when node finishes: append it to the finish order', 'finish'),
+  line(0, 'pass 2: reverse every edge'),
+  line(1, 'for each node, latest finish first, not yet in an SCC:'),
+  line(2, 'dfs over reversed edges: every node it reaches joins this SCC', 'assign'),
+  line(0, 'return the SCCs', 'done'),
+];
+
+const edmondsKarp = () => [
+  line(0, 'flow ← 0 on every edge', 'init'),
+  line(0, 'while BFS finds a source → sink path in the residual graph:', 'limit'),
+  line(1, 'bottleneck ← smallest residual capacity on the path'),
+  line(1, 'push bottleneck along it (cancelling flow on reverse arcs first)', 'augment'),
+  line(0, 'source side ← what the last BFS reached, min cut ← edges leaving it', 'done'),
+  line(0, 'return the total flow', 'done'),
+];
+
+const LISTINGS = {
+  DLS: iterativeDeepening,
+  IDDFS: iterativeDeepening,
+  IDAStar: iterativeDeepening,
+  Beam: beam,
+  BellmanFord: bellmanFord,
+  BiBFS: bidirectionalBfs,
+  BiDijkstra: bidirectionalDijkstra,
+  Prim: prim,
+  Kruskal: kruskal,
+  Components: components,
+  CycleDetection: depthFirstOrder,
+  TopoDFS: depthFirstOrder,
+  TopoKahn: kahn,
+  Tarjan: tarjan,
+  Kosaraju: kosaraju,
+  EdmondsKarp: edmondsKarp,
+};
+
+// How the panel marks each line for a step: 'active' for the step's own `event`, 'traced' for what the search
+// went on to do during the step (the popped node's own skip is the 'skip' event, not a neighbour's), or ''
+export const lineStates = (lines, step) => {
+  const done = new Set();
+  (step.events ?? []).forEach(e => {
+    if (e.type === 'skip' && e.id === step.current) return;
+    done.add(e.type);
+    if (e.type === 'push' && e.replaced !== undefined) done.add('relax');
+  });
+  return lines.map(l => {
+    if (l.event && l.event === step.event) return 'active';
+    return l.on.some(type => done.has(type)) ? 'traced' : '';
+  });
+};
+
+// The listing for an algorithm under the given search options
+export const pseudocodeFor = (algorithm, options = {}) => {
+  const listing = LISTINGS[algorithm] ?? frontierSearch;
+  return listing(algorithm, { checkDuplicates: true, ...options }).filter(Boolean);
+};
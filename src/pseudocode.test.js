@@ -0,0 +1,83 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { ALGORITHMS, generateRandomGraph, runSearch } from './engine.js';
+import { lineStates, pseudocodeFor } from './pseudocode.js';
+
+const texts = (algorithm, options) => pseudocodeFor(algorithm, options).map(l => l.text);
+
+describe('pseudocodeFor', () => {
+  test('every event a run records has a line to highlight', () => {
+    const graphs = [
+      generateRandomGraph({ numNodes: 12, topology: 'sparse', seed: 3 }),
+      { ...generateRandomGraph({ numNodes: 12, topology: 'sparse', seed: 5 }), directed: true },
+    ];
+    ALGORITHMS.forEach(({ id }) => [true, false].forEach(checkDuplicates => graphs.forEach(graph => {
+      const events = new Set(pseudocodeFor(id, { checkDuplicates }).map(l => l.event));
+      for (const step of runSearch(graph, id, { checkDuplicates })) {
+        assert.ok(events.has(step.event), `${id}: ${step.event}`);
+      }
+    })));
+  });
+
+  test('the visited set lines follow checkDuplicates', () => {
+    assert.ok(texts('BFS').includes('if node ∈ visited: continue'));
+    assert.ok(!texts('BFS', { checkDuplicates: false }).some(text => text.includes('visited')));
+  });
+
+  test('the goal test sits where the algorithm makes it', () => {
+    const goalIndex = (algorithm) => pseudocodeFor(algorithm).findIndex(l => l.event === 'goal');
+    const popIndex = (algorithm) => pseudocodeFor(algorithm).findIndex(l => l.event === 'pop');
+    const forIndex = (algorithm) => pseudocodeFor(algorithm).findIndex(l => l.text.startsWith('for each neighbour'));
+    // BFS tests neighbours as it pushes them, Dijkstra the node it pops
+    assert.ok(goalIndex('BFS') > forIndex('BFS'));
+    assert.ok(goalIndex('Dijkstra') > popIndex('Dijkstra') && goalIndex('Dijkstra') < forIndex('Dijkstra'));
+  });
+
+  test('follows the search policies', () => {
+    assert.ok(texts('UCS', { tieBreak: 'lifo' }).includes('frontier ← a priority queue by g (ties: newest first) holding start'));
+    assert.ok(texts('BFS', { neighborOrder: 'reverse' }).includes('for each neighbour n of node, Z → A:'));
+    const goalAfterLoop = (algorithm, goalTest) => {
+      const lines = pseudocodeFor(algorithm, { goalTest });
+      return lines.findIndex(l => l.event === 'goal') > lines.findIndex(l => l.text.startsWith('for each neighbour'));
+    };
+    assert.ok(goalAfterLoop('UCS', 'generation'));
+    assert.ok(!goalAfterLoop('BFS', 'expansion'));
+    assert.ok(goalAfterLoop('IDDFS', 'generation'));
+  });
+});
+
+describe('lineStates', () => {
+  // S -5- A, S -1- B -1- A: UCS queues A at 5, then finds it at 2 through B
+  const graph = {
+    nodes: ['S', 'A', 'B', 'G'].map((label, id) => ({ id, label, x: id, y: 0 })),
+    edges: [
+      { source: 0, target: 1, weight: 5 },
+      { source: 0, target: 2, weight: 1 },
+      { source: 2, target: 1, weight: 1 },
+      { source: 1, target: 3, weight: 1 },
+    ],
+    start: 0,
+    end: 3,
+  };
+  const lines = pseudocodeFor('UCS');
+  const marked = (step) => {
+    const states = lineStates(lines, step);
+    return lines.flatMap((l, i) => (states[i] ? [`${states[i]}: ${l.text}`] : []));
+  };
+
+  test('a UCS step marks its pop and the pushes and relaxations that follow it', () => {
+    const history = [...runSearch(graph, 'UCS')];
+    assert.deepEqual(marked(history[1]), [
+      'active: node ← frontier.pop()',
+      'traced: if n ∈ visited, or n ∈ frontier at no higher g: skip',
+      'traced: parent[n] ← node',
+      'traced: if n ∈ frontier: replace its entry (g got lower)',
+      'traced: frontier.push(n, priority(n))',
+    ]);
+    assert.deepEqual(marked(history[0]), [
+      'active: node ← frontier.pop()',
+      'traced: parent[n] ← node',
+      'traced: frontier.push(n, priority(n))',
+    ]);
+  });
+});
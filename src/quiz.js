@@ -0,0 +1,58 @@
+import { queueInPopOrder } from './engine.js';
+
+// --- Quiz ---
+// Predict-the-next-step quizzes over a recorded history. At step i the student predicts step i + 1: either
+// the node the search takes next (the snapshot's `current`) or the frontier it is left with, front first.
+
+export const QUIZ_KINDS = [
+  { id: 'node', label: 'Next Node' },
+  { id: 'frontier', label: 'Frontier Order' },
+];
+
+// What step `index + 1` holds, or null once the history has run out. `node` is null for a step that takes no
+// node (the search ending, for instance).
+export const quizQuestion = (history, index) => {
+  const next = history.at(index + 1);
+  if (!next) return null;
+  return { step: index + 1, node: next.current ?? null, frontier: queueInPopOrder(next).map(item => item.id) };
+};
+
+// The expected answer for a question of this kind
+export const quizAnswer = (question, kind) => (kind === 'node' ? question.node : question.frontier);
+
+export const isCorrect = (given, expected) => (Array.isArray(expected)
+  ? given.length === expected.length && given.every((id, i) => id === expected[i])
+  : given === expected);
+
+// A typed frontier ("B, C D") as node ids; labels match case-insensitively. `unknown` lists what matched nothing.
+export const parseFrontier = (text, graph) => {
+  const byLabel = new Map(graph.nodes.map(n => [n.label.toUpperCase(), n.id]));
+  const labels = text.split(/[\s,]+/).filter(Boolean);
+  return {
+    ids: labels.map(label => byLabel.get(label.toUpperCase())).filter(id => id !== undefined),
+    unknown: labels.filter(label => !byLabel.has(label.toUpperCase())),
+  };
+};
+
+// Score and answers with labels in place of ids, ready to export
+export const quizSummary = (answers, graph, algorithm) => {
+  const label = (id) => graph.nodes.find(n => n.id === id)?.label ?? '(none)';
+  const format = (answer) => (Array.isArray(answer) ? answer.map(label).join(', ') || '(empty)' : label(answer));
+  return {
+    algorithm,
+    score: answers.filter(a => a.correct).length,
+    total: answers.length,
+    answers: answers.map(a => ({ step: a.step, kind: a.kind, given: format(a.given), expected: format(a.expected), correct: a.correct })),
+  };
+};
+
+export const formatQuizMarkdown = (summary) => [
+  `# ${summary.algorithm} quiz: ${summary.score} / ${summary.total}`,
+  '',
+  '| Step | Question | Your answer | Correct answer | |',
+  '| --- | --- | --- | --- | --- |',
+  ...summary.answers.map(a => (
+    `| ${a.step} | ${QUIZ_KINDS.find(k => k.id === a.kind).label} | ${a.given} | ${a.expected} | ${a.correct ? '✅' : '❌'} |`
+  )),
+  '',
+].join('\n');
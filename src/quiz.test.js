@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSearch } from './engine.js';
+import { formatQuizMarkdown, isCorrect, parseFrontier, quizAnswer, quizQuestion, quizSummary } from './quiz.js';
+
+//   S --2-- A --1-- G
+//    \
+//     +--1-- B
+const GRAPH = {
+  nodes: [
+    { id: 0, label: 'S', x: 0, y: 0 },
+    { id: 1, label: 'A', x: 1, y: 0 },
+    { id: 2, label: 'B', x: 1, y: 1 },
+    { id: 3, label: 'G', x: 2, y: 0 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 2 },
+    { source: 0, target: 2, weight: 1 },
+    { source: 1, target: 3, weight: 1 },
+  ],
+  start: 0,
+  end: 3,
+};
+
+describe('quiz', () => {
+  const history = runSearch(GRAPH, 'BFS');
+
+  test('asks about the step after the current one', () => {
+    // BFS takes A next and is left with A, B; then G, generated from A, with B, G
+    assert.deepEqual(quizQuestion(history, 0), { step: 1, node: 1, frontier: [1, 2] });
+    assert.deepEqual(quizQuestion(history, 1), { step: 2, node: 3, frontier: [2, 3] });
+    assert.equal(quizQuestion(history, 2), null);
+  });
+
+  test('gives a priority frontier in pop order', () => {
+    // UCS pushes A before B but pops the cheaper B first
+    assert.deepEqual(quizQuestion(runSearch(GRAPH, 'UCS'), 0), { step: 1, node: 2, frontier: [2, 1] });
+  });
+
+  test('grades nodes and frontier orders', () => {
+    const question = quizQuestion(history, 0);
+    assert.ok(isCorrect(1, quizAnswer(question, 'node')));
+    assert.ok(isCorrect([1, 2], quizAnswer(question, 'frontier')));
+    assert.ok(!isCorrect(2, quizAnswer(question, 'node')));
+    assert.ok(!isCorrect([2, 1], quizAnswer(question, 'frontier')));
+    assert.ok(!isCorrect([1, 2, 3], quizAnswer(question, 'frontier')));
+    assert.ok(!isCorrect(null, 2));
+  });
+
+  test('reads typed frontiers by label', () => {
+    assert.deepEqual(parseFrontier('a, B  g', GRAPH), { ids: [1, 2, 3], unknown: [] });
+    assert.deepEqual(parseFrontier('A X', GRAPH), { ids: [1], unknown: ['X'] });
+    assert.deepEqual(parseFrontier('  ', GRAPH), { ids: [], unknown: [] });
+  });
+
+  test('summarises the score with labels', () => {
+    const answers = [
+      { step: 1, kind: 'node', given: 1, expected: 1, correct: true },
+      { step: 2, kind: 'frontier', given: [], expected: [2, 3], correct: false },
+    ];
+    const summary = quizSummary(answers, GRAPH, 'BFS');
+    assert.equal(summary.score, 1);
+    assert.equal(summary.total, 2);
+    assert.deepEqual(summary.answers[1], { step: 2, kind: 'frontier', given: '(empty)', expected: 'B, G', correct: false });
+    assert.match(formatQuizMarkdown(summary), /^# BFS quiz: 1 \/ 2/);
+    assert.match(formatQuizMarkdown(summary), /\| 2 \| Frontier Order \| \(empty\) \| B, G \| ❌ \|/);
+  });
+});
@@ -0,0 +1,23 @@
+// Seeded PRNG (mulberry32) so a seed + options always recreate the same graph or maze
+export const createRng = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 2 ** 32);
+
+// A Fisher-Yates shuffled copy of `list`, driven by an rng from createRng
+export const shuffled = (list, rng) => {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+};
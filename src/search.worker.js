@@ -0,0 +1,13 @@
+import { groundTruthFor, runSearch } from './engine.js';
+
+// Runs one search off the main thread for useSearchRuns.
+// Receives { graph, algorithm, options }; posts { type: 'progress', steps } along the way, then
+// { type: 'done', history, groundTruth }.
+self.onmessage = ({ data: { graph, algorithm, options } }) => {
+  const history = runSearch(graph, algorithm, {
+    ...options,
+    onProgress: (steps) => self.postMessage({ type: 'progress', steps }),
+  });
+  const groundTruth = groundTruthFor(graph);
+  self.postMessage({ type: 'done', history, groundTruth });
+};
@@ -0,0 +1,69 @@
+// --- Search Tree ---
+// The tree a search really builds: one search node per frontier entry, so a graph node pushed three times (as
+// happens without a visited set) shows up three times, each copy with its own parent, depth and g. The engine
+// appends { id, parent, depth, g, replaces? } to a snapshot's `tree` as it pushes (parent is the index of the
+// entry it was generated from, null for the root; replaces is the entry a cheaper UCS entry takes over from),
+// every snapshot sees the first `treeSize` entries and `treeNode` is the entry being expanded.
+
+// The panel draws at most this many search nodes
+export const MAX_TREE_NODES = 400;
+
+// The search nodes of a step, each with its `state`: 'current', 'frontier', 'closed' (popped, whether expanded
+// or skipped as a duplicate) or 'replaced', plus `onPath` for the branch that reached the goal and `copies`, how
+// many entries share its graph node. Null when the algorithm doesn't record a tree.
+export const searchTreeAt = (step, max = MAX_TREE_NODES) => {
+  if (!step.tree) return null;
+  const entries = step.tree.slice(0, step.treeSize);
+  const onFrontier = new Set(step.queue.map(item => item.node));
+  const replaced = new Set(entries.filter(e => e.replaces !== undefined).map(e => e.replaces));
+  const onPath = new Set();
+  if (step.status === 'found') {
+    for (let n = step.treeNode; n !== null && n !== undefined; n = entries[n].parent) onPath.add(n);
+  }
+  const copies = new Map();
+  entries.forEach(({ id }) => copies.set(id, (copies.get(id) ?? 0) + 1));
+
+  const stateOf = (index) => {
+    if (index === step.treeNode) return 'current';
+    if (replaced.has(index)) return 'replaced';
+    return onFrontier.has(index) ? 'frontier' : 'closed';
+  };
+  const nodes = entries.slice(0, max).map((entry, index) => ({
+    ...entry,
+    index,
+    state: stateOf(index),
+    onPath: onPath.has(index),
+    copies: copies.get(entry.id),
+  }));
+  return { nodes, total: entries.length, distinct: copies.size };
+};
+
+// A layered layout: depth is the row, leaves take consecutive columns in the order they were generated and a
+// parent sits over the middle of its children. Entries always come after their parent, so any prefix of the
+// tree is a tree. Returns { positions: Map(index -> { x, y }) in column / row units, columns, rows }.
+export const layoutTree = (nodes) => {
+  const children = new Map(nodes.map(n => [n.index, []]));
+  const roots = [];
+  nodes.forEach(n => (children.has(n.parent) ? children.get(n.parent).push(n.index) : roots.push(n.index)));
+
+  const positions = new Map();
+  let column = 0;
+  let rows = 0;
+  // Post-order without recursion, since a search without a visited set can build very deep trees
+  const stack = roots.reverse().map(index => ({ index, depth: 0, visited: false }));
+  while (stack.length > 0) {
+    const top = stack.pop();
+    const kids = children.get(top.index);
+    rows = Math.max(rows, top.depth + 1);
+    if (kids.length === 0) {
+      positions.set(top.index, { x: column++, y: top.depth });
+    } else if (top.visited) {
+      const xs = kids.map(k => positions.get(k).x);
+      positions.set(top.index, { x: (xs[0] + xs[xs.length - 1]) / 2, y: top.depth });
+    } else {
+      stack.push({ ...top, visited: true });
+      for (let i = kids.length - 1; i >= 0; i--) stack.push({ index: kids[i], depth: top.depth + 1, visited: false });
+    }
+  }
+  return { positions, columns: column, rows };
+};
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSearch } from './engine.js';
+import { layoutTree, searchTreeAt } from './searchTree.js';
+
+// A diamond with a dearer shortcut, so C can be reached three ways (straight from S, through A, through B):
+//
+//       A
+//     1/ \1
+//   S --5-- C --1-- G
+//     2\ /1
+//       B
+const GRAPH = {
+  nodes: [
+    { id: 0, label: 'S', x: 0, y: 100 },
+    { id: 1, label: 'A', x: 100, y: 0 },
+    { id: 2, label: 'B', x: 100, y: 200 },
+    { id: 3, label: 'C', x: 200, y: 100 },
+    { id: 4, label: 'G', x: 300, y: 100 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 1 },
+    { source: 0, target: 2, weight: 2 },
+    { source: 0, target: 3, weight: 5 },
+    { source: 1, target: 3, weight: 1 },
+    { source: 2, target: 3, weight: 1 },
+    { source: 3, target: 4, weight: 1 },
+  ],
+  start: 0,
+  end: 4,
+};
+const label = (id) => GRAPH.nodes[id].label;
+const describeTree = (tree) => tree.nodes.map(n => `${label(n.id)}<${n.parent ?? '-'} ${n.state}${n.onPath ? '*' : ''}`);
+
+describe('searchTreeAt', () => {
+  test('without a visited set every push is its own search node', () => {
+    const tree = searchTreeAt(runSearch(GRAPH, 'BFS', { checkDuplicates: false }).at(-1));
+    assert.deepEqual(describeTree(tree), [
+      'S<- closed*', 'A<0 closed', 'B<0 closed', 'C<0 closed*', 'C<1 frontier', 'S<1 frontier', 'C<2 frontier',
+      'S<2 frontier', 'A<3 frontier', 'B<3 frontier', 'G<3 current*',
+    ]);
+    assert.equal(tree.total, 11);
+    assert.equal(tree.distinct, 5);
+    // C is three search nodes, one per way of reaching it
+    assert.deepEqual(tree.nodes.filter(n => n.id === 3).map(n => [n.parent, n.depth, n.g, n.copies]), [[0, 1, 5, 3], [1, 2, 2, 3], [2, 2, 3, 3]]);
+  });
+
+  test('with one, each node is pushed once', () => {
+    const tree = searchTreeAt(runSearch(GRAPH, 'BFS').at(-1));
+    assert.equal(tree.total, tree.distinct);
+  });
+
+  test('follows the timeline', () => {
+    const history = runSearch(GRAPH, 'BFS', { checkDuplicates: false });
+    const sizes = [...history].map(step => searchTreeAt(step).total);
+    assert.deepEqual(sizes, [1, 4, 6, 8, 11]);
+    assert.equal(searchTreeAt(history.at(1)).nodes.find(n => n.state === 'current').index, 1);
+  });
+
+  test('marks the UCS entry a cheaper one replaced', () => {
+    const tree = searchTreeAt(runSearch(GRAPH, 'UCS').at(-1));
+    // The shortcut's entry for C is replaced once C turns up cheaper through A; B's way to C is no cheaper
+    assert.deepEqual(describeTree(tree), ['S<- closed*', 'A<0 closed*', 'B<0 closed', 'C<0 replaced', 'C<1 closed*', 'G<4 current*']);
+  });
+
+  test('iterative deepening shows the tree of the current pass', () => {
+    const history = runSearch(GRAPH, 'IDDFS');
+    const passes = [...history].map(step => [step.iteration, searchTreeAt(step).total]);
+    assert.deepEqual(passes.filter(([iteration]) => iteration === 1), [[1, 1]]);
+    assert.deepEqual(searchTreeAt(history.at(-1)).nodes.filter(n => n.onPath).map(n => label(n.id)), ['S', 'C', 'G']);
+  });
+
+  test('is null for algorithms without a search tree', () => {
+    assert.equal(searchTreeAt(runSearch(GRAPH, 'BellmanFord').at(-1)), null);
+  });
+
+  test('draws at most `max` nodes', () => {
+    const tree = searchTreeAt(runSearch(GRAPH, 'BFS', { checkDuplicates: false }).at(-1), 3);
+    assert.equal(tree.nodes.length, 3);
+    assert.equal(tree.total, 11);
+  });
+});
+
+describe('layoutTree', () => {
+  test('puts leaves in columns and parents over their children', () => {
+    const nodes = [
+      { index: 0, parent: null },
+      { index: 1, parent: 0 },
+      { index: 2, parent: 0 },
+      { index: 3, parent: 1 },
+      { index: 4, parent: 1 },
+    ];
+    const { positions, columns, rows } = layoutTree(nodes);
+    assert.deepEqual(Object.fromEntries(positions), {
+      3: { x: 0, y: 2 },
+      4: { x: 1, y: 2 },
+      1: { x: 0.5, y: 1 },
+      2: { x: 2, y: 1 },
+      0: { x: 1.25, y: 0 },
+    });
+    assert.equal(columns, 3);
+    assert.equal(rows, 3);
+  });
+
+  test('handles trees far deeper than the call stack', () => {
+    const nodes = Array.from({ length: 20000 }, (_, index) => ({ index, parent: index === 0 ? null : index - 1 }));
+    const { positions, rows } = layoutTree(nodes);
+    assert.equal(rows, 20000);
+    assert.deepEqual(positions.get(0), { x: 0, y: 0 });
+  });
+});
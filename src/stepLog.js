@@ -0,0 +1,71 @@
+// --- Step Log ---
+// Plain-English text for the typed events GraphSearch records on each step (see GraphSearch.emit), for the
+// step log panel and the narration line under the canvas.
+
+const round = (value) => (Number.isInteger(value) ? value : Number(value.toFixed(2)));
+
+const valuesText = ({ g, h, f, side }) => [
+  g !== undefined && `g=${round(g)}`,
+  h !== undefined && `h=${round(h)}`,
+  f !== undefined && `f=${round(f)}`,
+  side === 'end' && 'goal side',
+].filter(Boolean).join(', ');
+
+const SKIP_REASONS = {
+  visited: 'already visited',
+  frontier: 'already on the frontier',
+  expanded: 'already expanded this pass by a path no longer than this one',
+  path: 'already on the current path',
+  pruned: 'pruned from the beam',
+};
+
+const capitalize = (text) => text[0].toUpperCase() + text.slice(1);
+
+// One event as a lower-case fragment (every fragment starts with a word, never a label)
+const fragment = (event, label) => {
+  const name = label(event.id);
+  switch (event.type) {
+    case 'pop':
+      return `popped ${name} (${event.f !== undefined ? `f=${round(event.f)}` : valuesText({ g: event.g, side: event.side })})`;
+    case 'goal-test':
+      return `goal test: ${name} is ${event.goal ? '' : 'not '}a goal`;
+    case 'skip':
+      return `skipped ${name} (${SKIP_REASONS[event.reason]})`;
+    case 'push':
+      return event.replaced !== undefined
+        ? `re-queued ${name} (${valuesText(event)}, was g=${round(event.replaced)})`
+        : `pushed ${name} (${valuesText(event)})`;
+    case 'parent':
+      return `parent of ${name} moved from ${label(event.previous)} to ${label(event.parent)}`;
+    case 'relax':
+      return `relaxed ${name} via ${label(event.parent)} (g=${round(event.g)}, was ${event.previous === Infinity ? '∞' : `g=${round(event.previous)}`})`;
+    case 'limit':
+      return event.reason === 'iterations'
+        ? `stopped after ${event.limit} iterations`
+        : `cut off ${name} (${event.reason} ${round(event.value)} > limit ${round(event.limit)})`;
+    default:
+      return event.type;
+  }
+};
+
+// One event as a sentence; `label` turns node ids into labels
+export const describeEvent = (event, label) => capitalize(fragment(event, label));
+
+// What the narration line says when a step logged nothing, by status
+const STATUS_NARRATION = {
+  found: 'Goal reached: the path is highlighted',
+  failed: 'The frontier is empty: no path to the goal',
+  cutoff: 'The depth limit cut the search off before the goal',
+  complete: 'Done',
+};
+
+// A step in one line: "Popped C (f=12); pushed D (g=7, h=4, f=11)". Goal tests that fail are left out, since
+// every pop or push has one.
+export const narrate = (step, label) => {
+  const parts = (step.events ?? [])
+    .filter(event => !(event.type === 'goal-test' && !event.goal))
+    .map(event => fragment(event, label));
+  if (parts.length === 0 && step.waypoint !== undefined) return `Reached waypoint ${label(step.waypoint)}: the next leg starts there`;
+  if (parts.length === 0) return STATUS_NARRATION[step.status] ?? '';
+  return capitalize(parts.join('; '));
+};
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { runSearch } from './engine.js';
+import { describeEvent, narrate } from './stepLog.js';
+
+// S - A - B - G with a dearer direct S - B, so UCS finds a cheaper way to B after queueing it
+const GRAPH = {
+  nodes: [
+    { id: 0, label: 'S', x: 0, y: 0 },
+    { id: 1, label: 'A', x: 100, y: 0 },
+    { id: 2, label: 'B', x: 200, y: 0 },
+    { id: 3, label: 'G', x: 300, y: 0 },
+  ],
+  edges: [
+    { source: 0, target: 1, weight: 1 },
+    { source: 0, target: 2, weight: 4 },
+    { source: 1, target: 2, weight: 1 },
+    { source: 2, target: 3, weight: 1 },
+  ],
+  start: 0,
+  end: 3,
+};
+const label = (id) => GRAPH.nodes[id].label;
+const events = (history, i) => history.at(i).events.map(({ type, id }) => `${type} ${label(id) ?? ''}`.trim());
+
+describe('step events', () => {
+  test('UCS logs pops, pushes, skips and the re-queue of a cheaper entry', () => {
+    const history = runSearch(GRAPH, 'UCS');
+    assert.deepEqual(events(history, 0), ['pop S', 'goal-test S', 'push A', 'push B']);
+    assert.deepEqual(events(history, 1), ['pop A', 'goal-test A', 'parent B', 'push B', 'skip S']);
+    assert.deepEqual(history.at(1).events[3], { type: 'push', id: 2, parent: 1, g: 2, replaced: 4 });
+    assert.equal(history.at(-1).status, 'found');
+    assert.deepEqual(history.at(-1).events, []);
+  });
+
+  test('BFS tests for the goal as it generates nodes', () => {
+    const history = runSearch(GRAPH, 'BFS');
+    assert.deepEqual(events(history, 0), ['pop S', 'goal-test A', 'push A', 'goal-test B', 'push B']);
+  });
+
+  test('depth-limited passes log the nodes they cut off', () => {
+    const history = runSearch(GRAPH, 'DLS', { depthLimit: 1 });
+    const cut = [...history].flatMap(step => step.events).filter(e => e.type === 'limit');
+    assert.deepEqual(cut.map(e => [label(e.id), e.reason, e.value, e.limit]), [['B', 'depth', 2, 1], ['G', 'depth', 2, 1], ['A', 'depth', 2, 1]]);
+  });
+
+  test('bidirectional searches log which side pops and pushes', () => {
+    const history = runSearch(GRAPH, 'BiBFS');
+    assert.deepEqual(events(history, 0), ['pop S', 'push A', 'push B']);
+    assert.deepEqual(history.at(1).events, [
+      { type: 'pop', id: 3, g: 0, side: 'end' },
+      { type: 'push', id: 2, parent: 3, g: 1, side: 'end' },
+    ]);
+    assert.equal(narrate(history.at(1), label), 'Popped G (g=0, goal side); pushed B (g=1, goal side)');
+    const dijkstra = runSearch(GRAPH, 'BiDijkstra');
+    assert.deepEqual(events(dijkstra, 2), ['pop A', 'parent B', 'push B', 'skip S']);
+    assert.equal(dijkstra.at(2).events[2].replaced, 4);
+  });
+
+  test('Bellman-Ford logs every edge a pass relaxes', () => {
+    const history = runSearch(GRAPH, 'BellmanFord');
+    assert.deepEqual(history.at(0).events.map(({ id, parent, g, previous }) => [label(parent), label(id), g, previous]),
+      [['S', 'A', 1, Infinity], ['S', 'B', 4, Infinity], ['A', 'B', 2, 4], ['B', 'G', 3, Infinity]]);
+    assert.equal(history.at(0).relaxed.length, history.at(0).events.length);
+    assert.deepEqual(history.at(1).events, []);
+    assert.equal(describeEvent(history.at(0).events[2], label), 'Relaxed B via A (g=2, was g=4)');
+  });
+
+  test('Beam search logs the candidates it prunes', () => {
+    const history = runSearch(GRAPH, 'Beam', { beamWidth: 1 });
+    assert.deepEqual(events(history, 0), ['pop S', 'push A', 'push B', 'skip A', 'goal-test B']);
+    assert.equal(history.at(0).events[3].reason, 'pruned');
+  });
+
+  test('a run stopped by the iteration cap ends with a limit event', () => {
+    const history = runSearch(GRAPH, 'BFS', { checkDuplicates: false, maxIterations: 1 });
+    assert.deepEqual(history.at(-1).events, [{ type: 'limit', reason: 'iterations', limit: 1 }]);
+  });
+});
+
+describe('narrate', () => {
+  const history = runSearch(GRAPH, 'UCS');
+
+  test('puts a step into one line, leaving out failed goal tests', () => {
+    assert.equal(narrate(history.at(0), label), 'Popped S (g=0); pushed A (g=1); pushed B (g=4)');
+    assert.equal(narrate(history.at(1), label),
+      'Popped A (g=1); parent of B moved from S to A; re-queued B (g=2, was g=4); skipped S (already visited)');
+  });
+
+  test('falls back to the status when nothing happened', () => {
+    assert.equal(narrate(history.at(-1), label), 'Goal reached: the path is highlighted');
+  });
+
+  test('says when a route reaches a waypoint', () => {
+    const route = runSearch({ ...GRAPH, waypoints: [1] }, 'UCS');
+    const reached = [...route].find(step => step.waypoint !== undefined);
+    assert.equal(narrate(reached, label), 'Reached waypoint A: the next leg starts there');
+  });
+
+  test('shows h and f for informed searches', () => {
+    const event = { type: 'push', id: 1, parent: 0, g: 5, h: 4.5, f: 9.5 };
+    assert.equal(describeEvent(event, label), 'Pushed A (g=5, h=4.5, f=9.5)');
+    assert.equal(describeEvent({ type: 'goal-test', id: 3, goal: true }, label), 'Goal test: G is a goal');
+    assert.equal(describeEvent({ type: 'goal-test', id: 1, goal: false }, label), 'Goal test: A is not a goal');
+  });
+
+  test('says why a node was skipped', () => {
+    assert.equal(describeEvent({ type: 'skip', id: 1, reason: 'expanded' }, label),
+      'Skipped A (already expanded this pass by a path no longer than this one)');
+  });
+});
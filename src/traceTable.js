@@ -0,0 +1,49 @@
+import { toCSV } from './csv.js';
+import { queueInPopOrder } from './engine.js';
+
+// --- Trace Table ---
+// A run's history as a table for handouts: per step the current node, the frontier with its g/h/f values
+// (front first) and the visited set.
+
+const round = (value) => (Number.isInteger(value) ? value : Number(value.toFixed(2)));
+
+const formatItem = (item, label) => {
+  const fields = [];
+  if (item.side === 'end') fields.push('goal side');
+  if (item.depth !== undefined) fields.push(`depth ${item.depth}`);
+  if (item.cost !== undefined) fields.push(`g ${round(item.cost)}`);
+  if (item.h !== undefined) fields.push(`h ${round(item.h)}`);
+  if (item.priority !== undefined) fields.push(`f ${round(item.priority)}`);
+  // Prim queues edges rather than nodes
+  const name = item.from !== undefined ? `${label(item.from)}–${label(item.id)}` : label(item.id);
+  return fields.length ? `${name} (${fields.join(', ')})` : name;
+};
+
+// One row per history entry: { step, event, status, current, frontier, visited }
+export const traceRows = (history, graph) => {
+  const labels = new Map(graph.nodes.map(n => [n.id, n.label]));
+  const label = (id) => labels.get(id) ?? String(id);
+  return Array.from(history, (step, i) => ({
+    step: i,
+    event: step.event ?? '',
+    status: step.status,
+    current: step.current !== null && step.current !== undefined ? label(step.current) : '',
+    frontier: queueInPopOrder(step).map(item => formatItem(item, label)).join('; '),
+    visited: [...step.visited].map(label).join(', ') + (step.visitedEnd ? ` | goal side: ${[...step.visitedEnd].map(label).join(', ')}` : ''),
+  }));
+};
+
+const COLUMNS = ['step', 'event', 'status', 'current', 'frontier', 'visited'];
+const HEADINGS = ['Step', 'Event', 'Status', 'Current', 'Frontier (front first)', 'Visited'];
+
+export const traceToCSV = (rows) => toCSV(COLUMNS, rows);
+
+const markdownCell = (value) => String(value).replace(/\|/g, '\\|') || ' ';
+
+export const traceToMarkdown = (rows, title) => [
+  ...(title ? [`# ${title}`, ''] : []),
+  `| ${HEADINGS.join(' | ')} |`,
+  `| ${HEADINGS.map(() => '---').join(' | ')} |`,
+  ...rows.map(row => `| ${COLUMNS.map(column => markdownCell(row[column])).join(' | ')} |`),
+  '',
+].join('\n');
@@ -0,0 +1,30 @@
+// Disjoint sets over arbitrary ids, with union by rank and path compression (Kruskal's components)
+export class UnionFind {
+  constructor(ids) {
+    this.parent = new Map(ids.map(id => [id, id]));
+    this.rank = new Map(ids.map(id => [id, 0]));
+  }
+
+  find(id) {
+    let root = id;
+    while (this.parent.get(root) !== root) root = this.parent.get(root);
+    // Point everything on the way straight at the root
+    for (let curr = id; curr !== root;) {
+      const next = this.parent.get(curr);
+      this.parent.set(curr, root);
+      curr = next;
+    }
+    return root;
+  }
+
+  // Returns false when a and b were already in the same set
+  union(a, b) {
+    let ra = this.find(a);
+    let rb = this.find(b);
+    if (ra === rb) return false;
+    if (this.rank.get(ra) < this.rank.get(rb)) [ra, rb] = [rb, ra];
+    this.parent.set(rb, ra);
+    if (this.rank.get(ra) === this.rank.get(rb)) this.rank.set(ra, this.rank.get(ra) + 1);
+    return true;
+  }
+}
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UnionFind } from './unionFind.js';
+
+test('merges sets and refuses to merge a set with itself', () => {
+  const sets = new UnionFind(['a', 'b', 'c', 'd']);
+  assert.equal(sets.union('a', 'b'), true);
+  assert.equal(sets.union('c', 'd'), true);
+  assert.equal(sets.union('b', 'a'), false);
+  assert.notEqual(sets.find('a'), sets.find('c'));
+  assert.equal(sets.union('a', 'd'), true);
+  assert.equal(new Set(['a', 'b', 'c', 'd'].map(id => sets.find(id))).size, 1);
+});
+
+test('stays shallow on a long chain', () => {
+  const ids = Array.from({ length: 1000 }, (_, i) => i);
+  const sets = new UnionFind(ids);
+  ids.slice(1).forEach(i => sets.union(i - 1, i));
+  const root = sets.find(999);
+  ids.forEach(i => assert.equal(sets.find(i), root));
+  ids.forEach(i => assert.ok(sets.parent.get(i) === root));
+});
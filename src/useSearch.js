@@ -0,0 +1,89 @@
+import { useState, useEffect, useMemo } from 'react';
+import { groundTruthFor, runSearch } from './engine';
+import { SearchHistory } from './history';
+
+// Graphs up to this size search synchronously; bigger ones go to a Web Worker so the UI keeps responding
+export const WORKER_THRESHOLD = 300;
+
+// Stand-in history while a worker is still searching
+const PENDING_HISTORY = SearchHistory.from([{ queue: [], visited: new Set(), parents: {}, current: null, status: 'searching' }]);
+const PENDING_GROUND_TRUTH = { trueMinEdges: Infinity, trueMinCost: Infinity };
+// Stand-in history for a run whose worker failed
+const FAILED_HISTORY = SearchHistory.from([{ queue: [], visited: new Set(), parents: {}, current: null, status: 'error' }]);
+
+// What went wrong in a worker, from its 'error' event (an uncaught exception, or the script failing to load) or
+// its 'messageerror' event (a message that could not be deserialized)
+export const workerErrorMessage = (event) => (event.type === 'messageerror'
+  ? 'The worker sent a result that could not be read'
+  : event.message || 'The worker stopped with an error');
+
+// Runs several searches over the same graph (compare mode). `runs` is [{ algorithm, options }] and must keep
+// its identity between renders (memoize it), since a new array restarts every search.
+// Returns { histories, groundTruth, pending, progress, error }, with one history and one progress count per run;
+// `error` is set when a worker failed, which stops every run of the request.
+export const useSearchRuns = (graph, runs) => {
+  const inWorker = graph.nodes.length > WORKER_THRESHOLD && typeof Worker !== 'undefined';
+  const request = useMemo(() => ({ graph, runs }), [graph, runs]);
+
+  // Ground truth only depends on the graph, so switching algorithms doesn't redo it
+  const syncGroundTruth = useMemo(() => (inWorker ? null : groundTruthFor(graph)), [graph, inWorker]);
+  const syncHistories = useMemo(
+    () => (inWorker ? null : runs.map(({ algorithm, options }) => runSearch(graph, algorithm, options))),
+    [graph, runs, inWorker]
+  );
+  const pendingHistories = useMemo(() => runs.map(() => PENDING_HISTORY), [runs]);
+  const failedHistories = useMemo(() => runs.map(() => FAILED_HISTORY), [runs]);
+
+  // Results are tagged with the request they answer, so a stale one is never shown
+  const [job, setJob] = useState({ request: null, results: [], progress: [], error: null });
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+    // One worker per run, so a slow algorithm doesn't hold up the others' progress
+    const workers = [];
+    const fail = (event) => {
+      workers.forEach(worker => worker.terminate());
+      setJob(prev => ({ request, results: [], progress: prev.request === request ? prev.progress : [], error: workerErrorMessage(event) }));
+    };
+    request.runs.forEach(({ algorithm, options }, i) => {
+      const worker = new Worker(new URL('./search.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => setJob(prev => {
+        const base = prev.request === request ? prev : { request, results: [], progress: [], error: null };
+        if (base.error) return base;
+        const results = [...base.results];
+        const progress = [...base.progress];
+        if (data.type === 'progress') {
+          progress[i] = data.steps;
+        } else {
+          results[i] = { ...data, history: SearchHistory.revive(data.history) };
+          progress[i] = data.history.length;
+        }
+        return { request, results, progress, error: null };
+      });
+      worker.onerror = fail;
+      worker.onmessageerror = fail;
+      worker.postMessage({ graph: request.graph, algorithm, options });
+      workers.push(worker);
+    });
+    // Terminating is how an outdated search gets cancelled
+    return () => workers.forEach(worker => worker.terminate());
+  }, [request, inWorker]);
+
+  // Histories only change identity once every run is done, so playback rewinds once
+  const current = job.request === request;
+  const done = current && runs.every((_, i) => job.results[i]);
+  const histories = useMemo(
+    () => (done ? job.results.map(result => result.history) : null),
+    [done, job.results]
+  );
+
+  if (!inWorker) {
+    return { histories: syncHistories, groundTruth: syncGroundTruth, pending: false, progress: syncHistories.map(h => h.length) };
+  }
+  const progress = runs.map((_, i) => (current ? job.progress[i] ?? 0 : 0));
+  if (current && job.error) {
+    return { histories: failedHistories, groundTruth: PENDING_GROUND_TRUTH, pending: false, progress, error: job.error };
+  }
+  if (done) return { histories, groundTruth: job.results[0].groundTruth, pending: false, progress };
+  return { histories: pendingHistories, groundTruth: PENDING_GROUND_TRUTH, pending: true, progress };
+};
@@ -0,0 +1,58 @@
+// --- ZIP ---
+// Minimal ZIP writer for exports: files are stored uncompressed (SVG frames would gain little from deflate
+// next to the effort), which every unzip tool reads.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+export const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// files: [{ name, data }] with data a string (stored as UTF-8) or a Uint8Array. Returns the archive bytes.
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const entries = files.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = entries.reduce((sum, e) => sum + 30 + e.name.length + e.bytes.length, 0);
+  const centralSize = entries.reduce((sum, e) => sum + 46 + e.name.length, 0);
+  const out = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(out.buffer);
+  let offset = 0;
+  const u16 = (v) => { view.setUint16(offset, v, true); offset += 2; };
+  const u32 = (v) => { view.setUint32(offset, v, true); offset += 4; };
+  const bytes = (b) => { out.set(b, offset); offset += b.length; };
+
+  // Local headers, each followed by its data. Version 2.0, flag bit 11 (UTF-8 names), method 0 (stored),
+  // and a fixed 1980-01-01 timestamp so the same frames always zip to the same bytes.
+  const offsets = entries.map(e => {
+    const start = offset;
+    u32(0x04034b50); u16(20); u16(0x0800); u16(0); u16(0); u16(0x21);
+    u32(e.crc); u32(e.bytes.length); u32(e.bytes.length); u16(e.name.length); u16(0);
+    bytes(e.name);
+    bytes(e.bytes);
+    return start;
+  });
+
+  const centralStart = offset;
+  entries.forEach((e, i) => {
+    u32(0x02014b50); u16(20); u16(20); u16(0x0800); u16(0); u16(0); u16(0x21);
+    u32(e.crc); u32(e.bytes.length); u32(e.bytes.length); u16(e.name.length); u16(0); u16(0);
+    u16(0); u16(0); u32(0); u32(offsets[i]);
+    bytes(e.name);
+  });
+
+  // End of central directory
+  const centralEnd = offset;
+  u32(0x06054b50); u16(0); u16(0); u16(entries.length); u16(entries.length);
+  u32(centralEnd - centralStart); u32(centralStart); u16(0);
+  return out;
+};